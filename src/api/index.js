@@ -4,6 +4,9 @@
 const express = require('express');
 const syncRoutes = require('./syncRoutes');
 const priceRoutes = require('./priceRoutes'); // 가격 테스트 라우트 파일 분리
+const rateRoutes = require('./rateRoutes');
+const orderRoutes = require('./orderRoutes');
+const shipmentRoutes = require('./shipmentRoutes');
 const shopifyAppProxyRoutes = require('./shopifyAppProxyRoutes');
 const authMiddleware = require('../middleware/authMiddleware'); // 내부 API 인증용
 const config = require('../config'); // App Proxy 경로 설정 읽기용
@@ -23,6 +26,15 @@ router.get('/', (req, res) => {
 // 내부 관리/동기화 트리거용 라우트 (API 키 인증 적용)
 router.use('/sync', authMiddleware.verifyInternalApiKey, syncRoutes);
 
+// 환율 이력 조회 (재무 정산용, API 키 인증 적용)
+router.use('/rates', authMiddleware.verifyInternalApiKey, rateRoutes);
+
+// 주문 원장 조회 (Shopify 주문 ↔ 번개장터 주문, API 키 인증 적용)
+router.use('/orders', authMiddleware.verifyInternalApiKey, orderRoutes);
+
+// 배송 2구간 조회 및 국제 구간 송장 등록 (API 키 인증 적용)
+router.use('/shipments', authMiddleware.verifyInternalApiKey, shipmentRoutes);
+
 // 가격 계산 테스트용 라우트 (개발/테스트 시에만 사용 권장, 필요시 인증 적용)
 if (config.env !== 'production') { // 운영 환경에서는 비활성화 또는 인증 강화
     router.use('/price-utils', authMiddleware.verifyInternalApiKey, priceRoutes);
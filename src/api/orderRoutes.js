@@ -0,0 +1,35 @@
+// src/api/orderRoutes.js
+// 주문 원장(Shopify 주문 ↔ 번개장터 주문) 조회 및 주문 상태 수동 전이 API 라우트입니다.
+
+const express = require('express');
+const { param, body } = require('express-validator');
+const orderLinkController = require('../controllers/orderLinkController');
+const { ORDER_STATES } = require('../services/orderStateService');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+// GET /api/orders/:shopifyOrderId - Shopify 주문 ID(숫자) 또는 GID(URL 인코딩)로 주문 원장 조회
+router.get(
+  '/:shopifyOrderId',
+  [
+    param('shopifyOrderId').trim().matches(/^(gid:\/\/shopify\/Order\/)?\d+$/).withMessage('shopifyOrderId는 Shopify 주문 ID(숫자) 또는 주문 GID여야 합니다.'),
+  ],
+  handleValidationErrors,
+  orderLinkController.getOrderLink
+);
+
+// POST /api/orders/:shopifyOrderId/line-items/:lineItemId/state - line item 주문 상태 수동 전이
+router.post(
+  '/:shopifyOrderId/line-items/:lineItemId/state',
+  [
+    param('shopifyOrderId').trim().matches(/^(gid:\/\/shopify\/Order\/)?\d+$/).withMessage('shopifyOrderId는 Shopify 주문 ID(숫자) 또는 주문 GID여야 합니다.'),
+    param('lineItemId').trim().isNumeric().withMessage('lineItemId는 Shopify line item ID(숫자)여야 합니다.'),
+    body('state').isIn(ORDER_STATES).withMessage(`state는 ${ORDER_STATES.join(', ')} 중 하나여야 합니다.`),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  orderLinkController.transitionLineItemState
+);
+
+module.exports = router;
@@ -2,15 +2,16 @@
 // 가격 계산 테스트 관련 API 라우트입니다.
 
 const express = require('express');
-const { query } = require('express-validator');
+const { query, param } = require('express-validator');
 const priceController = require('../controllers/priceController');
 const { handleValidationErrors } = require('../utils/validationHelper');
 // const authMiddleware = require('../middleware/authMiddleware'); // 필요시 인증 적용
 
 const router = express.Router();
 
-// GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000]
-// 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD)을 계산합니다.
+// GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000][&categoryId=..&brandId=..&sellerUid=..]
+//   [&destinationCountry=US&weightKg=1.2&costBasis=item|landed]
+// 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD)을 계산하고, 적용된 가격 규칙과 도착 원가 항목을 설명합니다.
 router.get(
   '/calculate-shopify',
   // authMiddleware.verifyInternalApiKey, // 필요시 내부 API 키 인증 적용
@@ -23,9 +24,37 @@ router.get(
       .optional() // 선택적 파라미터
       .isFloat({ gte: 0 }).withMessage('krwShippingFee는 0 이상의 숫자여야 합니다.')
       .toFloat(),
+    query(['categoryId', 'brandId', 'sellerUid']).optional().isString().trim().isLength({ max: 64 }),
+    query('destinationCountry').optional().isISO31661Alpha2().withMessage('destinationCountry는 ISO 국가 코드(예: US)여야 합니다.').toUpperCase(),
+    query('weightKg').optional().isFloat({ gt: 0 }).withMessage('weightKg는 0보다 큰 숫자여야 합니다.').toFloat(),
+    query('costBasis').optional().isIn(['item', 'landed']).withMessage('costBasis는 item 또는 landed여야 합니다.'),
   ],
   handleValidationErrors, // 유효성 검사 결과 처리
   priceController.getCalculatedShopifyPrice
 );
 
+// GET /api/price-utils/history/:bunjangPid - 상품 가격 이력 (가격이 왜 바뀌었는지 확인용)
+router.get(
+  '/history/:bunjangPid',
+  [
+    param('bunjangPid').isString().trim().notEmpty().isLength({ max: 64 }),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('eventType').optional().isIn(['KRW_PRICE_CHANGE', 'USD_PRICE_PUSH']),
+  ],
+  handleValidationErrors,
+  priceController.getPriceHistory
+);
+
+// GET /api/price-utils/margin-stats - 카테고리별 마진 통계
+router.get(
+  '/margin-stats',
+  [
+    query(['since', 'until']).optional().isISO8601().toDate(),
+    query('categoryDepth').optional().isInt({ min: 1, max: 3 }).toInt(),
+    query('categoryPrefix').optional().isString().trim().matches(/^[0-9]+$/).withMessage('categoryPrefix는 숫자여야 합니다.'),
+  ],
+  handleValidationErrors,
+  priceController.getMarginStats
+);
+
 module.exports = router;
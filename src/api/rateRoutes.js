@@ -0,0 +1,29 @@
+// src/api/rateRoutes.js
+// 환율 이력(시계열) 조회 API 라우트입니다. (재무팀 환차손익 정산용)
+
+const express = require('express');
+const { query } = require('express-validator');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const RATE_HISTORY_STATUSES = ['ACCEPTED', 'REJECTED', 'MANUAL_OVERRIDE_SET', 'MANUAL_OVERRIDE_CLEARED'];
+
+// GET /api/rates?from=2025-01-01&to=2025-01-31[&status=ACCEPTED,REJECTED][&provider=openexchangerates][&includeRates=true][&limit=1000]
+// 기간 내 가져온 환율(채택/거부)과 수동 환율 설정/해제 기록을 시간순으로 반환합니다.
+router.get(
+  '/',
+  [
+    query(['from', 'to']).optional().isISO8601().withMessage('from/to는 ISO8601 날짜여야 합니다.').toDate(),
+    query('status').optional().customSanitizer(value => String(value).split(',').map(s => s.trim().toUpperCase()).filter(Boolean))
+      .custom(values => values.every(v => RATE_HISTORY_STATUSES.includes(v))).withMessage(`status는 ${RATE_HISTORY_STATUSES.join(', ')} 중 하나 이상이어야 합니다.`),
+    query('provider').optional().isString().trim().isLength({ max: 64 }),
+    query('includeRates').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 5000 }).toInt(),
+  ],
+  handleValidationErrors,
+  exchangeRateController.getRateHistory
+);
+
+module.exports = router;
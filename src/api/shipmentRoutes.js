@@ -0,0 +1,67 @@
+// src/api/shipmentRoutes.js
+// 배송 2구간 조회 및 국제 구간 송장 등록(주문별/배치) API 라우트입니다.
+
+const express = require('express');
+const { param, body } = require('express-validator');
+const shipmentController = require('../controllers/shipmentController');
+const { handleValidationErrors } = require('../utils/validationHelper');
+
+const router = express.Router();
+
+const SHOPIFY_ORDER_ID_PATTERN = /^(gid:\/\/shopify\/Order\/)?\d+$/;
+const MAX_BATCH_SIZE = 200;
+
+// POST /api/shipments/international/batch - 여러 주문의 국제 구간 송장 일괄 등록
+router.post(
+  '/international/batch',
+  [
+    body('batchId').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('carrier').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('shipments').isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`shipments는 1~${MAX_BATCH_SIZE}개 항목의 배열이어야 합니다.`),
+    body('shipments.*.shopifyOrderId').trim().matches(SHOPIFY_ORDER_ID_PATTERN).withMessage('shopifyOrderId는 Shopify 주문 ID(숫자) 또는 주문 GID여야 합니다.'),
+    body('shipments.*.trackingNumber').isString().trim().notEmpty().withMessage('trackingNumber가 필요합니다.'),
+    body('shipments.*.carrier').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('shipments.*.trackingUrl').optional().isURL().withMessage('trackingUrl은 URL이어야 합니다.'),
+    body('shipments.*.shopifyLineItemIds').optional().isArray({ min: 1 }),
+    body('shipments.*.shopifyLineItemIds.*').isNumeric().withMessage('shopifyLineItemIds는 Shopify line item ID(숫자) 배열이어야 합니다.'),
+    body('shipments.*.shippedAt').optional().isISO8601().withMessage('shippedAt은 ISO 8601 날짜여야 합니다.'),
+    body('shipments.*.delivered').optional().isBoolean().toBoolean(),
+    body('shipments').custom((shipments, { req }) => {
+      if (!req.body.carrier && shipments.some(entry => !entry?.carrier)) {
+        throw new Error('carrier를 배치 또는 각 항목에 지정해야 합니다.');
+      }
+      return true;
+    }),
+  ],
+  handleValidationErrors,
+  shipmentController.registerInternationalBatch
+);
+
+// GET /api/shipments/:shopifyOrderId - 주문의 배송 구간과 고객용 배송 상태 조회
+router.get(
+  '/:shopifyOrderId',
+  [
+    param('shopifyOrderId').trim().matches(SHOPIFY_ORDER_ID_PATTERN).withMessage('shopifyOrderId는 Shopify 주문 ID(숫자) 또는 주문 GID여야 합니다.'),
+  ],
+  handleValidationErrors,
+  shipmentController.getOrderShipments
+);
+
+// POST /api/shipments/:shopifyOrderId/international - 주문의 국제 구간 송장 등록 (Shopify fulfillment 생성)
+router.post(
+  '/:shopifyOrderId/international',
+  [
+    param('shopifyOrderId').trim().matches(SHOPIFY_ORDER_ID_PATTERN).withMessage('shopifyOrderId는 Shopify 주문 ID(숫자) 또는 주문 GID여야 합니다.'),
+    body('carrier').isString().trim().isLength({ min: 1, max: 100 }).withMessage('carrier(국제 배송사)가 필요합니다.'),
+    body('trackingNumber').isString().trim().notEmpty().withMessage('trackingNumber가 필요합니다.'),
+    body('trackingUrl').optional().isURL().withMessage('trackingUrl은 URL이어야 합니다.'),
+    body('shopifyLineItemIds').optional().isArray({ min: 1 }),
+    body('shopifyLineItemIds.*').isNumeric().withMessage('shopifyLineItemIds는 Shopify line item ID(숫자) 배열이어야 합니다.'),
+    body('shippedAt').optional().isISO8601().withMessage('shippedAt은 ISO 8601 날짜여야 합니다.'),
+    body('delivered').optional().isBoolean().toBoolean(),
+  ],
+  handleValidationErrors,
+  shipmentController.registerInternational
+);
+
+module.exports = router;
@@ -6,8 +6,21 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../config/logger');
 const config = require('../config');
+const { body, param, query } = require('express-validator');
 const { getQueue } = require('../jobs/queues');
 const { AppError } = require('../utils/customErrors');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const { RECONCILE_ACTIONS } = require('../services/catalogReconciliationService');
+const catalogFilterRuleController = require('../controllers/catalogFilterRuleController');
+const taxonomyController = require('../controllers/taxonomyController');
+const pricingRuleController = require('../controllers/pricingRuleController');
+const repricingController = require('../controllers/repricingController');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const priceApprovalController = require('../controllers/priceApprovalController');
+const { ROUNDING_STRATEGIES } = require('../services/pricingRuleService');
+const catalogRunController = require('../controllers/catalogRunController');
+const catalogReplayController = require('../controllers/catalogReplayController');
+const catalogQuarantineController = require('../controllers/catalogQuarantineController');
 // const productSyncController = require('../controllers/productSyncController'); // 컨트롤러 사용 시
 
 // 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
@@ -15,8 +28,13 @@ const { AppError } = require('../utils/customErrors');
 /**
  * POST /api/sync/catalog/full
  * 전체 카탈로그 동기화 작업을 BullMQ에 추가합니다.
+ * Body (선택): { reconcileAction: 'draft'|'archive'|'zero_inventory'|'delete', reconcileDryRun: boolean }
+ * reconcileDryRun=true면 사라진 상품 목록만 작업 결과(summary.reconciliation)에 보고하고 변경하지 않습니다.
  */
-router.post('/catalog/full', async (req, res, next) => {
+router.post('/catalog/full', [
+  body('reconcileAction').optional().isIn(RECONCILE_ACTIONS).withMessage(`reconcileAction은 ${RECONCILE_ACTIONS.join(', ')} 중 하나여야 합니다.`),
+  body('reconcileDryRun').optional().isBoolean().withMessage('reconcileDryRun은 boolean이어야 합니다.').toBoolean(),
+], handleValidationErrors, async (req, res, next) => {
   const jobName = 'ManualTrigger-FetchBunjangCatalog-Full';
   const queueName = config.bullmq.queues.catalog;
   logger.info(`[SyncRoute] API call to trigger full catalog sync. Adding to queue: ${queueName}`);
@@ -30,7 +48,12 @@ router.post('/catalog/full', async (req, res, next) => {
   }
 
   try {
-    const jobData = { catalogType: 'full', triggeredBy: 'api_manual' };
+    const { reconcileAction, reconcileDryRun } = req.body || {};
+    const reconcile = {
+      ...(reconcileAction && { action: reconcileAction }),
+      ...(typeof reconcileDryRun === 'boolean' && { dryRun: reconcileDryRun }),
+    };
+    const jobData = { catalogType: 'full', triggeredBy: 'api_manual', reconcile };
     const job = await catalogQueue.add(jobName, jobData, {
       // jobId: `manual-full-catalog-${Date.now()}`, // 필요시 고유 ID
     });
@@ -74,6 +97,243 @@ router.post('/catalog/segment', async (req, res, next) => {
   }
 });
 
+// --- 카탈로그 실행 이력 (CatalogRun) ---
+
+// GET /api/sync/catalog/runs
+router.get('/catalog/runs', [
+  query('catalogType').optional().isIn(['full', 'segment']),
+  query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('skip').optional().isInt({ min: 0 }).toInt(),
+], handleValidationErrors, catalogRunController.listRuns);
+
+// GET /api/sync/catalog/runs/:runId - 실행 상세 및 직전 실행과의 비교
+router.get('/catalog/runs/:runId', [
+  param('runId').isMongoId().withMessage('runId가 유효하지 않습니다.'),
+], handleValidationErrors, catalogRunController.getRun);
+
+// POST /api/sync/catalog/:runId/resume - 중단된 실행을 체크포인트부터 재개
+router.post('/catalog/:runId/resume', [
+  param('runId').isMongoId().withMessage('runId가 유효하지 않습니다.'),
+], handleValidationErrors, catalogRunController.resumeRun);
+
+// --- 행 스키마 검증 실패로 격리된 카탈로그 행 ---
+
+// GET /api/sync/catalog/quarantine
+router.get('/catalog/quarantine', [
+  query('runId').optional().isMongoId().withMessage('runId가 유효하지 않습니다.'),
+  query('status').optional().isIn(['QUARANTINED', 'REPROCESSED', 'DISCARDED']),
+  query('reason').optional().isIn(['INVALID_PRICE', 'MISSING_DATA']),
+  query('pid').optional().isString().trim().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('skip').optional().isInt({ min: 0 }).toInt(),
+], handleValidationErrors, catalogQuarantineController.listQuarantinedRows);
+
+// GET /api/sync/catalog/quarantine/:rowId - 원본 행과 검증 오류
+router.get('/catalog/quarantine/:rowId', [
+  param('rowId').isMongoId().withMessage('rowId가 유효하지 않습니다.'),
+], handleValidationErrors, catalogQuarantineController.getQuarantinedRow);
+
+// POST /api/sync/catalog/quarantine/:rowId/reprocess - 재검증 후 동기화 (rowOverrides로 값 수정 가능)
+router.post('/catalog/quarantine/:rowId/reprocess', [
+  param('rowId').isMongoId().withMessage('rowId가 유효하지 않습니다.'),
+  body('rowOverrides').optional().isObject().withMessage('rowOverrides는 객체여야 합니다.'),
+  body('resolvedBy').optional().isString().trim().isLength({ max: 200 }),
+], handleValidationErrors, catalogQuarantineController.reprocessQuarantinedRow);
+
+// POST /api/sync/catalog/quarantine/:rowId/discard
+router.post('/catalog/quarantine/:rowId/discard', [
+  param('rowId').isMongoId().withMessage('rowId가 유효하지 않습니다.'),
+  body('resolvedBy').optional().isString().trim().isLength({ max: 200 }),
+], handleValidationErrors, catalogQuarantineController.discardQuarantinedRow);
+
+// --- 카탈로그 파일 보관 및 재실행 (replay) ---
+
+// GET /api/sync/catalog/archives
+router.get('/catalog/archives', [
+  query('catalogType').optional().isIn(['full', 'segment']),
+], handleValidationErrors, catalogReplayController.listArchives);
+
+// POST /api/sync/catalog/replay - 보관/로컬 파일로 카탈로그 처리 재실행 (dryRun=true면 Shopify/DB에 쓰지 않음)
+router.post('/catalog/replay', [
+  body('archiveName').optional().isString().trim().notEmpty(),
+  body('localPath').optional().isString().trim().notEmpty(),
+  body().custom(value => Boolean(value?.archiveName || value?.localPath)).withMessage('archiveName 또는 localPath가 필요합니다.'),
+  body('catalogType').optional().isIn(['full', 'segment']),
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('reconcileAction').optional().isIn(RECONCILE_ACTIONS).withMessage(`reconcileAction은 ${RECONCILE_ACTIONS.join(', ')} 중 하나여야 합니다.`),
+], handleValidationErrors, catalogReplayController.replayCatalog);
+
+// --- 카탈로그 필터 규칙 (CatalogFilterRule) ---
+
+const filterRuleBodyValidators = (isCreate) => [
+  (isCreate ? body('name').exists() : body('name').optional()).isString().trim().notEmpty().withMessage('name은 비어있지 않은 문자열이어야 합니다.'),
+  (isCreate ? body('effect').exists() : body('effect').optional()).isIn(['include', 'exclude']).withMessage("effect는 'include' 또는 'exclude'여야 합니다."),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('priority').optional().isInt().toInt(),
+  body('conditions').optional().isObject().withMessage('conditions는 객체여야 합니다.'),
+  body(['conditions.categoryIds', 'conditions.brandIds', 'conditions.sellerUids', 'conditions.conditions']).optional().isArray().withMessage('목록 조건은 배열이어야 합니다.'),
+  body(['conditions.minPriceKrw', 'conditions.maxPriceKrw', 'conditions.minImageCount', 'conditions.maxImageCount']).optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('conditions.keywordRegex').optional().isString().isLength({ max: 500 }),
+  body('conditions.keywordRegexFlags').optional().matches(/^[gimsuy]*$/).withMessage('keywordRegexFlags가 유효하지 않습니다.'),
+];
+const ruleIdValidator = param('ruleId').isMongoId().withMessage('ruleId가 유효하지 않습니다.');
+const previewQueryValidators = [
+  query('catalogType').optional().isIn(['full', 'segment']),
+  query('sampleLimit').optional().isInt({ min: 1, max: 200 }).toInt(),
+];
+
+// GET /api/sync/filter-rules
+router.get('/filter-rules', [
+  query('enabled').optional().isBoolean().toBoolean(),
+  query('effect').optional().isIn(['include', 'exclude']),
+], handleValidationErrors, catalogFilterRuleController.listRules);
+
+// POST /api/sync/filter-rules/preview - 저장 전 규칙 미리보기
+router.post('/filter-rules/preview', [...filterRuleBodyValidators(false), body('effect').exists(), ...previewQueryValidators], handleValidationErrors, catalogFilterRuleController.previewRule);
+
+// POST /api/sync/filter-rules
+router.post('/filter-rules', filterRuleBodyValidators(true), handleValidationErrors, catalogFilterRuleController.createRule);
+
+// GET /api/sync/filter-rules/:ruleId
+router.get('/filter-rules/:ruleId', [ruleIdValidator], handleValidationErrors, catalogFilterRuleController.getRule);
+
+// PUT /api/sync/filter-rules/:ruleId
+router.put('/filter-rules/:ruleId', [ruleIdValidator, ...filterRuleBodyValidators(false)], handleValidationErrors, catalogFilterRuleController.updateRule);
+
+// DELETE /api/sync/filter-rules/:ruleId
+router.delete('/filter-rules/:ruleId', [ruleIdValidator], handleValidationErrors, catalogFilterRuleController.deleteRule);
+
+// POST /api/sync/filter-rules/:ruleId/preview - 저장된 규칙 (body로 수정사항 전달 가능) 미리보기
+router.post('/filter-rules/:ruleId/preview', [ruleIdValidator, ...filterRuleBodyValidators(false), ...previewQueryValidators], handleValidationErrors, catalogFilterRuleController.previewRule);
+
+// --- 상품 분류 규칙 (TaxonomyRule) ---
+
+const taxonomyRuleBodyValidators = (isCreate) => [
+  (isCreate ? body('name').exists() : body('name').optional()).isString().trim().notEmpty().withMessage('name은 비어있지 않은 문자열이어야 합니다.'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body(['priority', 'categoryWeight', 'minScore']).optional().isInt().toInt(),
+  body(['bunjangCategoryIds', 'collectionGids', 'tags', 'keywords']).optional().isArray().withMessage('목록 필드는 배열이어야 합니다.'),
+  body('collectionGids.*').optional().matches(/^gid:\/\/shopify\/Collection\/\d+$/).withMessage('collectionGids는 Shopify Collection GID여야 합니다.'),
+  body('keywords.*.term').optional().isString().trim().notEmpty().withMessage('keywords[].term은 비어있지 않은 문자열이어야 합니다.'),
+  body('keywords.*.weight').optional().isInt().toInt(),
+  body('productType').optional().isString().trim(),
+];
+const taxonomyRuleIdValidator = param('ruleId').isMongoId().withMessage('ruleId가 유효하지 않습니다.');
+
+// GET /api/sync/taxonomy
+router.get('/taxonomy', [query('enabled').optional().isBoolean().toBoolean()], handleValidationErrors, taxonomyController.listRules);
+
+// POST /api/sync/taxonomy/categorize - 현재 규칙으로 상품 정보 분류 테스트
+router.post('/taxonomy/categorize', [
+  body('name').optional().isString(),
+  body('description').optional().isString(),
+  body('keywords').optional().isArray(),
+], handleValidationErrors, taxonomyController.categorizeSample);
+
+// POST /api/sync/taxonomy/recategorize - 동기화된 상품 재분류 작업 큐 추가
+router.post('/taxonomy/recategorize', [
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('limit').optional().isInt({ min: 0 }).toInt(),
+], handleValidationErrors, taxonomyController.triggerRecategorize);
+
+// POST /api/sync/taxonomy
+router.post('/taxonomy', taxonomyRuleBodyValidators(true), handleValidationErrors, taxonomyController.createRule);
+
+// GET /api/sync/taxonomy/:ruleId
+router.get('/taxonomy/:ruleId', [taxonomyRuleIdValidator], handleValidationErrors, taxonomyController.getRule);
+
+// PUT /api/sync/taxonomy/:ruleId
+router.put('/taxonomy/:ruleId', [taxonomyRuleIdValidator, ...taxonomyRuleBodyValidators(false)], handleValidationErrors, taxonomyController.updateRule);
+
+// DELETE /api/sync/taxonomy/:ruleId
+router.delete('/taxonomy/:ruleId', [taxonomyRuleIdValidator], handleValidationErrors, taxonomyController.deleteRule);
+
+// --- 가격 규칙 (PricingRule) ---
+
+const pricingRuleBodyValidators = (isCreate) => [
+  (isCreate ? body('name').exists() : body('name').optional()).isString().trim().notEmpty().withMessage('name은 비어있지 않은 문자열이어야 합니다.'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('priority').optional().isInt().toInt(),
+  body('conditions').optional().isObject().withMessage('conditions는 객체여야 합니다.'),
+  body(['conditions.categoryIds', 'conditions.brandIds', 'conditions.sellerUids']).optional().isArray().withMessage('목록 조건은 배열이어야 합니다.'),
+  body(['conditions.minPriceKrw', 'conditions.maxPriceKrw']).optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('markupTiers').optional().isArray().withMessage('markupTiers는 배열이어야 합니다.'),
+  body('markupTiers.*.upToKrw').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('markupTiers.*.markupPercentage').isFloat({ min: 0 }).withMessage('markupTiers의 markupPercentage는 0 이상의 숫자여야 합니다.').toFloat(),
+  body(['markupPercentage', 'handlingFeeUsd', 'minMarginUsd', 'minMarginPercentage']).optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('rounding').optional().isIn(ROUNDING_STRATEGIES).withMessage(`rounding은 ${ROUNDING_STRATEGIES.join(', ')} 중 하나여야 합니다.`),
+  body('updatedBy').optional().isString().trim().isLength({ max: 100 }),
+];
+const pricingRuleIdValidator = param('ruleId').isMongoId().withMessage('ruleId가 유효하지 않습니다.');
+
+// GET /api/sync/pricing-rules
+router.get('/pricing-rules', [query('enabled').optional().isBoolean().toBoolean()], handleValidationErrors, pricingRuleController.listRules);
+
+// POST /api/sync/pricing-rules
+router.post('/pricing-rules', pricingRuleBodyValidators(true), handleValidationErrors, pricingRuleController.createRule);
+
+// GET /api/sync/pricing-rules/:ruleId
+router.get('/pricing-rules/:ruleId', [pricingRuleIdValidator], handleValidationErrors, pricingRuleController.getRule);
+
+// PUT /api/sync/pricing-rules/:ruleId
+router.put('/pricing-rules/:ruleId', [pricingRuleIdValidator, ...pricingRuleBodyValidators(false)], handleValidationErrors, pricingRuleController.updateRule);
+
+// DELETE /api/sync/pricing-rules/:ruleId
+router.delete('/pricing-rules/:ruleId', [pricingRuleIdValidator], handleValidationErrors, pricingRuleController.deleteRule);
+
+// POST /api/sync/reprice - 동기화된 상품 일괄 재가격 작업 큐 추가 (환율/가격 규칙 변경 후)
+router.post('/reprice', [
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('limit').optional().isInt({ min: 0 }).toInt(),
+  body('thresholdPercent').optional().isFloat({ min: 0 }).toFloat(),
+], handleValidationErrors, repricingController.triggerReprice);
+
+// GET /api/sync/reprice/:jobId - 재가격 작업 상태 및 변경 목록(diff) 조회
+router.get('/reprice/:jobId', [param('jobId').isString().notEmpty()], handleValidationErrors, repricingController.getRepriceJob);
+
+// --- 환율 (공급자 체인 / 수동 환율) ---
+
+// GET /api/sync/exchange-rate - 저장 환율, 수동 환율, 공급자 체인 상태
+router.get('/exchange-rate', exchangeRateController.getStatus);
+
+// PUT /api/sync/exchange-rate/override - 수동 환율 설정 (공급자 환율보다 우선)
+router.put('/exchange-rate/override', [
+  body('krwPerUsd').isFloat({ gt: 1 }).withMessage('krwPerUsd는 1 USD당 KRW 금액이어야 합니다.').toFloat(),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt은 ISO8601 날짜여야 합니다.').toDate(),
+], handleValidationErrors, exchangeRateController.setOverride);
+
+// DELETE /api/sync/exchange-rate/override - 수동 환율 해제
+router.delete('/exchange-rate/override', [body('reason').optional().isString().trim().isLength({ max: 500 })], handleValidationErrors, exchangeRateController.clearOverride);
+
+// POST /api/sync/exchange-rate/refresh - 공급자 체인에서 즉시 환율 갱신
+router.post('/exchange-rate/refresh', [body('skipDeviationCheck').optional().isBoolean().toBoolean()], handleValidationErrors, exchangeRateController.refreshRates);
+
+// --- 가격 가드 승인 대기열 ---
+
+const priceApprovalIdValidator = param('approvalId').isMongoId().withMessage('approvalId가 유효하지 않습니다.');
+const priceApprovalDecisionValidators = [
+  body('decidedBy').optional().isString().trim().isLength({ max: 100 }),
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+];
+
+// GET /api/sync/price-approvals - 보류된 가격 변경 목록 (기본 PENDING)
+router.get('/price-approvals', [
+  query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED']).withMessage('status는 PENDING, APPROVED, REJECTED, SUPERSEDED 중 하나여야 합니다.'),
+  query('bunjangPid').optional().isString().trim().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+], handleValidationErrors, priceApprovalController.listApprovals);
+
+// POST /api/sync/price-approvals/:approvalId/approve - 승인 (리스팅된 상품은 즉시 Shopify 반영)
+router.post('/price-approvals/:approvalId/approve', [priceApprovalIdValidator, ...priceApprovalDecisionValidators], handleValidationErrors, priceApprovalController.approve);
+
+// POST /api/sync/price-approvals/:approvalId/reject - 거부 (현재 가격 유지)
+router.post('/price-approvals/:approvalId/reject', [priceApprovalIdValidator, ...priceApprovalDecisionValidators], handleValidationErrors, priceApprovalController.reject);
+
 
 // TODO: 특정 Shopify 주문 재처리 엔드포인트 (Shopify Order ID를 받아 주문 처리 큐에 작업 추가)
 // router.post('/order/:shopifyOrderId/reprocess', async (req, res, next) => { ... });
@@ -19,6 +19,7 @@ const mainErrorHandler = require('./utils/errorHandler');
 
 // 웹훅 관련 임포트
 const webhookRoutes = require('./routes/webhook.routes'); // 이미 작성된 webhook.routes.js 사용
+const mediaRoutes = require('./routes/media.routes');
 const shopifyWebhookValidator = require('./middleware/shopifyWebhookValidator');
 const orderSyncController = require('./controllers/orderSyncController');
 const apiRoutes = require('./api');
@@ -131,6 +132,9 @@ shopifyWebhookRouter.post('/orders-create',
 );
 app.use('/webhooks/shopify', shopifyWebhookRouter);
 
+// 번개장터 이미지 프록시 (Shopify 미디어 가져오기용 공개 경로, API 요청 제한 미적용)
+app.use('/media', mediaRoutes);
+
 // API 요청 제한 (Rate Limiting) - 웹훅 경로는 제외
 const apiLimiter = rateLimit({
   windowMs: config.rateLimit.windowMs,
@@ -95,6 +95,33 @@ const config = {
     
     // 동기화 동시성 설정
     syncConcurrency: parseInt(process.env.BUNJANG_SYNC_CONCURRENCY, 10) || 1,
+
+    // 카탈로그 스트리밍 처리 중 진행 상황 로그 간격 (유효 상품 수 기준)
+    catalogProgressLogInterval: parseInt(process.env.BUNJANG_CATALOG_PROGRESS_LOG_INTERVAL, 10) || 1000,
+
+    // 카탈로그 실행 재개(resume)용 체크포인트 저장 간격 (처리 완료 행 수 기준)
+    catalogCheckpointInterval: parseInt(process.env.BUNJANG_CATALOG_CHECKPOINT_INTERVAL, 10) || 100,
+    // 체크포인트가 이 시간 이상 갱신되지 않은 RUNNING 실행은 중단된 것으로 보고 수동 재개를 허용
+    catalogRunStaleAfterMs: parseInt(process.env.BUNJANG_CATALOG_RUN_STALE_AFTER_MS, 10) || 15 * 60 * 1000,
+    // 실행당 격리(quarantine) 컬렉션에 저장할 최대 거부 행 수 (컬럼명 변경 시 전체 행이 거부되는 경우 대비)
+    catalogQuarantineMaxRowsPerRun: parseInt(process.env.BUNJANG_CATALOG_QUARANTINE_MAX_ROWS_PER_RUN, 10) || 5000,
+
+    // 내려받은 카탈로그 파일 보관(gzip) 및 보관 기간 정책. 보관된 파일은 재실행(replay)에 사용
+    catalogArchive: {
+      enabled: process.env.BUNJANG_CATALOG_ARCHIVE_ENABLED !== 'false',
+      dir: path.resolve(__dirname, process.env.BUNJANG_CATALOG_ARCHIVE_DIR || '../../catalog_archive'),
+      retentionDays: parseInt(process.env.BUNJANG_CATALOG_ARCHIVE_RETENTION_DAYS, 10) || 14,
+      maxFilesPerType: parseInt(process.env.BUNJANG_CATALOG_ARCHIVE_MAX_FILES_PER_TYPE, 10) || 60,
+    },
+
+    // 전체 카탈로그 처리 후 사라진/판매중이 아닌 상품 정합성 점검 설정
+    // 기본은 보고만 하는 dry-run. 보고서를 확인한 뒤 BUNJANG_RECONCILE_DRY_RUN=false로 설정해야 실제로 상품을 내림
+    reconciliation: {
+      enabled: process.env.BUNJANG_RECONCILE_ENABLED !== 'false',
+      action: process.env.BUNJANG_RECONCILE_ACTION || 'draft', // draft | archive | zero_inventory | delete
+      dryRun: process.env.BUNJANG_RECONCILE_DRY_RUN !== 'false',
+      maxDelistRatio: parseFloat(process.env.BUNJANG_RECONCILE_MAX_DELIST_RATIO) || 0.2, // 이 비율 초과 시 변경 중단
+    },
   },
 
   openExchangeRates: {
@@ -102,6 +129,19 @@ const config = {
     apiUrl: process.env.OPENEXCHANGERATES_API_URL || "https://openexchangerates.org/api",
   },
 
+  // 환율 공급자 체인 및 안전장치 (exchangeRateService)
+  exchangeRate: {
+    // 순서대로 시도할 공급자: openexchangerates | frankfurter | erapi
+    providers: (process.env.EXCHANGE_RATE_PROVIDERS || 'openexchangerates,frankfurter,erapi').split(',').map(p => p.trim().toLowerCase()).filter(Boolean),
+    frankfurterApiUrl: process.env.FRANKFURTER_API_URL || 'https://api.frankfurter.app',
+    erApiUrl: process.env.ER_API_URL || 'https://open.er-api.com/v6',
+    maxDeviationPercent: parseFloat(process.env.EXCHANGE_RATE_MAX_DEVIATION_PERCENT) || 5, // 마지막 저장 환율 대비 이 비율(%) 초과 변동 시 거부
+    maxAgeHours: parseFloat(process.env.EXCHANGE_RATE_MAX_AGE_HOURS) || 12, // 저장 환율이 이보다 오래되면 stale로 보고 알림
+    emergencyKrwPerUsd: parseFloat(process.env.EXCHANGE_RATE_EMERGENCY_KRW_PER_USD) || null, // 모든 환율 조회 실패 시 비상 환율 (미설정 시 가격 계산 실패)
+    alertCooldownMinutes: parseInt(process.env.EXCHANGE_RATE_ALERT_COOLDOWN_MINUTES, 10) || 60, // 같은 종류의 환율 알림 재발송 간격
+    refreshFailureBackoffMinutes: parseInt(process.env.EXCHANGE_RATE_REFRESH_FAILURE_BACKOFF_MINUTES, 10) || 15, // 가격 계산 중 환율 갱신 실패(거부 포함) 후 재시도까지 stale 환율 사용
+  },
+
   priceCalculation: {
     // 가격이 0원이 되지 않도록 기본값을 명확히 설정 - 기본값 10%로 변경
     markupPercentage: (() => {
@@ -134,6 +174,52 @@ const config = {
     })(),
   },
 
+  // 도착 원가(landed cost) = 상품가 + 국내 배송비 + CS Trading 포워딩 수수료 + 국제 배송비 + 목적지 관세/세금
+  landedCost: {
+    pricingEnabled: process.env.LANDED_COST_PRICING_ENABLED === 'true', // true면 판매가를 도착 원가 기준으로 계산 (기본: 상품가 기준)
+    forwardingFeeUsd: parseFloat(process.env.LANDED_COST_FORWARDING_FEE_USD) || 3, // CS Trading 창고 입고/검수/재포장 수수료 (상품당)
+    defaultDestinationCountry: (process.env.LANDED_COST_DEFAULT_DESTINATION_COUNTRY || 'US').toUpperCase(), // 리스팅 가격 계산 기준 국가
+    tablesFile: process.env.LANDED_COST_TABLES_FILE ? path.resolve(process.env.LANDED_COST_TABLES_FILE) : null, // 배송비/관세 요율표 JSON (config/landedCostTables.js 덮어쓰기)
+  },
+
+  // Shopify Markets 가격표(price list)에 통화별 고정 가격 게시 (USD 가격을 Shopify가 다시 자동 환산하지 않도록)
+  marketPricing: {
+    enabled: process.env.MARKET_PRICING_ENABLED === 'true',
+    currencies: (process.env.MARKET_PRICING_CURRENCIES || 'EUR,JPY,CAD').split(',').map(c => c.trim().toUpperCase()).filter(c => c && c !== 'USD'),
+    // 통화별 반올림: increment 단위로 올림(ceil) 또는 반올림(nearest) 후 charmOffset만큼 뺌 (예: EUR 23.40 → 24 - 0.01 = 23.99)
+    rounding: {
+      DEFAULT: { increment: 0.01, mode: 'nearest', charmOffset: 0 },
+      EUR: { increment: 1, mode: 'ceil', charmOffset: 0.01 },
+      CAD: { increment: 1, mode: 'ceil', charmOffset: 0.01 },
+      JPY: { increment: 100, mode: 'ceil', charmOffset: 0 },
+    },
+  },
+
+  // 일괄 재가격 작업 (환율/가격 규칙 변경 후 기존 Shopify 가격 갱신)
+  repricing: {
+    thresholdPercent: parseFloat(process.env.REPRICE_THRESHOLD_PERCENT) || 1, // 현재 Shopify 가격 대비 변동률(%)이 이 값 이상인 variant만 갱신
+    delayBetweenProductsMs: parseInt(process.env.REPRICE_DELAY_BETWEEN_PRODUCTS_MS, 10) || 500, // Shopify API 호출 제한 대응
+    autoTriggerOnRateChange: process.env.REPRICE_AUTO_TRIGGER_ON_RATE_CHANGE !== 'false', // 기본값 true
+    rateChangeTriggerPercent: parseFloat(process.env.REPRICE_RATE_CHANGE_TRIGGER_PERCENT) || 2, // 마지막 재가격 기준 환율 대비 변동률(%)
+  },
+
+  // 가격 가드: Shopify에 가격을 반영하기 전 최저가(원가 + 최소 마진)/최고가 검사, 급격한 인하는 승인 대기열로 보류
+  priceGuard: {
+    enabled: process.env.PRICE_GUARD_ENABLED !== 'false', // 기본값 true
+    minMarginUsd: parseFloat(process.env.PRICE_GUARD_MIN_MARGIN_USD) || 1, // 원가 대비 최소 마진 (USD). 이보다 낮으면 최저가로 올림
+    minMarginPercentage: parseFloat(process.env.PRICE_GUARD_MIN_MARGIN_PERCENTAGE) || 0, // 원가 대비 최소 마진율(%)
+    maxPriceUsd: parseFloat(process.env.PRICE_GUARD_MAX_PRICE_USD) || 10000, // 이보다 비싼 가격은 승인 필요
+    maxDropPercent: parseFloat(process.env.PRICE_GUARD_MAX_DROP_PERCENT) || 30, // 한 번에 이 비율(%) 넘게 내려가면 승인 필요
+    compareAtMultiplier: parseFloat(process.env.PRICE_GUARD_COMPARE_AT_MULTIPLIER) || null, // 설정 시 compareAtPrice = 가격 × 배수 ("정가" 표시용, 1보다 커야 함)
+  },
+
+  // 주문 처리 중복 방지: Shopify 주문별 분산 락, 생성 여부가 불명한 번개장터 주문 대사
+  orderProcessing: {
+    lockTtlMs: parseInt(process.env.ORDER_LOCK_TTL_MS, 10) || 5 * 60 * 1000, // 처리 중에는 자동 연장됨
+    reconcileLookbackMinutes: parseInt(process.env.ORDER_RECONCILE_LOOKBACK_MINUTES, 10) || 10, // 대사 시 시도 시작 시각보다 이만큼 앞부터 번개장터 주문 조회
+    notifyCustomerOnFulfillment: process.env.FULFILLMENT_NOTIFY_CUSTOMER !== 'false', // Shopify fulfillment 생성/송장 변경 시 고객 배송 알림 이메일
+  },
+
   database: {
     connectionString: process.env.DB_CONNECTION_STRING || `mongodb://localhost:27017/bunjangShopifyIntegrationDB_${process.env.NODE_ENV || 'development'}`,
     options: {
@@ -238,6 +324,8 @@ const config = {
       order: process.env.BULLMQ_QUEUE_ORDER || 'order-processing-queue',
       orderStatusSync: process.env.BULLMQ_QUEUE_ORDER_STATUS_SYNC || 'order-status-sync-queue', // 주문 상태 동기화 큐
       exchangeRate: process.env.BULLMQ_QUEUE_EXCHANGE_RATE || 'exchange-rate-update-queue',
+      recategorize: process.env.BULLMQ_QUEUE_RECATEGORIZE || 'product-recategorize-queue', // 분류 규칙 변경 후 재분류
+      reprice: process.env.BULLMQ_QUEUE_REPRICE || 'product-reprice-queue', // 환율/가격 규칙 변경 후 일괄 재가격
     },
     arenaAdmin: { // BullMQ Arena UI 인증
         username: process.env.ARENA_ADMIN_USERNAME || 'arena_admin_user', // 반드시 변경
@@ -251,6 +339,19 @@ const config = {
   },
 
   tempDir: path.resolve(__dirname, process.env.TEMP_DIR || '../../temp_downloads'),
+
+  // 번개장터 이미지 프록시 (/media/bunjang/:pid/:index). Shopify가 번개장터 CDN 대신 미들웨어 URL에서 이미지를 가져가도록 함
+  // 사용하려면 MIDDLEWARE_BASE_URL이 Shopify에서 접근 가능한 공개 URL이어야 함
+  imageProxy: {
+    enabled: process.env.IMAGE_PROXY_ENABLED === 'true',
+    cacheDir: path.resolve(__dirname, process.env.IMAGE_PROXY_CACHE_DIR || '../../image_cache'),
+    format: process.env.IMAGE_PROXY_FORMAT || 'webp', // webp | jpeg | original (변환 없이 원본 저장)
+    maxDimension: parseInt(process.env.IMAGE_PROXY_MAX_DIMENSION, 10) || 2048, // 긴 변 기준 최대 픽셀 (확대하지 않음)
+    quality: parseInt(process.env.IMAGE_PROXY_QUALITY, 10) || 85,
+    fetchTimeoutMs: parseInt(process.env.IMAGE_PROXY_FETCH_TIMEOUT_MS, 10) || 20000,
+    maxSourceBytes: parseInt(process.env.IMAGE_PROXY_MAX_SOURCE_BYTES, 10) || 15 * 1024 * 1024,
+    cacheControlMaxAgeSeconds: parseInt(process.env.IMAGE_PROXY_CACHE_CONTROL_MAX_AGE, 10) || 30 * 24 * 60 * 60,
+  },
   
   // 알림 설정 (이메일, Slack 등)
   notifications: {
@@ -285,6 +386,10 @@ const config = {
       pointBalanceLow: parseInt(process.env.NOTIFICATION_POINT_BALANCE_LOW, 10) || 1000000, // 100만원
       pointBalanceCritical: parseInt(process.env.NOTIFICATION_POINT_BALANCE_CRITICAL, 10) || 500000, // 50만원
       orderFailureCount: parseInt(process.env.NOTIFICATION_ORDER_FAILURE_COUNT, 10) || 5, // 연속 5회 실패
+      // 카탈로그 행 스키마 거부율 알림: 거부율이 이 값을 넘거나, 직전 실행 대비 spikeFactor배 이상이면 알림
+      catalogRejectionRate: parseFloat(process.env.NOTIFICATION_CATALOG_REJECTION_RATE) || 0.1,
+      catalogRejectionSpikeFactor: parseFloat(process.env.NOTIFICATION_CATALOG_REJECTION_SPIKE_FACTOR) || 3,
+      catalogRejectionMinRows: parseInt(process.env.NOTIFICATION_CATALOG_REJECTION_MIN_ROWS, 10) || 50, // 이보다 적은 행의 실행은 비율 알림 제외
     },
   },
   
@@ -298,7 +403,6 @@ function validateRequiredConfig(loggerInstance) {
     'MIDDLEWARE_BASE_URL',
     'SHOPIFY_API_KEY', 'SHOPIFY_API_SECRET', 'SHOPIFY_SHOP_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN', 'SHOPIFY_WEBHOOK_SECRET', 'SHOPIFY_DEFAULT_LOCATION_ID',
     'BUNJANG_API_GENERAL_URL', 'BUNJANG_CATALOG_API_URL', 'BUNJANG_API_ACCESS_KEY', 'BUNJANG_API_SECRET_KEY',
-    'OPENEXCHANGERATES_APP_ID',
     'DB_CONNECTION_STRING',
     'INTERNAL_API_KEY',
     'ARENA_ADMIN_PASSWORD',
@@ -311,6 +415,7 @@ function validateRequiredConfig(loggerInstance) {
     'CS_TRADING_BUNJANG_RECIPIENT_NAME_1',
     'CS_TRADING_BUNJANG_SHIPPING_ADDRESS',
     'ENABLE_ORDER_SYNC_SCHEDULER',
+    'OPENEXCHANGERATES_APP_ID', // 없으면 환율 공급자 체인의 다음 공급자 사용
   ];
   
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -0,0 +1,30 @@
+// src/config/landedCostTables.js
+// 도착 원가(landed cost) 계산용 기본 요율표. 실제 운영 요율은 LANDED_COST_TABLES_FILE(JSON)로 덮어씁니다.
+// (JSON 파일의 최상위 키가 이 기본값을 키 단위로 대체)
+
+module.exports = {
+  // 무게 구간 (maxWeightKg 이하). 상품 무게를 알면 무게로, 모르면 카테고리 기본 구간으로 결정
+  weightClasses: [
+    { name: 'XS', maxWeightKg: 0.5 },
+    { name: 'S', maxWeightKg: 1 },
+    { name: 'M', maxWeightKg: 2 },
+    { name: 'L', maxWeightKg: 5 },
+    { name: 'XL', maxWeightKg: 10 },
+  ],
+
+  // 번개장터 카테고리 ID 접두사 → 무게 구간 (가장 긴 접두사 우선). 예: { "600": "S", "600700": "L" }
+  categoryWeightClasses: {},
+  defaultWeightClass: 'M',
+
+  // 목적지 국가(ISO 3166-1 alpha-2)별 무게 구간 국제 배송비 (USD). 국가가 없으면 DEFAULT
+  internationalShippingUsd: {
+    DEFAULT: { XS: 18, S: 24, M: 32, L: 48, XL: 75 },
+  },
+
+  // 목적지 국가별 관세/세금.
+  // dutyRate: 관세율, taxRate: (과세가격 + 관세)에 붙는 부가세율, deMinimisUsd: 상품 원가가 이 금액 이하면 면세,
+  // includeShippingInDutiableValue: 과세가격에 국제 배송비 포함 여부 (CIF 기준 국가)
+  duties: {
+    DEFAULT: { dutyRate: 0, taxRate: 0, deMinimisUsd: 0, includeShippingInDutiableValue: false },
+  },
+};
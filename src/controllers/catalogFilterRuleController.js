@@ -0,0 +1,139 @@
+// src/controllers/catalogFilterRuleController.js
+// 카탈로그 필터 규칙 CRUD 및 미리보기 API 핸들러 (내부 관리용)
+
+const logger = require('../config/logger');
+const CatalogFilterRule = require('../models/catalogFilterRule.model');
+const catalogFilterService = require('../services/catalogFilterService');
+const { processCatalogRow, getLatestCatalogCsvPath } = require('../services/catalogService');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const EDITABLE_FIELDS = ['name', 'description', 'enabled', 'effect', 'priority', 'conditions', 'updatedBy'];
+
+function pickEditableFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+function toConflictError(error, name) {
+  if (error?.code === 11000) {
+    return new AppError(`같은 이름의 필터 규칙이 이미 있습니다: ${name}`, 409, 'FILTER_RULE_DUPLICATE');
+  }
+  return error;
+}
+
+/**
+ * GET /api/sync/filter-rules
+ */
+async function listRules(req, res, next) {
+  try {
+    const filter = {};
+    if (req.query.enabled !== undefined) filter.enabled = req.query.enabled;
+    if (req.query.effect) filter.effect = req.query.effect;
+    const rules = await CatalogFilterRule.find(filter).sort({ priority: 1, createdAt: 1 }).lean();
+    res.status(200).json({ count: rules.length, rules });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/filter-rules/:ruleId
+ */
+async function getRule(req, res, next) {
+  try {
+    const rule = await CatalogFilterRule.findById(req.params.ruleId).lean();
+    if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', req.params.ruleId);
+    res.status(200).json(rule);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/filter-rules
+ */
+async function createRule(req, res, next) {
+  try {
+    const data = pickEditableFields(req.body);
+    catalogFilterService.compileRule(data); // 정규식 등 사전 검증
+    const rule = await CatalogFilterRule.create(data);
+    logger.info(`[FilterRuleCtrlr] Created catalog filter rule "${rule.name}" (${rule._id}, effect: ${rule.effect}).`);
+    res.status(201).json(rule.toObject());
+  } catch (error) {
+    next(toConflictError(error, req.body?.name));
+  }
+}
+
+/**
+ * PUT /api/sync/filter-rules/:ruleId
+ */
+async function updateRule(req, res, next) {
+  try {
+    const rule = await CatalogFilterRule.findById(req.params.ruleId);
+    if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', req.params.ruleId);
+
+    rule.set(pickEditableFields(req.body));
+    catalogFilterService.compileRule(rule.toObject());
+    await rule.save();
+    logger.info(`[FilterRuleCtrlr] Updated catalog filter rule "${rule.name}" (${rule._id}).`);
+    res.status(200).json(rule.toObject());
+  } catch (error) {
+    next(toConflictError(error, req.body?.name));
+  }
+}
+
+/**
+ * DELETE /api/sync/filter-rules/:ruleId
+ */
+async function deleteRule(req, res, next) {
+  try {
+    const rule = await CatalogFilterRule.findByIdAndDelete(req.params.ruleId).lean();
+    if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', req.params.ruleId);
+    logger.info(`[FilterRuleCtrlr] Deleted catalog filter rule "${rule.name}" (${rule._id}).`);
+    res.status(200).json({ message: '필터 규칙이 삭제되었습니다.', ruleId: rule._id });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/filter-rules/:ruleId/preview
+ * POST /api/sync/filter-rules/preview (저장 전 규칙 정의를 body로 전달)
+ * 마지막으로 내려받은 카탈로그(catalogType, 기본 full)를 대상으로 규칙 적용 결과를 반환합니다.
+ * 저장된 규칙 미리보기 시 body에 수정할 필드를 넘기면 저장 없이 변경 결과를 확인할 수 있습니다.
+ */
+async function previewRule(req, res, next) {
+  try {
+    let ruleDefinition;
+    if (req.params.ruleId) {
+      const rule = await CatalogFilterRule.findById(req.params.ruleId).lean();
+      if (!rule) throw new NotFoundError('필터 규칙을 찾을 수 없습니다.', 'CatalogFilterRule', req.params.ruleId);
+      ruleDefinition = { ...rule, ...pickEditableFields(req.body || {}) };
+    } else {
+      ruleDefinition = { name: 'preview', ...pickEditableFields(req.body || {}) };
+    }
+
+    const catalogType = req.query.catalogType || 'full';
+    logger.info(`[FilterRuleCtrlr] Previewing filter rule "${ruleDefinition.name}" against latest ${catalogType} catalog.`);
+    const preview = await catalogFilterService.previewRule(ruleDefinition, {
+      csvPath: getLatestCatalogCsvPath(catalogType),
+      rowProcessor: processCatalogRow,
+      sampleLimit: req.query.sampleLimit || 20,
+    });
+    res.status(200).json(preview);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewRule,
+};
@@ -0,0 +1,74 @@
+// src/controllers/catalogQuarantineController.js
+// 행 스키마 검증에 실패해 격리된 카탈로그 행 조회/재처리/폐기 API 핸들러 (내부 관리용)
+
+const logger = require('../config/logger');
+const catalogQuarantineService = require('../services/catalogQuarantineService');
+const { processCatalogRow, syncBunjangProductToShopify } = require('../services/catalogService');
+
+/**
+ * GET /api/sync/catalog/quarantine
+ * Query: runId, status, reason, pid, limit (기본 50), skip
+ */
+async function listQuarantinedRows(req, res, next) {
+  try {
+    const { runId, status, reason, pid, limit = 50, skip = 0 } = req.query;
+    const result = await catalogQuarantineService.listQuarantinedRows({ runId, status, reason, pid, limit, skip });
+    res.status(200).json({ total: result.total, count: result.rows.length, rows: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/quarantine/:rowId
+ * 원본 CSV 행과 검증 오류, 마지막 재처리 결과를 반환합니다.
+ */
+async function getQuarantinedRow(req, res, next) {
+  try {
+    const row = await catalogQuarantineService.getQuarantinedRow(req.params.rowId);
+    res.status(200).json(row);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/quarantine/:rowId/reprocess
+ * Body (선택): { rowOverrides: { <CSV 컬럼명>: 값 }, resolvedBy }
+ * 행을 다시 검증하고 통과하면 Shopify로 동기화합니다. 여전히 실패하면 422와 검증 오류를 반환합니다.
+ */
+async function reprocessQuarantinedRow(req, res, next) {
+  try {
+    const { rowOverrides, resolvedBy } = req.body || {};
+    const { row, result } = await catalogQuarantineService.reprocessQuarantinedRow(req.params.rowId, {
+      rowProcessor: processCatalogRow,
+      syncProduct: syncBunjangProductToShopify,
+      rowOverrides,
+      resolvedBy,
+    });
+    logger.info(`[CatalogQuarantineCtrlr] Quarantined row ${req.params.rowId} reprocessed: ${result?.status}`);
+    res.status(200).json({ message: '격리된 행을 재처리했습니다.', row, result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/quarantine/:rowId/discard
+ * Body (선택): { resolvedBy }
+ */
+async function discardQuarantinedRow(req, res, next) {
+  try {
+    const row = await catalogQuarantineService.discardQuarantinedRow(req.params.rowId, req.body?.resolvedBy);
+    res.status(200).json({ message: '격리된 행을 폐기했습니다.', row });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listQuarantinedRows,
+  getQuarantinedRow,
+  reprocessQuarantinedRow,
+  discardQuarantinedRow,
+};
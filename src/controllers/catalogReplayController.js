@@ -0,0 +1,78 @@
+// src/controllers/catalogReplayController.js
+// 보관된 카탈로그 파일 조회 및 재실행(replay) API 핸들러 (내부 관리용)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const catalogArchiveService = require('../services/catalogArchiveService');
+const { getQueue } = require('../jobs/queues');
+const { AppError, ValidationError } = require('../utils/customErrors');
+
+/**
+ * GET /api/sync/catalog/archives
+ * Query: catalogType
+ */
+async function listArchives(req, res, next) {
+  try {
+    const archives = await catalogArchiveService.listArchives({ catalogType: req.query.catalogType });
+    res.status(200).json({
+      count: archives.length,
+      archives: archives.map(({ path: archivePath, ...rest }) => rest), // 서버 경로는 노출하지 않음
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/replay
+ * 보관 파일(archiveName) 또는 서버 로컬 파일(localPath, 임시/보관 디렉토리 하위만 허용)로 카탈로그 처리를 재실행합니다.
+ * Body: { archiveName | localPath, catalogType?, dryRun?, reconcileAction? }
+ * catalogType은 파일명(full-/segment-)으로 추정할 수 없을 때 필수입니다.
+ */
+async function replayCatalog(req, res, next) {
+  const queueName = config.bullmq.queues.catalog;
+  if (!config.redis.enabled) {
+    return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
+  }
+  const catalogQueue = getQueue(queueName);
+  if (!catalogQueue) {
+    return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+  }
+
+  try {
+    const { archiveName, localPath, dryRun = false, reconcileAction } = req.body || {};
+    const source = await catalogArchiveService.resolveReplaySource({
+      archiveName,
+      localPath,
+      allowedDirs: [config.tempDir, config.bunjang.catalogArchive.dir],
+    });
+    const catalogType = req.body.catalogType || source.catalogType;
+    if (!catalogType) {
+      throw new ValidationError('파일명으로 카탈로그 타입을 알 수 없습니다. catalogType을 지정하세요.', [{ field: 'catalogType', message: 'catalogType is required' }]);
+    }
+
+    const jobName = `ManualTrigger-ReplayBunjangCatalog-${catalogType === 'full' ? 'Full' : 'Segment'}`;
+    const job = await catalogQueue.add(jobName, {
+      catalogType,
+      triggeredBy: 'api_replay',
+      replay: { sourcePath: source.sourcePath, filename: source.filename, dryRun },
+      reconcile: reconcileAction ? { action: reconcileAction } : {},
+    });
+    logger.info(`[CatalogReplayCtrlr] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" to replay ${source.sourcePath} (DryRun: ${dryRun}).`);
+    res.status(202).json({
+      message: '카탈로그 재실행 작업이 큐에 추가되었습니다. 결과는 카탈로그 실행 이력에서 확인하세요.',
+      catalogType,
+      filename: source.filename,
+      dryRun,
+      jobId: job.id,
+      queueName,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listArchives,
+  replayCatalog,
+};
@@ -0,0 +1,76 @@
+// src/controllers/catalogRunController.js
+// 카탈로그 가져오기 실행 이력(CatalogRun) 조회 및 재개 API 핸들러 (내부 관리용)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const catalogRunService = require('../services/catalogRunService');
+const { getQueue } = require('../jobs/queues');
+const { AppError } = require('../utils/customErrors');
+
+/**
+ * GET /api/sync/catalog/runs
+ * Query: catalogType, status, limit (기본 20), skip
+ */
+async function listRuns(req, res, next) {
+  try {
+    const { catalogType, status, limit = 20, skip = 0 } = req.query;
+    const result = await catalogRunService.listRuns({ catalogType, status, limit, skip });
+    res.status(200).json({ total: result.total, count: result.runs.length, runs: result.runs });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/runs/:runId
+ * 실행 상세와 같은 카탈로그 타입의 직전 완료 실행 대비 집계 변화를 반환합니다.
+ */
+async function getRun(req, res, next) {
+  try {
+    const result = await catalogRunService.getRunWithComparison(req.params.runId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/:runId/resume
+ * 중단/실패한 실행을 마지막 체크포인트부터 이어서 처리하는 작업을 큐에 추가합니다.
+ */
+async function resumeRun(req, res, next) {
+  const queueName = config.bullmq.queues.catalog;
+  if (!config.redis.enabled) {
+    return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
+  }
+  const catalogQueue = getQueue(queueName);
+  if (!catalogQueue) {
+    return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+  }
+
+  try {
+    const run = await catalogRunService.getResumableRun(req.params.runId);
+    const jobName = `ManualTrigger-ResumeBunjangCatalog-${run.catalogType === 'full' ? 'Full' : 'Segment'}`;
+    const job = await catalogQueue.add(jobName, {
+      catalogType: run.catalogType,
+      resumeRunId: String(run._id),
+      triggeredBy: 'api_resume',
+    });
+    logger.info(`[CatalogRunCtrlr] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" to resume catalog run ${run._id} from row ${run.checkpoint.rowOffset}.`);
+    res.status(202).json({
+      message: '카탈로그 실행 재개 작업이 큐에 추가되었습니다.',
+      runId: run._id,
+      resumeFromRow: run.checkpoint.rowOffset,
+      jobId: job.id,
+      queueName,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listRuns,
+  getRun,
+  resumeRun,
+};
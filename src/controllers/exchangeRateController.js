@@ -0,0 +1,97 @@
+// src/controllers/exchangeRateController.js
+// 환율 상태/이력 조회, 수동 환율 설정/해제, 강제 갱신 API 핸들러 (내부 관리용)
+
+const logger = require('../config/logger');
+const exchangeRateService = require('../services/exchangeRateService');
+
+/**
+ * GET /api/sync/exchange-rate
+ * 저장 환율, 수동 환율, 캐시 상태와 공급자 체인을 조회합니다.
+ */
+async function getStatus(req, res, next) {
+  try {
+    res.status(200).json(await exchangeRateService.getExchangeRateStatus());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/sync/exchange-rate/override
+ * Body: { krwPerUsd: number, reason?: string, expiresAt?: ISO8601 }
+ */
+async function setOverride(req, res, next) {
+  try {
+    const { krwPerUsd, reason, expiresAt } = req.body;
+    const stored = await exchangeRateService.setManualOverride({ krwPerUsd, reason, expiresAt });
+    logger.info(`[ExchangeRateCtrlr] Manual exchange rate override set: 1 USD = ${krwPerUsd} KRW`);
+    res.status(200).json({ message: '수동 환율이 설정되었습니다. 재가격이 필요하면 POST /api/sync/reprice를 실행하세요.', manualOverride: stored.manualOverride });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/sync/exchange-rate/override
+ * Body (선택): { reason?: string }
+ */
+async function clearOverride(req, res, next) {
+  try {
+    const cleared = await exchangeRateService.clearManualOverride(req.body?.reason);
+    res.status(200).json({ message: cleared ? '수동 환율이 해제되었습니다.' : '설정된 수동 환율이 없습니다.', cleared });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/exchange-rate/refresh
+ * 공급자 체인에서 환율을 즉시 다시 가져와 저장합니다.
+ * Body (선택): { skipDeviationCheck: boolean } - 실제 환율이 허용 변동 폭 이상 움직인 경우 강제 채택
+ */
+async function refreshRates(req, res, next) {
+  try {
+    const skipDeviationCheck = req.body?.skipDeviationCheck === true;
+    const stored = await exchangeRateService.updateAndStoreExchangeRates({ skipDeviationCheck });
+    logger.info(`[ExchangeRateCtrlr] Exchange rates refreshed via API (provider: ${stored.rateProvider}, skipDeviationCheck: ${skipDeviationCheck}).`);
+    res.status(200).json({
+      message: '환율이 갱신되었습니다.',
+      krwToUsdRate: stored.krwToUsdRate,
+      provider: stored.rateProvider,
+      sourceApiTimestamp: stored.sourceApiTimestamp,
+      lastUpdatedByApp: stored.lastUpdatedByApp,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/rates?from=&to=[&status=ACCEPTED,REJECTED][&provider=][&includeRates=true][&limit=]
+ * 환율 이력(시계열)을 조회합니다. from/to가 없으면 최근 30일.
+ */
+async function getRateHistory(req, res, next) {
+  try {
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const history = await exchangeRateService.getRateHistory({
+      from,
+      to,
+      statuses: req.query.status,
+      provider: req.query.provider,
+      includeRates: req.query.includeRates === true,
+      limit: req.query.limit || 1000,
+    });
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getStatus,
+  getRateHistory,
+  setOverride,
+  clearOverride,
+  refreshRates,
+};
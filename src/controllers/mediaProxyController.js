@@ -0,0 +1,34 @@
+// src/controllers/mediaProxyController.js
+// 번개장터 이미지 프록시 핸들러 (Shopify가 상품 미디어를 가져가는 공개 엔드포인트)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const imageProxyService = require('../services/imageProxyService');
+const { NotFoundError } = require('../utils/customErrors');
+
+/**
+ * GET /media/bunjang/:pid/:index
+ * Query (선택): h - 원본 이미지 해시 (캐시 키)
+ * 캐시된 이미지를 반환하고, 없으면 번개장터에서 가져와 검증/변환 후 캐시합니다.
+ */
+async function getBunjangImage(req, res, next) {
+  if (!config.imageProxy.enabled) {
+    return next(new NotFoundError('이미지 프록시가 비활성화되어 있습니다.'));
+  }
+  const { pid, index } = req.params;
+  try {
+    const image = await imageProxyService.getProxiedImage(pid, index, req.query.h);
+    res.set('Content-Type', image.contentType);
+    res.set('Cache-Control', `public, max-age=${config.imageProxy.cacheControlMaxAgeSeconds}, immutable`);
+    res.sendFile(image.filePath, (error) => {
+      if (error && !res.headersSent) next(error);
+    });
+  } catch (error) {
+    logger.warn(`[MediaProxyCtrlr] Failed to serve Bunjang image ${pid}/${index}: ${error.message}`);
+    next(error);
+  }
+}
+
+module.exports = {
+  getBunjangImage,
+};
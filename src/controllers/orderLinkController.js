@@ -0,0 +1,40 @@
+// src/controllers/orderLinkController.js
+// 주문 원장(OrderLink) 조회 API 핸들러 (내부 관리용)
+
+const orderLinkService = require('../services/orderLinkService');
+const orderStateService = require('../services/orderStateService');
+
+/**
+ * GET /api/orders/:shopifyOrderId
+ * Shopify 주문에 연결된 번개장터 주문(line item별), 원화 금액, 포인트 잔액, 상태/오류 이력을 조회합니다. (Shopify 호출 없음)
+ */
+async function getOrderLink(req, res, next) {
+  try {
+    res.status(200).json(await orderLinkService.getOrderLink(req.params.shopifyOrderId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/orders/:shopifyOrderId/line-items/:lineItemId/state
+ * line item의 주문 상태를 수동으로 전이합니다. 허용되지 않는 전이는 409로 거부되고, 전이는 출처 manual로 기록됩니다.
+ */
+async function transitionLineItemState(req, res, next) {
+  try {
+    const { shopifyOrderId, lineItemId } = req.params;
+    const result = await orderStateService.transitionLineItem(shopifyOrderId, lineItemId, req.body.state, {
+      source: 'manual',
+      note: req.body.note,
+      jobId: 'MANUAL-API',
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getOrderLink,
+  transitionLineItemState,
+};
@@ -0,0 +1,57 @@
+// src/controllers/priceApprovalController.js
+// 가격 가드가 보류한 가격 변경 승인 대기열 조회/승인/거부 API 핸들러 (내부 관리용)
+
+const logger = require('../config/logger');
+const priceGuardService = require('../services/priceGuardService');
+
+/**
+ * GET /api/sync/price-approvals?status=PENDING[&bunjangPid=][&limit=]
+ */
+async function listApprovals(req, res, next) {
+  try {
+    const { status = 'PENDING', bunjangPid, limit = 100 } = req.query;
+    const approvals = await priceGuardService.listPriceApprovals({ status, bunjangPid, limit });
+    res.status(200).json({ count: approvals.length, approvals });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/price-approvals/:approvalId/approve
+ * Body (선택): { decidedBy: string, note: string }
+ * 리스팅된 상품이면 승인 즉시 Shopify 가격에 반영하고, 신규 상품이면 다음 동기화 때 승인된 가격으로 리스팅합니다.
+ */
+async function approve(req, res, next) {
+  try {
+    const { decidedBy, note } = req.body || {};
+    const approval = await priceGuardService.approvePriceChange(req.params.approvalId, { decidedBy, note });
+    logger.info(`[PriceApprovalCtrlr] Price approval ${req.params.approvalId} approved via API.`);
+    res.status(200).json({
+      message: approval.appliedAt ? '가격 변경이 승인되어 Shopify에 반영되었습니다.' : '가격 변경이 승인되었습니다. 다음 동기화 때 반영됩니다.',
+      approval,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/price-approvals/:approvalId/reject
+ * Body (선택): { decidedBy: string, note: string }
+ */
+async function reject(req, res, next) {
+  try {
+    const { decidedBy, note } = req.body || {};
+    const approval = await priceGuardService.rejectPriceChange(req.params.approvalId, { decidedBy, note });
+    res.status(200).json({ message: '가격 변경이 거부되었습니다. Shopify 가격은 그대로 유지됩니다.', approval });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listApprovals,
+  approve,
+  reject,
+};
@@ -2,13 +2,17 @@
 // 가격 계산 로직 테스트용 API 엔드포인트 핸들러. (내부 관리용 또는 개발용)
 
 const logger = require('../config/logger');
-const { calculateShopifyPriceUsd, calculateInternalTotalCostUsd } = require('../services/priceCalculationService');
+const { calculateShopifyPrice, calculateInternalTotalCostUsd } = require('../services/priceCalculationService');
+const priceHistoryService = require('../services/priceHistoryService');
 const { validationResult } = require('express-validator'); // express-validator 결과 처리
 const { ValidationError, AppError } = require('../utils/customErrors'); // 커스텀 에러
 
 /**
- * GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000]
- * 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD) 및 내부 비용을 계산하여 반환합니다.
+ * GET /api/price/calculate-shopify?krwPrice=10000[&krwShippingFee=3000][&categoryId=..&brandId=..&sellerUid=..]
+ *   [&destinationCountry=US&weightKg=1.2&costBasis=item|landed]
+ * 주어진 KRW 가격에 대해 Shopify 리스팅 가격(USD) 및 내부 비용(도착 원가)을 계산하여 반환합니다.
+ * categoryId/brandId/sellerUid를 넘기면 해당 상품에 적용될 가격 규칙(PricingRule)으로 계산하고,
+ * 응답의 pricingRule/priceBreakdown에 매칭된 규칙과 계산 단계를, landedCost에 배송비/포워딩/관세 항목별 원가를 설명합니다.
  */
 async function getCalculatedShopifyPrice(req, res, next) {
   // express-validator를 사용한 경우, 에러는 handleValidationErrors 미들웨어에서 처리됨.
@@ -21,20 +25,31 @@ async function getCalculatedShopifyPrice(req, res, next) {
 
   const krwPrice = parseFloat(req.query.krwPrice); // express-validator toFloat() 사용 시 이미 숫자
   const krwShippingFee = req.query.krwShippingFee ? parseFloat(req.query.krwShippingFee) : 0;
+  const { categoryId, brandId, sellerUid, destinationCountry, weightKg, costBasis } = req.query;
 
 
   logger.info(`[PriceCtrlr] API call to calculate Shopify price for KRW: ${krwPrice}, ShippingKRW: ${krwShippingFee}`);
   try {
-    const shopifyPriceUsd = await calculateShopifyPriceUsd(krwPrice);
-    const internalCostDetails = await calculateInternalTotalCostUsd(krwPrice, krwShippingFee);
+    const pricing = await calculateShopifyPrice(krwPrice, {
+      categoryId, brandId, uid: sellerUid, shippingFee: krwShippingFee, weightKg, destinationCountry, costBasis,
+    });
+    const landedCost = await calculateInternalTotalCostUsd(krwPrice, krwShippingFee, { categoryId, weightKg, destinationCountry });
 
     res.status(200).json({
       inputs: {
         bunjangPriceKrw: krwPrice,
         bunjangShippingFeeKrw: krwShippingFee,
+        ...(categoryId && { categoryId }),
+        ...(brandId && { brandId }),
+        ...(sellerUid && { sellerUid }),
+        ...(destinationCountry && { destinationCountry }),
+        ...(weightKg && { weightKg }),
+        ...(costBasis && { costBasis }),
       },
-      calculatedShopifyListingPriceUsd: shopifyPriceUsd,
-      estimatedInternalCostsUsd: internalCostDetails,
+      calculatedShopifyListingPriceUsd: pricing.priceUsd,
+      pricingRule: pricing.rule,
+      priceBreakdown: pricing.breakdown,
+      landedCost,
     });
   } catch (error) {
     // priceCalculationService에서 AppError, ValidationError, ExternalServiceError 등을 throw 할 수 있음
@@ -46,6 +61,36 @@ async function getCalculatedShopifyPrice(req, res, next) {
   }
 }
 
+/**
+ * GET /api/price-utils/history/:bunjangPid[?limit=100&eventType=KRW_PRICE_CHANGE|USD_PRICE_PUSH]
+ * 상품의 가격 이력(원화 가격 변동, Shopify 반영 USD 가격)을 환율/적용 가격 규칙과 함께 최신순으로 반환합니다.
+ */
+async function getPriceHistory(req, res, next) {
+  try {
+    const { limit = 100, eventType } = req.query;
+    const result = await priceHistoryService.getPriceHistory(req.params.bunjangPid, { limit, eventType });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/price-utils/margin-stats[?since=ISO&until=ISO&categoryDepth=1&categoryPrefix=600]
+ * 카테고리별 마진 통계(상품별 마지막 Shopify 반영 가격 기준)를 반환합니다.
+ */
+async function getMarginStats(req, res, next) {
+  try {
+    const { since, until, categoryDepth = 1, categoryPrefix } = req.query;
+    const result = await priceHistoryService.getMarginStatsByCategory({ since, until, categoryDepth, categoryPrefix });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   getCalculatedShopifyPrice,
+  getPriceHistory,
+  getMarginStats,
 };
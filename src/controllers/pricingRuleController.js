@@ -0,0 +1,109 @@
+// src/controllers/pricingRuleController.js
+// 가격 규칙(PricingRule) CRUD API 핸들러 (내부 관리용)
+
+const logger = require('../config/logger');
+const PricingRule = require('../models/pricingRule.model');
+const pricingRuleService = require('../services/pricingRuleService');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'enabled', 'priority', 'conditions', 'markupTiers', 'markupPercentage',
+  'handlingFeeUsd', 'minMarginUsd', 'minMarginPercentage', 'rounding', 'updatedBy',
+];
+
+function pickEditableFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+function toConflictError(error, name) {
+  if (error?.code === 11000) {
+    return new AppError(`같은 이름의 가격 규칙이 이미 있습니다: ${name}`, 409, 'PRICING_RULE_DUPLICATE');
+  }
+  return error;
+}
+
+/**
+ * GET /api/sync/pricing-rules
+ */
+async function listRules(req, res, next) {
+  try {
+    const filter = {};
+    if (req.query.enabled !== undefined) filter.enabled = req.query.enabled;
+    const rules = await PricingRule.find(filter).sort({ priority: 1, createdAt: 1 }).lean();
+    res.status(200).json({ count: rules.length, rules });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/pricing-rules/:ruleId
+ */
+async function getRule(req, res, next) {
+  try {
+    const rule = await PricingRule.findById(req.params.ruleId).lean();
+    if (!rule) throw new NotFoundError('가격 규칙을 찾을 수 없습니다.', 'PricingRule', req.params.ruleId);
+    res.status(200).json(rule);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/pricing-rules
+ */
+async function createRule(req, res, next) {
+  try {
+    const rule = await PricingRule.create(pickEditableFields(req.body));
+    pricingRuleService.invalidatePricingRuleCache();
+    logger.info(`[PricingRuleCtrlr] Created pricing rule "${rule.name}" (${rule._id}, priority: ${rule.priority}).`);
+    res.status(201).json(rule.toObject());
+  } catch (error) {
+    next(toConflictError(error, req.body?.name));
+  }
+}
+
+/**
+ * PUT /api/sync/pricing-rules/:ruleId
+ */
+async function updateRule(req, res, next) {
+  try {
+    const rule = await PricingRule.findById(req.params.ruleId);
+    if (!rule) throw new NotFoundError('가격 규칙을 찾을 수 없습니다.', 'PricingRule', req.params.ruleId);
+
+    rule.set(pickEditableFields(req.body));
+    await rule.save();
+    pricingRuleService.invalidatePricingRuleCache();
+    logger.info(`[PricingRuleCtrlr] Updated pricing rule "${rule.name}" (${rule._id}).`);
+    res.status(200).json(rule.toObject());
+  } catch (error) {
+    next(toConflictError(error, req.body?.name));
+  }
+}
+
+/**
+ * DELETE /api/sync/pricing-rules/:ruleId
+ */
+async function deleteRule(req, res, next) {
+  try {
+    const rule = await PricingRule.findByIdAndDelete(req.params.ruleId).lean();
+    if (!rule) throw new NotFoundError('가격 규칙을 찾을 수 없습니다.', 'PricingRule', req.params.ruleId);
+    pricingRuleService.invalidatePricingRuleCache();
+    logger.info(`[PricingRuleCtrlr] Deleted pricing rule "${rule.name}" (${rule._id}).`);
+    res.status(200).json({ message: '가격 규칙이 삭제되었습니다.', ruleId: rule._id });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+};
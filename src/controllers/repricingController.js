@@ -0,0 +1,82 @@
+// src/controllers/repricingController.js
+// 동기화된 상품 일괄 재가격 작업 트리거 및 결과(변경 목록) 조회 API 핸들러 (내부 관리용)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const { getQueue } = require('../jobs/queues');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+/**
+ * 재가격 큐를 가져옵니다. Redis가 비활성화되었거나 큐가 없으면 AppError를 반환합니다.
+ * @returns {{queue: object|null, error: AppError|null}}
+ */
+function getRepriceQueue() {
+  const queueName = config.bullmq.queues.reprice;
+  if (!config.redis.enabled) {
+    return { queue: null, error: new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED') };
+  }
+  const queue = getQueue(queueName);
+  if (!queue) {
+    return { queue: null, error: new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE') };
+  }
+  return { queue, error: null };
+}
+
+/**
+ * POST /api/sync/reprice
+ * 동기화된 상품 전체의 Shopify 가격을 현재 환율/가격 규칙으로 다시 계산하는 작업을 큐에 추가합니다.
+ * Body (선택): { dryRun: boolean, limit: number, thresholdPercent: number }
+ */
+async function triggerReprice(req, res, next) {
+  const jobName = 'ManualTrigger-RepriceProducts';
+  const { queue: repriceQueue, error: queueError } = getRepriceQueue();
+  if (queueError) return next(queueError);
+
+  try {
+    const { dryRun = false, limit = 0, thresholdPercent } = req.body || {};
+    const job = await repriceQueue.add(jobName, { dryRun, limit, thresholdPercent, triggeredBy: 'api_manual' });
+    logger.info(`[RepricingCtrlr] Job "${jobName}" (ID: ${job.id}) added to queue "${repriceQueue.name}" (DryRun: ${dryRun}).`);
+    res.status(202).json({
+      message: '상품 재가격 작업이 큐에 추가되었습니다. 결과(변경 목록)는 GET /api/sync/reprice/:jobId로 확인하세요.',
+      jobId: job.id,
+      queueName: repriceQueue.name,
+    });
+  } catch (error) {
+    logger.error(`[RepricingCtrlr] Error adding reprice job to queue "${repriceQueue.name}":`, error);
+    next(new AppError('재가격 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+  }
+}
+
+/**
+ * GET /api/sync/reprice/:jobId
+ * 재가격 작업의 상태와 결과(요약 및 variant별 변경 목록)를 조회합니다. dryRun 작업의 diff 보고서 확인용.
+ */
+async function getRepriceJob(req, res, next) {
+  const { queue: repriceQueue, error: queueError } = getRepriceQueue();
+  if (queueError) return next(queueError);
+
+  try {
+    const job = await repriceQueue.getJob(req.params.jobId);
+    if (!job) {
+      throw new NotFoundError('재가격 작업을 찾을 수 없습니다.', 'RepriceJob', req.params.jobId);
+    }
+    res.status(200).json({
+      jobId: job.id,
+      name: job.name,
+      state: await job.getState(),
+      data: job.data,
+      progress: job.progress,
+      result: job.returnvalue || null,
+      failedReason: job.failedReason || null,
+      createdAt: job.timestamp ? new Date(job.timestamp) : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  triggerReprice,
+  getRepriceJob,
+};
@@ -0,0 +1,52 @@
+// src/controllers/shipmentController.js
+// 배송 2구간(국내/국제) 조회 및 국제 구간 송장 등록 API 핸들러 (내부 관리용)
+
+const shipmentService = require('../services/shipmentService');
+
+/**
+ * GET /api/shipments/:shopifyOrderId
+ * 주문의 line item별 국내/국제 구간과 주문 단위 고객용 배송 상태를 조회합니다.
+ */
+async function getOrderShipments(req, res, next) {
+  try {
+    res.status(200).json(await shipmentService.getOrderShipments(req.params.shopifyOrderId));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/shipments/:shopifyOrderId/international
+ * 창고에서 출고한 국제 구간 송장을 주문에 등록하고 Shopify fulfillment를 만듭니다.
+ */
+async function registerInternational(req, res, next) {
+  try {
+    const { carrier, trackingNumber, trackingUrl, shopifyLineItemIds, shippedAt, delivered } = req.body;
+    const result = await shipmentService.registerInternationalLeg(req.params.shopifyOrderId, {
+      carrier, trackingNumber, trackingUrl, shopifyLineItemIds, shippedAt, delivered,
+    }, { jobId: 'MANUAL-API' });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/shipments/international/batch
+ * 여러 주문의 국제 구간 송장을 한 번에 등록합니다. 주문별 성공/실패를 함께 반환합니다.
+ */
+async function registerInternationalBatch(req, res, next) {
+  try {
+    const { shipments, batchId, carrier } = req.body;
+    const result = await shipmentService.registerInternationalBatch(shipments, { batchId, carrier });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getOrderShipments,
+  registerInternational,
+  registerInternationalBatch,
+};
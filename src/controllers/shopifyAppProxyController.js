@@ -31,7 +31,7 @@ async function getBunjangLinkedProducts(req, res, next) {
   logger.info('[AppProxyCtrlr /products] Request received:', { categories, search, page, limit, sort });
 
   try {
-    const queryConditions = { syncStatus: 'SYNCED' }; // 성공적으로 Shopify에 동기화된 상품만 대상
+    const queryConditions = { syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] } }; // 성공적으로 Shopify에 동기화된 상품만 대상
 
     // 1. 카테고리 필터링
     // productMapper에서 BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_XXX를 사용해 Shopify Product Type을 만들고,
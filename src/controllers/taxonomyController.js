@@ -0,0 +1,159 @@
+// src/controllers/taxonomyController.js
+// 상품 분류 규칙(TaxonomyRule) CRUD, 분류 테스트, 재분류 작업 트리거 API 핸들러 (내부 관리용)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const TaxonomyRule = require('../models/taxonomyRule.model');
+const categorizationService = require('../services/categorizationService');
+const { getQueue } = require('../jobs/queues');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'enabled', 'priority', 'bunjangCategoryIds', 'categoryWeight',
+  'keywords', 'minScore', 'productType', 'collectionGids', 'tags', 'updatedBy',
+];
+
+function pickEditableFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+function toConflictError(error, name) {
+  if (error?.code === 11000) {
+    return new AppError(`같은 이름의 분류 규칙이 이미 있습니다: ${name}`, 409, 'TAXONOMY_RULE_DUPLICATE');
+  }
+  return error;
+}
+
+/**
+ * GET /api/sync/taxonomy
+ */
+async function listRules(req, res, next) {
+  try {
+    const filter = {};
+    if (req.query.enabled !== undefined) filter.enabled = req.query.enabled;
+    const rules = await TaxonomyRule.find(filter).sort({ priority: 1, createdAt: 1 }).lean();
+    res.status(200).json({ count: rules.length, rules });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/taxonomy/:ruleId
+ */
+async function getRule(req, res, next) {
+  try {
+    const rule = await TaxonomyRule.findById(req.params.ruleId).lean();
+    if (!rule) throw new NotFoundError('분류 규칙을 찾을 수 없습니다.', 'TaxonomyRule', req.params.ruleId);
+    res.status(200).json(rule);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/taxonomy
+ */
+async function createRule(req, res, next) {
+  try {
+    const rule = await TaxonomyRule.create(pickEditableFields(req.body));
+    categorizationService.invalidateTaxonomyCache();
+    logger.info(`[TaxonomyCtrlr] Created taxonomy rule "${rule.name}" (${rule._id}, productType: ${rule.productType || 'N/A'}).`);
+    res.status(201).json(rule.toObject());
+  } catch (error) {
+    next(toConflictError(error, req.body?.name));
+  }
+}
+
+/**
+ * PUT /api/sync/taxonomy/:ruleId
+ */
+async function updateRule(req, res, next) {
+  try {
+    const rule = await TaxonomyRule.findById(req.params.ruleId);
+    if (!rule) throw new NotFoundError('분류 규칙을 찾을 수 없습니다.', 'TaxonomyRule', req.params.ruleId);
+
+    rule.set(pickEditableFields(req.body));
+    await rule.save();
+    categorizationService.invalidateTaxonomyCache();
+    logger.info(`[TaxonomyCtrlr] Updated taxonomy rule "${rule.name}" (${rule._id}).`);
+    res.status(200).json(rule.toObject());
+  } catch (error) {
+    next(toConflictError(error, req.body?.name));
+  }
+}
+
+/**
+ * DELETE /api/sync/taxonomy/:ruleId
+ */
+async function deleteRule(req, res, next) {
+  try {
+    const rule = await TaxonomyRule.findByIdAndDelete(req.params.ruleId).lean();
+    if (!rule) throw new NotFoundError('분류 규칙을 찾을 수 없습니다.', 'TaxonomyRule', req.params.ruleId);
+    categorizationService.invalidateTaxonomyCache();
+    logger.info(`[TaxonomyCtrlr] Deleted taxonomy rule "${rule.name}" (${rule._id}).`);
+    res.status(200).json({ message: '분류 규칙이 삭제되었습니다.', ruleId: rule._id });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/taxonomy/categorize
+ * 상품 정보({ name, description, categoryId, categoryName, keywords })를 현재 규칙으로 분류한 결과를 반환합니다.
+ */
+async function categorizeSample(req, res, next) {
+  try {
+    const taxonomy = await categorizationService.getActiveTaxonomy({ forceReload: true });
+    const result = categorizationService.categorizeProduct(req.body, taxonomy);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/taxonomy/recategorize
+ * 이미 동기화된 상품 전체를 현재 규칙으로 재분류하는 작업을 큐에 추가합니다.
+ * Body (선택): { dryRun: boolean, limit: number }
+ */
+async function triggerRecategorize(req, res, next) {
+  const jobName = 'ManualTrigger-RecategorizeProducts';
+  const queueName = config.bullmq.queues.recategorize;
+
+  if (!config.redis.enabled) {
+    return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
+  }
+  const recategorizeQueue = getQueue(queueName);
+  if (!recategorizeQueue) {
+    return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+  }
+
+  try {
+    const { dryRun = false, limit = 0 } = req.body || {};
+    const job = await recategorizeQueue.add(jobName, { dryRun, limit, triggeredBy: 'api_manual' });
+    logger.info(`[TaxonomyCtrlr] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" (DryRun: ${dryRun}).`);
+    res.status(202).json({
+      message: '상품 재분류 작업이 큐에 추가되었습니다. 결과는 작업 대시보드의 returnvalue를 확인하세요.',
+      jobId: job.id,
+      queueName,
+    });
+  } catch (error) {
+    logger.error(`[TaxonomyCtrlr] Error adding recategorize job to queue "${queueName}":`, error);
+    next(new AppError('재분류 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+  }
+}
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  categorizeSample,
+  triggerRecategorize,
+};
@@ -28,7 +28,7 @@ async function processCatalogJob(job) {
   // Use a distinct variable name for the job identifier string within this function
   // to ensure clarity and avoid potential scope confusion if 'jobIdForLog' was used elsewhere.
   const currentJobIdentifier = `Job ${job.id} (Name: ${job.name}, Trigger: ${job.data.triggeredBy || 'unknown'})`;
-  const { catalogType } = job.data;
+  const { catalogType, reconcile, triggeredBy, resumeRunId, replay } = job.data;
 
   logger.info(`[Worker: ${job.queueName}] Starting ${currentJobIdentifier}. Type: ${catalogType}`);
 
@@ -40,7 +40,14 @@ async function processCatalogJob(job) {
 
   try {
     // Pass the well-defined 'currentJobIdentifier' to the service layer for consistent logging
-    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier);
+    // 실행 ID를 Job 데이터에 저장해 두면, 실패/중단 후 재시도될 때 체크포인트에서 이어서 처리함
+    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier, {
+      reconcile,
+      triggeredBy,
+      resumeRunId,
+      replay,
+      onRunStarted: (runId) => (runId !== resumeRunId ? job.updateData({ ...job.data, resumeRunId: runId }) : undefined),
+    });
     logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}) completed successfully. Summary:`, resultSummary);
     return { success: true, catalogType, summary: resultSummary };
   } catch (error) { // This 'error' is whatever was thrown from fetchAndProcessBunjangCatalog
@@ -5,10 +5,48 @@ const { Worker } = require('bullmq');
 const config = require('../../config'); // 경로 수정
 const logger = require('../../config/logger'); // 경로 수정
 const { updateAndStoreExchangeRates } = require('../../services/exchangeRateService'); // 경로 수정
+const { checkRateMoveSinceLastReprice } = require('../../services/repricingService');
+const { getQueue } = require('../queues');
 const { JobQueueError } = require('../../utils/customErrors'); // 경로 수정
 
 const CONCURRENCY = parseInt(process.env.EXCHANGE_RATE_WORKER_CONCURRENCY, 10) || 1; // 동시 처리 작업 수
 
+/**
+ * 환율이 마지막 재가격 기준에서 config.repricing.rateChangeTriggerPercent 이상 움직였으면 일괄 재가격 작업을 큐에 추가합니다.
+ * 이미 대기/실행 중인 재가격 작업이 있으면 추가하지 않습니다. 실패해도 환율 업데이트 작업은 성공으로 처리합니다.
+ * @param {object} rateDoc - updateAndStoreExchangeRates 결과
+ * @param {import('bullmq').Job} job
+ * @returns {Promise<string|null>} 추가된 재가격 작업 ID
+ */
+async function triggerRepriceIfRateMoved(rateDoc, job) {
+  if (!config.repricing.autoTriggerOnRateChange) return null;
+  try {
+    const { shouldReprice, baselineRate, changePercent } = await checkRateMoveSinceLastReprice(rateDoc);
+    if (!shouldReprice) return null;
+
+    const repriceQueue = getQueue(config.bullmq.queues.reprice);
+    if (!repriceQueue) return null;
+    const pending = await repriceQueue.getJobCounts('active', 'waiting', 'delayed');
+    if ((pending.active || 0) + (pending.waiting || 0) + (pending.delayed || 0) > 0) {
+      logger.info(`[Worker: ${job.queueName}] Exchange rate moved ${changePercent}% but a reprice job is already pending. Skipping auto-trigger.`);
+      return null;
+    }
+
+    const repriceJob = await repriceQueue.add('AutoTrigger-RepriceOnRateChange', {
+      dryRun: false,
+      triggeredBy: 'exchange_rate_change',
+      baselineRate,
+      newRate: rateDoc.krwToUsdRate,
+      changePercent,
+    });
+    logger.info(`[Worker: ${job.queueName}] Exchange rate moved ${changePercent}% (${baselineRate} -> ${rateDoc.krwToUsdRate}). Reprice job ${repriceJob.id} queued.`);
+    return repriceJob.id;
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] Failed to auto-trigger reprice after exchange rate update: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * 환율 업데이트 작업을 처리하는 워커 로직입니다.
  * @param {import('bullmq').Job} job - BullMQ 작업 객체.
@@ -20,7 +58,8 @@ async function processExchangeRateUpdate(job) {
     const result = await updateAndStoreExchangeRates(); // 서비스 함수 호출
     if (result) {
       logger.info(`[Worker: ${job.queueName}] Job ${job.id} completed successfully. Exchange rates updated.`);
-      return { success: true, rates: { krwToUsd: result.krwToUsdRate, lastUpdated: result.lastUpdatedByApp } };
+      const repriceJobId = await triggerRepriceIfRateMoved(result, job);
+      return { success: true, rates: { krwToUsd: result.krwToUsdRate, lastUpdated: result.lastUpdatedByApp }, repriceJobId };
     } else {
       logger.warn(`[Worker: ${job.queueName}] Job ${job.id} completed, but exchange rates might not have been updated (check service logs).`);
       // 실패로 간주하지 않고, 서비스 로직에서 이미 로깅했다고 가정
@@ -9,6 +9,8 @@ const { getBullMQRedisConnection } = require('../../config/redisClient'); // 경
 const createExchangeRateWorker = require('./exchangeRateWorker');
 const createCatalogWorker = require('./catalogWorker');
 const createOrderWorker = require('./orderWorker');
+const createRecategorizeWorker = require('./recategorizeWorker');
+const createRepriceWorker = require('./repriceWorker');
 // const createProductSyncWorker = require('./productSyncWorker'); // 필요시
 
 const workers = []; // 활성 워커 인스턴스 저장 배열
@@ -43,7 +45,19 @@ function initializeAllWorkers() {
   workers.push(orderWorker);
   logger.info(`[Workers] Order Processing Worker for queue "${orderQueueName}" initialized.`);
 
-  // 4. (선택) 개별 상품 동기화 워커
+  // 4. 상품 재분류 워커
+  const recategorizeQueueName = config.bullmq.queues.recategorize;
+  const recategorizeWorker = createRecategorizeWorker(recategorizeQueueName, getBullMQRedisConnection());
+  workers.push(recategorizeWorker);
+  logger.info(`[Workers] Recategorize Worker for queue "${recategorizeQueueName}" initialized.`);
+
+  // 5. 일괄 재가격 워커
+  const repriceQueueName = config.bullmq.queues.reprice;
+  const repriceWorker = createRepriceWorker(repriceQueueName, getBullMQRedisConnection());
+  workers.push(repriceWorker);
+  logger.info(`[Workers] Reprice Worker for queue "${repriceQueueName}" initialized.`);
+
+  // 6. (선택) 개별 상품 동기화 워커
   // const productSyncQueueName = config.bullmq.queues.productSync;
   // const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
   // workers.push(productSyncWorker);
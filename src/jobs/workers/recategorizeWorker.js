@@ -0,0 +1,65 @@
+// src/jobs/workers/recategorizeWorker.js
+// 분류 규칙(TaxonomyRule) 변경 후 이미 동기화된 상품을 재분류하는 BullMQ 워커
+
+const { Worker } = require('bullmq');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { recategorizeSyncedProducts } = require('../../services/categorizationService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+/**
+ * 재분류 작업을 처리합니다.
+ * job.data: { dryRun?: boolean, limit?: number, triggeredBy?: string }
+ * @param {import('bullmq').Job} job
+ * @returns {Promise<object>} 재분류 요약
+ */
+async function processRecategorizeJob(job) {
+  const { dryRun = false, limit = 0 } = job.data || {};
+  logger.info(`[Worker: ${job.queueName}] Starting recategorize job ${job.id} (DryRun: ${dryRun}, Limit: ${limit || 'all'}, Trigger: ${job.data?.triggeredBy || 'unknown'})`);
+
+  try {
+    return await recategorizeSyncedProducts({
+      dryRun,
+      limit,
+      jobId: job.id,
+      onProgress: (checked) => job.updateProgress({ checked }),
+    });
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] Recategorize job ${job.id} failed: ${error.message}`, { stack: error.stack });
+    throw new JobQueueError(job.queueName, job, error, `상품 재분류 작업 실패 (Job ID: ${job.id})`);
+  }
+}
+
+/**
+ * 지정된 큐 이름과 Redis 연결을 사용하여 재분류 워커를 생성하고 시작합니다.
+ * @param {string} queueName - 작업을 가져올 큐의 이름.
+ * @param {object} connection - BullMQ용 Redis 연결 객체 (ioredis 인스턴스).
+ * @returns {Worker} 생성된 BullMQ 워커 인스턴스.
+ */
+function createRecategorizeWorker(queueName, connection) {
+  const worker = new Worker(queueName, processRecategorizeJob, {
+    connection,
+    concurrency: 1, // 전체 상품을 순회하므로 한 번에 하나만 실행
+    lockDuration: config.worker?.catalogLockDurationMs || 30 * 60 * 1000,
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} completed. Checked: ${returnValue?.checked}, Changed: ${returnValue?.changed}, Updated: ${returnValue?.updated}, Errors: ${returnValue?.errors}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} failed ultimately: ${error.message}`, {
+      jobData: job?.data,
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error(`[Worker: ${worker.name}] General error in recategorize worker:`, err);
+  });
+
+  logger.info(`[Worker] Recategorize Worker listening on queue "${queueName}".`);
+  return worker;
+}
+
+module.exports = createRecategorizeWorker;
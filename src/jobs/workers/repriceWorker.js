@@ -0,0 +1,66 @@
+// src/jobs/workers/repriceWorker.js
+// 환율/가격 규칙 변경 후 이미 동기화된 상품의 Shopify 가격을 일괄 갱신하는 BullMQ 워커
+
+const { Worker } = require('bullmq');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { repriceSyncedProducts } = require('../../services/repricingService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+/**
+ * 재가격 작업을 처리합니다.
+ * job.data: { dryRun?: boolean, limit?: number, thresholdPercent?: number, triggeredBy?: string }
+ * @param {import('bullmq').Job} job
+ * @returns {Promise<object>} 재가격 요약 및 변경 목록
+ */
+async function processRepriceJob(job) {
+  const { dryRun = false, limit = 0, thresholdPercent } = job.data || {};
+  logger.info(`[Worker: ${job.queueName}] Starting reprice job ${job.id} (DryRun: ${dryRun}, Limit: ${limit || 'all'}, Threshold: ${thresholdPercent ?? config.repricing.thresholdPercent}%, Trigger: ${job.data?.triggeredBy || 'unknown'})`);
+
+  try {
+    return await repriceSyncedProducts({
+      dryRun,
+      limit,
+      thresholdPercent,
+      jobId: job.id,
+      onProgress: (checked) => job.updateProgress({ checked }),
+    });
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] Reprice job ${job.id} failed: ${error.message}`, { stack: error.stack });
+    throw new JobQueueError(job.queueName, job, error, `상품 재가격 작업 실패 (Job ID: ${job.id})`);
+  }
+}
+
+/**
+ * 지정된 큐 이름과 Redis 연결을 사용하여 재가격 워커를 생성하고 시작합니다.
+ * @param {string} queueName - 작업을 가져올 큐의 이름.
+ * @param {object} connection - BullMQ용 Redis 연결 객체 (ioredis 인스턴스).
+ * @returns {Worker} 생성된 BullMQ 워커 인스턴스.
+ */
+function createRepriceWorker(queueName, connection) {
+  const worker = new Worker(queueName, processRepriceJob, {
+    connection,
+    concurrency: 1, // 전체 상품을 순회하며 Shopify 호출 제한을 지켜야 하므로 한 번에 하나만 실행
+    lockDuration: config.worker?.catalogLockDurationMs || 30 * 60 * 1000,
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} completed. DryRun: ${returnValue?.dryRun}, Checked: ${returnValue?.checked}, Changed: ${returnValue?.changed}, Updated: ${returnValue?.updated}, Errors: ${returnValue?.errors}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} failed ultimately: ${error.message}`, {
+      jobData: job?.data,
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error(`[Worker: ${worker.name}] General error in reprice worker:`, err);
+  });
+
+  logger.info(`[Worker] Reprice Worker listening on queue "${queueName}".`);
+  return worker;
+}
+
+module.exports = createRepriceWorker;
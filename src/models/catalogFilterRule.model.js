@@ -0,0 +1,38 @@
+// src/models/catalogFilterRule.model.js
+// 번개장터 카탈로그 가져오기 필터 규칙 (include/exclude)
+const mongoose = require('mongoose');
+
+const catalogFilterRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+  // exclude: 조건에 맞으면 가져오지 않음 / include: include 규칙이 하나라도 있으면, 그 중 하나에 맞아야 가져옴
+  effect: { type: String, enum: ['include', 'exclude'], required: true, index: true },
+  priority: { type: Number, default: 100 }, // 낮을수록 먼저 평가 (보고/미리보기에서 매칭 규칙 결정용)
+
+  // 모든 지정된 조건을 만족해야(AND) 규칙이 매칭됨. 지정하지 않은 조건은 무시.
+  conditions: {
+    categoryIds: { type: [String], default: undefined }, // 접두사 매칭 (예: '600' → '600100200')
+    brandIds: { type: [String], default: undefined },
+    sellerUids: { type: [String], default: undefined },
+    minPriceKrw: { type: Number, min: 0 },
+    maxPriceKrw: { type: Number, min: 0 },
+    conditions: { type: [String], default: undefined }, // 상품 상태 (NEW, USED 등)
+    keywordRegex: { type: String }, // 상품명/설명에 대한 정규식
+    keywordRegexFlags: { type: String, default: 'i' },
+    minImageCount: { type: Number, min: 0 },
+    maxImageCount: { type: Number, min: 0 },
+  },
+
+  updatedBy: { type: String, trim: true }, // 변경 주체 (관리자 메모용)
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+catalogFilterRuleSchema.index({ enabled: 1, priority: 1 });
+
+const CatalogFilterRule = mongoose.model('CatalogFilterRule', catalogFilterRuleSchema);
+
+module.exports = CatalogFilterRule;
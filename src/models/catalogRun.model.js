@@ -0,0 +1,70 @@
+// src/models/catalogRun.model.js
+// 번개장터 카탈로그 가져오기 실행(run) 이력 및 실행별 통계
+const mongoose = require('mongoose');
+
+const catalogRunErrorSchema = new mongoose.Schema({
+  message: { type: String, required: true },
+  count: { type: Number, default: 0 },
+  samplePids: { type: [String], default: [] }, // 최대 5개
+}, { _id: false });
+
+const catalogRunSchema = new mongoose.Schema({
+  catalogType: { type: String, enum: ['full', 'segment'], required: true, index: true },
+  jobId: { type: String, index: true }, // BullMQ Job 식별자 (로그용 문자열)
+  triggeredBy: { type: String, trim: true }, // cron, api_manual 등
+  filename: { type: String, trim: true },
+  sourceType: { type: String, enum: ['download', 'replay'], default: 'download' }, // 번개장터 API 다운로드 또는 파일 재실행
+  sourcePath: { type: String }, // 다운로드 URL 또는 재실행 원본 파일 경로
+  archivePath: { type: String }, // 보관된 gzip 파일 경로 (catalogArchiveService)
+  dryRun: { type: Boolean, default: false }, // Shopify/DB에 쓰지 않은 재실행
+  status: { type: String, enum: ['RUNNING', 'COMPLETED', 'FAILED'], default: 'RUNNING', index: true },
+  startedAt: { type: Date, required: true, index: true },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+
+  // 행 결과별 집계
+  counts: {
+    totalRows: { type: Number, default: 0 }, // CSV 전체 행 수
+    validProducts: { type: Number, default: 0 }, // 행 검증을 통과한 판매중 상품 수
+    notSelling: { type: Number, default: 0 }, // saleStatus가 SELLING이 아닌 행
+    invalidPrice: { type: Number, default: 0 }, // 가격이 없거나 0 이하인 행
+    missingData: { type: Number, default: 0 }, // 가격 외 필수 필드 누락/형식 오류 행 (pid, 상품명, updatedAt 등)
+    quarantined: { type: Number, default: 0 }, // 격리 컬렉션에 저장된 거부 행
+    filtered: { type: Number, default: 0 }, // 카테고리 설정/필터 규칙으로 제외된 상품
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 }, // 전체 업데이트
+    priceUpdated: { type: Number, default: 0 }, // 가격만 업데이트
+    skippedNoChange: { type: Number, default: 0 },
+    errored: { type: Number, default: 0 },
+  },
+  topErrors: { type: [catalogRunErrorSchema], default: [] }, // 발생 횟수 순 상위 오류 메시지
+  // 행 스키마 검증 거부율 = (invalidPrice + missingData) / (totalRows - notSelling)
+  rejectionRate: { type: Number },
+  rejectionAlert: {
+    sentAt: { type: Date },
+    reason: { type: String },
+  },
+
+  // 재개(resume)용 체크포인트. rowOffset까지의 행은 모두 처리 완료,
+  // processedPids는 rowOffset 이후에 (동시 처리로) 먼저 완료된 행의 PID.
+  checkpoint: {
+    rowOffset: { type: Number, default: 0 },
+    processedPids: { type: [String], default: undefined },
+    csvPath: { type: String }, // 재개 시 다시 읽을 로컬 CSV 파일
+    savedAt: { type: Date },
+  },
+  resumeCount: { type: Number, default: 0 },
+  lastResumedAt: { type: Date },
+
+  reconciliation: { type: mongoose.Schema.Types.Mixed }, // 정합성 점검 결과 요약 (full 카탈로그)
+  errorMessage: { type: String, maxlength: 2000 }, // 실행 자체가 실패한 경우 (다운로드 오류 등)
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+catalogRunSchema.index({ catalogType: 1, startedAt: -1 });
+
+const CatalogRun = mongoose.model('CatalogRun', catalogRunSchema);
+
+module.exports = CatalogRun;
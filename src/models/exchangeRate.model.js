@@ -31,7 +31,26 @@ const exchangeRateSchema = new mongoose.Schema({
   sourceName: { // 환율 정보 출처 (예: "openexchangerates.org")
     type: String,
     trim: true,
-  }
+  },
+  // 마지막 일괄 재가격(repricingService) 기준 환율. 현재 환율이 이 값에서 일정 비율 이상 벗어나면 재가격 작업을 자동 실행
+  lastRepriceKrwToUsdRate: {
+    type: Number,
+  },
+  lastRepriceAt: {
+    type: Date,
+  },
+  rateProvider: { // 환율을 가져온 공급자 키 (exchangeRateProviders: openexchangerates, frankfurter, erapi)
+    type: String,
+    trim: true,
+  },
+  // 관리자 수동 환율. 설정되어 있고 만료되지 않았으면 공급자 환율 대신 가격 계산에 사용
+  manualOverride: {
+    krwPerUsd: { type: Number }, // 1 USD당 KRW (입력값)
+    krwToUsdRate: { type: Number }, // 1 KRW당 USD (계산된 값)
+    reason: { type: String, trim: true },
+    setAt: { type: Date },
+    expiresAt: { type: Date }, // 없으면 해제할 때까지 유지
+  },
 }, {
   timestamps: true, // createdAt, updatedAt (Mongoose 문서 자체의 생성/수정 시간) 자동 생성
   versionKey: false, // __v 필드 사용 안 함
@@ -0,0 +1,33 @@
+// src/models/exchangeRateHistory.model.js
+// 환율 이력: 공급자에서 가져온 환율(채택/거부)과 수동 환율 설정/해제를 시간순으로 기록
+const mongoose = require('mongoose');
+
+const exchangeRateHistorySchema = new mongoose.Schema({
+  base: { type: String, default: 'USD', uppercase: true, trim: true },
+
+  // ACCEPTED: 채택되어 ExchangeRate에 저장됨 | REJECTED: 마지막 저장 환율 대비 변동 폭 초과로 거부됨
+  // MANUAL_OVERRIDE_SET / MANUAL_OVERRIDE_CLEARED: 관리자 수동 환율 설정/해제
+  status: { type: String, enum: ['ACCEPTED', 'REJECTED', 'MANUAL_OVERRIDE_SET', 'MANUAL_OVERRIDE_CLEARED'], required: true },
+  provider: { type: String, trim: true }, // 공급자 키 (openexchangerates, frankfurter, erapi, manual)
+  sourceName: { type: String, trim: true },
+  sourceApiTimestamp: { type: Date }, // 공급자 데이터 기준 시각
+
+  krwToUsdRate: { type: Number }, // 1 KRW당 USD
+  usdToKrw: { type: Number }, // 1 USD당 KRW
+  rates: { type: Map, of: Number }, // USD 기준 통화별 환율 (공급자 응답)
+
+  previousKrwToUsdRate: { type: Number }, // 비교 기준이 된 마지막 저장 환율
+  deviationPercent: { type: Number }, // 마지막 저장 환율 대비 변동률(%)
+  reason: { type: String, trim: true }, // 거부 사유 또는 수동 설정 사유
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+exchangeRateHistorySchema.index({ base: 1, createdAt: -1 });
+exchangeRateHistorySchema.index({ status: 1, createdAt: -1 });
+
+const ExchangeRateHistory = mongoose.model('ExchangeRateHistory', exchangeRateHistorySchema);
+
+module.exports = ExchangeRateHistory;
@@ -0,0 +1,142 @@
+// src/models/orderLink.model.js
+// 주문 원장: Shopify 주문 1건당 문서 1개로, line item별 번개장터 주문 ID/원화 금액과
+// 포인트 잔액(주문 전/후), 상태 이력, 오류 이력을 보관합니다. (Shopify 메타필드/태그 없이 주문 연결 정보를 조회하기 위함)
+const mongoose = require('mongoose');
+
+// 번개장터 주문 생성 시도. API 호출 전에 IN_FLIGHT로 먼저 남겨, 호출 도중 프로세스가 죽어도 다음 처리 때
+// 번개장터 주문 목록과 대사(reconcile)하여 중복 주문 없이 이어서 처리할 수 있도록 합니다.
+const orderAttemptSchema = new mongoose.Schema({
+  attemptId: { type: String, required: true },
+  // IN_FLIGHT: 호출 중(또는 호출 중 중단) | SUCCEEDED: 주문 생성됨 | FAILED: 번개장터가 거절(생성 안 됨)
+  // UNKNOWN: 타임아웃/5xx 등으로 생성 여부 불명 | RECONCILED_CREATED / RECONCILED_NOT_CREATED: 대사 결과
+  outcome: { type: String, enum: ['IN_FLIGHT', 'SUCCEEDED', 'FAILED', 'UNKNOWN', 'RECONCILED_CREATED', 'RECONCILED_NOT_CREATED'], required: true },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date },
+  priceKrw: { type: Number },
+  bunjangOptionId: { type: String },
+  bunjangOrderId: { type: String },
+  errorCode: { type: String },
+  errorMessage: { type: String },
+  jobId: { type: String },
+}, { _id: false });
+
+const orderLinkLineItemSchema = new mongoose.Schema({
+  shopifyLineItemId: { type: String, required: true },
+  idempotencyKey: { type: String }, // <shopifyOrderId>:<shopifyLineItemId> - line item당 번개장터 주문은 1건
+  shopifyProductId: { type: String },
+  shopifyVariantId: { type: String },
+  sku: { type: String },
+  title: { type: String },
+  quantity: { type: Number },
+  salePriceUsd: { type: String }, // Shopify 판매 가격
+
+  bunjangPid: { type: String },
+  bunjangOptionId: { type: String },
+  bunjangOptionValue: { type: String },
+
+  // PENDING: 처리 전 | NOT_LINKED: 번개장터 상품 아님 | ORDERED: 번개장터 주문 생성됨 | FAILED: 주문 생성 실패/건너뜀
+  // NEEDS_RECONCILE: 주문 생성 여부 불명 (다음 처리 때 대사)
+  status: { type: String, enum: ['PENDING', 'NOT_LINKED', 'ORDERED', 'FAILED', 'NEEDS_RECONCILE'], default: 'PENDING' },
+  bunjangOrderId: { type: String },
+  orderPriceKrw: { type: Number }, // 번개장터에 주문한 상품 금액
+  shippingFeeKrw: { type: Number }, // 번개장터 상품의 실제 배송비 (주문에는 0원 적용)
+  orderedAt: { type: Date },
+  pointBalanceAfterKrw: { type: Number }, // 이 주문 생성 직후 포인트 잔액
+
+  bunjangStatus: { type: String }, // 번개장터 주문 상태 (주문 상태 동기화 시 갱신)
+  bunjangStatusUpdatedAt: { type: Date },
+  // 주문 상태 머신(orderStateService)의 현재 상태. 없으면 번개장터 주문 유무로 PENDING_BUNJANG/BUNJANG_CREATED로 봅니다.
+  state: {
+    type: String,
+    enum: ['PENDING_BUNJANG', 'BUNJANG_CREATED', 'PAYMENT_RECEIVED', 'SHIP_READY', 'IN_TRANSIT', 'DELIVERED', 'CONFIRMED', 'CANCELLED', 'REFUNDED', 'RETURNED'],
+  },
+  stateUpdatedAt: { type: Date },
+
+  // 국제 배송 구간 송장으로 만든 Shopify fulfillment (창고 출고 단위 부분 fulfillment)
+  fulfillment: {
+    shopifyFulfillmentId: { type: String },
+    trackingCompany: { type: String },
+    trackingNumber: { type: String },
+    trackingUrl: { type: String },
+    createdAt: { type: Date },
+    trackingUpdatedAt: { type: Date }, // 송장 변경으로 추적 정보를 갱신한 시간
+  },
+
+  fx: { type: mongoose.Schema.Types.Mixed }, // orderService.buildOrderFxRecord 결과 (가격 계산/주문 시점 환율)
+  attempts: { type: [orderAttemptSchema], default: [] },
+
+  errorCode: { type: String },
+  errorMessage: { type: String },
+}, { _id: false });
+
+const orderLinkTimelineSchema = new mongoose.Schema({
+  status: { type: String, required: true }, // 주문 상태 또는 line item의 번개장터 주문 상태
+  at: { type: Date, default: Date.now },
+  bunjangOrderId: { type: String }, // 번개장터 주문 상태 변경인 경우
+  note: { type: String },
+  jobId: { type: String },
+}, { _id: false });
+
+// 주문 상태 전이 감사 기록 (orderStateService가 전이마다 남김)
+const orderStateTransitionSchema = new mongoose.Schema({
+  shopifyLineItemId: { type: String, required: true },
+  bunjangOrderId: { type: String },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  source: { type: String, enum: ['webhook', 'poll', 'manual'], required: true },
+  bunjangStatus: { type: String }, // 전이를 일으킨 번개장터 주문 상태 (poll)
+  note: { type: String },
+  sideEffectErrors: { type: [String], default: undefined }, // 실패한 부수 작업 (전이 자체는 반영됨)
+  at: { type: Date, default: Date.now },
+  jobId: { type: String },
+}, { _id: false });
+
+const orderLinkErrorSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  shopifyLineItemId: { type: String },
+  bunjangPid: { type: String },
+  code: { type: String, required: true },
+  message: { type: String },
+  jobId: { type: String },
+}, { _id: false });
+
+const orderLinkSchema = new mongoose.Schema({
+  shopifyOrderId: { type: String, required: true, unique: true, trim: true }, // Shopify REST 주문 ID
+  shopifyOrderGid: { type: String, trim: true },
+  shopifyOrderName: { type: String, trim: true }, // 예: #1001
+  financialStatus: { type: String },
+  currency: { type: String },
+  bunjangOrderIdentifier: { type: String }, // Shopify 태그에 쓰는 식별자 (BunjangOrder-<shopifyOrderId>)
+
+  // PROCESSING: 처리 중 | PLACED: 번개장터 상품 전부 주문됨 | PARTIALLY_PLACED: 일부만 주문됨 | FAILED: 주문 생성 실패 | NO_BUNJANG_ITEMS: 번개장터 상품 없음
+  // NEEDS_RECONCILE: 생성 여부가 불명한 번개장터 주문이 있음 (재시도 시 대사 후 이어서 처리)
+  status: { type: String, enum: ['PROCESSING', 'PLACED', 'PARTIALLY_PLACED', 'FAILED', 'NO_BUNJANG_ITEMS', 'NEEDS_RECONCILE'], default: 'PROCESSING', index: true },
+  lineItems: { type: [orderLinkLineItemSchema], default: [] },
+  bunjangOrderIds: { type: [String], default: [], index: true },
+  totalOrderKrw: { type: Number, default: 0 },
+
+  pointBalance: {
+    beforeKrw: { type: Number }, // 첫 번개장터 주문 생성 직전 잔액
+    afterKrw: { type: Number }, // 마지막 번개장터 주문 생성 직후 잔액
+    checkedBeforeAt: { type: Date },
+    checkedAfterAt: { type: Date },
+  },
+
+  statusTimeline: { type: [orderLinkTimelineSchema], default: [] },
+  stateTransitions: { type: [orderStateTransitionSchema], default: [] },
+  errorHistory: { type: [orderLinkErrorSchema], default: [] },
+
+  lastJobId: { type: String },
+  processedAt: { type: Date }, // 마지막 주문 처리 완료 시간
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+orderLinkSchema.index({ createdAt: -1 });
+orderLinkSchema.index({ 'lineItems.bunjangOrderId': 1 });
+
+const OrderLink = mongoose.model('OrderLink', orderLinkSchema);
+
+module.exports = OrderLink;
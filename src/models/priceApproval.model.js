@@ -0,0 +1,50 @@
+// src/models/priceApproval.model.js
+// 가격 가드(priceGuardService)가 보류한 가격 변경 승인 대기열.
+// 한 번에 너무 크게 내려가거나 최고가를 넘는 가격은 Shopify에 바로 반영하지 않고 관리자 승인 후 반영합니다.
+const mongoose = require('mongoose');
+
+const guardViolationSchema = new mongoose.Schema({
+  code: { type: String, required: true }, // PRICE_DROP_EXCEEDED | PRICE_ABOVE_CEILING
+  message: { type: String },
+}, { _id: false });
+
+const priceApprovalSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, trim: true },
+  shopifyGid: { type: String, trim: true }, // 신규 상품이면 없음
+  sku: { type: String, trim: true }, // variant SKU (BJ-<pid> 또는 옵션 SKU BJ-<pid>-<optionId>)
+  isOptionVariant: { type: Boolean, default: false },
+  source: { type: String, enum: ['catalog_sync', 'catalog_price_update', 'reprice'], required: true },
+  jobId: { type: String },
+
+  // PENDING: 승인 대기 | APPROVED: 승인되어 반영됨(신규 상품은 다음 동기화 때 반영) | REJECTED: 거부 (같은 가격은 다시 요청하지 않음) | SUPERSEDED: 같은 variant의 새 요청으로 대체됨
+  status: { type: String, enum: ['PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED'], default: 'PENDING', index: true },
+
+  currentPriceUsd: { type: String }, // 요청 시점 Shopify 가격
+  proposedPriceUsd: { type: String, required: true },
+  compareAtPrice: { type: String },
+  changePercent: { type: Number },
+  violations: { type: [guardViolationSchema], default: [] },
+
+  // 가격 계산 근거
+  priceKrw: { type: Number },
+  exchangeRate: { type: Number },
+  costUsd: { type: Number },
+  pricingRuleName: { type: String },
+
+  decidedBy: { type: String, trim: true },
+  decidedAt: { type: Date },
+  decisionNote: { type: String, trim: true },
+  appliedAt: { type: Date }, // Shopify 반영 시간
+  consumedAt: { type: Date }, // 신규 상품 승인 건이 동기화에서 사용된 시간
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+priceApprovalSchema.index({ bunjangPid: 1, sku: 1, status: 1 });
+priceApprovalSchema.index({ status: 1, createdAt: -1 });
+
+const PriceApproval = mongoose.model('PriceApproval', priceApprovalSchema);
+
+module.exports = PriceApproval;
@@ -0,0 +1,41 @@
+// src/models/priceHistory.model.js
+// 상품 가격 이력: 카탈로그에서 감지한 번개장터 원화 가격 변동과 Shopify에 반영한 USD 리스팅 가격(shopifyListedPriceUsd)을,
+// 계산에 사용한 환율/가격 규칙과 함께 기록
+const mongoose = require('mongoose');
+
+const priceHistorySchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, trim: true },
+  shopifyGid: { type: String, trim: true },
+  categoryId: { type: String, trim: true }, // 번개장터 카테고리 ID (카테고리별 마진 집계용)
+
+  // KRW_PRICE_CHANGE: 카탈로그에서 원화 가격 변동 감지 | USD_PRICE_PUSH: Shopify에 USD 가격 반영
+  eventType: { type: String, enum: ['KRW_PRICE_CHANGE', 'USD_PRICE_PUSH'], required: true },
+  // catalog_sync: 전체 동기화 | catalog_price_update: 가격만 변경된 동기화 | reprice: 일괄 재가격 작업 | price_approval: 가격 가드 보류 건 승인
+  source: { type: String, enum: ['catalog_sync', 'catalog_price_update', 'reprice', 'price_approval'], required: true },
+  jobId: { type: String },
+
+  previousPriceKrw: { type: Number },
+  priceKrw: { type: Number, required: true },
+  previousPriceUsd: { type: String },
+  priceUsd: { type: String }, // 이 시점 계산된 Shopify 리스팅 가격 (예: "25.99")
+
+  // 가격 계산 근거 (pricingRuleService.computePriceWithRule 결과)
+  exchangeRate: { type: Number }, // 1 KRW당 USD
+  costUsd: { type: Number },
+  marginUsd: { type: Number },
+  markupPercentage: { type: Number },
+  marginFloorApplied: { type: Boolean },
+  pricingRuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+  pricingRuleName: { type: String }, // 규칙이 없으면 'default'
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+priceHistorySchema.index({ bunjangPid: 1, createdAt: -1 });
+priceHistorySchema.index({ eventType: 1, categoryId: 1, createdAt: -1 });
+
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+module.exports = PriceHistory;
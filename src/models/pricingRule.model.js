@@ -0,0 +1,46 @@
+// src/models/pricingRule.model.js
+// Shopify 판매 가격 계산 규칙 (가격대별 단계 마크업, 카테고리/브랜드/판매자별 재정의, 최소 마진, 반올림 방식)
+const mongoose = require('mongoose');
+
+// 가격대(KRW)별 마크업. upToKrw 이하 가격에 적용되며, upToKrw가 없으면 나머지 모든 가격
+const markupTierSchema = new mongoose.Schema({
+  upToKrw: { type: Number, min: 0 },
+  markupPercentage: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+const pricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100 }, // 낮을수록 먼저 평가. 처음 매칭된 규칙 하나만 적용
+
+  // 모든 지정된 조건을 만족해야(AND) 규칙이 매칭됨. 지정하지 않은 조건은 무시 (조건이 없으면 모든 상품).
+  conditions: {
+    categoryIds: { type: [String], default: undefined }, // 접두사 매칭 (예: '600' → '600100200')
+    brandIds: { type: [String], default: undefined },
+    sellerUids: { type: [String], default: undefined },
+    minPriceKrw: { type: Number, min: 0 },
+    maxPriceKrw: { type: Number, min: 0 },
+  },
+
+  // 가격 계산. 지정하지 않은 값은 config.priceCalculation 기본값 사용
+  markupTiers: { type: [markupTierSchema], default: undefined }, // upToKrw 오름차순으로 평가
+  markupPercentage: { type: Number, min: 0 }, // markupTiers가 없거나 맞는 구간이 없을 때
+  handlingFeeUsd: { type: Number, min: 0 },
+  minMarginUsd: { type: Number, min: 0 }, // 판매가 - 상품 원가(USD) 최소 금액
+  minMarginPercentage: { type: Number, min: 0 }, // 상품 원가 대비 최소 마진 비율
+  // none | charm_99 (x.99 끝자리) | nearest_0_50 | ceil_0_50 | nearest_1 (pricingRuleService.ROUNDING_STRATEGIES)
+  rounding: { type: String, enum: ['none', 'charm_99', 'nearest_0_50', 'ceil_0_50', 'nearest_1'], default: 'none' },
+
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+pricingRuleSchema.index({ enabled: 1, priority: 1 });
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+
+module.exports = PricingRule;
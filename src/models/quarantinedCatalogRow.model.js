@@ -0,0 +1,38 @@
+// src/models/quarantinedCatalogRow.model.js
+// 행 스키마 검증에 실패한 번개장터 카탈로그 행 (격리 보관, 조회/재처리용)
+const mongoose = require('mongoose');
+
+const rowValidationErrorSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  code: { type: String, required: true }, // catalogRowSchema.ROW_ERROR_CODES
+  message: { type: String },
+  value: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const quarantinedCatalogRowSchema = new mongoose.Schema({
+  runId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun', required: true, index: true },
+  catalogType: { type: String, enum: ['full', 'segment'] },
+  rowNumber: { type: Number, required: true },
+  bunjangPid: { type: String, index: true }, // 원본 행의 pid (비어 있을 수 있음)
+  rawRow: { type: mongoose.Schema.Types.Mixed, required: true }, // CSV 원본 행 그대로
+  reason: { type: String, enum: ['INVALID_PRICE', 'MISSING_DATA'], required: true, index: true },
+  validationErrors: { type: [rowValidationErrorSchema], default: [] },
+
+  status: { type: String, enum: ['QUARANTINED', 'REPROCESSED', 'DISCARDED'], default: 'QUARANTINED', index: true },
+  reprocessAttempts: { type: Number, default: 0 },
+  lastReprocessedAt: { type: Date },
+  lastReprocessResult: { type: mongoose.Schema.Types.Mixed }, // syncBunjangProductToShopify 결과 또는 검증 오류
+  resolvedBy: { type: String, trim: true }, // 재처리/폐기한 관리자 메모
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+// 같은 실행의 같은 행은 한 번만 격리 (재개 시 중복 방지)
+quarantinedCatalogRowSchema.index({ runId: 1, rowNumber: 1 }, { unique: true });
+quarantinedCatalogRowSchema.index({ status: 1, createdAt: -1 });
+
+const QuarantinedCatalogRow = mongoose.model('QuarantinedCatalogRow', quarantinedCatalogRowSchema);
+
+module.exports = QuarantinedCatalogRow;
@@ -0,0 +1,67 @@
+// src/models/shipment.model.js
+// 배송 2구간 추적: 번개장터 판매자 → CS Trading 창고(국내 구간), 창고 → 해외 고객(국제 구간).
+// 번개장터 주문 1건(주문 원장 line item 1개)당 문서 1개이며, 국제 구간은 창고에서 묶어 보내는 단위(주문/배치)로 등록합니다.
+const mongoose = require('mongoose');
+
+const shipmentLegSchema = new mongoose.Schema({
+  // PENDING: 송장 없음 | IN_TRANSIT: 배송 중 | DELIVERED: 도착 (국내 구간은 창고 입고)
+  status: { type: String, enum: ['PENDING', 'IN_TRANSIT', 'DELIVERED'], default: 'PENDING' },
+  carrier: { type: String, trim: true },
+  trackingNumber: { type: String, trim: true },
+  trackingUrl: { type: String, trim: true },
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  trackingUpdatedAt: { type: Date }, // 송장이 바뀐 시간
+}, { _id: false });
+
+const shipmentTimelineSchema = new mongoose.Schema({
+  customerStatus: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  note: { type: String },
+  jobId: { type: String },
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  shopifyOrderId: { type: String, required: true, trim: true, index: true },
+  shopifyOrderGid: { type: String, trim: true },
+  shopifyLineItemId: { type: String, required: true, trim: true },
+  bunjangOrderId: { type: String, trim: true, index: true },
+  bunjangPid: { type: String, trim: true },
+
+  domesticLeg: {
+    type: shipmentLegSchema,
+    default: () => ({}),
+  },
+  warehouse: { // 국내 구간 도착지 (config.bunjang.csTrading 스냅샷)
+    name: { type: String },
+    address: { type: String },
+    zipCode: { type: String },
+  },
+  internationalLeg: {
+    type: shipmentLegSchema,
+    default: () => ({}),
+  },
+  internationalBatchId: { type: String, trim: true, index: true }, // 배치 등록 시 배치 ID
+
+  // 고객에게 보여줄 통합 배송 상태 (shipmentService.computeCustomerStatus)
+  // ORDERED: 주문 접수 | PREPARING: 판매자 발송 준비 | TO_WAREHOUSE: 창고로 배송 중 | AT_WAREHOUSE: 창고 입고
+  // INTERNATIONAL_IN_TRANSIT: 해외 배송 중 | DELIVERED: 배송 완료 | CANCELLED: 취소/환불 | RETURNED: 반품
+  customerStatus: {
+    type: String,
+    enum: ['ORDERED', 'PREPARING', 'TO_WAREHOUSE', 'AT_WAREHOUSE', 'INTERNATIONAL_IN_TRANSIT', 'DELIVERED', 'CANCELLED', 'RETURNED'],
+    default: 'ORDERED',
+    index: true,
+  },
+  timeline: { type: [shipmentTimelineSchema], default: [] },
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false,
+});
+
+shipmentSchema.index({ shopifyOrderId: 1, shopifyLineItemId: 1 }, { unique: true });
+shipmentSchema.index({ 'internationalLeg.trackingNumber': 1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+module.exports = Shipment;
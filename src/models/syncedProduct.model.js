@@ -26,6 +26,8 @@ const syncedProductSchema = new mongoose.Schema({
   // 번개장터 원본 정보 (참고 및 동기화 비교용)
   bunjangProductName: { type: String, trim: true },
   bunjangCategoryId: { type: String, index: true, trim: true },
+  bunjangCategoryName: { type: String, trim: true }, // 분류 입력 (재분류 시 동기화와 같은 입력 사용, 미기록이면 undefined)
+  bunjangDescription: { type: String }, // 분류 입력용 번개장터 원본 설명
   bunjangBrandId: { type: String, index: true, trim: true },
   bunjangSellerUid: { type: String, index: true, trim: true },
   bunjangCondition: { type: String, trim: true },
@@ -33,14 +35,48 @@ const syncedProductSchema = new mongoose.Schema({
   bunjangOriginalShippingFeeKrw: { type: Number },
   bunjangQuantity: { type: Number }, // 카탈로그 기준 재고
   bunjangOptionsJson: { type: String }, // 번개장터 옵션 원본 JSON 문자열
+  // 번개장터 옵션 ↔ Shopify variant 매핑 (옵션 상품만, 주문 시 번개장터 옵션 ID 전달용)
+  bunjangVariantMappings: [{
+    _id: false,
+    bunjangOptionId: { type: String, required: true },
+    optionName: String,
+    optionValue: String,
+    sku: { type: String, index: true }, // BJ-<pid>-<optionId>
+    shopifyVariantId: { type: String, index: true },
+    shopifyInventoryItemId: String,
+    priceKrw: Number,
+    shopifyPriceUsd: String,
+    quantity: Number,
+  }],
   bunjangImagesJson: { type: String }, // 번개장터 이미지 URL 목록 원본 JSON 문자열
+  // 번개장터 이미지 ↔ Shopify 미디어 매핑 (번개장터 순서). 재동기화 시 새 이미지만 추가하고 사라진 이미지는 삭제
+  // undefined면 매핑 도입 전에 첨부된 상품 (기존 미디어를 모두 교체)
+  bunjangImageMappings: {
+    type: [{
+      _id: false,
+      sourceHash: { type: String, required: true }, // utils/bunjangImages.hashImageSource
+      sourceUrl: String, // 정규화된 원본 URL
+      shopifyMediaId: String,
+      position: Number, // 번개장터 이미지 목록 내 순서 (0부터)
+    }],
+    default: undefined,
+  },
   bunjangKeywordsJson: { type: String }, // 번개장터 키워드 목록 원본 JSON 문자열
   bunjangCreatedAt: { type: Date }, // 번개장터 상품 생성 시간 (KST)
   bunjangUpdatedAt: { type: Date, index: true }, // 번개장터 상품 수정 시간 (KST, 카탈로그 기준)
+  bunjangContentHash: { type: String }, // 가격 제외 콘텐츠 지문 (utils/productFingerprint), 마지막 전체 동기화 기준
 
   // Shopify 연동 정보
   shopifyProductType: { type: String, index: true, trim: true }, // 매핑된 Shopify 상품 유형
+  // 분류 규칙(TaxonomyRule)으로 부여한 태그/컬렉션 (재분류 시 이 값만 교체하고 수동 태그는 유지)
+  shopifyTaxonomyTags: { type: [String], default: undefined },
+  shopifyTaxonomyCollectionGids: { type: [String], default: undefined },
+  categorizedAt: { type: Date },
   shopifyListedPriceUsd: { type: String }, // Shopify에 리스팅된 USD 가격 문자열 (예: "25.99")
+  shopifyListedExchangeRate: { type: Number }, // shopifyListedPriceUsd 계산에 사용한 환율 (1 KRW당 USD)
+  shopifyListedExchangeRateSource: { type: String }, // 환율 출처 (공급자 키 또는 manual)
+  shopifyPricedAt: { type: Date }, // shopifyListedPriceUsd를 계산한 시간
+  lastRepricedAt: { type: Date }, // 일괄 재가격 작업(repricingService)으로 가격이 갱신된 시간
   shopifyStatus: { 
     type: String, 
     enum: ['ACTIVE', 'DRAFT', 'ARCHIVED', 'SOLD_OUT'], // SOLD_OUT 추가
@@ -53,7 +89,7 @@ const syncedProductSchema = new mongoose.Schema({
   lastSyncedAt: { type: Date, index: true }, // 추가 (호환성)
   syncStatus: {
     type: String,
-    enum: ['SYNCED', 'ERROR', 'PENDING', 'PARTIAL_ERROR', 'SKIPPED_NO_CHANGE'],
+    enum: ['SYNCED', 'ERROR', 'PENDING', 'PARTIAL_ERROR', 'SKIPPED_NO_CHANGE'], // SKIPPED_NO_CHANGE: 마지막 카탈로그에서 변경 없음 (Shopify 상품은 동기화 상태 유지)
     default: 'PENDING',
     index: true,
   },
@@ -79,6 +115,11 @@ const syncedProductSchema = new mongoose.Schema({
   
   // 추가적인 내부 관리 필드
   isFilteredOut: { type: Boolean, default: false, index: true }, // 카테고리 등으로 필터링 아웃된 상품 표시
+
+  // 전체 카탈로그 정합성 점검으로 내려간(delist) 상품 정보 (catalogReconciliationService)
+  delistedAt: { type: Date, index: true },
+  delistReason: { type: String, enum: ['MISSING_FROM_CATALOG', 'NOT_SELLING', null] },
+  delistAction: { type: String, enum: ['draft', 'archive', 'zero_inventory', 'delete', null] },
   notes: { type: String, maxlength: 500 }, // 관리자 메모
 
 }, {
@@ -0,0 +1,37 @@
+// src/models/taxonomyRule.model.js
+// 상품 분류(taxonomy) 규칙: 번개장터 카테고리 ID와 가중치 키워드를 Shopify 상품 유형/컬렉션/태그로 매핑
+const mongoose = require('mongoose');
+
+const taxonomyKeywordSchema = new mongoose.Schema({
+  term: { type: String, required: true, trim: true, lowercase: true },
+  weight: { type: Number, default: 1 },
+}, { _id: false });
+
+const taxonomyRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+  priority: { type: Number, default: 100 }, // 점수가 같을 때 낮은 값이 우선 (상품 유형 결정용)
+
+  // 매칭 조건: 카테고리 ID(접두사 매칭)와 키워드 점수 중 지정된 조건을 모두 만족해야 매칭
+  bunjangCategoryIds: { type: [String], default: [] },
+  categoryWeight: { type: Number, default: 10 }, // 카테고리 매칭 시 부여되는 점수
+  keywords: { type: [taxonomyKeywordSchema], default: [] }, // 상품명/설명/카테고리명/키워드에 포함되면 weight 합산
+  minScore: { type: Number, default: 1 }, // 키워드 점수 임계값
+
+  // 매칭 시 적용 결과
+  productType: { type: String, trim: true }, // 최고 점수 규칙의 값이 사용됨
+  collectionGids: { type: [String], default: [] }, // 매칭된 모든 규칙의 합집합
+  tags: { type: [String], default: [] }, // 매칭된 모든 규칙의 합집합
+
+  updatedBy: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+taxonomyRuleSchema.index({ enabled: 1, priority: 1 });
+
+const TaxonomyRule = mongoose.model('TaxonomyRule', taxonomyRuleSchema);
+
+module.exports = TaxonomyRule;
@@ -0,0 +1,17 @@
+// src/routes/media.routes.js
+// 번개장터 이미지 프록시 라우터 (/media). Shopify가 API 키 없이 접근하므로 인증을 적용하지 않습니다.
+
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const mediaProxyController = require('../controllers/mediaProxyController');
+
+// GET /media/bunjang/:pid/:index?h=<sourceHash>
+router.get('/bunjang/:pid/:index', [
+  param('pid').isString().trim().matches(/^[A-Za-z0-9_-]{1,64}$/).withMessage('pid가 유효하지 않습니다.'),
+  param('index').isInt({ min: 0, max: 249 }).withMessage('index는 0 이상 249 이하의 정수여야 합니다.').toInt(),
+  query('h').optional().isString().matches(/^[a-f0-9]{40}$/).withMessage('h가 유효하지 않습니다.'),
+], handleValidationErrors, mediaProxyController.getBunjangImage);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../config/logger');
 const orderService = require('../services/orderService');
+const orderStateService = require('../services/orderStateService');
 const inventoryService = require('../services/inventoryService');
 const shopifyService = require('../services/shopifyService');
 const SyncedProduct = require('../models/syncedProduct.model');
@@ -191,6 +192,20 @@ router.post('/orders/cancelled', verifyWebhook, async (req, res) => {
     const order = req.body;
     logger.info(`[Webhook] Order cancelled: #${order.order_number || order.name} (${order.id})`);
     
+    // 아직 번개장터에 주문하지 않은 line item은 주문하지 않도록 취소 상태로 전이
+    try {
+      const cancelledLineItems = await orderStateService.cancelUnorderedLineItems(order.id, {
+        source: 'webhook',
+        note: `Shopify order cancelled (${order.cancel_reason || 'no reason'})`,
+        jobId: `WEBHOOK-${order.id}`,
+      });
+      if (cancelledLineItems.length > 0) {
+        logger.info(`[Webhook] Cancelled unordered line items: ${cancelledLineItems.join(', ')}`);
+      }
+    } catch (stateError) {
+      logger.error(`[Webhook] Failed to cancel unordered line items for order ${order.id}:`, stateError);
+    }
+    
     // 재고 복구 및 상태 복원
     for (const lineItem of order.line_items || []) {
       try {
@@ -144,7 +144,7 @@ async function runCheck() {
   try {
     // 체크할 상품 조회
     const query = {
-      syncStatus: 'SYNCED',
+      syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] },
       bunjangPid: { $exists: true },
       shopifyGid: { $exists: true },
       bunjangSoldAt: { $exists: false },
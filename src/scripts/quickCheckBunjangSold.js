@@ -182,7 +182,7 @@ async function main() {
 
     // 체크할 상품 조회
     const query = {
-      syncStatus: 'SYNCED',
+      syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] },
       bunjangPid: { $exists: true },
       shopifyGid: { $exists: true },
       // 아직 번개장터에서 판매되지 않은 상품들
@@ -0,0 +1,85 @@
+// src/scripts/replayCatalog.js
+// 보관된 카탈로그 파일 또는 로컬 CSV 파일로 카탈로그 처리를 재실행하는 스크립트 (번개장터 API 호출 없음)
+//
+// 사용법:
+//   node src/scripts/replayCatalog.js --list [full|segment]
+//   node src/scripts/replayCatalog.js <보관 파일 이름 | 로컬 경로> [--type full|segment] [--dry-run]
+//
+//   --dry-run: Shopify/DB에 쓰지 않고 생성/업데이트/건너뜀 결과와 변환 샘플만 출력 (매핑 변경 오프라인 테스트용)
+
+require('dotenv').config();
+const logger = require('../config/logger');
+const { connectDB, disconnectDB } = require('../config/database');
+const { fetchAndProcessBunjangCatalog } = require('../services/catalogService');
+const catalogArchiveService = require('../services/catalogArchiveService');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const LIST_ONLY = args.includes('--list');
+
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function listArchives() {
+  const catalogType = ['full', 'segment'].includes(args[1]) ? args[1] : undefined;
+  const archives = await catalogArchiveService.listArchives({ catalogType });
+  if (archives.length === 0) {
+    console.log('보관된 카탈로그 파일이 없습니다.');
+    return;
+  }
+  for (const archive of archives) {
+    console.log(`${archive.name}\t${archive.catalogType}\t${archive.sizeBytes} bytes\t${archive.createdAt.toISOString()}`);
+  }
+}
+
+async function replay() {
+  const target = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--type');
+  if (!target) {
+    console.error('사용법: node src/scripts/replayCatalog.js <보관 파일 이름 | 로컬 경로> [--type full|segment] [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  // 경로 구분자가 없으면 보관 파일 이름으로, 있으면 로컬 경로로 취급
+  const isArchiveName = !target.includes('/') && !target.includes('\\');
+  const source = await catalogArchiveService.resolveReplaySource(isArchiveName ? { archiveName: target } : { localPath: target });
+  const catalogType = getArgValue('--type') || source.catalogType;
+  if (!['full', 'segment'].includes(catalogType)) {
+    console.error('파일명으로 카탈로그 타입을 알 수 없습니다. --type full|segment 를 지정하세요.');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`=== 카탈로그 재실행: ${source.sourcePath} (${catalogType}, DRY RUN: ${DRY_RUN ? 'ON' : 'OFF'}) ===`);
+  await connectDB();
+  const summary = await fetchAndProcessBunjangCatalog(catalogType, `cli-replay-${Date.now()}`, {
+    triggeredBy: 'cli_replay',
+    replay: { sourcePath: source.sourcePath, filename: source.filename, dryRun: DRY_RUN },
+  });
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+async function main() {
+  try {
+    if (LIST_ONLY) {
+      await listArchives();
+    } else {
+      await replay();
+    }
+  } catch (error) {
+    logger.error('[ReplayCatalogScript] Replay failed:', error);
+    console.error(`\n❌ 재실행 실패: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB().catch(() => {});
+    process.exit();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { replay, listArchives };
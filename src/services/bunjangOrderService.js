@@ -3,6 +3,9 @@
 const axios = require('axios');
 const logger = require('../config/logger');
 const { shopifyGraphqlRequest, updateOrder } = require('./shopifyService');
+const orderStateService = require('./orderStateService');
+const orderLinkService = require('./orderLinkService');
+const { mapDeliveryCompany, getTrackingUrl } = require('../utils/deliveryCarriers');
 const { ExternalServiceError, ValidationError } = require('../utils/customErrors');
 
 const SERVICE_NAME = 'BunjangOrderSvc';
@@ -191,44 +194,9 @@ class BunjangOrderService {
     }
   }
 
-  // Shopify 주문 상태 업데이트
+  // Shopify 주문 상태 업데이트 (상태 전이와 전이별 처리는 orderStateService가 담당)
   async updateShopifyOrderStatus(bunjangOrder) {
-    const statusMapping = this.mapBunjangStatusToShopify(bunjangOrder.orderItems[0].status);
-    
-    if (!statusMapping) {
-      logger.warn(`[${SERVICE_NAME}] Unknown Bunjang status: ${bunjangOrder.orderItems[0].status}`);
-      return;
-    }
-
-    // Shopify에서 해당 주문 찾기
-    const shopifyOrder = await this.findShopifyOrderByBunjangId(bunjangOrder.id);
-    if (!shopifyOrder) {
-      logger.warn(`[${SERVICE_NAME}] Shopify order not found for Bunjang order ${bunjangOrder.id}`);
-      return;
-    }
-
-    // 상태에 따른 처리
-    if (statusMapping.action === 'fulfillment') {
-      await this.createOrUpdateFulfillment(shopifyOrder.id, statusMapping.status, bunjangOrder);
-    } else if (statusMapping.action === 'cancel') {
-      await this.cancelShopifyOrder(shopifyOrder.id, statusMapping.reason);
-    }
-
-    // 메타필드 업데이트
-    await updateOrder({
-      id: shopifyOrder.id,
-      metafields: [{
-        namespace: 'bunjang',
-        key: 'last_status',
-        value: bunjangOrder.orderItems[0].status,
-        type: 'single_line_text_field'
-      }, {
-        namespace: 'bunjang',
-        key: 'status_updated_at',
-        value: bunjangOrder.orderItems[0].statusUpdatedAt,
-        type: 'single_line_text_field'
-      }]
-    });
+    return orderStateService.applyBunjangOrderStatus(bunjangOrder, { source: 'poll', jobId: SERVICE_NAME });
   }
 
   // 헬퍼 메서드들
@@ -333,60 +301,36 @@ class BunjangOrderService {
     return null;
   }
 
-  mapBunjangStatusToShopify(bunjangStatus) {
-    const statusMap = {
-      'PAYMENT_RECEIVED': { action: 'none', status: 'pending' },
-      'SHIP_READY': { action: 'fulfillment', status: 'pending' },
-      'IN_TRANSIT': { action: 'fulfillment', status: 'in_transit' },
-      'DELIVERY_COMPLETED': { action: 'fulfillment', status: 'delivered' },
-      'PURCHASE_CONFIRM': { action: 'fulfillment', status: 'confirmed' },
-      'CANCEL_REQUESTED_BEFORE_SHIPPING': { action: 'cancel', reason: 'customer' },
-      'REFUNDED': { action: 'refund', status: 'refunded' },
-      'RETURN_REQUESTED': { action: 'return', status: 'return_pending' },
-      'RETURNED': { action: 'return', status: 'returned' }
-    };
-    
-    return statusMap[bunjangStatus] || null;
-  }
-
+  // 번개장터 송장을 배송 국내 구간(판매자 → 창고)에 반영 (주문 원장 line item 단위)
+  // Shopify fulfillment는 국제 구간 송장 등록 시 만듭니다. (shipmentService.registerInternationalLeg)
   async createOrUpdateFulfillment(orderId, status, bunjangOrder) {
-    // 배송 정보가 있는 경우 처리
-    if (bunjangOrder.delivery && bunjangOrder.delivery.invoice) {
-      const fulfillmentInput = {
-        orderId: orderId,
-        trackingCompany: this.mapDeliveryCompany(bunjangOrder.delivery.invoice.companyCode),
-        trackingNumber: bunjangOrder.delivery.invoice.no,
-        trackingUrls: [this.getTrackingUrl(bunjangOrder.delivery.invoice.companyCode, bunjangOrder.delivery.invoice.no)],
-        notifyCustomer: true
-      };
-      
-      // Shopify fulfillment 생성/업데이트 로직
-      logger.info(`[${SERVICE_NAME}] Creating fulfillment for order ${orderId}`);
+    const delivery = bunjangOrder.delivery || bunjangOrder.orderItems?.[0]?.delivery;
+    if (!delivery || !delivery.invoice) return null;
+
+    const located = await orderLinkService.findLineItemByBunjangOrderId(bunjangOrder.id);
+    if (!located) {
+      logger.warn(`[${SERVICE_NAME}] No order ledger line item for Bunjang order ${bunjangOrder.id}. Cannot update domestic shipment for order ${orderId}.`);
+      return null;
     }
+
+    logger.info(`[${SERVICE_NAME}] Updating domestic shipment for order ${orderId}`);
+    return orderStateService.updateDomesticShipment({
+      shopifyOrderId: located.shopifyOrderId,
+      shopifyOrderGid: located.shopifyOrderGid || orderId,
+      lineItem: located.lineItem,
+      state: orderLinkService.getLineItemState(located.lineItem),
+      bunjangStatus: status,
+      delivery,
+      jobId: SERVICE_NAME,
+    });
   }
 
   mapDeliveryCompany(companyCode) {
-    const companyMap = {
-      'cj': 'CJ Logistics',
-      'hanjin': 'Hanjin Express',
-      'lotte': 'Lotte Global Logistics',
-      'post': 'Korea Post',
-      'logen': 'Logen'
-    };
-    
-    return companyMap[companyCode] || companyCode;
+    return mapDeliveryCompany(companyCode);
   }
 
   getTrackingUrl(companyCode, trackingNumber) {
-    const urlMap = {
-      'cj': `https://www.cjlogistics.com/ko/tool/parcel/tracking?gnbInvcNo=${trackingNumber}`,
-      'hanjin': `https://www.hanjin.co.kr/kor/CMS/DeliveryMgr/WaybillResult.do?mCode=MN038&schLang=KR&wblnumText2=${trackingNumber}`,
-      'lotte': `https://www.lotteglogis.com/home/reservation/tracking/linkView?InvNo=${trackingNumber}`,
-      'post': `https://service.epost.go.kr/trace.RetrieveDomRigiTraceList.comm?sid1=${trackingNumber}`,
-      'logen': `https://www.ilogen.com/web/personal/trace/${trackingNumber}`
-    };
-    
-    return urlMap[companyCode] || '#';
+    return getTrackingUrl(companyCode, trackingNumber);
   }
 
   handleApiError(error) {
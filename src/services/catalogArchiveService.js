@@ -0,0 +1,161 @@
+// src/services/catalogArchiveService.js
+// 내려받은 번개장터 카탈로그 CSV를 gzip으로 보관하고(보관 기간 정책 적용),
+// 보관 파일 또는 로컬 파일을 재실행(replay)용 CSV로 준비합니다.
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { pipeline } = require('node:stream/promises');
+const config = require('../config');
+const logger = require('../config/logger');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogArchiveSvc';
+const ARCHIVE_NAME_PATTERN = /^(full|segment)-[\w.-]+\.csv\.gz$/;
+
+function getArchiveConfig() {
+  return config.bunjang.catalogArchive;
+}
+
+/**
+ * 카탈로그 CSV를 gzip으로 압축해 보관 디렉토리에 저장하고, 보관 기간 정책을 적용합니다.
+ * 보관 실패가 카탈로그 처리를 막지 않도록 호출 측에서 오류를 처리해야 합니다.
+ * @param {string} csvPath - 압축할 CSV 파일 경로
+ * @param {object} meta
+ * @param {'full'|'segment'} meta.catalogType
+ * @param {string} meta.filename - 번개장터 원본 파일명 (예: full-20250101.csv.gz)
+ * @returns {Promise<string|null>} 보관 파일 경로 (보관 비활성화 시 null)
+ */
+async function archiveCatalogFile(csvPath, { catalogType, filename }) {
+  const archiveConfig = getArchiveConfig();
+  if (!archiveConfig.enabled) return null;
+
+  const typeDir = path.join(archiveConfig.dir, catalogType);
+  await fs.ensureDir(typeDir);
+  // 같은 파일을 여러 번 받는 경우(재시도 등)를 구분하기 위해 시각을 붙임
+  const baseName = path.basename(filename || `${catalogType}.csv.gz`).replace(/\.csv(\.gz)?$/, '');
+  const archiveName = `${baseName}.${Date.now()}.csv.gz`;
+  const archivePath = path.join(typeDir, archiveName);
+
+  await pipeline(fs.createReadStream(csvPath), zlib.createGzip(), fs.createWriteStream(archivePath));
+  const { size } = await fs.stat(archivePath);
+  logger.info(`[${SERVICE_NAME}] Archived catalog ${csvPath} -> ${archivePath} (${size} bytes).`);
+
+  await applyRetentionPolicy(catalogType).catch(error => {
+    logger.warn(`[${SERVICE_NAME}] Failed to apply archive retention policy for ${catalogType}: ${error.message}`);
+  });
+  return archivePath;
+}
+
+/**
+ * 보관 기간(retentionDays)이 지났거나 타입별 최대 개수(maxFilesPerType)를 넘는 오래된 보관 파일을 삭제합니다.
+ * @param {'full'|'segment'} catalogType
+ * @returns {Promise<number>} 삭제된 파일 수
+ */
+async function applyRetentionPolicy(catalogType) {
+  const { retentionDays, maxFilesPerType } = getArchiveConfig();
+  const archives = await listArchives({ catalogType });
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+  // listArchives는 최신순 정렬
+  const toDelete = archives.filter((archive, index) => index >= maxFilesPerType || archive.createdAt.getTime() < cutoff);
+  for (const archive of toDelete) {
+    await fs.remove(archive.path);
+  }
+  if (toDelete.length > 0) {
+    logger.info(`[${SERVICE_NAME}] Removed ${toDelete.length} expired ${catalogType} catalog archive(s).`);
+  }
+  return toDelete.length;
+}
+
+/**
+ * 보관된 카탈로그 파일 목록을 최신순으로 반환합니다.
+ * @param {object} [filters]
+ * @param {'full'|'segment'} [filters.catalogType]
+ * @returns {Promise<Array<{name: string, catalogType: string, path: string, sizeBytes: number, createdAt: Date}>>}
+ */
+async function listArchives({ catalogType } = {}) {
+  const archiveDir = getArchiveConfig().dir;
+  const types = catalogType ? [catalogType] : ['full', 'segment'];
+  const archives = [];
+  for (const type of types) {
+    const typeDir = path.join(archiveDir, type);
+    if (!(await fs.pathExists(typeDir))) continue;
+    for (const name of await fs.readdir(typeDir)) {
+      if (!ARCHIVE_NAME_PATTERN.test(name)) continue;
+      const filePath = path.join(typeDir, name);
+      const stat = await fs.stat(filePath);
+      archives.push({ name, catalogType: type, path: filePath, sizeBytes: stat.size, createdAt: stat.mtime });
+    }
+  }
+  return archives.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * 재실행 원본 파일 경로를 결정합니다.
+ * @param {object} source
+ * @param {string} [source.archiveName] - listArchives의 name (보관 디렉토리 내부 파일만 허용)
+ * @param {string} [source.localPath] - 임의 로컬 CSV(.csv 또는 .csv.gz) 경로
+ * @param {string[]} [source.allowedDirs] - 지정 시 localPath는 이 디렉토리 하위여야 함 (API 호출용)
+ * @returns {Promise<{sourcePath: string, catalogType: string|null, filename: string}>}
+ * @throws {ValidationError|NotFoundError}
+ */
+async function resolveReplaySource({ archiveName, localPath, allowedDirs } = {}) {
+  let sourcePath;
+  if (archiveName) {
+    if (!ARCHIVE_NAME_PATTERN.test(archiveName) || path.basename(archiveName) !== archiveName) {
+      throw new ValidationError('유효하지 않은 보관 파일 이름입니다.', [{ field: 'archiveName', message: archiveName }]);
+    }
+    const catalogType = archiveName.startsWith('full-') ? 'full' : 'segment';
+    sourcePath = path.join(getArchiveConfig().dir, catalogType, archiveName);
+  } else if (localPath) {
+    sourcePath = path.resolve(localPath);
+    if (allowedDirs && !allowedDirs.some(dir => sourcePath.startsWith(path.resolve(dir) + path.sep))) {
+      logger.warn(`[${SERVICE_NAME}] Rejected replay localPath ${sourcePath} outside allowed dirs: ${allowedDirs.join(', ')}`);
+      throw new ValidationError('허용되지 않은 경로입니다.', [{ field: 'localPath', message: 'localPath is not inside an allowed catalog directory' }]);
+    }
+  } else {
+    throw new ValidationError('archiveName 또는 localPath가 필요합니다.', [{ field: 'archiveName', message: 'archiveName or localPath is required' }]);
+  }
+
+  if (!(await fs.pathExists(sourcePath))) {
+    throw new NotFoundError('재실행할 카탈로그 파일이 없습니다.');
+  }
+  const filename = path.basename(sourcePath);
+  const typeMatch = filename.match(/^(full|segment)-/);
+  return { sourcePath, catalogType: typeMatch ? typeMatch[1] : null, filename };
+}
+
+/**
+ * 재실행 원본을 처리용 CSV 파일로 준비합니다. (.gz는 압축 해제, 평문 CSV는 복사)
+ * 처리 후 CSV가 이동/삭제되므로 원본 파일은 건드리지 않습니다.
+ * @param {string} sourcePath - resolveReplaySource 결과 경로
+ * @param {string} workDir - 작업 디렉토리 (config.tempDir)
+ * @returns {Promise<string>} 처리용 CSV 경로
+ */
+async function prepareReplayCsv(sourcePath, workDir) {
+  await fs.ensureDir(workDir);
+  const baseName = path.basename(sourcePath).replace(/\.csv(\.gz)?$/, '');
+  const csvPath = path.join(workDir, `replay-${baseName}-${Date.now()}.csv`);
+  try {
+    if (sourcePath.endsWith('.gz')) {
+      await pipeline(fs.createReadStream(sourcePath), zlib.createGunzip(), fs.createWriteStream(csvPath));
+    } else {
+      await fs.copy(sourcePath, csvPath);
+    }
+  } catch (error) {
+    await fs.remove(csvPath).catch(() => {});
+    logger.error(`[${SERVICE_NAME}] Failed to prepare replay CSV from ${sourcePath}:`, error);
+    throw new AppError('재실행용 카탈로그 파일 준비 실패', 500, 'CATALOG_REPLAY_PREPARE_FAILED', true, { message: error.message });
+  }
+  logger.info(`[${SERVICE_NAME}] Prepared replay CSV ${csvPath} from ${sourcePath}.`);
+  return csvPath;
+}
+
+module.exports = {
+  archiveCatalogFile,
+  applyRetentionPolicy,
+  listArchives,
+  resolveReplaySource,
+  prepareReplayCsv,
+};
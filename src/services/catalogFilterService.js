@@ -0,0 +1,201 @@
+// src/services/catalogFilterService.js
+// MongoDB에 저장된 카탈로그 필터 규칙(CatalogFilterRule)을 컴파일/평가하고,
+// 마지막으로 내려받은 카탈로그를 대상으로 규칙을 미리보기(preview)합니다.
+
+const path = require('path');
+const fs = require('fs-extra');
+const csv = require('csv-parser');
+const logger = require('../config/logger');
+const CatalogFilterRule = require('../models/catalogFilterRule.model');
+const { normalizeList } = require('../utils/productFingerprint');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const PREVIEW_SAMPLE_LIMIT_MAX = 200;
+
+/**
+ * 규칙 문서를 평가 가능한 형태로 컴파일합니다. (정규식 사전 생성)
+ * @param {object} rule - CatalogFilterRule 문서 또는 동일 형태의 객체.
+ * @returns {object} 컴파일된 규칙.
+ * @throws {ValidationError} 정규식이 유효하지 않은 경우.
+ */
+function compileRule(rule) {
+  const cond = rule.conditions || {};
+  let keywordRegExp = null;
+  if (cond.keywordRegex) {
+    try {
+      keywordRegExp = new RegExp(cond.keywordRegex, cond.keywordRegexFlags ?? 'i');
+    } catch (error) {
+      throw new ValidationError('keywordRegex가 유효한 정규식이 아닙니다.', [{ field: 'conditions.keywordRegex', message: error.message }]);
+    }
+  }
+  return {
+    id: rule._id ? String(rule._id) : null,
+    name: rule.name,
+    effect: rule.effect,
+    priority: rule.priority ?? 100,
+    categoryIds: cond.categoryIds?.length ? cond.categoryIds.map(String) : null,
+    brandIds: cond.brandIds?.length ? cond.brandIds.map(String) : null,
+    sellerUids: cond.sellerUids?.length ? cond.sellerUids.map(String) : null,
+    minPriceKrw: cond.minPriceKrw ?? null,
+    maxPriceKrw: cond.maxPriceKrw ?? null,
+    conditions: cond.conditions?.length ? cond.conditions.map(c => String(c).toUpperCase()) : null,
+    keywordRegExp,
+    minImageCount: cond.minImageCount ?? null,
+    maxImageCount: cond.maxImageCount ?? null,
+  };
+}
+
+/**
+ * 컴파일된 규칙 하나가 상품에 매칭되는지 확인합니다. 지정된 모든 조건을 만족해야 매칭됩니다.
+ * @param {object} compiled - compileRule 결과.
+ * @param {object} product - catalogService.processCatalogRow 결과 객체.
+ * @returns {boolean}
+ */
+function ruleMatchesProduct(compiled, product) {
+  const categoryId = String(product.categoryId || '');
+  if (compiled.categoryIds && !compiled.categoryIds.some(id => categoryId.startsWith(id))) return false;
+  if (compiled.brandIds && !compiled.brandIds.includes(String(product.brandId || ''))) return false;
+  if (compiled.sellerUids && !compiled.sellerUids.includes(String(product.uid || ''))) return false;
+  if (compiled.minPriceKrw !== null && !(product.price >= compiled.minPriceKrw)) return false;
+  if (compiled.maxPriceKrw !== null && !(product.price <= compiled.maxPriceKrw)) return false;
+  if (compiled.conditions && !compiled.conditions.includes(String(product.condition || '').toUpperCase())) return false;
+  if (compiled.keywordRegExp) {
+    compiled.keywordRegExp.lastIndex = 0;
+    const text = `${product.name || ''}\n${product.description || ''}`;
+    if (!compiled.keywordRegExp.test(text)) return false;
+  }
+  if (compiled.minImageCount !== null || compiled.maxImageCount !== null) {
+    const imageCount = normalizeList(product.images).length;
+    if (compiled.minImageCount !== null && imageCount < compiled.minImageCount) return false;
+    if (compiled.maxImageCount !== null && imageCount > compiled.maxImageCount) return false;
+  }
+  return true;
+}
+
+/**
+ * 활성화된 필터 규칙을 불러와 컴파일합니다. 카탈로그 실행마다 한 번 호출합니다.
+ * @returns {Promise<{include: object[], exclude: object[]}>} 우선순위 순으로 정렬된 규칙 세트.
+ */
+async function loadActiveRuleSet() {
+  const rules = await CatalogFilterRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  const ruleSet = { include: [], exclude: [] };
+  for (const rule of rules) {
+    try {
+      ruleSet[rule.effect].push(compileRule(rule));
+    } catch (error) {
+      // 잘못 저장된 규칙 하나 때문에 카탈로그 전체가 멈추지 않도록 건너뜀
+      logger.error(`[CatalogFilterSvc] Skipping invalid filter rule "${rule.name}" (${rule._id}): ${error.message}`);
+    }
+  }
+  logger.info(`[CatalogFilterSvc] Loaded ${ruleSet.include.length} include / ${ruleSet.exclude.length} exclude catalog filter rules.`);
+  return ruleSet;
+}
+
+/**
+ * 규칙 세트로 상품의 가져오기 허용 여부를 평가합니다.
+ * exclude 규칙이 우선하며, include 규칙이 하나라도 있으면 그 중 하나에 매칭되어야 허용됩니다.
+ * @param {object} product - catalogService.processCatalogRow 결과 객체.
+ * @param {{include: object[], exclude: object[]}} ruleSet - loadActiveRuleSet 결과.
+ * @returns {{allowed: boolean, ruleId: string|null, ruleName: string|null, reason: string}}
+ */
+function evaluateProduct(product, ruleSet) {
+  const excludedBy = ruleSet.exclude.find(rule => ruleMatchesProduct(rule, product));
+  if (excludedBy) {
+    return { allowed: false, ruleId: excludedBy.id, ruleName: excludedBy.name, reason: 'EXCLUDED_BY_RULE' };
+  }
+  if (ruleSet.include.length > 0) {
+    const includedBy = ruleSet.include.find(rule => ruleMatchesProduct(rule, product));
+    if (!includedBy) {
+      return { allowed: false, ruleId: null, ruleName: null, reason: 'NOT_MATCHED_BY_INCLUDE_RULES' };
+    }
+    return { allowed: true, ruleId: includedBy.id, ruleName: includedBy.name, reason: 'INCLUDED_BY_RULE' };
+  }
+  return { allowed: true, ruleId: null, ruleName: null, reason: 'NO_RULES' };
+}
+
+/**
+ * 규칙 하나(저장된 규칙 또는 저장 전 규칙 정의)를 마지막으로 내려받은 카탈로그에 적용해 봅니다.
+ * 현재 활성 규칙 세트에 이 규칙을 반영했을 때의 전체 가져오기 결과도 함께 계산합니다.
+ * @param {object} ruleDefinition - CatalogFilterRule 형태의 객체.
+ * @param {object} options
+ * @param {string} options.csvPath - 미리보기 대상 CSV 경로 (catalogService.getLatestCatalogCsvPath).
+ * @param {function(object, number): object|null} options.rowProcessor - catalogService.processCatalogRow.
+ * @param {number} [options.sampleLimit=20] - 반환할 매칭 상품 샘플 수.
+ * @returns {Promise<object>} 미리보기 결과.
+ */
+async function previewRule(ruleDefinition, { csvPath, rowProcessor, sampleLimit = 20 }) {
+  if (!csvPath || !(await fs.pathExists(csvPath))) {
+    throw new NotFoundError('미리보기할 카탈로그 파일이 없습니다. 카탈로그 동기화를 먼저 실행하세요.');
+  }
+
+  const compiled = compileRule(ruleDefinition);
+  const activeRuleSet = await loadActiveRuleSet();
+  // 저장된 규칙을 수정하는 경우 기존 버전을 대체하여 평가
+  const withRule = {
+    include: activeRuleSet.include.filter(r => !compiled.id || r.id !== compiled.id),
+    exclude: activeRuleSet.exclude.filter(r => !compiled.id || r.id !== compiled.id),
+  };
+  if (ruleDefinition.enabled !== false) {
+    withRule[compiled.effect] = [...withRule[compiled.effect], compiled].sort((a, b) => a.priority - b.priority);
+  }
+
+  const limit = Math.min(Math.max(1, sampleLimit), PREVIEW_SAMPLE_LIMIT_MAX);
+  const result = {
+    catalogFile: path.basename(csvPath), // 서버 경로는 노출하지 않음
+    rule: { id: compiled.id, name: compiled.name, effect: compiled.effect },
+    totalRows: 0,
+    validProducts: 0,
+    matchedByRule: 0,
+    allowedBefore: 0,
+    allowedAfter: 0,
+    samples: [],
+  };
+
+  let rowNumber = 0;
+  const source = fs.createReadStream(csvPath);
+  const parser = csv();
+  source.on('error', (error) => parser.destroy(error));
+  source.pipe(parser);
+
+  try {
+    for await (const row of parser) {
+      rowNumber++;
+      const product = rowProcessor(row, rowNumber);
+      if (!product) continue;
+      result.validProducts++;
+
+      if (evaluateProduct(product, activeRuleSet).allowed) result.allowedBefore++;
+      if (evaluateProduct(product, withRule).allowed) result.allowedAfter++;
+
+      if (ruleMatchesProduct(compiled, product)) {
+        result.matchedByRule++;
+        if (result.samples.length < limit) {
+          result.samples.push({
+            pid: product.pid,
+            name: product.name,
+            priceKrw: product.price,
+            categoryId: product.categoryId,
+            brandId: product.brandId,
+            sellerUid: product.uid,
+            condition: product.condition,
+            imageCount: normalizeList(product.images).length,
+          });
+        }
+      }
+    }
+  } catch (error) {
+    logger.error(`[CatalogFilterSvc] Error reading catalog file ${csvPath} for rule preview:`, error);
+    throw new AppError('카탈로그 미리보기 중 CSV 파싱 오류', 500, 'CSV_PARSE_ERROR', true, { message: error.message });
+  }
+
+  result.totalRows = rowNumber;
+  return result;
+}
+
+module.exports = {
+  compileRule,
+  ruleMatchesProduct,
+  loadActiveRuleSet,
+  evaluateProduct,
+  previewRule,
+};
@@ -0,0 +1,196 @@
+// src/services/catalogQuarantineService.js
+// 행 스키마 검증에 실패한 카탈로그 행의 격리(quarantine) 저장, 조회, 재처리/폐기
+
+const config = require('../config');
+const logger = require('../config/logger');
+const QuarantinedCatalogRow = require('../models/quarantinedCatalogRow.model');
+const { loadActiveRuleSet, evaluateProduct } = require('./catalogFilterService');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const QUARANTINE_FLUSH_BATCH_SIZE = 200;
+
+/**
+ * 카탈로그 실행 중 거부된 행을 모아 일괄 저장하는 객체를 만듭니다.
+ * 실행당 저장 행 수는 config.bunjang.catalogQuarantineMaxRowsPerRun으로 제한합니다.
+ * (번개장터 컬럼명이 바뀌면 모든 행이 거부되므로, 원인 파악에 충분한 만큼만 보관)
+ * @param {object} params
+ * @param {object|null} params.run - catalogRunService.startRun 결과 (null이면 저장하지 않음)
+ * @param {string} params.catalogType
+ * @param {number} [params.alreadyQuarantined=0] - 재개 시 이전 시도에서 이미 격리한 행 수
+ * @returns {{add: function(number, object, string, Array<object>): boolean, flush: function(): Promise<void>}}
+ */
+function createQuarantineWriter({ run, catalogType, alreadyQuarantined = 0 }) {
+  const maxRows = config.bunjang?.catalogQuarantineMaxRowsPerRun || 5000;
+  let acceptedCount = alreadyQuarantined;
+  let pending = [];
+  let capLogged = false;
+
+  const flush = async () => {
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    try {
+      // 재개 시 같은 행이 다시 거부되어도 중복 저장되지 않도록 (runId, rowNumber) 기준 upsert
+      await QuarantinedCatalogRow.bulkWrite(batch.map(doc => ({
+        updateOne: {
+          filter: { runId: doc.runId, rowNumber: doc.rowNumber },
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      })), { ordered: false });
+    } catch (error) {
+      logger.error(`[CatalogQuarantineSvc] Failed to save ${batch.length} quarantined rows for catalog run ${run?._id}: ${error.message}`);
+    }
+  };
+
+  return {
+    /**
+     * 거부된 행을 격리 대상으로 추가합니다.
+     * @returns {boolean} 저장 대상으로 받아들였는지 여부 (실행당 상한 초과 시 false)
+     */
+    add(rowNumber, row, reason, errors = []) {
+      if (!run) return false;
+      if (acceptedCount >= maxRows) {
+        if (!capLogged) {
+          capLogged = true;
+          logger.warn(`[CatalogQuarantineSvc] Quarantine cap (${maxRows} rows) reached for catalog run ${run._id}. Further rejected rows are only counted.`);
+        }
+        return false;
+      }
+      acceptedCount++;
+      pending.push({
+        runId: run._id,
+        catalogType,
+        rowNumber,
+        bunjangPid: row.pid ? String(row.pid).trim() : undefined,
+        rawRow: { ...row },
+        reason,
+        validationErrors: errors,
+      });
+      if (pending.length >= QUARANTINE_FLUSH_BATCH_SIZE) {
+        flush().catch(() => {});
+      }
+      return true;
+    },
+    flush,
+  };
+}
+
+/**
+ * 격리된 행 목록을 최신순으로 조회합니다. (원본 행은 상세 조회에서만 반환)
+ * @param {object} [filters] - { runId, status, reason, pid, limit, skip }
+ * @returns {Promise<{total: number, rows: Array<object>}>}
+ */
+async function listQuarantinedRows({ runId, status, reason, pid, limit = 50, skip = 0 } = {}) {
+  const filter = {};
+  if (runId) filter.runId = runId;
+  if (status) filter.status = status;
+  if (reason) filter.reason = reason;
+  if (pid) filter.bunjangPid = String(pid);
+  const [total, rows] = await Promise.all([
+    QuarantinedCatalogRow.countDocuments(filter),
+    QuarantinedCatalogRow.find(filter).sort({ createdAt: -1, rowNumber: 1 }).skip(skip).limit(limit).select('-rawRow -lastReprocessResult').lean(),
+  ]);
+  return { total, rows };
+}
+
+/**
+ * 격리된 행 하나를 조회합니다.
+ * @param {string} rowId
+ * @returns {Promise<object>}
+ * @throws {NotFoundError}
+ */
+async function getQuarantinedRow(rowId) {
+  const row = await QuarantinedCatalogRow.findById(rowId).lean();
+  if (!row) throw new NotFoundError('격리된 카탈로그 행을 찾을 수 없습니다.', 'QuarantinedCatalogRow', rowId);
+  return row;
+}
+
+async function getOpenQuarantinedRow(rowId) {
+  const row = await getQuarantinedRow(rowId);
+  if (row.status !== 'QUARANTINED') {
+    throw new AppError(`이미 처리된 격리 행입니다. (상태: ${row.status})`, 409, 'QUARANTINED_ROW_ALREADY_RESOLVED', true, { rowId, status: row.status });
+  }
+  return row;
+}
+
+/**
+ * 격리된 행을 다시 검증하고 Shopify로 동기화합니다.
+ * rowOverrides로 잘못된 컬럼 값을 고쳐서 재처리할 수 있으며, 고친 값은 원본 행과 함께 저장됩니다.
+ * catalogService를 직접 참조하면 순환 참조가 되므로 행 처리/동기화 함수는 호출 측에서 넘겨받습니다.
+ * @param {string} rowId
+ * @param {object} options
+ * @param {function(object, number, function): object|null} options.rowProcessor - catalogService.processCatalogRow
+ * @param {function(object, string): Promise<object>} options.syncProduct - catalogService.syncBunjangProductToShopify
+ * @param {object} [options.rowOverrides] - 원본 행에 덮어쓸 컬럼 값 (CSV 컬럼명 기준)
+ * @param {string} [options.resolvedBy]
+ * @returns {Promise<{row: object, result: object}>}
+ * @throws {NotFoundError|AppError|ValidationError}
+ */
+async function reprocessQuarantinedRow(rowId, { rowProcessor, syncProduct, rowOverrides = {}, resolvedBy } = {}) {
+  const quarantined = await getOpenQuarantinedRow(rowId);
+  const row = { ...quarantined.rawRow, ...rowOverrides };
+  const logPrefix = `[CatalogQuarantineSvc] Row ${rowId} (run ${quarantined.runId}, row #${quarantined.rowNumber})`;
+
+  let skipReason = null;
+  let validationErrors = [];
+  const bunjangProduct = rowProcessor(row, quarantined.rowNumber, (reason, errors) => {
+    skipReason = reason;
+    validationErrors = errors || [];
+  });
+  const attemptUpdate = {
+    $inc: { reprocessAttempts: 1 },
+    $set: { lastReprocessedAt: new Date(), ...(Object.keys(rowOverrides).length > 0 && { rawRow: row }) },
+  };
+
+  if (!bunjangProduct) {
+    attemptUpdate.$set.lastReprocessResult = { status: 'rejected', reason: skipReason, validationErrors };
+    await QuarantinedCatalogRow.updateOne({ _id: quarantined._id }, attemptUpdate);
+    logger.info(`${logPrefix} still rejected on reprocess: ${skipReason}`);
+    if (validationErrors.length > 0) {
+      throw new ValidationError('격리된 행이 여전히 행 스키마 검증에 실패합니다.', validationErrors.map(error => ({
+        field: error.field, message: error.message, code: error.code, value: error.value,
+      })));
+    }
+    throw new AppError(`재처리 대상이 아닌 행입니다. (${skipReason})`, 422, 'QUARANTINED_ROW_NOT_SYNCABLE', true, { rowId, reason: skipReason });
+  }
+
+  const filterDecision = evaluateProduct(bunjangProduct, await loadActiveRuleSet());
+  let result;
+  if (!filterDecision.allowed) {
+    result = { status: 'skipped_filter', reason: filterDecision.reason, ruleName: filterDecision.ruleName };
+  } else {
+    result = await syncProduct(bunjangProduct, `quarantine-${rowId}`);
+  }
+  attemptUpdate.$set.lastReprocessResult = result;
+  if (result?.status !== 'error') {
+    attemptUpdate.$set.status = 'REPROCESSED';
+    if (resolvedBy) attemptUpdate.$set.resolvedBy = resolvedBy;
+  }
+  const updated = await QuarantinedCatalogRow.findByIdAndUpdate(quarantined._id, attemptUpdate, { new: true }).lean();
+  logger.info(`${logPrefix} reprocessed (PID ${bunjangProduct.pid}): ${result?.status}`);
+  return { row: updated, result };
+}
+
+/**
+ * 격리된 행을 재처리하지 않고 폐기 처리합니다.
+ * @param {string} rowId
+ * @param {string} [resolvedBy]
+ * @returns {Promise<object>}
+ */
+async function discardQuarantinedRow(rowId, resolvedBy) {
+  const quarantined = await getOpenQuarantinedRow(rowId);
+  const updated = await QuarantinedCatalogRow.findByIdAndUpdate(quarantined._id, {
+    $set: { status: 'DISCARDED', ...(resolvedBy && { resolvedBy }) },
+  }, { new: true }).lean();
+  logger.info(`[CatalogQuarantineSvc] Row ${rowId} (run ${quarantined.runId}, row #${quarantined.rowNumber}) discarded.`);
+  return updated;
+}
+
+module.exports = {
+  createQuarantineWriter,
+  listQuarantinedRows,
+  getQuarantinedRow,
+  reprocessQuarantinedRow,
+  discardQuarantinedRow,
+};
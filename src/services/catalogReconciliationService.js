@@ -0,0 +1,166 @@
+// src/services/catalogReconciliationService.js
+// 전체(full) 카탈로그 처리 후, 카탈로그에서 사라졌거나 SELLING 상태가 아닌 상품을
+// Shopify에서 내리는(delist) 정합성 점검 로직
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { AppError } = require('../utils/customErrors');
+
+const BUNJANG_WAREHOUSE_GID = 'gid://shopify/Location/82604261625';
+const RECONCILE_ACTIONS = ['draft', 'archive', 'zero_inventory', 'delete'];
+const MAX_REPORT_ITEMS = 500;
+
+/**
+ * Shopify 상품의 모든 variant 재고를 0으로 설정합니다.
+ * @param {string} shopifyGid - Shopify 상품 GID
+ */
+async function zeroProductInventory(shopifyGid) {
+  const query = `
+    query getProductInventoryItems($id: ID!) {
+      product(id: $id) {
+        id
+        variants(first: 100) {
+          edges { node { id inventoryItem { id } } }
+        }
+      }
+    }`;
+  const response = await shopifyService.shopifyGraphqlRequest(query, { id: shopifyGid });
+  const variants = response.data?.product?.variants?.edges || [];
+  for (const edge of variants) {
+    const inventoryItemId = edge.node.inventoryItem?.id;
+    if (inventoryItemId) {
+      await shopifyService.setInventoryQuantity(inventoryItemId, BUNJANG_WAREHOUSE_GID, 0);
+    }
+  }
+}
+
+/**
+ * 한 상품에 대해 설정된 delist 액션을 수행하고 SyncedProduct를 갱신합니다.
+ * @param {object} doc - SyncedProduct 문서 (lean)
+ * @param {string} action - RECONCILE_ACTIONS 중 하나
+ * @param {string} reason - 'MISSING_FROM_CATALOG' | 'NOT_SELLING'
+ */
+async function applyDelistAction(doc, action, reason) {
+  const now = new Date();
+  const $set = { delistedAt: now, delistReason: reason, delistAction: action };
+  const update = { $set };
+
+  switch (action) {
+    case 'draft':
+      await shopifyService.updateProduct({ id: doc.shopifyGid, status: 'DRAFT' });
+      $set.shopifyStatus = 'DRAFT';
+      break;
+    case 'archive':
+      await shopifyService.updateProduct({ id: doc.shopifyGid, status: 'ARCHIVED' });
+      $set.shopifyStatus = 'ARCHIVED';
+      break;
+    case 'zero_inventory':
+      await zeroProductInventory(doc.shopifyGid);
+      $set.bunjangQuantity = 0;
+      break;
+    case 'delete':
+      await shopifyService.deleteProduct(doc.shopifyGid);
+      update.$unset = { shopifyGid: '', shopifyProductId: '', shopifyHandle: '' };
+      break;
+    default:
+      throw new AppError(`지원하지 않는 정합성 점검 액션입니다: ${action}`, 400, 'INVALID_RECONCILE_ACTION');
+  }
+
+  await SyncedProduct.updateOne({ _id: doc._id }, update);
+}
+
+/**
+ * 전체 카탈로그의 SELLING PID 집합과 Shopify에 동기화된 상품을 비교하여
+ * 사라진 상품에 대해 설정된 액션을 수행합니다.
+ * @param {object} catalogSnapshot
+ * @param {Set<string>} catalogSnapshot.sellingPids - 이번 전체 카탈로그에서 SELLING 상태인 PID 집합
+ * @param {Set<string>} catalogSnapshot.notSellingPids - 카탈로그에 있지만 SELLING이 아닌 PID 집합
+ * @param {object} [options]
+ * @param {string} [options.action] - 'draft' | 'archive' | 'zero_inventory' | 'delete' (기본값: 설정값)
+ * @param {boolean} [options.dryRun] - true면 실제 변경 없이 보고서만 생성 (기본값: 설정값)
+ * @param {string} [options.jobId] - 로그용 Job ID
+ * @returns {Promise<object>} 정합성 점검 보고서
+ */
+async function reconcileDelistedProducts({ sellingPids, notSellingPids = new Set() }, options = {}) {
+  const reconcileConfig = config.bunjang.reconciliation;
+  const action = options.action || reconcileConfig.action;
+  const dryRun = options.dryRun ?? reconcileConfig.dryRun;
+  const logPrefix = `[CatalogReconcile:Job-${options.jobId || 'N/A'}]`;
+
+  if (!RECONCILE_ACTIONS.includes(action)) {
+    throw new AppError(`지원하지 않는 정합성 점검 액션입니다: ${action}`, 400, 'INVALID_RECONCILE_ACTION');
+  }
+
+  const report = {
+    action,
+    dryRun,
+    catalogSellingCount: sellingPids.size,
+    checkedCount: 0,
+    candidateCount: 0,
+    delistedCount: 0,
+    errorCount: 0,
+    aborted: false,
+    abortReason: null,
+    items: [],
+  };
+
+  if (sellingPids.size === 0) {
+    report.aborted = true;
+    report.abortReason = 'Catalog contained no SELLING products; refusing to delist everything.';
+    logger.warn(`${logPrefix} ${report.abortReason}`);
+    return report;
+  }
+
+  // 1단계: 후보 수집 (커서로 순회하여 전체 문서를 메모리에 올리지 않음)
+  const candidates = [];
+  const cursor = SyncedProduct.find({
+    syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] },
+    shopifyGid: { $exists: true, $ne: null },
+    delistedAt: null,
+  }).select('_id bunjangPid shopifyGid bunjangProductName').lean().cursor();
+
+  for await (const doc of cursor) {
+    report.checkedCount++;
+    if (sellingPids.has(doc.bunjangPid)) continue;
+    const reason = notSellingPids.has(doc.bunjangPid) ? 'NOT_SELLING' : 'MISSING_FROM_CATALOG';
+    candidates.push({ _id: doc._id, bunjangPid: doc.bunjangPid, shopifyGid: doc.shopifyGid, name: doc.bunjangProductName, reason });
+  }
+  report.candidateCount = candidates.length;
+
+  const delistRatio = report.checkedCount > 0 ? candidates.length / report.checkedCount : 0;
+  if (!dryRun && delistRatio > reconcileConfig.maxDelistRatio) {
+    report.aborted = true;
+    report.abortReason = `Delist ratio ${(delistRatio * 100).toFixed(1)}% exceeds safety limit ${(reconcileConfig.maxDelistRatio * 100).toFixed(1)}%.`;
+    logger.error(`${logPrefix} ${report.abortReason} No products were changed.`);
+  }
+
+  // 2단계: 액션 수행 (dry-run 또는 중단 시 보고서만 작성)
+  for (const candidate of candidates) {
+    const item = { bunjangPid: candidate.bunjangPid, shopifyGid: candidate.shopifyGid, name: candidate.name, reason: candidate.reason, result: 'would_' + action };
+
+    if (!dryRun && !report.aborted) {
+      try {
+        await applyDelistAction(candidate, action, candidate.reason);
+        report.delistedCount++;
+        item.result = action;
+      } catch (error) {
+        report.errorCount++;
+        item.result = 'error';
+        item.error = error.message;
+        logger.error(`${logPrefix} Failed to ${action} product ${candidate.shopifyGid} (PID ${candidate.bunjangPid}): ${error.message}`);
+      }
+    }
+
+    if (report.items.length < MAX_REPORT_ITEMS) report.items.push(item);
+  }
+
+  logger.info(`${logPrefix} Reconciliation finished. Action: ${action}, DryRun: ${dryRun}, Checked: ${report.checkedCount}, Candidates: ${report.candidateCount}, Delisted: ${report.delistedCount}, Errors: ${report.errorCount}, Aborted: ${report.aborted}`);
+  return report;
+}
+
+module.exports = {
+  reconcileDelistedProducts,
+  RECONCILE_ACTIONS,
+};
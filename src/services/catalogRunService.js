@@ -0,0 +1,298 @@
+// src/services/catalogRunService.js
+// 카탈로그 가져오기 실행(CatalogRun) 기록 및 조회, 이전 실행과의 비교
+
+const fs = require('fs-extra');
+const config = require('../config');
+const logger = require('../config/logger');
+const CatalogRun = require('../models/catalogRun.model');
+const { sendAlert } = require('./notificationService');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const TOP_ERROR_LIMIT = 10;
+const MAX_TRACKED_ERROR_MESSAGES = 200;
+const MAX_ERROR_SAMPLE_PIDS = 5;
+const COUNT_FIELDS = [
+  'totalRows', 'validProducts', 'notSelling', 'invalidPrice', 'missingData', 'quarantined', 'filtered',
+  'created', 'updated', 'priceUpdated', 'skippedNoChange', 'errored',
+];
+
+/**
+ * 한 번의 카탈로그 실행 동안 행 결과를 집계하는 객체를 만듭니다.
+ * @param {object} [initial] - 재개 시 이어서 집계할 기존 실행 값 ({ counts, topErrors })
+ * @returns {{counts: object, recordError: function(string, string=): void, getTopErrors: function(): Array<object>}}
+ */
+function createRunStats(initial = {}) {
+  const counts = Object.fromEntries(COUNT_FIELDS.map(field => [field, initial.counts?.[field] || 0]));
+  const errorMessages = new Map((initial.topErrors || []).map(entry => [entry.message, { ...entry, samplePids: [...(entry.samplePids || [])] }]));
+
+  return {
+    counts,
+    /**
+     * 오류 메시지를 집계합니다. 메시지 종류가 너무 많으면 새 메시지는 '(other)'로 묶습니다.
+     */
+    recordError(message, pid) {
+      let key = String(message || 'Unknown error').substring(0, 255);
+      if (!errorMessages.has(key) && errorMessages.size >= MAX_TRACKED_ERROR_MESSAGES) key = '(other)';
+      const entry = errorMessages.get(key) || { message: key, count: 0, samplePids: [] };
+      entry.count++;
+      if (pid && entry.samplePids.length < MAX_ERROR_SAMPLE_PIDS) entry.samplePids.push(String(pid));
+      errorMessages.set(key, entry);
+    },
+    getTopErrors() {
+      return [...errorMessages.values()].sort((a, b) => b.count - a.count).slice(0, TOP_ERROR_LIMIT);
+    },
+  };
+}
+
+/**
+ * 실행 기록을 RUNNING 상태로 생성합니다. 기록 실패가 카탈로그 처리를 막지 않도록 오류는 로그만 남깁니다.
+ * @param {object} data - { catalogType, jobId, triggeredBy, filename, sourceType, sourcePath, dryRun }
+ * @returns {Promise<object|null>} 생성된 CatalogRun 문서 (실패 시 null)
+ */
+async function startRun({ catalogType, jobId, triggeredBy, filename, sourceType, sourcePath, dryRun }) {
+  try {
+    return await CatalogRun.create({ catalogType, jobId, triggeredBy, filename, sourceType, sourcePath, dryRun, status: 'RUNNING', startedAt: new Date() });
+  } catch (error) {
+    logger.error(`[CatalogRunSvc] Failed to create catalog run record (Job: ${jobId}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 실행에 보관된 카탈로그 파일 경로를 기록합니다.
+ * @param {object|null} run - startRun 결과
+ * @param {string} archivePath
+ */
+async function setRunArchivePath(run, archivePath) {
+  if (!run) return;
+  await CatalogRun.updateOne({ _id: run._id }, { $set: { archivePath } }).catch(error => {
+    logger.warn(`[CatalogRunSvc] Failed to record archive path for catalog run ${run._id}: ${error.message}`);
+  });
+}
+
+/**
+ * 진행 중인 실행의 집계와 체크포인트를 함께 저장합니다. (재개 시 집계가 체크포인트와 일치하도록 같은 시점의 값을 저장)
+ * @param {object|null} run - startRun 결과
+ * @param {object} stats - createRunStats 결과
+ * @param {object} [checkpoint] - { rowOffset, processedPids, csvPath }
+ */
+async function saveRunProgress(run, stats, checkpoint) {
+  if (!run) return;
+  const update = { counts: { ...stats.counts }, topErrors: stats.getTopErrors() };
+  if (checkpoint) update.checkpoint = { ...checkpoint, savedAt: new Date() };
+  try {
+    await CatalogRun.updateOne({ _id: run._id }, { $set: update });
+  } catch (error) {
+    logger.warn(`[CatalogRunSvc] Failed to save progress for catalog run ${run._id}: ${error.message}`);
+  }
+}
+
+/**
+ * 실행을 완료(COMPLETED) 또는 실패(FAILED)로 마감합니다.
+ * @param {object|null} run - startRun 결과
+ * @param {object} stats - createRunStats 결과
+ * @param {object} [result]
+ * @param {object} [result.reconciliation] - 정합성 점검 결과 (items 목록은 저장하지 않음)
+ * @param {Error} [result.error] - 실행 실패 원인
+ */
+async function finishRun(run, stats, { reconciliation, error } = {}) {
+  if (!run) return;
+  const finishedAt = new Date();
+  const update = {
+    status: error ? 'FAILED' : 'COMPLETED',
+    finishedAt,
+    durationMs: finishedAt - run.startedAt,
+    counts: { ...stats.counts },
+    topErrors: stats.getTopErrors(),
+  };
+  if (reconciliation) {
+    const { items, ...reconciliationSummary } = reconciliation;
+    update.reconciliation = reconciliationSummary;
+  }
+  if (error) update.errorMessage = String(error.message || error).substring(0, 2000);
+
+  try {
+    // 완료된 실행은 재개할 일이 없으므로 체크포인트를 지움 (실패 시에는 재개용으로 유지)
+    await CatalogRun.updateOne({ _id: run._id }, error ? { $set: update } : { $set: update, $unset: { checkpoint: '' } });
+  } catch (updateError) {
+    logger.error(`[CatalogRunSvc] Failed to finalize catalog run ${run._id}: ${updateError.message}`);
+  }
+
+  if (!error) {
+    await checkRejectionRate(run, stats.counts).catch(checkError => {
+      logger.warn(`[CatalogRunSvc] Failed to check rejection rate for catalog run ${run._id}: ${checkError.message}`);
+    });
+  }
+}
+
+/**
+ * 행 스키마 검증 거부율을 계산합니다. 판매중이 아닌 행은 검증 대상이 아니므로 분모에서 제외합니다.
+ * @param {object} counts
+ * @returns {number|null} 0~1 비율, 검증 대상 행이 없으면 null
+ */
+function computeRejectionRate(counts) {
+  const checkedRows = (counts.totalRows || 0) - (counts.notSelling || 0);
+  if (checkedRows <= 0) return null;
+  return Number((((counts.invalidPrice || 0) + (counts.missingData || 0)) / checkedRows).toFixed(4));
+}
+
+/**
+ * 완료된 실행의 거부율을 기록하고, 급증했으면 알림을 보냅니다.
+ * 번개장터가 컬럼명을 바꾸면 모든 행이 거부되어 "오늘은 상품 0개"처럼 보이므로,
+ * 거부율 임계값 초과 / 직전 실행 대비 급증 / 유효 상품 0개를 각각 알림 사유로 봅니다.
+ * @param {object} run - startRun 결과
+ * @param {object} counts - 최종 집계
+ */
+async function checkRejectionRate(run, counts) {
+  const thresholds = config.notifications?.thresholds || {};
+  const rejectionRate = computeRejectionRate(counts);
+  if (rejectionRate === null) return;
+
+  const checkedRows = counts.totalRows - counts.notSelling;
+  let reason = null;
+  if (counts.validProducts === 0) {
+    reason = `No valid products out of ${checkedRows} selling rows`;
+  } else if (checkedRows >= (thresholds.catalogRejectionMinRows || 0)) {
+    const previousRun = await CatalogRun.findOne({
+      _id: { $ne: run._id },
+      catalogType: run.catalogType,
+      status: 'COMPLETED',
+      dryRun: { $ne: true },
+      rejectionRate: { $ne: null },
+      startedAt: { $lt: run.startedAt },
+    }).sort({ startedAt: -1 }).select('rejectionRate').lean();
+
+    if (rejectionRate > thresholds.catalogRejectionRate) {
+      reason = `Rejection rate ${(rejectionRate * 100).toFixed(1)}% exceeds ${(thresholds.catalogRejectionRate * 100).toFixed(1)}%`;
+    } else if (previousRun?.rejectionRate > 0 && rejectionRate >= previousRun.rejectionRate * thresholds.catalogRejectionSpikeFactor) {
+      reason = `Rejection rate ${(rejectionRate * 100).toFixed(1)}% is ${thresholds.catalogRejectionSpikeFactor}x+ the previous run (${(previousRun.rejectionRate * 100).toFixed(1)}%)`;
+    }
+  }
+
+  const update = { rejectionRate };
+  // 드라이런 재실행은 매핑 테스트용이므로 알림을 보내지 않음
+  if (reason && !run.dryRun) {
+    await sendAlert({
+      title: `Bunjang ${run.catalogType} catalog rows rejected`,
+      message: `${reason}. Check the catalog CSV columns and the quarantined rows.`,
+      severity: counts.validProducts === 0 ? 'critical' : 'warning',
+      details: {
+        runId: String(run._id),
+        filename: run.filename,
+        totalRows: counts.totalRows,
+        invalidPrice: counts.invalidPrice,
+        missingData: counts.missingData,
+        validProducts: counts.validProducts,
+      },
+    });
+    update.rejectionAlert = { sentAt: new Date(), reason };
+  }
+  await CatalogRun.updateOne({ _id: run._id }, { $set: update });
+}
+
+/**
+ * 재개 가능한 실행을 조회합니다.
+ * 완료되지 않았고, 체크포인트의 CSV 파일이 남아 있어야 합니다.
+ * @param {string} runId
+ * @param {object} [options]
+ * @param {boolean} [options.allowActive=false] - true면 최근에 체크포인트가 갱신된 RUNNING 실행도 허용 (같은 Job 재시도)
+ * @returns {Promise<object>} CatalogRun (lean)
+ * @throws {NotFoundError|AppError}
+ */
+async function getResumableRun(runId, { allowActive = false } = {}) {
+  const run = await CatalogRun.findById(runId).select('-checkpoint.csvPath').lean(); // 서버 경로는 API로 노출하지 않음
+  if (!run) throw new NotFoundError('카탈로그 실행 기록을 찾을 수 없습니다.', 'CatalogRun', runId);
+  if (run.status === 'COMPLETED') {
+    throw new AppError('이미 완료된 카탈로그 실행은 재개할 수 없습니다.', 409, 'CATALOG_RUN_NOT_RESUMABLE', true, { runId, status: run.status });
+  }
+  if (run.status === 'RUNNING' && !allowActive) {
+    const lastActivityAt = run.checkpoint?.savedAt || run.lastResumedAt || run.startedAt;
+    if (Date.now() - new Date(lastActivityAt).getTime() < config.bunjang.catalogRunStaleAfterMs) {
+      throw new AppError('실행이 아직 진행 중입니다. 중단된 실행만 재개할 수 있습니다.', 409, 'CATALOG_RUN_STILL_ACTIVE', true, { runId, lastActivityAt });
+    }
+  }
+  if (!run.checkpoint?.csvPath || !(await fs.pathExists(run.checkpoint.csvPath))) {
+    throw new AppError('재개할 카탈로그 CSV 파일이 없습니다. 새 실행을 시작하세요.', 409, 'CATALOG_RESUME_FILE_MISSING', true, { runId, csvPath: run.checkpoint?.csvPath || null });
+  }
+  return run;
+}
+
+/**
+ * 실행을 재개 상태(RUNNING)로 되돌립니다.
+ * @param {object} run - getResumableRun 결과
+ * @param {string} jobId - 재개하는 Job 식별자
+ * @returns {Promise<object>} 갱신된 CatalogRun (lean)
+ */
+async function markRunResumed(run, jobId) {
+  return CatalogRun.findByIdAndUpdate(run._id, {
+    $set: { status: 'RUNNING', jobId, lastResumedAt: new Date() },
+    $unset: { finishedAt: '', durationMs: '', errorMessage: '' },
+    $inc: { resumeCount: 1 },
+  }, { new: true }).lean();
+}
+
+/**
+ * 실행 목록을 최신순으로 조회합니다.
+ * @param {object} [filters] - { catalogType, status, limit, skip }
+ * @returns {Promise<{total: number, runs: Array<object>}>}
+ */
+async function listRuns({ catalogType, status, limit = 20, skip = 0 } = {}) {
+  const filter = {};
+  if (catalogType) filter.catalogType = catalogType;
+  if (status) filter.status = status;
+  const [total, runs] = await Promise.all([
+    CatalogRun.countDocuments(filter),
+    CatalogRun.find(filter).sort({ startedAt: -1 }).skip(skip).limit(limit).select('-topErrors -reconciliation -checkpoint.processedPids -checkpoint.csvPath').lean(),
+  ]);
+  return { total, runs };
+}
+
+/**
+ * 실행 하나를 조회하고, 같은 카탈로그 타입의 직전 완료 실행(드라이런 제외)과 집계를 비교합니다.
+ * @param {string} runId
+ * @returns {Promise<{run: object, previousRun: object|null, comparison: object|null}>}
+ * @throws {NotFoundError}
+ */
+async function getRunWithComparison(runId) {
+  const run = await CatalogRun.findById(runId).select('-checkpoint.csvPath').lean(); // 서버 경로는 API로 노출하지 않음
+  if (!run) throw new NotFoundError('카탈로그 실행 기록을 찾을 수 없습니다.', 'CatalogRun', runId);
+
+  const previousRun = await CatalogRun.findOne({
+    catalogType: run.catalogType,
+    status: 'COMPLETED',
+    dryRun: { $ne: true },
+    startedAt: { $lt: run.startedAt },
+  }).sort({ startedAt: -1 }).select('-topErrors -reconciliation -checkpoint').lean();
+
+  let comparison = null;
+  if (previousRun) {
+    comparison = { previousRunId: previousRun._id, counts: {} };
+    for (const field of COUNT_FIELDS) {
+      const current = run.counts?.[field] || 0;
+      const previous = previousRun.counts?.[field] || 0;
+      comparison.counts[field] = {
+        current,
+        previous,
+        delta: current - previous,
+        deltaPercent: previous > 0 ? Number((((current - previous) / previous) * 100).toFixed(1)) : null,
+      };
+    }
+    if (run.durationMs && previousRun.durationMs) {
+      comparison.durationMs = { current: run.durationMs, previous: previousRun.durationMs, delta: run.durationMs - previousRun.durationMs };
+    }
+  }
+
+  return { run, previousRun, comparison };
+}
+
+module.exports = {
+  createRunStats,
+  startRun,
+  setRunArchivePath,
+  saveRunProgress,
+  finishRun,
+  getResumableRun,
+  markRunResumed,
+  listRuns,
+  getRunWithComparison,
+};
@@ -13,11 +13,25 @@ const config = require('../config');
 const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
 const SyncedProduct = require('../models/syncedProduct.model');
-const { calculateShopifyPriceUsd } = require('./priceCalculationService');
+const { calculateShopifyPrice } = require('./priceCalculationService');
+const priceHistoryService = require('./priceHistoryService');
+const { applyPriceGuard, previewPriceGuard } = require('./priceGuardService');
+const { publishMarketPrices } = require('./marketPricingService');
+const { computeContentFingerprint, hasPriceChanged, normalizeList } = require('../utils/productFingerprint');
+const { validateCatalogRow } = require('../utils/catalogRowSchema');
+const { normalizeBunjangOptions, buildOptionSku } = require('../utils/bunjangOptions');
+const { syncProductImages } = require('./productImageService');
+const { reconcileDelistedProducts } = require('./catalogReconciliationService');
+const { loadActiveRuleSet, evaluateProduct } = require('./catalogFilterService');
+const { getActiveTaxonomy, categorizeProduct } = require('./categorizationService');
+const catalogRunService = require('./catalogRunService');
+const catalogArchiveService = require('./catalogArchiveService');
+const { createQuarantineWriter } = require('./catalogQuarantineService');
 const { AppError, ExternalServiceError } = require('../utils/customErrors');
 
 const BUNJANG_COLLECTION_GID = process.env.SHOPIFY_BUNJANG_COLLECTION_GID;
 const TEMP_DOWNLOAD_DIR = config.tempDir || './tmp_downloads';
+const DRY_RUN_SAMPLE_LIMIT = 50; // 드라이런 재실행 요약에 포함할 변환 결과 샘플 수
 
 async function generateBunjangAuthHeader() {
   if (!config.bunjang.accessKey || !config.bunjang.secretKey) {
@@ -93,30 +107,75 @@ async function downloadAndProcessFile(fileUrl, downloadDir, baseOutputFileName,
   }
 }
 
-async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor) {
-  const products = [];
+/**
+ * CSV 파일을 스트리밍으로 읽으면서 각 행을 비동기 rowProcessor로 처리합니다.
+ * 전체 행을 메모리에 모으지 않으며, 동시에 처리 중인 행이 concurrency에 도달하면
+ * 다음 행을 읽지 않고 대기하여 백프레셔를 유지합니다.
+ * @param {string} csvFilePath - 처리할 CSV 파일 경로.
+ * @param {function(object, number): Promise<any>|any} rowProcessor - (row, rowNumber)를 받는 행 처리 함수.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - 동시에 처리할 최대 행 수.
+ * @param {string} [options.logPrefix='[CatalogSvc]'] - 로그 접두사.
+ * @returns {Promise<{totalRows: number, failedRows: number}>} 읽은 데이터 행 수와 rowProcessor가 예외를 던진 행 수.
+ */
+async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const logPrefix = options.logPrefix || '[CatalogSvc]';
+  const inFlight = new Set();
   let rowNumber = 0;
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(csvFilePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        rowNumber++;
-        const processedRow = rowProcessor(row, rowNumber);
-        if (processedRow) {
-          products.push(processedRow);
-        }
-      })
-      .on('end', () => {
-        logger.info(`[CatalogSvc] Successfully parsed and processed ${products.length} products (from ${rowNumber} CSV data rows) from ${csvFilePath}`);
-        resolve({ products, totalRows: rowNumber });
-      })
-      .on('error', (error) => {
-        logger.error(`[CatalogSvc] Error parsing CSV file ${csvFilePath}:`, error);
-        reject(new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', error));
-      });
-  });
+  let failedRows = 0;
+
+  const source = fs.createReadStream(csvFilePath);
+  const parser = csv();
+  source.on('error', (error) => parser.destroy(error));
+  source.pipe(parser);
+
+  try {
+    for await (const row of parser) {
+      const currentRowNumber = ++rowNumber;
+      const task = Promise.resolve()
+        .then(() => rowProcessor(row, currentRowNumber))
+        .catch((error) => {
+          failedRows++;
+          logger.error(`${logPrefix} Row processor failed for CSV row ${currentRowNumber}:`, error);
+        })
+        .finally(() => inFlight.delete(task));
+      inFlight.add(task);
+
+      if (inFlight.size >= concurrency) {
+        // 처리 슬롯이 빌 때까지 스트림 소비를 멈춤 (for await 루프가 멈추면 파서도 일시정지됨)
+        await Promise.race(inFlight);
+      }
+    }
+  } catch (error) {
+    await Promise.allSettled(inFlight);
+    logger.error(`${logPrefix} Error parsing CSV file ${csvFilePath}:`, error);
+    throw new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', error);
+  }
+
+  await Promise.allSettled(inFlight);
+  logger.info(`${logPrefix} Finished streaming ${rowNumber} CSV data rows from ${csvFilePath} (row processor failures: ${failedRows}).`);
+  return { totalRows: rowNumber, failedRows };
+}
+
+/**
+ * 타입별로 마지막에 처리한 카탈로그 CSV의 보관 경로를 반환합니다. (필터 규칙 미리보기용)
+ * @param {'full'|'segment'} catalogType
+ * @returns {string}
+ */
+function getLatestCatalogCsvPath(catalogType) {
+  return path.join(TEMP_DOWNLOAD_DIR, `latest-${catalogType}.csv`);
 }
 
+// processCatalogRow가 행을 건너뛰는 사유 (실행 통계 집계용)
+// INVALID_PRICE/MISSING_DATA는 행 스키마 검증 실패로, 해당 행은 격리(quarantine) 대상입니다.
+const CATALOG_ROW_SKIP_REASONS = Object.freeze({
+  NOT_SELLING: 'NOT_SELLING',
+  INVALID_PRICE: 'INVALID_PRICE', // 가격 필드 검증 실패
+  MISSING_DATA: 'MISSING_DATA', // 그 외 필수 필드 누락/형식 오류
+  CATEGORY_FILTER: 'CATEGORY_FILTER',
+});
+
 function generateBunjangCatalogFilename(type, date = new Date()) {
   const year = date.getFullYear();
   const month = (date.getMonth() + 1).toString().padStart(2, '0');
@@ -130,96 +189,78 @@ function generateBunjangCatalogFilename(type, date = new Date()) {
   throw new AppError('유효하지 않은 카탈로그 타입입니다.', 400, 'INVALID_CATALOG_TYPE');
 }
 
-function processCatalogRow(row, rowNumber) {
-  // 가격 파싱을 더 강력하게 처리
-  const parsePrice = (priceStr) => {
-    if (!priceStr) return NaN;
-    // 문자열인 경우 처리
-    if (typeof priceStr === 'string') {
-      // 숫자가 아닌 문자 제거 (콤마, 원화 기호 등)
-      const cleanedPrice = priceStr.replace(/[^\d.-]/g, '');
-      return parseFloat(cleanedPrice);
-    }
-    return parseFloat(priceStr);
-  };
-
-  const product = {
-    pid: (row.pid || '').trim(),
-    name: (row.name || '').trim(),
-    description: (row.description || '').trim(),
-    quantity: 1,  // 항상 1로 설정
-    price: parsePrice(row.price),
-    shippingFee: parsePrice(row.shippingFee || row.shipppingFee || 0),
-    condition: (row.condition || 'USED').trim().toUpperCase(),
-    saleStatus: (row.saleStatus || '').trim().toUpperCase(),
-    keywords: row.keywords ? String(row.keywords).split(',').map(k => k.trim()).filter(Boolean) : [],
-    images: row.images,
-    categoryId: (row.categoryId || '').trim(),
-    categoryName: (row.category_name || row.categoryName || '').trim(),
-    brandId: (row.brandId || '').trim(),
-    optionsRaw: row.options,
-    uid: (row.uid || '').trim(),
-    updatedAtString: row.updatedAt,
-    createdAtString: row.createdAt,
-  };
-
-  // 가격 로깅 추가
-  logger.info(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} - Raw price: "${row.price}", Parsed price: ${product.price} KRW, Quantity: 1 (always)`);
-  
-  if (!isNaN(product.price) && product.price > 0) {
-    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} - Valid price: ${product.price} KRW`);
-  } else {
-    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} - Invalid price: raw="${row.price}", parsed=${product.price}`);
-  }
-
-  try {
-    if (product.updatedAtString) product.updatedAt = new Date(product.updatedAtString);
-    if (product.createdAtString) product.createdAt = new Date(product.createdAtString);
-    if ((product.updatedAtString && isNaN(product.updatedAt.getTime())) ||
-        (product.createdAtString && isNaN(product.createdAt.getTime()))) {
-      throw new Error('Invalid date format in CSV row');
-    }
-  } catch (e) {
-    logger.warn(`[CatalogSvc] Invalid date for PID ${product.pid} (row #${rowNumber}). Dates set to null. updatedAt: "${product.updatedAtString}", createdAt: "${product.createdAtString}"`);
-    product.updatedAt = null; product.createdAt = null;
+/**
+ * CSV 행 하나를 스키마(catalogRowSchema)로 검증하고 정규화합니다.
+ * @param {object} row - csv-parser 행 객체
+ * @param {number} rowNumber - 로그용 행 번호
+ * @param {function(string, Array<object>=): void} [onSkip] - 행을 건너뛸 때 사유(CATALOG_ROW_SKIP_REASONS 값)와
+ *   스키마 검증 오류 목록(INVALID_PRICE/MISSING_DATA인 경우)을 받는 콜백
+ * @returns {object|null} 동기화 대상 상품 객체, 건너뛰면 null
+ */
+function processCatalogRow(row, rowNumber, onSkip) {
+  // 판매중이 아닌 행은 나머지 컬럼을 검증하지 않고 건너뜀 (saleStatus 컬럼 자체가 없으면 거부)
+  const statusCheck = validateCatalogRow(row, { fields: ['saleStatus'] });
+  const rawPid = String(row.pid || '').trim();
+  if (statusCheck.errors.length === 0 && statusCheck.values.saleStatus.toUpperCase() !== 'SELLING') {
+    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${rawPid} skipped: saleStatus is '${statusCheck.values.saleStatus}' (not SELLING).`);
+    onSkip?.(CATALOG_ROW_SKIP_REASONS.NOT_SELLING);
+    return null;
   }
 
-  if (product.saleStatus !== 'SELLING') {
-    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: saleStatus is '${product.saleStatus}' (not SELLING).`);
+  const { values, errors, warnings } = validateCatalogRow(row);
+  if (errors.length > 0) {
+    const reason = errors.some(e => e.field === 'price') ? CATALOG_ROW_SKIP_REASONS.INVALID_PRICE : CATALOG_ROW_SKIP_REASONS.MISSING_DATA;
+    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${rawPid} rejected by row schema: ${errors.map(e => `${e.field}:${e.code}`).join(', ')}`);
+    onSkip?.(reason, errors);
     return null;
   }
-  if (!product.pid || !product.name || isNaN(product.price) || product.price <= 0 || !product.updatedAt) {
-    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to missing essential data (pid, name, valid price > 0, or valid updatedAt).`);
-    return null;
+  if (warnings.length > 0) {
+    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${rawPid} row schema warnings: ${warnings.map(e => `${e.field}:${e.code}`).join(', ')}`);
   }
+
+  const product = {
+    pid: values.pid,
+    name: values.name,
+    description: values.description || '',
+    quantity: 1,  // 항상 1로 설정
+    price: values.price,
+    shippingFee: values.shippingFee,
+    condition: values.condition.toUpperCase(),
+    saleStatus: values.saleStatus.toUpperCase(),
+    keywords: values.keywords ? values.keywords.split(',').map(k => k.trim()).filter(Boolean) : [],
+    images: values.images,
+    categoryId: values.categoryId || '',
+    categoryName: values.categoryName || '',
+    brandId: values.brandId || '',
+    optionsRaw: values.options,
+    uid: values.uid || '',
+    updatedAt: values.updatedAt,
+    createdAt: values.createdAt || null,
+  };
+  logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} - Raw price: "${row.price}", Parsed price: ${product.price} KRW, Quantity: 1 (always)`);
+
   const filterCategoryIds = config.bunjang.filterCategoryIds || [];
   if (filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
     logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: categoryId '${product.categoryId}' not in filter list [${filterCategoryIds.join(', ')}].`);
-    return null;
-  }
-  if (product.price < 0) {
-    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to invalid price (${product.price}).`);
+    onSkip?.(CATALOG_ROW_SKIP_REASONS.CATEGORY_FILTER);
     return null;
   }
   return product;
 }
 
-function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
+/**
+ * 번개장터 상품을 Shopify ProductInput 등으로 변환합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체
+ * @param {string} shopifyPriceUsd - 계산된 USD 가격
+ * @param {object} categorization - categorizationService.categorizeProduct 결과 (상품 유형/컬렉션/태그)
+ * @param {string[]} [previousCollectionGids=[]] - 이전 동기화 때 분류 규칙으로 가입한 컬렉션 (제거 대상 계산용)
+ */
+function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd, categorization, previousCollectionGids = []) {
   logger.info(`[CatalogSvc] Transforming Bunjang product ${bunjangProduct.pid} with price: ${bunjangProduct.price} KRW -> ${shopifyPriceUsd} USD, Quantity: 1 (always)`);
   
-  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`];
-  const titleLower = (bunjangProduct.name || '').toLowerCase();
-  const descriptionLower = (bunjangProduct.description || '').toLowerCase();
-  const categoryLower = (bunjangProduct.categoryName || '').toLowerCase();
-
-  const kpopKeywords = config.bunjang.kpopKeywords || [];
-  const kidultKeywords = config.bunjang.kidultKeywords || [];
-
-  if (kpopKeywords.length > 0 && kpopKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('K-Pop');
-  }
-  if (kidultKeywords.length > 0 && kidultKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
-    tags.push('Kidult');
+  const tags = [`bunjang_import`, `bunjang_pid:${bunjangProduct.pid}`, ...categorization.tags];
+  if (categorization.matchedRules.length > 0) {
+    logger.debug(`[CatalogSvc] PID ${bunjangProduct.pid} matched taxonomy rules: ${categorization.matchedRules.map(r => `${r.name}(${r.score})`).join(', ')}`);
   }
 
   // 항상 ACTIVE 상태로 설정하여 바로 게시되도록 함
@@ -252,32 +293,31 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     enableInventoryTracking: true  
   });
 
-  if (bunjangProduct.optionsRaw) {
-    try {
-      let parsedOptions = [];
-      if (typeof bunjangProduct.optionsRaw === 'string' && bunjangProduct.optionsRaw.trim()) {
-        parsedOptions = JSON.parse(bunjangProduct.optionsRaw.trim());
-      } else if (Array.isArray(bunjangProduct.optionsRaw)) {
-        parsedOptions = bunjangProduct.optionsRaw;
-      }
-      if (Array.isArray(parsedOptions) && parsedOptions.length > 0 && parsedOptions[0].id && parsedOptions[0].value) {
-        logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has Bunjang options: ${JSON.stringify(parsedOptions)}. Advanced variant/option mapping may be needed.`);
-      }
-    } catch (e) {
-      logger.warn(`[CatalogSvc] Failed to parse Bunjang options for PID ${bunjangProduct.pid}: "${bunjangProduct.optionsRaw}"`, e);
-    }
+  // 번개장터 옵션 → Shopify 옵션/variant 매핑 (옵션이 없으면 null, 단일 variant 상품)
+  const optionSet = normalizeBunjangOptions(bunjangProduct.optionsRaw, bunjangProduct.price);
+  if (optionSet) {
+    logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has ${optionSet.variants.length} Bunjang options (Shopify option: ${optionSet.optionName}).`);
+  } else if (bunjangProduct.optionsRaw && String(bunjangProduct.optionsRaw).trim() && String(bunjangProduct.optionsRaw).trim() !== '[]') {
+    logger.warn(`[CatalogSvc] Failed to parse Bunjang options for PID ${bunjangProduct.pid}: "${bunjangProduct.optionsRaw}"`);
   }
   
   const productInput = {
     title: bunjangProduct.name,
     descriptionHtml: bunjangProduct.description || `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`,
     vendor: config.bunjang.defaultVendor || "BunjangImport",
-    productType: bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
+    productType: categorization.productType,
     tags: [...new Set(tags)],
     status: shopifyStatus,
     // Add publishedAt to ensure product is published
     publishedAt: new Date().toISOString()
   };
+  if (categorization.collectionGids.length > 0) {
+    productInput.collectionsToJoin = categorization.collectionGids;
+  }
+  const collectionsToLeave = previousCollectionGids.filter(id => !categorization.collectionGids.includes(id));
+  if (collectionsToLeave.length > 0) {
+    productInput.collectionsToLeave = collectionsToLeave;
+  }
   
   logger.info(`[CatalogSvc] ProductInput for PID ${bunjangProduct.pid}:`, { 
     title: productInput.title, 
@@ -289,7 +329,7 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     inventoryManagement: variantData.inventoryManagement
   });
 
-  return { productInput, variantData, inventoryInfo };
+  return { productInput, variantData, inventoryInfo, optionSet };
 }
 
 // FIX: 가격 업데이트 검증 함수 추가
@@ -317,6 +357,328 @@ async function verifyVariantPrice(variantId, expectedPrice) {
   }
 }
 
+/**
+ * 저장된 SyncedProduct와 카탈로그 상품을 비교하여 필요한 동기화 종류를 결정합니다.
+ * - 'full': 신규 상품, 미동기화/오류 상태, 지문이 없는 기존 문서, 콘텐츠 변경, 강제 재동기화
+ * - 'price': 콘텐츠는 같고 KRW 가격/배송비만 변경
+ * - 'none': 변경 없음
+ * @param {object|null} syncedDoc - SyncedProduct 문서 (lean).
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체.
+ * @param {string} contentHash - computeContentFingerprint 결과.
+ * @returns {'full'|'price'|'none'}
+ */
+function diffCatalogProduct(syncedDoc, bunjangProduct, contentHash) {
+  if (config.forceResyncAll) return 'full';
+  if (!syncedDoc || !syncedDoc.shopifyGid) return 'full';
+  if (syncedDoc.delistedAt) return 'full'; // 정합성 점검으로 내려간 상품이 다시 SELLING으로 돌아온 경우
+  if (!['SYNCED', 'SKIPPED_NO_CHANGE'].includes(syncedDoc.syncStatus)) return 'full';
+  if (!syncedDoc.bunjangContentHash || syncedDoc.bunjangContentHash !== contentHash) return 'full';
+  if (hasPriceChanged(syncedDoc, bunjangProduct)) {
+    // 옵션 상품은 variant별 가격을 다시 계산해야 하므로 전체 동기화
+    return syncedDoc.bunjangVariantMappings?.length ? 'full' : 'price';
+  }
+  return 'none';
+}
+
+/**
+ * 가격만 변경된 상품에 대해 상품/미디어/재고는 건드리지 않고 variant 가격만 갱신합니다.
+ * @param {object} syncedDoc - SyncedProduct 문서 (lean, shopifyGid 보유).
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체.
+ * @param {string} contentHash - 현재 콘텐츠 지문.
+ * @param {string} jobId - 로그용 Job ID.
+ * @returns {Promise<object>} syncBunjangProductToShopify와 동일한 형태의 결과 객체.
+ */
+async function syncBunjangPriceOnly(syncedDoc, bunjangProduct, contentHash, jobId = 'N/A') {
+  const bunjangPid = bunjangProduct.pid;
+  const shopifyProductGid = syncedDoc.shopifyGid;
+  const now = new Date();
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Price-only change for PID ${bunjangPid}: ${syncedDoc.bunjangOriginalPriceKrw} -> ${bunjangProduct.price} KRW`);
+
+  try {
+    const calculated = await calculateShopifyPrice(bunjangProduct.price, bunjangProduct);
+    const guard = await applyPriceGuard(calculated, {
+      currentPriceUsd: syncedDoc.shopifyListedPriceUsd,
+      bunjangPid,
+      shopifyGid: shopifyProductGid,
+      sku: `BJ-${bunjangPid}`,
+      source: 'catalog_price_update',
+      jobId,
+    });
+    if (!guard.pricing) {
+      throw new AppError(`Price change for PID ${bunjangPid} requires approval (${guard.approvalId}).`, 409, 'PRICE_GUARD_BLOCKED');
+    }
+    const pricing = guard.pricing;
+    const shopifyPriceString = pricing.priceUsd;
+    const calculatedPrice = parseFloat(shopifyPriceString);
+    if (isNaN(calculatedPrice) || calculatedPrice <= 0) {
+      throw new Error(`Invalid calculated price: ${shopifyPriceString}`);
+    }
+
+    // 가드에 보류된 경우 pricing은 현재 가격을 유지하므로 아래에서 Shopify 호출이 생략됨
+    // 배송비만 바뀐 경우 등 USD 리스팅 가격이 같으면 Shopify 호출 생략
+    if (syncedDoc.shopifyListedPriceUsd !== shopifyPriceString) {
+      const variantQuery = `
+        query getFirstVariant($id: ID!) {
+          product(id: $id) {
+            id
+            variants(first: 1) { edges { node { id } } }
+          }
+        }`;
+      const variantResponse = await shopifyService.shopifyGraphqlRequest(variantQuery, { id: shopifyProductGid });
+      const variantId = variantResponse.data?.product?.variants?.edges?.[0]?.node?.id;
+      if (!variantId) {
+        throw new Error(`No variant found for Shopify product ${shopifyProductGid}`);
+      }
+      await shopifyService.updateVariantPriceAndSku(shopifyProductGid, variantId, calculatedPrice, `BJ-${bunjangPid}`, pricing.compareAtPrice);
+      logger.info(`[CatalogSvc:Job-${jobId}] Price-only update applied to ${shopifyProductGid}: $${syncedDoc.shopifyListedPriceUsd} -> $${shopifyPriceString}`);
+    } else {
+      logger.info(`[CatalogSvc:Job-${jobId}] Listed USD price unchanged ($${shopifyPriceString}) for PID ${bunjangPid}. Skipping Shopify call.`);
+    }
+
+    await SyncedProduct.updateOne({ bunjangPid }, {
+      $set: {
+        syncStatus: 'SYNCED',
+        syncErrorMessage: null,
+        syncErrorStackSample: null,
+        lastSyncAttemptAt: now,
+        lastSuccessfulSyncAt: now,
+        bunjangOriginalPriceKrw: bunjangProduct.price,
+        bunjangOriginalShippingFeeKrw: bunjangProduct.shippingFee,
+        bunjangUpdatedAt: bunjangProduct.updatedAt,
+        bunjangContentHash: contentHash,
+        ...buildCategorizationSourceFields(bunjangProduct),
+        ...buildListedPriceFields(pricing, now),
+      },
+    });
+    await publishMarketPrices(shopifyProductGid, [{ sku: null, pricing }], jobId);
+    await priceHistoryService.recordPriceChange({
+      bunjangPid,
+      shopifyGid: shopifyProductGid,
+      categoryId: bunjangProduct.categoryId,
+      previousPriceKrw: syncedDoc.bunjangOriginalPriceKrw,
+      priceKrw: bunjangProduct.price,
+      previousPriceUsd: syncedDoc.shopifyListedPriceUsd,
+      pricing,
+      source: 'catalog_price_update',
+      jobId,
+    });
+    return { status: 'success', operation: 'price_update', shopifyGid: shopifyProductGid };
+  } catch (error) {
+    const errorMessage = error.message || String(error);
+    logger.error(`[CatalogSvc:Job-${jobId}] Price-only update failed for PID ${bunjangPid}: ${errorMessage}`);
+    await SyncedProduct.updateOne({ bunjangPid }, {
+      $set: {
+        syncStatus: 'ERROR',
+        syncErrorMessage: errorMessage.substring(0, 1000),
+        syncErrorStackSample: error.stack ? error.stack.substring(0, 1000) : null,
+        lastSyncAttemptAt: now,
+      }
+    });
+    return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
+  }
+}
+
+/**
+ * 번개장터 이미지를 Shopify 상품 미디어와 동기화합니다. (productImageService.syncProductImages)
+ * 실패는 상품 동기화 전체를 실패시키지 않습니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체
+ * @param {Array<object>|undefined} previousMappings - SyncedProduct.bunjangImageMappings
+ * @param {string} jobId - 로그용 Job ID
+ * @returns {Promise<Array<object>|null>} 저장할 이미지 매핑 (실패 시 null → 기존 매핑 유지)
+ */
+async function syncBunjangImages(productId, bunjangProduct, previousMappings, jobId = 'N/A') {
+  try {
+    return await syncProductImages(productId, bunjangProduct, previousMappings, jobId);
+  } catch (mediaError) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Failed to sync media for product ${productId}: ${mediaError.message}`, { stack: mediaError.stack });
+    return null;
+  }
+}
+
+/**
+ * 재분류(categorizationService.recategorizeSyncedProducts)가 동기화와 같은 입력을 쓰도록 저장할 분류 입력 필드를 만듭니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체
+ * @returns {{bunjangCategoryName: string, bunjangDescription: string}}
+ */
+function buildCategorizationSourceFields(bunjangProduct) {
+  return {
+    bunjangCategoryName: bunjangProduct.categoryName || '',
+    bunjangDescription: bunjangProduct.description || '',
+  };
+}
+
+/**
+ * 전체 동기화 성공 시 SyncedProduct에 저장할 번개장터 원본 필드를 만듭니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체
+ * @param {string} contentHash - computeContentFingerprint 결과
+ * @returns {object}
+ */
+function buildSyncedContentFields(bunjangProduct, contentHash) {
+  return {
+    bunjangContentHash: contentHash,
+    bunjangCategoryId: bunjangProduct.categoryId ? String(bunjangProduct.categoryId) : undefined,
+    ...buildCategorizationSourceFields(bunjangProduct),
+    bunjangBrandId: bunjangProduct.brandId ? String(bunjangProduct.brandId) : undefined,
+    bunjangSellerUid: bunjangProduct.uid ? String(bunjangProduct.uid) : undefined,
+    bunjangCondition: bunjangProduct.condition,
+    bunjangImagesJson: JSON.stringify(normalizeList(bunjangProduct.images)),
+    bunjangKeywordsJson: JSON.stringify(normalizeList(bunjangProduct.keywords)),
+    bunjangOptionsJson: bunjangProduct.optionsRaw || null,
+  };
+}
+
+/**
+ * Shopify에 반영한 USD 가격과 그 가격을 계산할 때 사용한 환율을 SyncedProduct 필드로 만듭니다. (주문별 환차손익 정산용)
+ * @param {{priceUsd: string, breakdown: object}} pricing - calculateShopifyPrice 결과
+ * @param {Date} now
+ * @returns {object}
+ */
+function buildListedPriceFields(pricing, now) {
+  return {
+    shopifyListedPriceUsd: pricing.priceUsd,
+    shopifyListedExchangeRate: pricing.breakdown.exchangeRate,
+    shopifyListedExchangeRateSource: pricing.breakdown.exchangeRateSource,
+    shopifyPricedAt: now,
+  };
+}
+
+/**
+ * 분류 결과 중 SyncedProduct에 저장할 필드를 만듭니다. (재분류 시 이전 분류 태그/컬렉션만 교체하기 위함)
+ * @param {object} categorization - categorizationService.categorizeProduct 결과
+ * @param {Date} now
+ * @returns {object}
+ */
+function buildCategorizationFields(categorization, now) {
+  return {
+    shopifyProductType: categorization.productType,
+    shopifyTaxonomyTags: categorization.tags,
+    shopifyTaxonomyCollectionGids: categorization.collectionGids,
+    categorizedAt: now,
+  };
+}
+
+/**
+ * 번개장터 옵션이 있는 상품을 다중 variant Shopify 상품으로 생성/업데이트합니다.
+ * 옵션 하나당 variant 하나(SKU `BJ-<pid>-<optionId>`)를 만들고, 옵션별 가격과 재고를 설정하며,
+ * 주문 시 번개장터에 올바른 옵션을 전달할 수 있도록 옵션 매핑을 SyncedProduct에 저장합니다.
+ * @param {object} params
+ * @returns {Promise<object>} syncBunjangProductToShopify와 동일한 형태의 결과 객체.
+ * listedPricing은 상품 대표 가격으로 저장한 첫 variant의 (가격 가드 적용 후) 가격입니다. (가격 이력 기록용)
+ */
+async function syncBunjangOptionProduct({ bunjangProduct, optionSet, shopifyProductInput, shopifyProductGid, pricing, contentHash, categorization, previousImageMappings, previousVariantMappings, jobId, now }) {
+  const bunjangPid = bunjangProduct.pid;
+  const logPrefix = `[CatalogSvc:Job-${jobId}]`;
+
+  let productId = shopifyProductGid;
+  let productHandle = null;
+  let operationType = 'update';
+
+  if (productId) {
+    const checkResponse = await shopifyService.shopifyGraphqlRequest(`query checkProduct($id: ID!) { product(id: $id) { id } }`, { id: productId });
+    if (!checkResponse.data?.product) {
+      logger.warn(`${logPrefix} Product ${productId} no longer exists in Shopify. Will create new option product.`);
+      productId = null;
+    }
+  }
+
+  // 옵션별 USD 가격 계산 (같은 KRW 가격은 한 번만 계산) 후 variant별로 가격 가드 적용
+  const pricingCache = new Map([[bunjangProduct.price, pricing]]);
+  const desiredVariants = [];
+  for (const option of optionSet.variants) {
+    if (!pricingCache.has(option.priceKrw)) {
+      pricingCache.set(option.priceKrw, await calculateShopifyPrice(option.priceKrw, bunjangProduct));
+    }
+    const sku = buildOptionSku(bunjangPid, option.bunjangOptionId);
+    const previousMapping = productId ? (previousVariantMappings || []).find(m => m.bunjangOptionId === option.bunjangOptionId) : null;
+    const guard = await applyPriceGuard(pricingCache.get(option.priceKrw), {
+      currentPriceUsd: previousMapping?.shopifyPriceUsd || null,
+      bunjangPid,
+      shopifyGid: productId,
+      sku,
+      isOptionVariant: true,
+      source: 'catalog_sync',
+      jobId,
+    });
+    if (!guard.pricing) {
+      logger.warn(`${logPrefix} New option ${option.optionValue} (${sku}) of PID ${bunjangPid} held by price guard (approval ${guard.approvalId}). Not listed.`);
+      continue;
+    }
+    desiredVariants.push({
+      ...option,
+      sku,
+      price: guard.pricing.priceUsd,
+      compareAtPrice: guard.pricing.compareAtPrice,
+      pricing: guard.pricing,
+    });
+  }
+  if (desiredVariants.length === 0) {
+    throw new AppError(`All options of PID ${bunjangPid} are held by the price guard.`, 409, 'PRICE_GUARD_BLOCKED');
+  }
+
+  if (productId) {
+    const updated = await shopifyService.updateProduct({ ...shopifyProductInput, id: productId }, BUNJANG_COLLECTION_GID, null);
+    productHandle = updated?.handle;
+  } else {
+    operationType = 'create';
+    const created = await shopifyService.createProduct({
+      ...shopifyProductInput,
+      productOptions: [{ name: optionSet.optionName, values: desiredVariants.map(v => ({ name: v.optionValue })) }],
+    }, BUNJANG_COLLECTION_GID, null);
+    productId = created?.id;
+    productHandle = created?.handle;
+    if (!productId) throw new Error('Shopify API did not return a valid product ID after option product create.');
+  }
+
+  const syncedVariants = await shopifyService.syncProductVariants(productId, optionSet.optionName, desiredVariants);
+  logger.info(`${logPrefix} ${operationType === 'create' ? 'Created' : 'Updated'} option product ${productId} for PID ${bunjangPid} with ${syncedVariants.length}/${desiredVariants.length} variants (option: ${optionSet.optionName}).`);
+
+  const imageMappings = await syncBunjangImages(productId, bunjangProduct, operationType === 'create' ? [] : previousImageMappings, jobId);
+  await publishMarketPrices(productId, desiredVariants.map(v => ({ sku: v.sku, pricing: v.pricing })), jobId);
+
+  const variantMappings = desiredVariants.map((desired) => {
+    const synced = syncedVariants.find(v => v.sku === desired.sku);
+    return {
+      bunjangOptionId: desired.bunjangOptionId,
+      optionName: optionSet.optionName,
+      optionValue: desired.optionValue,
+      sku: desired.sku,
+      shopifyVariantId: synced?.variantId || null,
+      shopifyInventoryItemId: synced?.inventoryItemId || null,
+      priceKrw: desired.priceKrw,
+      shopifyPriceUsd: desired.price,
+      quantity: desired.quantity,
+    };
+  });
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      shopifyGid: productId,
+      shopifyProductId: productId.split('/').pop(),
+      ...(productHandle && { shopifyHandle: productHandle }),
+      lastSuccessfulSyncAt: now,
+      syncStatus: 'SYNCED',
+      syncErrorMessage: null,
+      syncErrorStackSample: null,
+      ...buildListedPriceFields(desiredVariants[0].pricing, now),
+      bunjangUpdatedAt: bunjangProduct.updatedAt,
+      ...buildSyncedContentFields(bunjangProduct, contentHash),
+      ...buildCategorizationFields(categorization, now),
+      ...(imageMappings && { bunjangImageMappings: imageMappings }),
+      bunjangVariantMappings: variantMappings,
+      bunjangQuantity: desiredVariants.reduce((sum, v) => sum + v.quantity, 0),
+      syncAttemptCount: 0,
+      lastInventorySyncAt: now,
+      shopifyStatus: 'ACTIVE',
+    },
+    $unset: { delistedAt: '', delistReason: '', delistAction: '' },
+    $inc: { syncSuccessCount: 1 },
+  });
+
+  return { status: 'success', operation: operationType, shopifyGid: productId, listedPricing: desiredVariants[0].pricing };
+}
+
 async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   const bunjangPid = bunjangProduct.pid;
   const bunjangName = bunjangProduct.name;
@@ -332,6 +694,24 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   
   let syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
   const now = new Date();
+  const contentHash = computeContentFingerprint(bunjangProduct);
+  const changeType = diffCatalogProduct(syncedDoc, bunjangProduct, contentHash);
+
+  if (changeType === 'none') {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} unchanged (fingerprint match). Skipping Shopify.`);
+    await SyncedProduct.updateOne(
+      { bunjangPid },
+      { $set: { syncStatus: 'SKIPPED_NO_CHANGE', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt, ...buildCategorizationSourceFields(bunjangProduct) } }
+    );
+    return { status: 'skipped_no_change', message: 'Content fingerprint and price unchanged.' };
+  }
+
+  if (changeType === 'price') {
+    return syncBunjangPriceOnly(syncedDoc, bunjangProduct, contentHash, jobId);
+  }
+
+  // 가격 이력 기록용 (아래 upsert에서 원화 가격이 먼저 갱신되므로 미리 보관)
+  const previousPrices = { priceKrw: syncedDoc?.bunjangOriginalPriceKrw, priceUsd: syncedDoc?.shopifyListedPriceUsd };
 
   await SyncedProduct.updateOne(
     { bunjangPid },
@@ -351,25 +731,6 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   );
   syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
 
-  if (syncedDoc.syncStatus === 'SYNCED' &&
-      bunjangCatalogUpdatedAt && syncedDoc.bunjangUpdatedAt &&
-      new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangCatalogUpdatedAt.getTime() &&
-      !config.forceResyncAll
-      ) {
-    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog (based on bunjangUpdatedAt). Skipping.`);
-    
-    // 이미 동기화된 상품도 재고를 1로 확인
-    if (syncedDoc.shopifyGid) {
-      try {
-        await shopifyService.updateInventoryLevel(null, 'gid://shopify/Location/82604261625', 1);
-      } catch (err) {
-        logger.warn(`[CatalogSvc:Job-${jobId}] Failed to ensure inventory is 1 for existing product ${bunjangPid}: ${err.message}`);
-      }
-    }
-    
-    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog based on bunjangUpdatedAt.' };
-  }
-
   let shopifyProductGid = syncedDoc.shopifyGid;
   let existingVariant = null;
   
@@ -403,7 +764,8 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       logger.warn(`[CatalogSvc:Job-${jobId}] No cached exchange rate available`);
     }
     
-    const shopifyPriceString = await calculateShopifyPriceUsd(bunjangProduct.price);
+    let pricing = await calculateShopifyPrice(bunjangProduct.price, bunjangProduct);
+    let shopifyPriceString = pricing.priceUsd;
     logger.info(`[CatalogSvc:Job-${jobId}] Calculated price for PID ${bunjangPid}: ${bunjangProduct.price} KRW -> ${shopifyPriceString} USD`);
     
     // 가격이 제대로 계산되었는지 확인
@@ -413,7 +775,8 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       throw new Error(`Invalid calculated price: ${shopifyPriceString}`);
     }
     
-    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString);
+    const categorization = categorizeProduct(bunjangProduct, await getActiveTaxonomy());
+    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString, categorization, syncedDoc.shopifyTaxonomyCollectionGids || []);
 
     if (!transformResult || !transformResult.productInput) {
       logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
@@ -421,7 +784,48 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
     }
     
-    const { productInput: shopifyProductInput, variantData, inventoryInfo } = transformResult;
+    const { productInput: shopifyProductInput, variantData, inventoryInfo, optionSet } = transformResult;
+
+    // 단일 상품 가격 가드 (옵션 상품은 syncBunjangOptionProduct에서 variant별로 적용)
+    if (!optionSet) {
+      const guard = await applyPriceGuard(pricing, {
+        currentPriceUsd: shopifyProductGid ? previousPrices.priceUsd : null,
+        bunjangPid,
+        shopifyGid: shopifyProductGid,
+        sku: variantData.sku,
+        source: 'catalog_sync',
+        jobId,
+      });
+      if (!guard.pricing) {
+        throw new AppError(`Price for new product PID ${bunjangPid} requires approval (${guard.approvalId}).`, 409, 'PRICE_GUARD_BLOCKED');
+      }
+      pricing = guard.pricing;
+      shopifyPriceString = pricing.priceUsd;
+      variantData.price = String(shopifyPriceString);
+      variantData.compareAtPrice = pricing.compareAtPrice;
+    }
+
+    const recordPriceHistory = (productGid, listedPricing = pricing) => priceHistoryService.recordPriceChange({
+      bunjangPid,
+      shopifyGid: productGid,
+      categoryId: bunjangProduct.categoryId,
+      previousPriceKrw: previousPrices.priceKrw,
+      priceKrw: bunjangProduct.price,
+      previousPriceUsd: previousPrices.priceUsd,
+      pricing: listedPricing,
+      source: 'catalog_sync',
+      jobId,
+    });
+
+    if (optionSet) {
+      // 옵션 상품은 variant별로 가격 가드를 적용하므로, 실제로 대표 가격으로 저장한 가격을 이력에 남김
+      const { listedPricing, ...optionResult } = await syncBunjangOptionProduct({
+        bunjangProduct, optionSet, shopifyProductInput, shopifyProductGid, pricing, contentHash, categorization,
+        previousImageMappings: syncedDoc.bunjangImageMappings, previousVariantMappings: syncedDoc.bunjangVariantMappings, jobId, now,
+      });
+      await recordPriceHistory(optionResult.shopifyGid, listedPricing);
+      return optionResult;
+    }
 
     let shopifyApiResult;
     let operationType = '';
@@ -506,7 +910,7 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
           }
           
           // 2. 가격과 SKU 업데이트 - productVariantsBulkUpdate 사용
-          await shopifyService.updateVariantPriceAndSku(productId, existingVariant.id, newPrice, variantData.sku);
+          await shopifyService.updateVariantPriceAndSku(productId, existingVariant.id, newPrice, variantData.sku, variantData.compareAtPrice);
           logger.info(`[CatalogSvc:Job-${jobId}] Updated variant price to $${newPrice} and SKU to ${variantData.sku}`);
           
           // 3. 가격이 실제로 업데이트되었는지 확인
@@ -579,7 +983,7 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
             }
             
             // 가격과 SKU 업데이트
-            await shopifyService.updateVariantPriceAndSku(productId, firstVariant.id, newPrice, variantData.sku);
+            await shopifyService.updateVariantPriceAndSku(productId, firstVariant.id, newPrice, variantData.sku, variantData.compareAtPrice);
             logger.info(`[CatalogSvc:Job-${jobId}] Updated variant price to $${newPrice}`);
             
             // 재고 업데이트 (항상 1로)
@@ -613,6 +1017,7 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       const variantInfo = {
         price: variantData.price, // 이미 문자열
         sku: variantData.sku,
+        compareAtPrice: variantData.compareAtPrice,
         inventoryPolicy: variantData.inventoryPolicy,
         quantity: 1,  // *** 항상 재고를 1로 설정 ***
         locationId: 'gid://shopify/Location/82604261625',  // BunJang Warehouse GID
@@ -639,7 +1044,7 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
           
           try {
             // 다시 한 번 가격 업데이트 시도
-            await shopifyService.updateVariantPriceAndSku(createdOrUpdatedProductId, createdVariant.id, expectedPrice, variantInfo.sku);
+            await shopifyService.updateVariantPriceAndSku(createdOrUpdatedProductId, createdVariant.id, expectedPrice, variantInfo.sku, variantInfo.compareAtPrice);
             logger.info(`[CatalogSvc:Job-${jobId}] Price corrected to $${expectedPrice}`);
           } catch (priceFixError) {
             logger.error(`[CatalogSvc:Job-${jobId}] Failed to fix price: ${priceFixError.message}`);
@@ -754,118 +1159,8 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       logger.error(`[CatalogSvc:Job-${jobId}] Failed to perform final check: ${finalCheckError.message}`);
     }
 
-    // 이미지 첨부 단계
-    const bunjangImageUrls = bunjangProduct.images;
-    let mediaInputsToAttach = [];
-    const productNameForAlt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
-
-    // 이미지 URL 유효성 검사 및 변환 함수
-    const processImageUrl = (url) => {
-        if (!url || typeof url !== 'string') return null;
-        let processedUrl = url.trim();
-        
-        // Ensure HTTPS for better Shopify compatibility
-        if (processedUrl.startsWith('http://')) {
-            processedUrl = processedUrl.replace('http://', 'https://');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Converted HTTP to HTTPS: ${processedUrl}`);
-        }
-        
-        // Replace {res} placeholder with standard resolution
-        if (processedUrl.includes('{res}')) {
-            processedUrl = processedUrl.replace('{res}', '856');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Replaced {res} placeholder with 856 in URL: ${processedUrl}`);
-        }
-        
-        // Basic URL validation
-        if (!processedUrl.startsWith('https://')) return null;
-        
-        // 번개장터 이미지 서버 도메인 확인
-        const bunjangDomains = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
-        try {
-            const urlObj = new URL(processedUrl);
-            const isBunjangUrl = bunjangDomains.some(domain => urlObj.hostname.includes(domain));
-            
-            // Accept Bunjang URLs (even though they might fail later) and standard image files
-            if (isBunjangUrl) {
-                logger.debug(`[CatalogSvc:Job-${jobId}] Bunjang image URL will be attempted: ${processedUrl}`);
-                return processedUrl;
-            }
-            
-            // For non-Bunjang URLs, check for image extensions
-            if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) {
-                return processedUrl;
-            }
-            
-            // Also accept URLs without extensions if they're from known CDNs
-            const knownCdns = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
-            if (knownCdns.some(cdn => urlObj.hostname.includes(cdn))) {
-                return processedUrl;
-            }
-            
-            return null;
-        } catch (e) {
-            return null;
-        }
-    };
-
-    if (typeof bunjangImageUrls === 'string' && bunjangImageUrls.trim() !== '') {
-        mediaInputsToAttach = bunjangImageUrls.split(',')
-            .map(url => url.trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    } else if (Array.isArray(bunjangImageUrls)) {
-        mediaInputsToAttach = bunjangImageUrls
-            .map(url => String(url || '').trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    }
-    
-    if (mediaInputsToAttach.length > 0) {
-        if (shopifyService.appendMediaToProduct) {
-            try {
-                logger.info(`[CatalogSvc:Job-${jobId}] Attaching ${mediaInputsToAttach.length} media items to product ${createdOrUpdatedProductId}`);
-                const mediaResult = await shopifyService.appendMediaToProduct(createdOrUpdatedProductId, mediaInputsToAttach.slice(0, 250));
-                
-                // Log warning if some images failed (common with Bunjang URLs)
-                if (mediaResult?.warning) {
-                    logger.warn(`[CatalogSvc:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
-                }
-                
-                const successfulMedia = mediaResult?.media?.filter(m => m.status !== 'FAILED')?.length || 0;
-                if (successfulMedia > 0) {
-                    logger.info(`[CatalogSvc:Job-${jobId}] Successfully attached ${successfulMedia} media items to product.`);
-                }
-            } catch (mediaError) {
-                // Don't fail the entire sync if media attachment fails
-                logger.error(`[CatalogSvc:Job-${jobId}] Failed to attach media to product ${createdOrUpdatedProductId}: ${mediaError.message}`, { stack: mediaError.stack });
-                // Continue with the sync - product is already created/updated
-            }
-        } else {
-            logger.warn(`[CatalogSvc:Job-${jobId}] shopifyService.appendMediaToProduct function is not defined. Skipping media attachment for product ${createdOrUpdatedProductId}.`);
-        }
-    }
+    // 이미지 동기화 단계 (새로 만든 상품은 미디어가 없으므로 빈 매핑에서 시작)
+    const imageMappings = await syncBunjangImages(createdOrUpdatedProductId, bunjangProduct, operationType === 'create' ? [] : syncedDoc.bunjangImageMappings, jobId);
 
     await SyncedProduct.updateOne({ bunjangPid }, {
       $set: {
@@ -876,15 +1171,24 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
         syncStatus: 'SYNCED',
         syncErrorMessage: null,
         syncErrorStackSample: null,
-        shopifyListedPriceUsd: shopifyPriceString,
+        ...buildListedPriceFields(pricing, now),
         bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+        ...buildSyncedContentFields(bunjangProduct, contentHash),
+        ...buildCategorizationFields(categorization, now),
+        ...(imageMappings && { bunjangImageMappings: imageMappings }),
+        bunjangVariantMappings: [],
         syncAttemptCount: 0,
         bunjangQuantity: 1,  // DB에도 재고 1로 저장
-        lastInventorySyncAt: now  // 재고 동기화 시간 업데이트
+        lastInventorySyncAt: now,  // 재고 동기화 시간 업데이트
+        shopifyStatus: 'ACTIVE',
       },
+      $unset: { delistedAt: '', delistReason: '', delistAction: '' },
       $inc: { syncSuccessCount: 1 },
     });
 
+    await recordPriceHistory(createdOrUpdatedProductId);
+    await publishMarketPrices(createdOrUpdatedProductId, [{ sku: null, pricing }], jobId);
+
     logger.info(`[CatalogSvc:Job-${jobId}] Successfully ${operationType}d Shopify product ${createdOrUpdatedProductId} for Bunjang PID ${bunjangPid}. Price: ${shopifyPriceString}, Inventory: 1 at BunJang Warehouse`);
     return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId };
 
@@ -911,86 +1215,390 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   }
 }
 
-async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
+/**
+ * 드라이런(dry-run) 재실행용: Shopify/DB에 쓰지 않고 상품이 어떻게 동기화될지 계산합니다.
+ * 기존 SyncedProduct와의 비교(diffCatalogProduct), 가격 계산(가격 가드 판단, 옵션별 가격 포함), 분류/변환 결과를 반환합니다.
+ * 가격 가드에 막혀 실제 동기화가 실패할 상품은 실제 동기화와 같이 error로 반환합니다. (승인 대기열에는 넣지 않음)
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체
+ * @returns {Promise<object>} syncBunjangProductToShopify와 같은 형태의 결과 + preview
+ */
+async function previewBunjangProductSync(bunjangProduct) {
+  const bunjangPid = bunjangProduct.pid;
+  if (!bunjangProduct.price || bunjangProduct.price <= 0) {
+    return { status: 'error', message: 'Invalid price' };
+  }
+  try {
+    const syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+    const contentHash = computeContentFingerprint(bunjangProduct);
+    const changeType = diffCatalogProduct(syncedDoc, bunjangProduct, contentHash);
+    if (changeType === 'none') {
+      return { status: 'skipped_no_change' };
+    }
+
+    const pricing = await calculateShopifyPrice(bunjangProduct.price, bunjangProduct);
+    const currentPriceUsd = syncedDoc?.shopifyGid ? syncedDoc.shopifyListedPriceUsd : null;
+    if (changeType === 'price') {
+      const guard = previewPriceGuard(pricing, currentPriceUsd);
+      const preview = {
+        pid: bunjangPid,
+        priceKrw: bunjangProduct.price,
+        priceUsd: guard.pricing?.priceUsd || null,
+        calculatedPriceUsd: pricing.priceUsd,
+        previousPriceUsd: syncedDoc.shopifyListedPriceUsd,
+        priceGuardViolations: guard.violations,
+      };
+      if (!guard.pricing) {
+        return { status: 'error', message: `Price change for PID ${bunjangPid} requires approval.`, preview };
+      }
+      return { status: 'success', operation: 'price_update', preview };
+    }
+
+    const categorization = categorizeProduct(bunjangProduct, await getActiveTaxonomy());
+    const { productInput, optionSet } = transformBunjangRowToShopifyInput(bunjangProduct, pricing.priceUsd, categorization, syncedDoc?.shopifyTaxonomyCollectionGids || []);
+    const preview = {
+      pid: bunjangPid,
+      title: productInput.title,
+      priceKrw: bunjangProduct.price,
+      priceUsd: pricing.priceUsd,
+      productType: productInput.productType,
+      tags: productInput.tags,
+      collectionsToJoin: productInput.collectionsToJoin || [],
+      collectionsToLeave: productInput.collectionsToLeave || [],
+      matchedTaxonomyRules: categorization.matchedRules.map(r => r.name),
+      variantCount: optionSet ? optionSet.variants.length : 1,
+    };
+
+    if (optionSet) {
+      // syncBunjangOptionProduct와 같이 옵션별 가격을 계산하고 variant별로 가격 가드 판단
+      const pricingCache = new Map([[bunjangProduct.price, pricing]]);
+      preview.variants = [];
+      for (const option of optionSet.variants) {
+        if (!pricingCache.has(option.priceKrw)) {
+          pricingCache.set(option.priceKrw, await calculateShopifyPrice(option.priceKrw, bunjangProduct));
+        }
+        const previousMapping = syncedDoc?.shopifyGid ? (syncedDoc.bunjangVariantMappings || []).find(m => m.bunjangOptionId === option.bunjangOptionId) : null;
+        const guard = previewPriceGuard(pricingCache.get(option.priceKrw), previousMapping?.shopifyPriceUsd || null);
+        preview.variants.push({
+          bunjangOptionId: option.bunjangOptionId,
+          optionValue: option.optionValue,
+          priceKrw: option.priceKrw,
+          priceUsd: guard.pricing?.priceUsd || null,
+          priceGuardViolations: guard.violations,
+        });
+      }
+      preview.variantCount = preview.variants.filter(v => v.priceUsd).length;
+      if (preview.variantCount === 0) {
+        return { status: 'error', message: `All options of PID ${bunjangPid} are held by the price guard.`, preview };
+      }
+    } else {
+      const guard = previewPriceGuard(pricing, currentPriceUsd);
+      preview.priceUsd = guard.pricing?.priceUsd || null;
+      preview.calculatedPriceUsd = pricing.priceUsd;
+      preview.priceGuardViolations = guard.violations;
+      if (!guard.pricing) {
+        return { status: 'error', message: `Price for new product PID ${bunjangPid} requires approval.`, preview };
+      }
+    }
+
+    return {
+      status: 'success',
+      operation: syncedDoc?.shopifyGid ? 'update' : 'create',
+      preview,
+    };
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+}
+
+/**
+ * 재개(resume) 요청된 실행을 불러옵니다. 재개할 수 없으면 null을 반환해 새 실행으로 진행합니다.
+ * @returns {Promise<object|null>} RUNNING으로 갱신된 CatalogRun (lean)
+ */
+async function loadRunToResume(runId, catalogType, jobIdForLog) {
+  const logPrefix = `[CatalogSvc:Job-${jobIdForLog}]`;
+  try {
+    const run = await catalogRunService.getResumableRun(runId, { allowActive: true });
+    if (run.catalogType !== catalogType) {
+      logger.warn(`${logPrefix} Catalog run ${runId} is of type ${run.catalogType}, not ${catalogType}. Starting a new run instead.`);
+      return null;
+    }
+    return await catalogRunService.markRunResumed(run, jobIdForLog);
+  } catch (error) {
+    logger.warn(`${logPrefix} Cannot resume catalog run ${runId}: ${error.message}. Starting a new run instead.`);
+    return null;
+  }
+}
+
+/**
+ * 번개장터 카탈로그 파일을 내려받아 스트리밍으로 Shopify에 동기화합니다.
+ * 전체(full) 카탈로그인 경우, 처리 후 사라진 상품에 대한 정합성 점검을 수행합니다.
+ * 처리 중 주기적으로 체크포인트(완료된 행 위치, 그 이후 먼저 완료된 PID)를 CatalogRun에 저장하며,
+ * options.resumeRunId로 중단된 실행을 같은 CSV 파일에서 이어서 처리할 수 있습니다.
+ * @param {'full'|'segment'} catalogType - 카탈로그 종류.
+ * @param {string} [jobIdForLog='N/A'] - 로그용 Job ID.
+ * @param {object} [options]
+ * @param {object} [options.reconcile] - 정합성 점검 옵션 ({ action, dryRun }), 미지정 시 설정값 사용.
+ * @param {string} [options.triggeredBy] - 실행 주체 (CatalogRun 기록용, 예: cron, api_manual).
+ * @param {string} [options.resumeRunId] - 이어서 처리할 CatalogRun ID.
+ * @param {object} [options.replay] - 번개장터 API 대신 로컬/보관 파일로 재실행 ({ sourcePath, filename, dryRun }).
+ *   dryRun이면 Shopify/DB에 쓰지 않고 결과만 집계하며, 정합성 점검은 항상 보고만(dryRun) 합니다.
+ * @param {function(string): Promise<void>} [options.onRunStarted] - 실행 ID가 정해지면 호출 (Job 재시도 시 재개용으로 저장).
+ * @returns {Promise<object>} 처리 요약.
+ */
+async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A', options = {}) {
   logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
   let catalogFileUrl;
   let catalogFileNameGz;
   let baseFileNameWithoutExt;
 
   const fileDate = new Date();
-  catalogFileNameGz = generateBunjangCatalogFilename(catalogType, fileDate);
+  const replay = options.replay || null;
+  catalogFileNameGz = replay ? replay.filename : generateBunjangCatalogFilename(catalogType, fileDate);
   baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
 
-  if (!config.bunjang?.catalogApiUrl) {
-    logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
-    throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+  if (!replay) {
+    if (!config.bunjang?.catalogApiUrl) {
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
+      throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
+    }
+    catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
   }
-  catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
 
   if (!TEMP_DOWNLOAD_DIR) {
     logger.error(`[CatalogSvc:Job-${jobIdForLog}] Temporary directory (TEMP_DOWNLOAD_DIR from config.tempDir) is not configured.`);
     throw new AppError("Temporary directory for downloads is not configured.", 500, "TEMP_DIR_MISSING");
   }
-  const localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Parsing CSV file: ${localCsvPath}`);
-  const { products: bunjangProducts, totalRows: originalCsvRowCount } = await parseCsvFileWithRowProcessor(localCsvPath, processCatalogRow);
 
-  if (!bunjangProducts || bunjangProducts.length === 0) {
-    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
-    if (await fs.pathExists(localCsvPath)) await fs.remove(localCsvPath);
-    return { filename: catalogFileNameGz, totalOriginalCsvRows: originalCsvRowCount || 0, validProductsToProcess: 0, successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0 };
+  let run = options.resumeRunId ? await loadRunToResume(options.resumeRunId, catalogType, jobIdForLog) : null;
+  const resumeCheckpoint = run ? run.checkpoint : null;
+  if (run) {
+    catalogFileNameGz = run.filename;
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Resuming catalog run ${run._id} (${catalogFileNameGz}) from CSV row ${resumeCheckpoint.rowOffset} (+${resumeCheckpoint.processedPids?.length || 0} PIDs already processed).`);
+  } else {
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, ${replay ? `Replay source: ${replay.sourcePath}${replay.dryRun ? ' (dry-run)' : ''}` : `URL: ${catalogFileUrl}`}`);
+    run = await catalogRunService.startRun({
+      catalogType,
+      jobId: jobIdForLog,
+      triggeredBy: options.triggeredBy,
+      filename: catalogFileNameGz,
+      sourceType: replay ? 'replay' : 'download',
+      sourcePath: replay ? replay.sourcePath : catalogFileUrl,
+      dryRun: Boolean(replay?.dryRun),
+    });
   }
+  // 재개된 실행은 원래 실행의 드라이런 여부를 따름
+  const dryRun = resumeCheckpoint ? Boolean(run.dryRun) : Boolean(replay?.dryRun);
+  if (run && options.onRunStarted) {
+    await Promise.resolve(options.onRunStarted(String(run._id))).catch(error => {
+      logger.warn(`[CatalogSvc:Job-${jobIdForLog}] onRunStarted callback failed: ${error.message}`);
+    });
+  }
+  const stats = catalogRunService.createRunStats(resumeCheckpoint ? run : {});
+  const { counts } = stats;
 
-  let successfullyProcessed = 0;
-  let errorCount = 0;
-  let skippedByFilterCount = 0;
-  let skippedNoChangeCount = 0;
-
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Processing ${bunjangProducts.length} valid items from Bunjang catalog...`);
   const concurrency = config.bunjang?.syncConcurrency || 1;
-  const productChunks = [];
-  for (let i = 0; i < bunjangProducts.length; i += concurrency) {
-    productChunks.push(bunjangProducts.slice(i, i + concurrency));
-  }
+  const progressLogInterval = config.bunjang?.catalogProgressLogInterval || 1000;
+  const checkpointInterval = config.bunjang?.catalogCheckpointInterval || 100;
+  const logPrefix = `[CatalogSvc:Job-${jobIdForLog}]`;
 
-  for (const chunk of productChunks) {
-    const chunkResults = await Promise.allSettled(
-      chunk.map(product => syncBunjangProductToShopify(product, jobIdForLog))
-    );
-    chunkResults.forEach(result => {
-      if (result.status === 'fulfilled' && result.value) {
-        if (result.value.status === 'success') successfullyProcessed++;
-        else if (result.value.status === 'skipped_filter') skippedByFilterCount++;
-        else if (result.value.status === 'skipped_no_change') skippedNoChangeCount++;
-        else if (result.value.status === 'error') errorCount++;
-      } else if (result.status === 'rejected') {
-        errorCount++;
-        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection in sync chunk for a product:`, result.reason);
+  // 전체 카탈로그의 정합성 점검용 PID 집합 (상품 객체가 아닌 PID 문자열만 보관)
+  const shouldReconcile = catalogType === 'full' && config.bunjang.reconciliation.enabled;
+  const sellingPids = new Set();
+  const notSellingPids = new Set();
+
+  // 스키마 검증에 실패한 행은 원본 그대로 격리 컬렉션에 저장 (드라이런은 집계만)
+  const quarantineWriter = dryRun ? null : createQuarantineWriter({ run, catalogType, alreadyQuarantined: counts.quarantined });
+  const countSkippedRow = (reason, row, rowNumber, errors) => {
+    if (reason === CATALOG_ROW_SKIP_REASONS.NOT_SELLING) counts.notSelling++;
+    else if (reason === CATALOG_ROW_SKIP_REASONS.INVALID_PRICE) counts.invalidPrice++;
+    else if (reason === CATALOG_ROW_SKIP_REASONS.MISSING_DATA) counts.missingData++;
+    else if (reason === CATALOG_ROW_SKIP_REASONS.CATEGORY_FILTER) counts.filtered++;
+    if (errors?.length > 0 && quarantineWriter?.add(rowNumber, row, reason, errors)) counts.quarantined++;
+  };
+  const saveProgress = async () => {
+    await quarantineWriter?.flush();
+    await catalogRunService.saveRunProgress(run, stats, buildCheckpoint());
+  };
+
+  // 체크포인트: rowOffset까지는 모두 완료, completedAhead는 rowOffset 이후 먼저 완료된 행 (행 번호 → PID)
+  let rowOffset = resumeCheckpoint?.rowOffset || 0;
+  const resumeProcessedPids = new Set(resumeCheckpoint?.processedPids || []);
+  const completedAhead = new Map();
+  let completedSinceCheckpoint = 0;
+  let localCsvPath = resumeCheckpoint?.csvPath || null;
+  const dryRunSamples = [];
+
+  const buildCheckpoint = () => ({
+    rowOffset,
+    processedPids: [...new Set([...resumeProcessedPids, ...[...completedAhead.values()].filter(Boolean)])],
+    csvPath: localCsvPath,
+  });
+
+  const markRowCompleted = async (rowNumber, pid) => {
+    completedAhead.set(rowNumber, pid);
+    while (completedAhead.has(rowOffset + 1)) {
+      completedAhead.delete(rowOffset + 1);
+      rowOffset++;
+    }
+    if (++completedSinceCheckpoint >= checkpointInterval) {
+      completedSinceCheckpoint = 0;
+      await saveProgress();
+    }
+  };
+
+  let reconciliation = null;
+  let completed = false;
+  try {
+    if (!resumeCheckpoint) {
+      if (replay) {
+        localCsvPath = await catalogArchiveService.prepareReplayCsv(replay.sourcePath, TEMP_DOWNLOAD_DIR);
+      } else {
+        localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
+        try {
+          const archivePath = await catalogArchiveService.archiveCatalogFile(localCsvPath, { catalogType, filename: catalogFileNameGz });
+          if (archivePath) await catalogRunService.setRunArchivePath(run, archivePath);
+        } catch (archiveError) {
+          logger.warn(`${logPrefix} Failed to archive catalog file ${localCsvPath}: ${archiveError.message}`);
+        }
       }
-    });
-    logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Processed a chunk. Totals - Success: ${successfullyProcessed}, FilterSkip: ${skippedByFilterCount}, NoChangeSkip: ${skippedNoChangeCount}, Errors: ${errorCount} / TotalValid: ${bunjangProducts.length}`);
+      await catalogRunService.saveRunProgress(run, stats, buildCheckpoint());
+    }
+    const filterRuleSet = await loadActiveRuleSet();
+
+    // CSV 행 하나를 필터링 후 곧바로 Shopify 동기화까지 처리 (전체 상품 배열을 만들지 않음)
+    const handleCatalogRow = async (row, rowNumber) => {
+      const rowPid = row.pid ? String(row.pid).trim() : '';
+      if (shouldReconcile && rowPid) {
+        if (String(row.saleStatus || '').trim().toUpperCase() === 'SELLING') sellingPids.add(rowPid);
+        else notSellingPids.add(rowPid);
+      }
+      // 재개 시 이전 시도에서 이미 처리한 행은 건너뜀 (집계는 체크포인트 시점 값에서 이어감)
+      if (rowNumber <= (resumeCheckpoint?.rowOffset || 0)) return;
+      if (rowPid && resumeProcessedPids.has(rowPid)) {
+        await markRowCompleted(rowNumber, rowPid);
+        return;
+      }
+
+      try {
+        const bunjangProduct = processCatalogRow(row, rowNumber, (reason, errors) => countSkippedRow(reason, row, rowNumber, errors));
+        if (!bunjangProduct) return;
+
+        counts.validProducts++;
+        const filterDecision = evaluateProduct(bunjangProduct, filterRuleSet);
+        if (!filterDecision.allowed) {
+          counts.filtered++;
+          logger.debug(`${logPrefix} PID ${bunjangProduct.pid} skipped by filter rules: ${filterDecision.reason}${filterDecision.ruleName ? ` (${filterDecision.ruleName})` : ''}`);
+          return;
+        }
+        let result;
+        try {
+          result = dryRun
+            ? await previewBunjangProductSync(bunjangProduct)
+            : await syncBunjangProductToShopify(bunjangProduct, jobIdForLog);
+        } catch (syncError) {
+          result = { status: 'error', message: syncError.message };
+        }
+        if (result?.preview && dryRunSamples.length < DRY_RUN_SAMPLE_LIMIT) {
+          dryRunSamples.push({ operation: result.operation, status: result.status, ...result.preview });
+        }
+        if (result?.status === 'success') {
+          if (result.operation === 'create') counts.created++;
+          else if (result.operation === 'price_update') counts.priceUpdated++;
+          else counts.updated++;
+        }
+        else if (result?.status === 'skipped_filter') counts.filtered++;
+        else if (result?.status === 'skipped_no_change') counts.skippedNoChange++;
+        else if (result?.status === 'error') {
+          if (result.message === 'Invalid price') counts.invalidPrice++;
+          else {
+            counts.errored++;
+            stats.recordError(result.message, bunjangProduct.pid);
+          }
+        }
+
+        if (counts.validProducts % progressLogInterval === 0) {
+          logger.info(`${logPrefix} Progress (CSV row ${rowNumber}) - Valid: ${counts.validProducts}, Created: ${counts.created}, Updated: ${counts.updated + counts.priceUpdated}, Filtered: ${counts.filtered}, NoChangeSkip: ${counts.skippedNoChange}, Errors: ${counts.errored}`);
+        }
+      } finally {
+        await markRowCompleted(rowNumber, rowPid);
+      }
+    };
+
+    logger.info(`${logPrefix} Streaming CSV file: ${localCsvPath} (concurrency: ${concurrency})`);
+    const { totalRows, failedRows } = await parseCsvFileWithRowProcessor(localCsvPath, handleCatalogRow, { concurrency, logPrefix });
+    counts.totalRows = totalRows;
+    counts.errored += failedRows;
+    completed = true;
+
+    if (shouldReconcile) {
+      try {
+        // 재실행은 과거 카탈로그일 수 있으므로 정합성 점검은 보고만 함
+        reconciliation = await reconcileDelistedProducts(
+          { sellingPids, notSellingPids },
+          { ...(options.reconcile || {}), ...((replay || run?.sourceType === 'replay') && { dryRun: true }), jobId: jobIdForLog }
+        );
+      } catch (reconcileError) {
+        logger.error(`${logPrefix} Catalog reconciliation failed: ${reconcileError.message}`, { stack: reconcileError.stack });
+        reconciliation = { error: reconcileError.message };
+      }
+    }
+  } catch (error) {
+    // 중단된 실행은 CSV 파일과 체크포인트를 남겨 재개할 수 있도록 함
+    await saveProgress();
+    await catalogRunService.finishRun(run, stats, { reconciliation, error });
+    throw error;
+  } finally {
+    const isReplay = Boolean(replay) || run?.sourceType === 'replay';
+    if (completed && isReplay) {
+      // 재실행용 CSV 사본은 원본(보관/로컬 파일)이 따로 있으므로 삭제
+      await fs.remove(localCsvPath).catch(() => {});
+    } else if (completed && await fs.pathExists(localCsvPath)) {
+      // 필터 규칙 미리보기용으로 타입별 마지막 카탈로그 CSV 하나만 보관
+      const latestCsvPath = getLatestCatalogCsvPath(catalogType);
+      await fs.move(localCsvPath, latestCsvPath, { overwrite: true })
+        .then(() => logger.info(`${logPrefix} Kept local CSV file as latest ${catalogType} catalog: ${latestCsvPath}`))
+        .catch(moveError => {
+          logger.warn(`${logPrefix} Failed to keep local CSV file ${localCsvPath} as latest catalog. Removing it.`, moveError);
+          return fs.remove(localCsvPath).catch(() => {});
+        });
+    }
   }
+  await quarantineWriter?.flush();
+  await catalogRunService.finishRun(run, stats, { reconciliation });
 
-  if (await fs.pathExists(localCsvPath)) {
-    await fs.remove(localCsvPath)
-      .then(() => logger.info(`[CatalogSvc:Job-${jobIdForLog}] Cleaned up local CSV file: ${localCsvPath}`))
-      .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
+  if (counts.validProducts === 0) {
+    logger.warn(`${logPrefix} No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
   }
 
   const summary = {
+    ...(run && { runId: String(run._id) }),
+    ...(resumeCheckpoint && { resumedFromRow: resumeCheckpoint.rowOffset }),
+    ...(dryRun && { dryRun: true }),
     filename: catalogFileNameGz,
-    totalOriginalCsvRows: originalCsvRowCount || 0,
-    validProductsToProcess: bunjangProducts.length,
-    successfullyProcessed,
-    errors: errorCount,
-    skippedByFilter: skippedByFilterCount,
-    skippedNoChange: skippedNoChangeCount,
+    totalOriginalCsvRows: counts.totalRows,
+    validProductsToProcess: counts.validProducts,
+    successfullyProcessed: counts.created + counts.updated + counts.priceUpdated,
+    created: counts.created,
+    updated: counts.updated,
+    priceOnlyUpdated: counts.priceUpdated,
+    errors: counts.errored,
+    invalidPrice: counts.invalidPrice,
+    missingData: counts.missingData,
+    quarantined: counts.quarantined,
+    skippedByFilter: counts.filtered,
+    skippedNoChange: counts.skippedNoChange,
+    ...(reconciliation && { reconciliation }),
+    ...(dryRun && { dryRunSamples }),
   };
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
+  logger.info(`${logPrefix} Bunjang catalog processing finished. Summary:`, { ...summary, dryRunSamples: undefined });
   return summary;
 }
 
 module.exports = {
   fetchAndProcessBunjangCatalog,
+  parseCsvFileWithRowProcessor,
+  processCatalogRow,
+  syncBunjangProductToShopify,
+  getLatestCatalogCsvPath,
+  CATALOG_ROW_SKIP_REASONS,
 };
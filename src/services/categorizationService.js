@@ -0,0 +1,256 @@
+// src/services/categorizationService.js
+// Mongo 기반 분류 규칙(TaxonomyRule)으로 번개장터 상품의 Shopify 상품 유형/컬렉션/태그를 결정하고,
+// 이미 동기화된 상품을 현재 규칙으로 재분류합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const TaxonomyRule = require('../models/taxonomyRule.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CategorizationSvc';
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedTaxonomy = null;
+let cachedAt = 0;
+
+/**
+ * 활성 분류 규칙을 불러옵니다. 상품마다 호출되므로 짧은 TTL로 메모리 캐시합니다.
+ * @param {object} [options]
+ * @param {boolean} [options.forceReload=false] - 캐시 무시
+ * @returns {Promise<Array<object>>} 우선순위 순 규칙 목록 (lean)
+ */
+async function getActiveTaxonomy({ forceReload = false } = {}) {
+  if (!forceReload && cachedTaxonomy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedTaxonomy;
+  }
+  cachedTaxonomy = await TaxonomyRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  cachedAt = Date.now();
+  return cachedTaxonomy;
+}
+
+/**
+ * 관리 API에서 규칙이 바뀌면 캐시를 비웁니다.
+ */
+function invalidateTaxonomyCache() {
+  cachedTaxonomy = null;
+  cachedAt = 0;
+}
+
+/**
+ * 분류 규칙이 하나도 없을 때 사용하는 기존 방식 (config의 kpop/kidult 키워드, 카테고리→유형 매핑).
+ * @param {object} product
+ * @returns {object} categorizeProduct와 같은 형태
+ */
+function legacyCategorize(product) {
+  const text = [product.name, product.description, product.categoryName].map(v => String(v || '').toLowerCase()).join('\n');
+  const tags = [];
+  const kpopKeywords = config.bunjang.kpopKeywords || [];
+  const kidultKeywords = config.bunjang.kidultKeywords || [];
+  if (kpopKeywords.some(keyword => text.includes(keyword))) tags.push('K-Pop');
+  if (kidultKeywords.some(keyword => text.includes(keyword))) tags.push('Kidult');
+
+  const mappedType = config.bunjang.categoryToShopifyType?.[String(product.categoryId || '').trim()];
+  return {
+    source: 'legacy',
+    productType: mappedType || product.categoryName || config.bunjang.defaultShopifyProductType || 'Uncategorized',
+    collectionGids: [],
+    tags,
+    matchedRules: [],
+  };
+}
+
+/**
+ * 규칙 하나의 상품 매칭 점수를 계산합니다.
+ * @returns {number|null} 매칭되지 않으면 null
+ */
+function scoreRule(rule, product, text) {
+  const hasCategoryCondition = rule.bunjangCategoryIds?.length > 0;
+  const hasKeywordCondition = rule.keywords?.length > 0;
+  if (!hasCategoryCondition && !hasKeywordCondition) return null;
+
+  let score = 0;
+  if (hasCategoryCondition) {
+    const categoryId = String(product.categoryId || '');
+    if (!rule.bunjangCategoryIds.some(id => categoryId.startsWith(String(id)))) return null;
+    score += rule.categoryWeight ?? 10;
+  }
+  if (hasKeywordCondition) {
+    const keywordScore = rule.keywords.reduce((sum, kw) => (text.includes(kw.term) ? sum + (kw.weight ?? 1) : sum), 0);
+    if (keywordScore < (rule.minScore ?? 1)) return null;
+    score += keywordScore;
+  }
+  return score;
+}
+
+/**
+ * 상품의 Shopify 상품 유형/컬렉션/태그를 결정합니다.
+ * 상품 유형은 최고 점수(동점 시 우선순위) 규칙의 값을, 컬렉션과 태그는 매칭된 모든 규칙의 합집합을 사용합니다.
+ * @param {object} product - { name, description, categoryId, categoryName, keywords }
+ * @param {Array<object>} taxonomy - getActiveTaxonomy 결과
+ * @returns {{source: string, productType: string, collectionGids: string[], tags: string[], matchedRules: Array<{id: string, name: string, score: number}>}}
+ */
+function categorizeProduct(product, taxonomy) {
+  if (!taxonomy || taxonomy.length === 0) return legacyCategorize(product);
+
+  const keywordText = Array.isArray(product.keywords) ? product.keywords.join(' ') : String(product.keywords || '');
+  const text = [product.name, product.description, product.categoryName, keywordText].map(v => String(v || '').toLowerCase()).join('\n');
+
+  const matches = [];
+  for (const rule of taxonomy) {
+    const score = scoreRule(rule, product, text);
+    if (score !== null) matches.push({ rule, score });
+  }
+  matches.sort((a, b) => (b.score - a.score) || ((a.rule.priority ?? 100) - (b.rule.priority ?? 100)));
+
+  const typeMatch = matches.find(m => m.rule.productType);
+  const fallback = legacyCategorize(product);
+  return {
+    source: 'taxonomy',
+    productType: typeMatch ? typeMatch.rule.productType : fallback.productType,
+    collectionGids: [...new Set(matches.flatMap(m => m.rule.collectionGids || []))],
+    tags: [...new Set(matches.flatMap(m => m.rule.tags || []))],
+    matchedRules: matches.map(m => ({ id: String(m.rule._id), name: m.rule.name, score: m.score })),
+  };
+}
+
+/**
+ * Shopify 상품의 유형/태그/컬렉션만 갱신합니다. (updateProduct와 달리 재고를 건드리지 않음)
+ */
+async function applyCategorizationToShopify(productId, { productType, tags, collectionsToJoin, collectionsToLeave }) {
+  const mutation = `
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product { id productType }
+        userErrors { field message }
+      }
+    }`;
+  const input = { id: productId, productType, tags };
+  if (collectionsToJoin.length > 0) input.collectionsToJoin = collectionsToJoin;
+  if (collectionsToLeave.length > 0) input.collectionsToLeave = collectionsToLeave;
+
+  const response = await shopifyService.shopifyGraphqlRequest(mutation, { input });
+  const userErrors = response.data?.productUpdate?.userErrors;
+  if (userErrors?.length > 0) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product recategorization failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_RECATEGORIZE_ERROR');
+  }
+}
+
+/**
+ * 이미 동기화된 상품을 현재 분류 규칙으로 재분류합니다.
+ * 이전에 분류 규칙으로 붙인 태그/컬렉션(shopifyTaxonomyTags/CollectionGids)만 교체하고 수동 태그는 유지합니다.
+ * 동기화 때 저장한 번개장터 분류 입력(이름/설명/카테고리/키워드)을 그대로 사용하며, 분류 입력이 아직 기록되지 않은 상품은
+ * 다음 카탈로그 동기화 후에 재분류되도록 건너뜁니다.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - true면 변경 내용만 보고
+ * @param {number} [options.limit=0] - 처리할 최대 상품 수 (0이면 전체)
+ * @param {string} [options.jobId='N/A'] - 로그용 Job ID
+ * @param {function(number): Promise<void>} [options.onProgress] - 진행률 콜백 (처리한 상품 수)
+ * @returns {Promise<object>} 재분류 요약
+ */
+async function recategorizeSyncedProducts({ dryRun = false, limit = 0, jobId = 'N/A', onProgress } = {}) {
+  const logPrefix = `[${SERVICE_NAME}:Job-${jobId}]`;
+  const taxonomy = await getActiveTaxonomy({ forceReload: true });
+  const summary = { dryRun, checked: 0, changed: 0, updated: 0, skippedNoSource: 0, errors: 0, changes: [] };
+
+  const productQuery = `
+    query getProductForRecategorize($id: ID!) {
+      product(id: $id) {
+        id
+        title
+        productType
+        tags
+        collections(first: 50) { edges { node { id } } }
+      }
+    }`;
+
+  let cursorQuery = SyncedProduct.find({
+    syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] },
+    shopifyGid: { $exists: true, $ne: null },
+  }).select('_id bunjangPid shopifyGid bunjangProductName bunjangCategoryId bunjangCategoryName bunjangDescription bunjangKeywordsJson shopifyTaxonomyTags shopifyTaxonomyCollectionGids').lean();
+  if (limit > 0) cursorQuery = cursorQuery.limit(limit);
+
+  for await (const doc of cursorQuery.cursor()) {
+    summary.checked++;
+    // 분류 입력이 기록되기 전에 동기화된 상품은 Shopify 설명 등으로 대신 분류하면 유형이 바뀔 수 있으므로 건너뜀
+    if (doc.bunjangCategoryName === undefined || doc.bunjangDescription === undefined) {
+      summary.skippedNoSource++;
+      logger.debug(`${logPrefix} PID ${doc.bunjangPid} has no stored categorization source yet. Skipping until its next catalog sync.`);
+      continue;
+    }
+    try {
+      const response = await shopifyService.shopifyGraphqlRequest(productQuery, { id: doc.shopifyGid });
+      const shopifyProduct = response.data?.product;
+      if (!shopifyProduct) {
+        logger.warn(`${logPrefix} Shopify product ${doc.shopifyGid} (PID ${doc.bunjangPid}) not found. Skipping.`);
+        continue;
+      }
+
+      let keywords = [];
+      try { keywords = JSON.parse(doc.bunjangKeywordsJson || '[]'); } catch (e) { keywords = []; }
+      const result = categorizeProduct({
+        name: doc.bunjangProductName || shopifyProduct.title,
+        description: doc.bunjangDescription,
+        categoryId: doc.bunjangCategoryId,
+        categoryName: doc.bunjangCategoryName,
+        keywords,
+      }, taxonomy);
+
+      const previousTaxonomyTags = doc.shopifyTaxonomyTags || [];
+      const previousCollections = doc.shopifyTaxonomyCollectionGids || [];
+      const currentCollections = shopifyProduct.collections.edges.map(edge => edge.node.id);
+      const newTags = [...new Set([...shopifyProduct.tags.filter(tag => !previousTaxonomyTags.includes(tag)), ...result.tags])];
+      const collectionsToJoin = result.collectionGids.filter(id => !currentCollections.includes(id));
+      const collectionsToLeave = previousCollections.filter(id => !result.collectionGids.includes(id) && currentCollections.includes(id));
+
+      const tagsChanged = newTags.length !== shopifyProduct.tags.length || newTags.some(tag => !shopifyProduct.tags.includes(tag));
+      const typeChanged = result.productType !== shopifyProduct.productType;
+      if (!tagsChanged && !typeChanged && collectionsToJoin.length === 0 && collectionsToLeave.length === 0) {
+        continue;
+      }
+
+      summary.changed++;
+      if (summary.changes.length < 500) {
+        summary.changes.push({
+          bunjangPid: doc.bunjangPid,
+          shopifyGid: doc.shopifyGid,
+          productType: typeChanged ? { from: shopifyProduct.productType, to: result.productType } : undefined,
+          tagsAdded: newTags.filter(tag => !shopifyProduct.tags.includes(tag)),
+          tagsRemoved: shopifyProduct.tags.filter(tag => !newTags.includes(tag)),
+          collectionsToJoin,
+          collectionsToLeave,
+        });
+      }
+
+      if (!dryRun) {
+        await applyCategorizationToShopify(doc.shopifyGid, { productType: result.productType, tags: newTags, collectionsToJoin, collectionsToLeave });
+        await SyncedProduct.updateOne({ _id: doc._id }, {
+          $set: {
+            shopifyProductType: result.productType,
+            shopifyTaxonomyTags: result.tags,
+            shopifyTaxonomyCollectionGids: result.collectionGids,
+            categorizedAt: new Date(),
+          },
+        });
+        summary.updated++;
+      }
+    } catch (error) {
+      summary.errors++;
+      logger.error(`${logPrefix} Failed to recategorize PID ${doc.bunjangPid} (${doc.shopifyGid}): ${error.message}`);
+    }
+
+    if (onProgress && summary.checked % 100 === 0) await onProgress(summary.checked);
+  }
+
+  logger.info(`${logPrefix} Recategorization finished. DryRun: ${dryRun}, Checked: ${summary.checked}, Changed: ${summary.changed}, Updated: ${summary.updated}, Skipped (no source): ${summary.skippedNoSource}, Errors: ${summary.errors}`);
+  return summary;
+}
+
+module.exports = {
+  getActiveTaxonomy,
+  invalidateTaxonomyCache,
+  categorizeProduct,
+  recategorizeSyncedProducts,
+};
@@ -0,0 +1,143 @@
+// src/services/exchangeRateProviders.js
+// 환율 공급자(provider) 구현. 모든 공급자는 같은 형식으로 USD 기준 환율을 반환합니다.
+// { key, sourceName, rates: { KRW: 1350.25, EUR: 0.92, ... }, sourceTimestamp: Date }
+// 사용 순서는 config.exchangeRate.providers로 정하며 exchangeRateService가 순서대로 시도합니다.
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const { AppError, ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ExchangeRateProvider';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * 공급자 응답을 검증하고 공통 형식으로 변환합니다.
+ * @param {string} key
+ * @param {string} sourceName
+ * @param {object} rates
+ * @param {Date} sourceTimestamp
+ * @returns {{key: string, sourceName: string, rates: Object<string, number>, sourceTimestamp: Date}}
+ */
+function normalizeRates(key, sourceName, rates, sourceTimestamp) {
+  if (!rates || !(rates.KRW > 0)) {
+    throw new Error(`${sourceName} 응답에 KRW 환율이 없습니다.`);
+  }
+  return { key, sourceName, rates: { ...rates, USD: 1 }, sourceTimestamp: sourceTimestamp || new Date() };
+}
+
+/**
+ * axios 오류를 ExternalServiceError로 변환합니다.
+ * @param {string} sourceName
+ * @param {Error} error
+ * @returns {ExternalServiceError}
+ */
+function toProviderError(sourceName, error) {
+  const status = error.response?.status;
+  if (status === 401 || status === 403) {
+    return new ExternalServiceError(SERVICE_NAME, error, `${sourceName} API 인증 실패`, 'EXCHANGE_RATE_AUTH_ERROR');
+  }
+  if (status === 429) {
+    return new ExternalServiceError(SERVICE_NAME, error, `${sourceName} API 요청 한도 초과`, 'EXCHANGE_RATE_LIMIT_ERROR');
+  }
+  return new ExternalServiceError(SERVICE_NAME, error, `${sourceName}에서 환율 정보를 가져올 수 없습니다.`);
+}
+
+const PROVIDERS = {
+  // OpenExchangeRates (App ID 필요)
+  openexchangerates: {
+    sourceName: 'openexchangerates.org',
+    isConfigured: () => Boolean(process.env.OPENEXCHANGERATES_APP_ID || config.openExchangeRates?.appId),
+    async fetchUsdRates(symbols) {
+      const appId = process.env.OPENEXCHANGERATES_APP_ID || config.openExchangeRates?.appId;
+      const apiUrl = process.env.OPENEXCHANGERATES_API_URL || config.openExchangeRates?.apiUrl || 'https://openexchangerates.org/api';
+      if (!appId) {
+        throw new AppError('OpenExchangeRates API 인증 정보가 없습니다.', 500, 'EXCHANGE_RATE_CONFIG_ERROR');
+      }
+      const response = await axios.get(`${apiUrl}/latest.json`, {
+        params: { app_id: appId, base: 'USD', symbols: symbols.join(',') },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      const { rates, timestamp } = response.data || {};
+      return normalizeRates('openexchangerates', this.sourceName, rates, timestamp ? new Date(timestamp * 1000) : null);
+    },
+  },
+
+  // Frankfurter (유럽중앙은행 기준 환율, 인증 불필요, 영업일 1회 갱신)
+  frankfurter: {
+    sourceName: 'frankfurter.app',
+    isConfigured: () => Boolean(config.exchangeRate.frankfurterApiUrl),
+    async fetchUsdRates(symbols) {
+      const response = await axios.get(`${config.exchangeRate.frankfurterApiUrl}/latest`, {
+        params: { from: 'USD', to: symbols.filter(symbol => symbol !== 'USD').join(',') },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      const { rates, date } = response.data || {};
+      return normalizeRates('frankfurter', this.sourceName, rates, date ? new Date(`${date}T00:00:00Z`) : null);
+    },
+  },
+
+  // ExchangeRate-API 공개 엔드포인트 (인증 불필요, 일 1회 갱신)
+  erapi: {
+    sourceName: 'open.er-api.com',
+    isConfigured: () => Boolean(config.exchangeRate.erApiUrl),
+    async fetchUsdRates(symbols) {
+      const response = await axios.get(`${config.exchangeRate.erApiUrl}/latest/USD`, { timeout: REQUEST_TIMEOUT_MS });
+      const data = response.data || {};
+      if (data.result !== 'success') {
+        throw new Error(`open.er-api.com 응답 오류: ${data['error-type'] || data.result}`);
+      }
+      const rates = {};
+      symbols.forEach((symbol) => {
+        if (data.rates?.[symbol] > 0) rates[symbol] = data.rates[symbol];
+      });
+      return normalizeRates('erapi', this.sourceName, rates, data.time_last_update_unix ? new Date(data.time_last_update_unix * 1000) : null);
+    },
+  },
+};
+
+/**
+ * 설정된 순서대로 사용 가능한 공급자 목록을 반환합니다. 알 수 없거나 설정되지 않은 공급자는 제외합니다.
+ * @returns {Array<{key: string, sourceName: string, fetchUsdRates: Function}>}
+ */
+function getProviderChain() {
+  const chain = [];
+  for (const key of config.exchangeRate.providers) {
+    const provider = PROVIDERS[key];
+    if (!provider) {
+      logger.warn(`[${SERVICE_NAME}] Unknown exchange rate provider "${key}" in EXCHANGE_RATE_PROVIDERS. Ignored.`);
+      continue;
+    }
+    if (!provider.isConfigured()) {
+      logger.debug(`[${SERVICE_NAME}] Exchange rate provider "${key}" is not configured. Skipped.`);
+      continue;
+    }
+    chain.push({ key, ...provider });
+  }
+  return chain;
+}
+
+/**
+ * 공급자 하나에서 USD 기준 환율을 가져옵니다.
+ * @param {{key: string, sourceName: string, fetchUsdRates: Function}} provider
+ * @param {string[]} symbols - 조회할 통화 코드 (KRW 포함)
+ * @returns {Promise<{key: string, sourceName: string, rates: Object<string, number>, sourceTimestamp: Date}>}
+ * @throws {ExternalServiceError|AppError}
+ */
+async function fetchFromProvider(provider, symbols) {
+  try {
+    logger.info(`[${SERVICE_NAME}] ${provider.sourceName}에서 환율 정보를 가져오는 중...`);
+    const result = await provider.fetchUsdRates(symbols);
+    logger.info(`[${SERVICE_NAME}] ${provider.sourceName} 환율 정보 가져오기 성공. USD to KRW: ${result.rates.KRW}`);
+    return result;
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    logger.error(`[${SERVICE_NAME}] ${provider.sourceName} 환율 정보 가져오기 실패: ${error.response?.status || ''} ${error.message}`);
+    throw toProviderError(provider.sourceName, error);
+  }
+}
+
+module.exports = {
+  getProviderChain,
+  fetchFromProvider,
+};
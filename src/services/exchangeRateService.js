@@ -1,127 +1,470 @@
 // src/services/exchangeRateService.js
-const axios = require('axios');
 const config = require('../config');
 const logger = require('../config/logger');
-const { AppError, ExternalServiceError, NotFoundError } = require('../utils/customErrors');
+const ExchangeRate = require('../models/exchangeRate.model');
+const ExchangeRateHistory = require('../models/exchangeRateHistory.model');
+const { getProviderChain, fetchFromProvider } = require('./exchangeRateProviders');
+const { sendAlert } = require('./notificationService');
+const { AppError, ExternalServiceError, ValidationError } = require('../utils/customErrors');
 
 const SERVICE_NAME = 'ExchangeRateSvc';
 const CACHE_DURATION_MS = 3 * 60 * 60 * 1000; // 3시간 (밀리초)
 
 // 환율 캐시
 let cachedRate = null;
+let cachedRateSource = null;
 let lastFetchTime = null;
 
+// DB에 저장된 ExchangeRate(base: USD) 문서 캐시 (통화별 환율, 수동 환율)
+const STORED_RATES_CACHE_MS = 5 * 60 * 1000;
+let cachedStoredDoc = null;
+let storedRatesFetchedAt = 0;
+
+// 동시에 여러 가격 계산이 캐시 만료를 만나도 공급자 호출은 한 번만
+let pendingRefresh = null;
+
+// 마지막 환율 갱신 실패 ({ at, error }). config.exchangeRate.refreshFailureBackoffMinutes 동안 가격 계산에서 재시도하지 않음
+let lastRefreshFailure = null;
+
+// 같은 종류의 환율 알림 마지막 발송 시각
+const lastAlertAt = new Map();
+
+/**
+ * 환율 관련 운영 알림을 보냅니다. 같은 종류(key)의 알림은 config.exchangeRate.alertCooldownMinutes 동안 한 번만 보냅니다.
+ * @param {string} key - 알림 종류 (stale, fallback, rejected, providers_failed)
+ * @param {object} alert - notificationService.sendAlert 인자
+ */
+async function alertRateIssue(key, alert) {
+  const cooldownMs = config.exchangeRate.alertCooldownMinutes * 60 * 1000;
+  const last = lastAlertAt.get(key);
+  if (last && Date.now() - last < cooldownMs) {
+    logger.warn(`[${SERVICE_NAME}] ${alert.title}: ${alert.message} (alert suppressed, cooldown)`);
+    return;
+  }
+  lastAlertAt.set(key, Date.now());
+  await sendAlert(alert);
+}
+
+/**
+ * 저장된 ExchangeRate 문서를 가져옵니다. (짧게 캐시)
+ * @param {boolean} [forceRefresh=false]
+ * @returns {Promise<object|null>}
+ */
+async function getStoredRateDoc(forceRefresh = false) {
+  if (!forceRefresh && cachedStoredDoc !== null && Date.now() - storedRatesFetchedAt < STORED_RATES_CACHE_MS) {
+    return cachedStoredDoc;
+  }
+  cachedStoredDoc = await ExchangeRate.findOne({ base: 'USD' }).lean();
+  storedRatesFetchedAt = Date.now();
+  return cachedStoredDoc;
+}
+
+/**
+ * 만료되지 않은 수동 환율을 반환합니다.
+ * @param {object|null} storedDoc
+ * @returns {object|null}
+ */
+function getActiveOverride(storedDoc) {
+  const override = storedDoc?.manualOverride;
+  if (!(override?.krwToUsdRate > 0)) return null;
+  if (override.expiresAt && new Date(override.expiresAt) <= new Date()) return null;
+  return override;
+}
+
+/**
+ * 마지막 저장 환율 대비 변동률(%)을 계산합니다.
+ * @param {number|null} previousRate
+ * @param {number} newRate
+ * @returns {number|null} 기준 환율이 없으면 null
+ */
+function calculateDeviationPercent(previousRate, newRate) {
+  if (!(previousRate > 0)) return null;
+  return Math.round(((newRate - previousRate) / previousRate) * 10000) / 100;
+}
+
 /**
- * OpenExchangeRates API에서 최신 환율 정보를 가져옵니다.
- * @returns {Promise<Object>} 환율 데이터
+ * 공급자 체인을 순서대로 시도하여 유효한 환율을 가져옵니다.
+ * 마지막 저장 환율 대비 config.exchangeRate.maxDeviationPercent를 넘게 움직인 환율은 거부(이력 기록)하고 다음 공급자를 시도합니다.
+ * @param {number|null} previousRate - 마지막 저장 환율 (1 KRW당 USD)
+ * @param {object} [options]
+ * @param {boolean} [options.skipDeviationCheck=false] - 실제 환율이 크게 움직였을 때 관리자가 강제로 채택하는 경우
+ * @returns {Promise<{result: object, krwToUsd: number, deviationPercent: number|null}>}
+ * @throws {ExternalServiceError} 모든 공급자가 실패하거나 거부된 경우
  */
-async function fetchExchangeRatesFromAPI() {
-  const appId = process.env.OPENEXCHANGERATES_APP_ID || config.openExchangeRates?.appId;
-  const apiUrl = process.env.OPENEXCHANGERATES_API_URL || config.openExchangeRates?.apiUrl || 'https://openexchangerates.org/api';
-  
-  if (!appId) {
-    logger.error(`[${SERVICE_NAME}] OpenExchangeRates API App ID가 설정되지 않았습니다.`);
-    throw new AppError('OpenExchangeRates API 인증 정보가 없습니다.', 500, 'EXCHANGE_RATE_CONFIG_ERROR');
+async function fetchValidatedRates(previousRate, { skipDeviationCheck = false } = {}) {
+  const symbols = [...new Set(['KRW', ...config.marketPricing.currencies])]; // KRW + Shopify Markets 게시 통화
+  const chain = getProviderChain();
+  const failures = [];
+
+  for (const provider of chain) {
+    let result;
+    try {
+      result = await fetchFromProvider(provider, symbols);
+    } catch (error) {
+      failures.push({ provider: provider.key, reason: error.message });
+      continue;
+    }
+
+    const krwToUsd = 1 / result.rates.KRW;
+    const deviationPercent = calculateDeviationPercent(previousRate, krwToUsd);
+    if (!skipDeviationCheck && deviationPercent !== null && Math.abs(deviationPercent) > config.exchangeRate.maxDeviationPercent) {
+      const reason = `Deviation ${deviationPercent}% exceeds ${config.exchangeRate.maxDeviationPercent}% from last stored rate`;
+      logger.warn(`[${SERVICE_NAME}] ${result.sourceName} 환율 거부: 1 USD = ${result.rates.KRW} KRW. ${reason}`);
+      await recordRateHistory({
+        status: 'REJECTED',
+        provider: result.key,
+        sourceName: result.sourceName,
+        sourceApiTimestamp: result.sourceTimestamp,
+        krwToUsdRate: krwToUsd,
+        rates: result.rates,
+        previousKrwToUsdRate: previousRate,
+        deviationPercent,
+        reason,
+      });
+      await alertRateIssue('rejected', {
+        title: 'Exchange rate rejected',
+        message: `${result.sourceName} returned 1 USD = ${result.rates.KRW} KRW (${deviationPercent}% from the last stored rate). If the market really moved, set a manual override or refresh with skipDeviationCheck.`,
+        severity: 'warning',
+        details: { provider: result.key, previousKrwPerUsd: previousRate ? Math.round((1 / previousRate) * 100) / 100 : null, deviationPercent },
+      });
+      failures.push({ provider: provider.key, reason });
+      continue;
+    }
+    return { result, krwToUsd, deviationPercent };
   }
 
-  const url = `${apiUrl}/latest.json`;
-  
+  if (chain.length === 0) failures.push({ provider: null, reason: 'No exchange rate provider configured (EXCHANGE_RATE_PROVIDERS)' });
+  const failureSummary = failures.map(f => `${f.provider}: ${f.reason}`).join(' | ');
+  await alertRateIssue('providers_failed', {
+    title: 'All exchange rate providers failed',
+    message: 'Could not get an acceptable KRW exchange rate from any provider. Prices are computed from the last stored rate until this recovers.',
+    severity: 'critical',
+    details: { failures: failureSummary },
+  });
+  throw new ExternalServiceError(SERVICE_NAME, new Error(failureSummary), '사용 가능한 환율 공급자가 없습니다.', 'EXCHANGE_RATE_PROVIDERS_FAILED');
+}
+
+/**
+ * 환율 이력을 기록합니다. 기록 실패는 환율 갱신을 실패시키지 않습니다.
+ * @param {object} entry - ExchangeRateHistory 필드
+ */
+async function recordRateHistory(entry) {
   try {
-    logger.info(`[${SERVICE_NAME}] OpenExchangeRates API에서 환율 정보를 가져오는 중...`);
-    
-    const response = await axios.get(url, {
-      params: {
-        app_id: appId,
-        base: 'USD', // USD 기준 환율
-        symbols: 'KRW' // KRW 환율만 가져오기
-      },
-      timeout: 10000 // 10초 타임아웃
+    await ExchangeRateHistory.create({
+      ...entry,
+      usdToKrw: entry.krwToUsdRate > 0 ? Math.round((1 / entry.krwToUsdRate) * 10000) / 10000 : undefined,
     });
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}] Failed to record exchange rate history (${entry.status}): ${error.message}`);
+  }
+}
 
-    if (response.data && response.data.rates && response.data.rates.KRW) {
-      logger.info(`[${SERVICE_NAME}] 환율 정보 가져오기 성공. USD to KRW: ${response.data.rates.KRW}`);
-      return response.data;
-    } else {
-      throw new Error('OpenExchangeRates API 응답 형식이 올바르지 않습니다.');
+/**
+ * 환율 갱신에 실패했을 때 사용할 환율을 고릅니다. 마지막 저장 환율(stale) → 비상 환율(fallback) 순이며 알림을 보냅니다.
+ * @param {Error} error - 갱신 실패 원인
+ * @param {object|null} storedDoc - 저장된 ExchangeRate 문서
+ * @param {number} now
+ * @param {object} [options]
+ * @param {boolean} [options.alert=true] - false면 알림 없이 로그만 (재시도 대기 중)
+ * @returns {Promise<{krwToUsdRate: number, source: string, asOf: Date|null, stale: boolean, fallback: boolean}>}
+ * @throws {AppError} 사용할 수 있는 환율이 전혀 없는 경우
+ */
+async function resolveFallbackRate(error, storedDoc, now, { alert = true } = {}) {
+  // 캐시 또는 DB에 남아 있는 마지막 환율 사용 (stale)
+  const staleRate = cachedRate ?? storedDoc?.krwToUsdRate;
+  if (staleRate > 0) {
+    const asOf = cachedRate !== null ? new Date(lastFetchTime) : storedDoc.lastUpdatedByApp;
+    const ageHours = asOf ? Math.round(((now - new Date(asOf).getTime()) / 3600000) * 10) / 10 : null;
+    if (alert) {
+      await alertRateIssue('stale', {
+        title: 'Pricing with stale exchange rate',
+        message: `Exchange rate refresh failed (${error.message}). Pricing with the last known rate 1 USD = ${Math.round((1 / staleRate) * 100) / 100} KRW.`,
+        severity: ageHours !== null && ageHours > config.exchangeRate.maxAgeHours ? 'critical' : 'warning',
+        details: { asOf, ageHours, maxAgeHours: config.exchangeRate.maxAgeHours },
+      });
     }
-  } catch (error) {
-    if (error.response) {
-      const status = error.response.status;
-      const message = error.response.data?.message || error.message;
-      logger.error(`[${SERVICE_NAME}] OpenExchangeRates API 오류: ${status} - ${message}`);
-      
-      if (status === 401) {
-        throw new ExternalServiceError(SERVICE_NAME, error, 'OpenExchangeRates API 인증 실패', 'EXCHANGE_RATE_AUTH_ERROR');
-      } else if (status === 429) {
-        throw new ExternalServiceError(SERVICE_NAME, error, 'OpenExchangeRates API 요청 한도 초과', 'EXCHANGE_RATE_LIMIT_ERROR');
-      }
+    return { krwToUsdRate: staleRate, source: cachedRate !== null ? cachedRateSource : storedDoc.rateProvider, asOf, stale: true, fallback: false };
+  }
+
+  // 저장된 환율도 없으면 설정된 비상 환율 사용 (없으면 가격 계산 실패)
+  if (config.exchangeRate.emergencyKrwPerUsd > 0) {
+    if (alert) {
+      await alertRateIssue('fallback', {
+        title: 'Pricing with emergency fallback exchange rate',
+        message: `No exchange rate is available (${error.message}). Pricing with EXCHANGE_RATE_EMERGENCY_KRW_PER_USD = ${config.exchangeRate.emergencyKrwPerUsd}.`,
+        severity: 'critical',
+      });
     }
-    
-    logger.error(`[${SERVICE_NAME}] 환율 정보 가져오기 실패: ${error.message}`, { stack: error.stack });
-    throw new ExternalServiceError(SERVICE_NAME, error, 'OpenExchangeRates에서 환율 정보를 가져올 수 없습니다.');
+    return { krwToUsdRate: 1 / config.exchangeRate.emergencyKrwPerUsd, source: 'emergency_fallback', asOf: null, stale: true, fallback: true };
   }
+
+  logger.error(`[${SERVICE_NAME}] 사용 가능한 캐시된 환율이 없고 새로운 환율도 가져올 수 없습니다.`);
+  throw new AppError('사용 가능한 환율이 없습니다.', 503, 'EXCHANGE_RATE_UNAVAILABLE', true, { cause: error.message });
 }
 
 /**
- * KRW에서 USD로 변환하는 환율을 가져옵니다. (1 KRW = ? USD)
- * 캐시된 값이 있고 유효하면 사용하고, 그렇지 않으면 새로 가져옵니다.
- * @returns {Promise<number>} 1 KRW당 USD 환율
+ * KRW에서 USD로 변환하는 가격 계산용 환율과 출처를 가져옵니다. (1 KRW = ? USD)
+ * 수동 환율 → 캐시된 환율(3시간) → 공급자 체인 순으로 사용하고, 공급자 조회가 모두 실패하면
+ * 마지막 저장 환율(stale) 또는 설정된 비상 환율(fallback)을 사용하되 반드시 알림을 보냅니다.
+ * 갱신이 실패(변동 폭 거부 포함)하면 config.exchangeRate.refreshFailureBackoffMinutes 동안은 공급자를 다시 호출하지 않습니다.
+ * @returns {Promise<{krwToUsdRate: number, source: string, asOf: Date|null, stale: boolean, fallback: boolean}>}
+ * @throws {AppError} 사용할 수 있는 환율이 전혀 없는 경우
  */
-async function getKrwToUsdRate() {
+async function getPricingRate() {
   const now = Date.now();
-  
+  const storedDoc = await getStoredRateDoc();
+
+  const override = getActiveOverride(storedDoc);
+  if (override) {
+    logger.debug(`[${SERVICE_NAME}] 수동 환율 사용: 1 USD = ${override.krwPerUsd} KRW`);
+    return { krwToUsdRate: override.krwToUsdRate, source: 'manual', asOf: override.setAt || null, stale: false, fallback: false };
+  }
+
   // 유효한 캐시된 환율이 있는지 확인
   if (cachedRate !== null && lastFetchTime !== null) {
     const timeSinceLastFetch = now - lastFetchTime;
     if (timeSinceLastFetch < CACHE_DURATION_MS) {
       logger.debug(`[${SERVICE_NAME}] 캐시된 환율 사용: 1 KRW = ${cachedRate} USD (${Math.round(timeSinceLastFetch / 60000)}분 전 캐시됨)`);
-      return cachedRate;
+      return { krwToUsdRate: cachedRate, source: cachedRateSource, asOf: new Date(lastFetchTime), stale: false, fallback: false };
     }
   }
-  
+
+  // 최근 갱신이 실패했으면 대기 시간 동안 공급자 호출/이력 기록/알림 없이 stale 환율 사용
+  const backoffMs = config.exchangeRate.refreshFailureBackoffMinutes * 60 * 1000;
+  if (lastRefreshFailure && now - lastRefreshFailure.at < backoffMs) {
+    logger.debug(`[${SERVICE_NAME}] 환율 갱신 재시도 대기 중 (${Math.round((now - lastRefreshFailure.at) / 60000)}분 전 실패: ${lastRefreshFailure.error.message})`);
+    return resolveFallbackRate(lastRefreshFailure.error, storedDoc, now, { alert: false });
+  }
+
   try {
-    // 새로운 환율 데이터 가져오기
-    const exchangeData = await fetchExchangeRatesFromAPI();
-    
-    // KRW to USD 환율 계산 (1 KRW = ? USD)
-    // API에서는 USD to KRW (1 USD = X KRW)를 제공하므로 역수 계산
-    const usdToKrw = exchangeData.rates.KRW;
-    const krwToUsd = 1 / usdToKrw;
-    
-    // 캐시 업데이트
-    cachedRate = krwToUsd;
-    lastFetchTime = now;
-    
-    logger.info(`[${SERVICE_NAME}] 환율 캐시 업데이트: 1 KRW = ${krwToUsd.toFixed(8)} USD (1 USD = ${usdToKrw} KRW)`);
-    
-    return krwToUsd;
-  } catch (error) {
-    // 새로운 환율 가져오기에 실패했지만 캐시된 값이 있으면 사용
-    if (cachedRate !== null) {
-      logger.warn(`[${SERVICE_NAME}] 새로운 환율 가져오기 실패, 캐시된 환율 사용: 1 KRW = ${cachedRate} USD`);
-      return cachedRate;
+    if (!pendingRefresh) {
+      pendingRefresh = updateAndStoreExchangeRates().finally(() => { pendingRefresh = null; });
     }
-    
-    // 캐시된 환율도 없으면 에러 발생
-    logger.error(`[${SERVICE_NAME}] 사용 가능한 캐시된 환율이 없고 새로운 환율도 가져올 수 없습니다.`);
-    throw error;
+    const stored = await pendingRefresh;
+    return { krwToUsdRate: stored.krwToUsdRate, source: stored.rateProvider, asOf: stored.lastUpdatedByApp, stale: false, fallback: false };
+  } catch (error) {
+    lastRefreshFailure = { at: Date.now(), error };
+    return resolveFallbackRate(error, storedDoc, now);
   }
 }
 
+/**
+ * KRW에서 USD로 변환하는 환율을 가져옵니다. (1 KRW = ? USD)
+ * @returns {Promise<number>} 1 KRW당 USD 환율
+ */
+async function getKrwToUsdRate() {
+  const { krwToUsdRate } = await getPricingRate();
+  return krwToUsdRate;
+}
+
 /**
  * 환율 캐시를 강제로 새로고침합니다.
  * @returns {Promise<number>} 새로운 1 KRW당 USD 환율
  */
 async function refreshExchangeRate() {
   logger.info(`[${SERVICE_NAME}] 환율 캐시 강제 새로고침 중...`);
-  
+
   // 캐시 삭제하여 강제로 새로 가져오도록 함
   cachedRate = null;
+  cachedRateSource = null;
   lastFetchTime = null;
-  
+  lastRefreshFailure = null;
+
   return await getKrwToUsdRate();
 }
 
+/**
+ * 공급자 체인에서 최신 환율을 가져와 캐시를 갱신하고 DB(ExchangeRate, base: USD)와 환율 이력에 저장합니다. (환율 업데이트 워커용)
+ * @param {object} [options]
+ * @param {boolean} [options.skipDeviationCheck=false] - 마지막 저장 환율 대비 변동 폭 검사 생략 (관리자 강제 갱신)
+ * @returns {Promise<object>} 저장된 ExchangeRate 문서 (lean)
+ * @throws {ExternalServiceError} 모든 공급자가 실패하거나 거부된 경우
+ */
+async function updateAndStoreExchangeRates({ skipDeviationCheck = false } = {}) {
+  const previous = await ExchangeRate.findOne({ base: 'USD' }).select('krwToUsdRate').lean();
+  const previousRate = previous?.krwToUsdRate || null;
+  const { result, krwToUsd, deviationPercent } = await fetchValidatedRates(previousRate, { skipDeviationCheck });
+
+  cachedRate = krwToUsd;
+  cachedRateSource = result.key;
+  lastFetchTime = Date.now();
+  lastRefreshFailure = null;
+
+  const now = new Date();
+  const stored = await ExchangeRate.findOneAndUpdate(
+    { base: 'USD' },
+    {
+      $set: {
+        rates: result.rates,
+        krwToUsdRate: krwToUsd,
+        lastUpdatedByApp: now,
+        sourceApiTimestamp: result.sourceTimestamp,
+        sourceName: result.sourceName,
+        rateProvider: result.key,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  await recordRateHistory({
+    status: 'ACCEPTED',
+    provider: result.key,
+    sourceName: result.sourceName,
+    sourceApiTimestamp: result.sourceTimestamp,
+    krwToUsdRate: krwToUsd,
+    rates: result.rates,
+    previousKrwToUsdRate: previousRate,
+    deviationPercent,
+    reason: skipDeviationCheck ? 'Deviation check skipped (forced refresh)' : undefined,
+  });
+
+  cachedStoredDoc = stored;
+  storedRatesFetchedAt = Date.now();
+
+  logger.info(`[${SERVICE_NAME}] 환율 저장 완료 (${result.sourceName}): 1 KRW = ${krwToUsd.toFixed(8)} USD (1 USD = ${result.rates.KRW} KRW)`);
+  return stored;
+}
+
+/**
+ * 관리자 수동 환율을 설정합니다. 설정되어 있는 동안 가격 계산은 공급자 환율 대신 이 환율을 사용합니다.
+ * @param {object} params
+ * @param {number} params.krwPerUsd - 1 USD당 KRW
+ * @param {string} [params.reason]
+ * @param {Date} [params.expiresAt] - 없으면 해제할 때까지 유지
+ * @returns {Promise<object>} 갱신된 ExchangeRate 문서 (lean)
+ * @throws {ValidationError}
+ */
+async function setManualOverride({ krwPerUsd, reason, expiresAt }) {
+  if (!(krwPerUsd > 1)) {
+    throw new ValidationError('수동 환율이 유효하지 않습니다.', [{ field: 'krwPerUsd', message: '1 USD당 KRW는 1보다 커야 합니다.' }]);
+  }
+  const krwToUsdRate = 1 / krwPerUsd;
+  const previousDoc = await getStoredRateDoc(true);
+  const deviationPercent = calculateDeviationPercent(previousDoc?.krwToUsdRate, krwToUsdRate);
+  const manualOverride = { krwPerUsd, krwToUsdRate, reason, setAt: new Date(), expiresAt: expiresAt || undefined };
+
+  const stored = await ExchangeRate.findOneAndUpdate(
+    { base: 'USD' },
+    {
+      $set: { manualOverride },
+      $setOnInsert: { rates: { USD: 1, KRW: krwPerUsd }, krwToUsdRate, sourceApiTimestamp: new Date(), sourceName: 'manual', rateProvider: 'manual' },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  cachedStoredDoc = stored;
+  storedRatesFetchedAt = Date.now();
+
+  await recordRateHistory({
+    status: 'MANUAL_OVERRIDE_SET',
+    provider: 'manual',
+    sourceName: 'manual',
+    krwToUsdRate,
+    previousKrwToUsdRate: previousDoc?.krwToUsdRate,
+    deviationPercent,
+    reason,
+  });
+  logger.warn(`[${SERVICE_NAME}] 수동 환율 설정: 1 USD = ${krwPerUsd} KRW (변동 ${deviationPercent ?? 'N/A'}%, 만료: ${expiresAt ? new Date(expiresAt).toISOString() : '없음'}). 사유: ${reason || '-'}`);
+  return stored;
+}
+
+/**
+ * 관리자 수동 환율을 해제합니다.
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} 해제된 수동 환율이 있었는지 여부
+ */
+async function clearManualOverride(reason) {
+  const previousDoc = await getStoredRateDoc(true);
+  if (!previousDoc?.manualOverride?.krwToUsdRate) return false;
+
+  cachedStoredDoc = await ExchangeRate.findOneAndUpdate({ base: 'USD' }, { $unset: { manualOverride: 1 } }, { new: true }).lean();
+  storedRatesFetchedAt = Date.now();
+  await recordRateHistory({
+    status: 'MANUAL_OVERRIDE_CLEARED',
+    provider: 'manual',
+    sourceName: 'manual',
+    krwToUsdRate: previousDoc.manualOverride.krwToUsdRate,
+    previousKrwToUsdRate: previousDoc.krwToUsdRate,
+    reason,
+  });
+  logger.warn(`[${SERVICE_NAME}] 수동 환율 해제 (1 USD = ${previousDoc.manualOverride.krwPerUsd} KRW). 사유: ${reason || '-'}`);
+  return true;
+}
+
+/**
+ * 현재 환율 상태(저장 환율, 수동 환율, 경과 시간)를 조회합니다. (관리 API용)
+ * @returns {Promise<object>}
+ */
+async function getExchangeRateStatus() {
+  const storedDoc = await getStoredRateDoc(true);
+  const ageHours = storedDoc?.lastUpdatedByApp ? Math.round(((Date.now() - new Date(storedDoc.lastUpdatedByApp).getTime()) / 3600000) * 10) / 10 : null;
+  return {
+    stored: storedDoc ? {
+      krwToUsdRate: storedDoc.krwToUsdRate,
+      usdToKrw: storedDoc.krwToUsdRate > 0 ? Math.round((1 / storedDoc.krwToUsdRate) * 10000) / 10000 : null,
+      rates: storedDoc.rates,
+      provider: storedDoc.rateProvider || null,
+      sourceName: storedDoc.sourceName,
+      sourceApiTimestamp: storedDoc.sourceApiTimestamp,
+      lastUpdatedByApp: storedDoc.lastUpdatedByApp,
+      ageHours,
+      stale: ageHours === null || ageHours > config.exchangeRate.maxAgeHours,
+    } : null,
+    manualOverride: getActiveOverride(storedDoc),
+    cache: getCachedRateInfo(),
+    providers: getProviderChain().map(p => p.key),
+    maxDeviationPercent: config.exchangeRate.maxDeviationPercent,
+    maxAgeHours: config.exchangeRate.maxAgeHours,
+  };
+}
+
+/**
+ * 환율 이력(시계열)을 조회합니다. 기간 내 기록을 시간순으로 반환하고 채택된 환율의 요약을 함께 계산합니다.
+ * @param {object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {string[]} [options.statuses] - ACCEPTED | REJECTED | MANUAL_OVERRIDE_SET | MANUAL_OVERRIDE_CLEARED (기본값 전체)
+ * @param {string} [options.provider]
+ * @param {boolean} [options.includeRates=false] - 통화별 환율 맵 포함 여부
+ * @param {number} [options.limit=1000]
+ * @returns {Promise<{from: Date|null, to: Date|null, count: number, truncated: boolean, summary: object|null, series: Array<object>}>}
+ */
+async function getRateHistory({ from, to, statuses, provider, includeRates = false, limit = 1000 } = {}) {
+  const filter = { base: 'USD' };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (statuses?.length) filter.status = { $in: statuses };
+  if (provider) filter.provider = provider;
+
+  const projection = includeRates ? '-base' : '-base -rates';
+  const entries = await ExchangeRateHistory.find(filter).select(projection).sort({ createdAt: 1 }).limit(limit + 1).lean();
+  const truncated = entries.length > limit;
+  const series = truncated ? entries.slice(0, limit) : entries;
+
+  const accepted = series.filter(entry => entry.status === 'ACCEPTED' && entry.usdToKrw > 0);
+  const summary = accepted.length > 0 ? {
+    acceptedCount: accepted.length,
+    firstUsdToKrw: accepted[0].usdToKrw,
+    lastUsdToKrw: accepted[accepted.length - 1].usdToKrw,
+    minUsdToKrw: Math.min(...accepted.map(entry => entry.usdToKrw)),
+    maxUsdToKrw: Math.max(...accepted.map(entry => entry.usdToKrw)),
+    changePercent: calculateDeviationPercent(accepted[0].usdToKrw, accepted[accepted.length - 1].usdToKrw),
+  } : null;
+
+  return { from: from || null, to: to || null, count: series.length, truncated, summary, series };
+}
+
+/**
+ * DB에 저장된 USD 기준 통화별 환율(1 USD = ? 통화)을 가져옵니다. (다중 통화 가격 계산용, 짧게 캐시)
+ * @returns {Promise<Object<string, number>>} 통화 코드 → 환율. 저장된 환율이 없으면 빈 객체
+ */
+async function getStoredUsdRates() {
+  const storedDoc = await getStoredRateDoc();
+  return storedDoc?.rates || {};
+}
+
 /**
  * 현재 캐시된 환율 정보를 가져옵니다.
  * @returns {Object|null} 캐시된 환율 정보 또는 null
@@ -130,13 +473,14 @@ function getCachedRateInfo() {
   if (cachedRate === null || lastFetchTime === null) {
     return null;
   }
-  
+
   const now = Date.now();
   const age = now - lastFetchTime;
   const expiresIn = Math.max(0, CACHE_DURATION_MS - age);
-  
+
   return {
     rate: cachedRate,
+    source: cachedRateSource,
     lastFetchTime: new Date(lastFetchTime),
     ageMinutes: Math.round(age / 60000),
     expiresInMinutes: Math.round(expiresIn / 60000),
@@ -155,19 +499,19 @@ function startAutoRefresh() {
     logger.warn(`[${SERVICE_NAME}] 환율 자동 새로고침이 이미 실행 중입니다.`);
     return;
   }
-  
+
   // 초기 환율 가져오기
   getKrwToUsdRate().catch(err => {
     logger.error(`[${SERVICE_NAME}] 초기 환율 가져오기 실패:`, err);
   });
-  
+
   // 3시간마다 자동 새로고침 설정
   refreshInterval = setInterval(() => {
     refreshExchangeRate().catch(err => {
       logger.error(`[${SERVICE_NAME}] 자동 환율 새로고침 실패:`, err);
     });
   }, CACHE_DURATION_MS);
-  
+
   logger.info(`[${SERVICE_NAME}] 환율 자동 새로고침 시작 (매 ${CACHE_DURATION_MS / 3600000}시간마다)`);
 }
 
@@ -188,8 +532,15 @@ function stopAutoRefresh() {
 
 module.exports = {
   getKrwToUsdRate,
+  getPricingRate,
   refreshExchangeRate,
+  updateAndStoreExchangeRates,
+  setManualOverride,
+  clearManualOverride,
+  getExchangeRateStatus,
+  getRateHistory,
+  getStoredUsdRates,
   getCachedRateInfo,
   startAutoRefresh,
   stopAutoRefresh
-};
\ No newline at end of file
+};
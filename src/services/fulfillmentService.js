@@ -0,0 +1,113 @@
+// src/services/fulfillmentService.js
+// 국제 배송 구간 송장으로 Shopify fulfillment를 만들고, 송장이 바뀌면 추적 정보를 갱신합니다.
+// 창고에서 함께 보내는 line item들을 fulfillment 하나로 묶으므로, 일부 상품만 보낸 주문은 부분 fulfillment가 됩니다.
+// 만든 fulfillment는 주문 원장 line item에 기록해 같은 송장으로 다시 만들지 않습니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const orderLinkService = require('./orderLinkService');
+
+const SERVICE_NAME = 'FulfillmentSvc';
+const FULFILLABLE_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+/**
+ * line item별로 미처리 수량이 남은 fulfillment order line item을 고릅니다.
+ * @param {Array<object>} fulfillmentOrders - shopifyService.getOrderFulfillmentOrders 결과
+ * @param {Array<object>} lineItems - 주문 원장 line item (shopifyLineItemId, quantity)
+ * @returns {{lineItemsByFulfillmentOrder: Array<{fulfillmentOrderId: string, fulfillmentOrderLineItems: Array<{id: string, quantity: number}>}>, selectedLineItemIds: string[]}}
+ */
+function selectFulfillmentOrderLineItems(fulfillmentOrders, lineItems) {
+  const byFulfillmentOrder = new Map();
+  const selectedLineItemIds = [];
+  for (const lineItem of lineItems) {
+    const lineItemGid = `gid://shopify/LineItem/${lineItem.shopifyLineItemId}`;
+    let remaining = lineItem.quantity || Infinity;
+    let selected = 0;
+    for (const fulfillmentOrder of fulfillmentOrders) {
+      if (remaining <= 0) break;
+      if (!FULFILLABLE_STATUSES.includes(fulfillmentOrder.status)) continue;
+      for (const item of fulfillmentOrder.lineItems) {
+        if (remaining <= 0) break;
+        if (item.lineItemId !== lineItemGid || item.remainingQuantity <= 0) continue;
+        const quantity = Math.min(item.remainingQuantity, remaining);
+        if (!byFulfillmentOrder.has(fulfillmentOrder.id)) byFulfillmentOrder.set(fulfillmentOrder.id, []);
+        byFulfillmentOrder.get(fulfillmentOrder.id).push({ id: item.id, quantity });
+        remaining -= quantity;
+        selected += quantity;
+      }
+    }
+    if (selected > 0) selectedLineItemIds.push(lineItem.shopifyLineItemId);
+  }
+  return {
+    lineItemsByFulfillmentOrder: [...byFulfillmentOrder.entries()].map(([fulfillmentOrderId, fulfillmentOrderLineItems]) => ({ fulfillmentOrderId, fulfillmentOrderLineItems })),
+    selectedLineItemIds,
+  };
+}
+
+/**
+ * 주문 원장 line item들의 Shopify fulfillment를 송장에 맞춥니다.
+ * - fulfillment가 없는 line item들은 fulfillment 하나로 묶어 만듭니다. (추적 정보 포함, 고객 배송 알림)
+ * - 이미 fulfillment가 있고 송장(택배사/번호)이 바뀌었으면 추적 정보를 갱신합니다.
+ * @param {object} params
+ * @param {string} params.shopifyOrderId
+ * @param {string} params.shopifyOrderGid
+ * @param {Array<object>} params.lineItems - 주문 원장 line item
+ * @param {{company?: string, number: string, url?: string}} params.trackingInfo
+ * @param {string} [params.jobId='N/A']
+ * @returns {Promise<{createdFulfillmentId: string|null, updatedFulfillmentIds: string[], unchangedFulfillmentIds: string[], skippedLineItemIds: string[]}>}
+ */
+async function syncLineItemsFulfillment({ shopifyOrderId, shopifyOrderGid, lineItems, trackingInfo, jobId = 'N/A' }) {
+  const notifyCustomer = config.orderProcessing.notifyCustomerOnFulfillment;
+  const result = { createdFulfillmentId: null, updatedFulfillmentIds: [], unchangedFulfillmentIds: [], skippedLineItemIds: [] };
+
+  // 이미 fulfillment가 있는 line item - fulfillment별로 추적 정보 갱신
+  const existingByFulfillment = new Map();
+  const unfulfilled = [];
+  for (const lineItem of lineItems) {
+    const fulfillmentId = lineItem.fulfillment?.shopifyFulfillmentId;
+    if (!fulfillmentId) {
+      unfulfilled.push(lineItem);
+      continue;
+    }
+    if (!existingByFulfillment.has(fulfillmentId)) existingByFulfillment.set(fulfillmentId, []);
+    existingByFulfillment.get(fulfillmentId).push(lineItem);
+  }
+
+  for (const [fulfillmentId, fulfilledItems] of existingByFulfillment) {
+    const current = fulfilledItems[0].fulfillment;
+    if (current.trackingNumber === trackingInfo.number && current.trackingCompany === trackingInfo.company) {
+      result.unchangedFulfillmentIds.push(fulfillmentId);
+      continue;
+    }
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Tracking changed for fulfillment ${fulfillmentId} of order ${shopifyOrderId}: ${current.trackingCompany} ${current.trackingNumber} -> ${trackingInfo.company} ${trackingInfo.number}`);
+    await shopifyService.updateFulfillmentTracking(fulfillmentId, trackingInfo, notifyCustomer);
+    for (const lineItem of fulfilledItems) {
+      await orderLinkService.recordFulfillment(shopifyOrderId, lineItem.shopifyLineItemId, { shopifyFulfillmentId: fulfillmentId, trackingInfo }, jobId);
+    }
+    result.updatedFulfillmentIds.push(fulfillmentId);
+  }
+
+  if (unfulfilled.length === 0) return result;
+
+  const fulfillmentOrders = await shopifyService.getOrderFulfillmentOrders(shopifyOrderGid);
+  const { lineItemsByFulfillmentOrder, selectedLineItemIds } = selectFulfillmentOrderLineItems(fulfillmentOrders, unfulfilled);
+  result.skippedLineItemIds = unfulfilled.map(li => li.shopifyLineItemId).filter(id => !selectedLineItemIds.includes(id));
+  if (result.skippedLineItemIds.length > 0) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] No open fulfillment order quantity for line items ${result.skippedLineItemIds.join(', ')} of order ${shopifyOrderId} (already fulfilled or on hold). Skipping them.`);
+  }
+  if (lineItemsByFulfillmentOrder.length === 0) return result;
+
+  const fulfillment = await shopifyService.createFulfillment({ lineItemsByFulfillmentOrder, trackingInfo, notifyCustomer });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Created fulfillment ${fulfillment?.id} for line items ${selectedLineItemIds.join(', ')} of order ${shopifyOrderId} (${trackingInfo.company} ${trackingInfo.number})`);
+  for (const lineItemId of selectedLineItemIds) {
+    await orderLinkService.recordFulfillment(shopifyOrderId, lineItemId, { shopifyFulfillmentId: fulfillment?.id, trackingInfo, created: true }, jobId);
+  }
+  result.createdFulfillmentId = fulfillment?.id || null;
+  return result;
+}
+
+module.exports = {
+  selectFulfillmentOrderLineItems,
+  syncLineItemsFulfillment,
+};
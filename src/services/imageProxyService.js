@@ -0,0 +1,209 @@
+// src/services/imageProxyService.js
+// 번개장터 CDN 이미지를 가져와 실제 이미지인지 검증하고, (선택) 리사이즈/WebP 변환 후 디스크에 캐시합니다.
+// Shopify는 번개장터 CDN 대신 /media/bunjang/:pid/:index 프록시 URL에서 이미지를 가져갑니다.
+// 캐시 키는 원본 URL 해시(sourceHash, utils/bunjangImages)이므로 같은 이미지는 한 번만 가져옵니다.
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { buildBunjangImageList } = require('../utils/bunjangImages');
+const { AppError, NotFoundError, ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'BunjangImageCDN';
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+const SOURCE_HASH_PATTERN = /^[a-f0-9]{40}$/;
+
+const inFlightFetches = new Map(); // sourceHash → Promise (같은 이미지 동시 요청 시 한 번만 가져옴)
+let sharpModule;
+
+/**
+ * sharp 모듈을 지연 로드합니다. 설치되지 않은 환경에서는 변환 없이 원본을 캐시합니다.
+ * @returns {Function|null}
+ */
+function getSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      logger.warn(`[ImageProxySvc] sharp is not available (${error.message}). Images will be cached without resizing/conversion.`);
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * 파일 시그니처(magic bytes)로 이미지 형식을 판별합니다.
+ * @param {Buffer} buffer
+ * @returns {'jpeg'|'png'|'gif'|'webp'|null}
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.subarray(0, 3).toString('ascii') === 'GIF') return 'gif';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'webp';
+  return null;
+}
+
+function getCacheBasePath(sourceHash) {
+  return path.join(config.imageProxy.cacheDir, sourceHash.substring(0, 2), sourceHash);
+}
+
+/**
+ * 캐시된 이미지를 찾습니다.
+ * @param {string} sourceHash
+ * @returns {Promise<{filePath: string, contentType: string}|null>}
+ */
+async function getCachedImage(sourceHash) {
+  if (!SOURCE_HASH_PATTERN.test(String(sourceHash || ''))) return null;
+  const basePath = getCacheBasePath(sourceHash);
+  for (const [format, contentType] of Object.entries(CONTENT_TYPES)) {
+    const filePath = `${basePath}.${format}`;
+    if (await fs.pathExists(filePath)) return { filePath, contentType };
+  }
+  return null;
+}
+
+/**
+ * 원본 이미지를 설정(config.imageProxy)에 따라 리사이즈/변환합니다.
+ * @param {Buffer} buffer - 검증된 원본 이미지
+ * @param {string} sourceFormat - detectImageFormat 결과
+ * @returns {Promise<{buffer: Buffer, format: string}>}
+ */
+async function transformImage(buffer, sourceFormat) {
+  const { format, maxDimension, quality } = config.imageProxy;
+  const sharp = getSharp();
+  // 움직이는 GIF는 변환하면 첫 프레임만 남으므로 원본 유지
+  if (!sharp || format === 'original' || sourceFormat === 'gif') return { buffer, format: sourceFormat };
+
+  const image = sharp(buffer, { failOn: 'error' });
+  const metadata = await image.metadata(); // 손상된 이미지는 여기서 예외
+  if (!metadata.width || !metadata.height) throw new Error('Image has no dimensions');
+
+  let pipeline = image.rotate().resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+  const targetFormat = format === 'jpeg' ? 'jpeg' : 'webp';
+  pipeline = targetFormat === 'jpeg' ? pipeline.jpeg({ quality, mozjpeg: true }) : pipeline.webp({ quality });
+  return { buffer: await pipeline.toBuffer(), format: targetFormat };
+}
+
+async function fetchAndCache(sourceUrl, sourceHash) {
+  let response;
+  try {
+    response = await axios.get(sourceUrl, {
+      responseType: 'arraybuffer',
+      timeout: config.imageProxy.fetchTimeoutMs,
+      maxContentLength: config.imageProxy.maxSourceBytes,
+      headers: { Accept: 'image/*' },
+    });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Failed to fetch Bunjang image ${sourceUrl}: ${error.message}`, 'IMAGE_FETCH_FAILED');
+  }
+
+  const buffer = Buffer.from(response.data);
+  const sourceFormat = detectImageFormat(buffer);
+  if (!sourceFormat) {
+    throw new AppError(`Bunjang image is not a valid image (${response.headers['content-type'] || 'unknown content-type'}, ${buffer.length} bytes).`, 422, 'IMAGE_INVALID', true, { sourceUrl });
+  }
+
+  let output;
+  try {
+    output = await transformImage(buffer, sourceFormat);
+  } catch (error) {
+    throw new AppError(`Bunjang image could not be decoded: ${error.message}`, 422, 'IMAGE_INVALID', true, { sourceUrl });
+  }
+
+  // 임시 파일에 쓴 뒤 이동하여 동시 요청이 반쯤 쓰인 파일을 읽지 않도록 함
+  const filePath = `${getCacheBasePath(sourceHash)}.${output.format}`;
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(tempPath, output.buffer);
+  await fs.move(tempPath, filePath, { overwrite: true });
+  logger.debug(`[ImageProxySvc] Cached ${sourceUrl} as ${filePath} (${buffer.length} → ${output.buffer.length} bytes).`);
+  return { filePath, contentType: CONTENT_TYPES[output.format] };
+}
+
+/**
+ * 이미지를 캐시에서 찾고, 없으면 번개장터에서 가져와 검증/변환 후 캐시합니다.
+ * @param {{sourceUrl: string, sourceHash: string}} image - buildBunjangImageList 항목
+ * @returns {Promise<{filePath: string, contentType: string}>}
+ * @throws {ExternalServiceError|AppError} 가져오기 실패 또는 이미지가 아닌 경우
+ */
+async function getOrFetchImage({ sourceUrl, sourceHash }) {
+  const cached = await getCachedImage(sourceHash);
+  if (cached) return cached;
+  if (!inFlightFetches.has(sourceHash)) {
+    inFlightFetches.set(sourceHash, fetchAndCache(sourceUrl, sourceHash).finally(() => inFlightFetches.delete(sourceHash)));
+  }
+  return inFlightFetches.get(sourceHash);
+}
+
+/**
+ * 프록시 URL의 (pid, index)를 원본 이미지로 해석합니다.
+ * 이미지 매핑(bunjangImageMappings)을 우선 사용하고, 없으면 저장된 번개장터 이미지 목록을 사용합니다.
+ * @param {string} pid
+ * @param {number} index
+ * @returns {Promise<{sourceUrl: string, sourceHash: string}>}
+ * @throws {NotFoundError}
+ */
+async function resolveProductImage(pid, index) {
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid: String(pid) }).select('bunjangImageMappings bunjangImagesJson').lean();
+  const mapped = syncedDoc?.bunjangImageMappings?.find(mapping => mapping.position === index);
+  if (mapped?.sourceUrl) return mapped;
+
+  let storedImages = [];
+  try {
+    storedImages = syncedDoc?.bunjangImagesJson ? JSON.parse(syncedDoc.bunjangImagesJson) : [];
+  } catch (e) {
+    storedImages = [];
+  }
+  const image = buildBunjangImageList(storedImages)[index];
+  if (!image) throw new NotFoundError('번개장터 상품 이미지를 찾을 수 없습니다.', 'BunjangImage', `${pid}/${index}`);
+  return image;
+}
+
+/**
+ * 프록시 요청을 처리할 이미지 파일을 찾습니다. sourceHash가 주어지고 캐시되어 있으면 DB 조회 없이 반환합니다.
+ * @param {string} pid
+ * @param {number} index
+ * @param {string} [sourceHash] - 프록시 URL의 h 파라미터
+ * @returns {Promise<{filePath: string, contentType: string}>}
+ */
+async function getProxiedImage(pid, index, sourceHash) {
+  if (sourceHash) {
+    const cached = await getCachedImage(sourceHash);
+    if (cached) return cached;
+  }
+  const image = await resolveProductImage(pid, index);
+  return getOrFetchImage(image);
+}
+
+/**
+ * Shopify productCreateMedia에 넘길 프록시 URL을 만듭니다.
+ * h(sourceHash)를 포함하여 번개장터 이미지 순서가 바뀌어도 같은 URL은 같은 이미지를 가리키도록 합니다.
+ * @param {string} pid
+ * @param {{sourceHash: string, position: number}} image
+ * @returns {string}
+ */
+function buildProxyUrl(pid, image) {
+  const baseUrl = String(config.middlewareBaseUrl || '').replace(/\/+$/, '');
+  return `${baseUrl}/media/bunjang/${encodeURIComponent(pid)}/${image.position}?h=${image.sourceHash}`;
+}
+
+/**
+ * 프록시 사용 가능 여부 (활성화되어 있고 Shopify가 접근할 공개 URL이 설정된 경우)
+ * @returns {boolean}
+ */
+function isProxyEnabled() {
+  return Boolean(config.imageProxy?.enabled && config.middlewareBaseUrl);
+}
+
+module.exports = {
+  isProxyEnabled,
+  buildProxyUrl,
+  getOrFetchImage,
+  getProxiedImage,
+};
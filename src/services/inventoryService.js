@@ -384,7 +384,7 @@ async function batchSyncInventory(bunjangPids) {
 async function checkLowStockProducts(threshold = 5) {
   try {
     const syncedProducts = await SyncedProduct.find({
-      syncStatus: 'SYNCED',
+      syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] },
       bunjangQuantity: { $lte: threshold }
     }).lean();
     
@@ -439,7 +439,7 @@ async function performFullInventorySync(jobId = 'MANUAL') {
   try {
     // 동기화된 모든 상품 조회
     const syncedProducts = await SyncedProduct.find({
-      syncStatus: 'SYNCED',
+      syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] },
       bunjangPid: { $exists: true }
     }).limit(1000).lean(); // 한 번에 최대 1000개 처리
     
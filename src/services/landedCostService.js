@@ -0,0 +1,116 @@
+// src/services/landedCostService.js
+// 번개장터 상품의 도착 원가(landed cost)를 계산합니다.
+// 상품가 + 국내 배송비(번개장터 → CS Trading 창고) + 포워딩 수수료 + 무게 구간별 국제 배송비 + 목적지 국가 관세/세금.
+// 요율표는 config/landedCostTables.js 기본값을 config.landedCost.tablesFile(JSON)로 덮어쓸 수 있습니다.
+
+const fs = require('fs-extra');
+const config = require('../config');
+const logger = require('../config/logger');
+const defaultTables = require('../config/landedCostTables');
+
+const SERVICE_NAME = 'LandedCostSvc';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+let cachedTables = null;
+
+/**
+ * 요율표를 불러옵니다. 파일이 없거나 잘못된 경우 기본값을 사용합니다.
+ * @returns {object}
+ */
+function getLandedCostTables() {
+  if (cachedTables) return cachedTables;
+  let overrides = {};
+  if (config.landedCost.tablesFile) {
+    try {
+      overrides = fs.readJsonSync(config.landedCost.tablesFile);
+      logger.info(`[${SERVICE_NAME}] Loaded landed cost tables from ${config.landedCost.tablesFile}`);
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}] Failed to load landed cost tables from ${config.landedCost.tablesFile}: ${error.message}. Using defaults.`);
+    }
+  }
+  cachedTables = { ...defaultTables, ...overrides };
+  cachedTables.weightClasses = [...cachedTables.weightClasses].sort((a, b) => a.maxWeightKg - b.maxWeightKg);
+  return cachedTables;
+}
+
+/**
+ * 상품의 무게 구간을 결정합니다. 무게 → 카테고리(가장 긴 접두사) → 기본 구간 순.
+ * @param {object} params
+ * @param {number} [params.weightKg]
+ * @param {string} [params.categoryId]
+ * @param {object} tables
+ * @returns {{name: string, source: 'weight'|'category'|'default'}}
+ */
+function resolveWeightClass({ weightKg, categoryId }, tables) {
+  if (weightKg > 0 && tables.weightClasses.length > 0) {
+    const weightClass = tables.weightClasses.find(wc => weightKg <= wc.maxWeightKg) || tables.weightClasses[tables.weightClasses.length - 1];
+    return { name: weightClass.name, source: 'weight' };
+  }
+  const category = String(categoryId || '');
+  const matchedPrefix = Object.keys(tables.categoryWeightClasses || {})
+    .filter(prefix => category.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (matchedPrefix) return { name: tables.categoryWeightClasses[matchedPrefix], source: 'category' };
+  return { name: tables.defaultWeightClass, source: 'default' };
+}
+
+/**
+ * 도착 원가를 계산합니다.
+ * @param {object} params
+ * @param {number} params.priceKrw - 번개장터 상품 가격
+ * @param {number} [params.shippingFeeKrw=0] - 번개장터 판매자 배송비 (CS Trading 창고까지)
+ * @param {number} params.krwToUsdRate - 1 KRW당 USD 환율
+ * @param {string} [params.categoryId] - 무게 구간 결정용 번개장터 카테고리 ID
+ * @param {number} [params.weightKg] - 상품 무게 (알고 있는 경우)
+ * @param {string} [params.destinationCountry] - 목적지 국가 코드 (기본값 config.landedCost.defaultDestinationCountry)
+ * @returns {object} 항목별 USD 금액과 totalLandedCostUsd
+ */
+function calculateLandedCost({ priceKrw, shippingFeeKrw = 0, krwToUsdRate, categoryId, weightKg, destinationCountry }) {
+  const tables = getLandedCostTables();
+  const country = String(destinationCountry || config.landedCost.defaultDestinationCountry).toUpperCase();
+
+  const itemCostUsd = priceKrw * krwToUsdRate;
+  const domesticShippingUsd = (shippingFeeKrw || 0) * krwToUsdRate;
+  const forwardingFeeUsd = config.landedCost.forwardingFeeUsd;
+
+  const weightClass = resolveWeightClass({ weightKg, categoryId }, tables);
+  const shippingTable = tables.internationalShippingUsd[country] || tables.internationalShippingUsd.DEFAULT || {};
+  const internationalShippingUsd = shippingTable[weightClass.name] ?? 0;
+  if (shippingTable[weightClass.name] == null) {
+    logger.warn(`[${SERVICE_NAME}] No international shipping rate for weight class ${weightClass.name} (${country}). Using $0.`);
+  }
+
+  const dutyRule = tables.duties[country] || tables.duties.DEFAULT || {};
+  const dutiableValueUsd = itemCostUsd + (dutyRule.includeShippingInDutiableValue ? internationalShippingUsd : 0);
+  const dutyExempt = itemCostUsd <= (dutyRule.deMinimisUsd || 0);
+  const dutyUsd = dutyExempt ? 0 : dutiableValueUsd * (dutyRule.dutyRate || 0);
+  const taxUsd = dutyExempt ? 0 : (dutiableValueUsd + dutyUsd) * (dutyRule.taxRate || 0);
+
+  const totalLandedCostUsd = itemCostUsd + domesticShippingUsd + forwardingFeeUsd + internationalShippingUsd + dutyUsd + taxUsd;
+
+  return {
+    destinationCountry: country,
+    priceKrw,
+    shippingFeeKrw: shippingFeeKrw || 0,
+    exchangeRate: krwToUsdRate,
+    weightKg: weightKg > 0 ? weightKg : null,
+    weightClass: weightClass.name,
+    weightClassSource: weightClass.source,
+    itemCostUsd: round2(itemCostUsd),
+    domesticShippingUsd: round2(domesticShippingUsd),
+    forwardingFeeUsd: round2(forwardingFeeUsd),
+    internationalShippingUsd: round2(internationalShippingUsd),
+    dutiableValueUsd: round2(dutiableValueUsd),
+    dutyExempt,
+    dutyRate: dutyRule.dutyRate || 0,
+    dutyUsd: round2(dutyUsd),
+    taxRate: dutyRule.taxRate || 0,
+    taxUsd: round2(taxUsd),
+    totalLandedCostUsd: round2(totalLandedCostUsd),
+  };
+}
+
+module.exports = {
+  calculateLandedCost,
+};
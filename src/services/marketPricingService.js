@@ -0,0 +1,94 @@
+// src/services/marketPricingService.js
+// 통화별 판매 가격을 Shopify Markets 가격표(price list)에 고정 가격으로 게시합니다.
+// USD는 variant 기본 가격으로 반영되고, 그 외 통화(config.marketPricing.currencies)는 같은 통화의 가격표마다 고정 가격을 설정합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { calculateCurrencyPrices } = require('./priceCalculationService');
+
+const SERVICE_NAME = 'MarketPricingSvc';
+const PRICE_LIST_CACHE_MS = 10 * 60 * 1000;
+
+let cachedPriceLists = null;
+let priceListsFetchedAt = 0;
+
+/**
+ * 게시 대상 통화별 가격표 목록을 가져옵니다. (가격표는 자주 바뀌지 않으므로 캐시)
+ * @returns {Promise<Map<string, string[]>>} 통화 코드 → PriceList GID 목록
+ */
+async function getPriceListsByCurrency() {
+  if (cachedPriceLists && Date.now() - priceListsFetchedAt < PRICE_LIST_CACHE_MS) {
+    return cachedPriceLists;
+  }
+  const byCurrency = new Map();
+  for (const priceList of await shopifyService.getPriceLists()) {
+    if (!config.marketPricing.currencies.includes(priceList.currency)) continue;
+    if (!byCurrency.has(priceList.currency)) byCurrency.set(priceList.currency, []);
+    byCurrency.get(priceList.currency).push(priceList.id);
+  }
+  cachedPriceLists = byCurrency;
+  priceListsFetchedAt = Date.now();
+  return byCurrency;
+}
+
+/**
+ * 상품 variant들의 통화별 가격을 계산하여 Shopify Markets 가격표에 게시합니다.
+ * 실패해도 상품 동기화를 실패시키지 않도록 로그만 남기고 null을 반환합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @param {Array<{sku: string|null, pricing: object}>} targets - variant SKU(단일 variant 상품은 null)와 calculateShopifyPrice 결과
+ * @param {string} [jobId='N/A'] - 로그용 Job ID
+ * @returns {Promise<{variants: number, currencies: Object<string, number>}|null>} 통화별 게시된 variant 수 (비활성화/실패 시 null)
+ */
+async function publishMarketPrices(productId, targets, jobId = 'N/A') {
+  if (!config.marketPricing.enabled || config.marketPricing.currencies.length === 0 || !productId || targets.length === 0) return null;
+  const logPrefix = `[${SERVICE_NAME}:Job-${jobId}]`;
+
+  try {
+    const priceListsByCurrency = await getPriceListsByCurrency();
+    if (priceListsByCurrency.size === 0) {
+      logger.warn(`${logPrefix} No Shopify price lists found for currencies ${config.marketPricing.currencies.join(', ')}. Skipping market prices.`);
+      return null;
+    }
+
+    const liveVariants = await shopifyService.getProductVariantPrices(productId);
+    if (!liveVariants || liveVariants.length === 0) {
+      logger.warn(`${logPrefix} Product ${productId} has no variants. Skipping market prices.`);
+      return null;
+    }
+
+    // 통화 → 가격표에 넣을 variant별 가격
+    const pricesByCurrency = new Map();
+    let variantCount = 0;
+    for (const target of targets) {
+      const variant = target.sku ? liveVariants.find(v => v.sku === target.sku) : liveVariants[0];
+      if (!variant) {
+        logger.warn(`${logPrefix} Variant with SKU ${target.sku} not found on product ${productId}. Skipping its market prices.`);
+        continue;
+      }
+      variantCount++;
+      const currencyPrices = await calculateCurrencyPrices(target.pricing, [...priceListsByCurrency.keys()]);
+      for (const [currency, amount] of Object.entries(currencyPrices)) {
+        if (!pricesByCurrency.has(currency)) pricesByCurrency.set(currency, []);
+        pricesByCurrency.get(currency).push({ variantId: variant.id, amount, currencyCode: currency });
+      }
+    }
+
+    const published = {};
+    for (const [currency, prices] of pricesByCurrency) {
+      for (const priceListId of priceListsByCurrency.get(currency)) {
+        await shopifyService.addPriceListFixedPrices(priceListId, prices);
+      }
+      published[currency] = prices.length;
+    }
+    logger.info(`${logPrefix} Published market prices for product ${productId}: ${Object.entries(published).map(([currency, count]) => `${currency}(${count})`).join(', ') || 'none'}`);
+    return { variants: variantCount, currencies: published };
+  } catch (error) {
+    logger.error(`${logPrefix} Failed to publish market prices for product ${productId}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  publishMarketPrices,
+};
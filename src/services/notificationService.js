@@ -0,0 +1,47 @@
+// src/services/notificationService.js
+// 운영 알림 발송 (로그 + Slack Webhook). config.notifications 설정을 따릅니다.
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+
+const SEVERITY_EMOJI = { info: ':information_source:', warning: ':warning:', critical: ':rotating_light:' };
+
+/**
+ * 운영 알림을 보냅니다. 알림은 항상 로그로 남기고, 알림이 활성화되어 있으면 Slack으로도 보냅니다.
+ * 알림 발송 실패는 호출 측 작업을 실패시키지 않습니다.
+ * @param {object} alert
+ * @param {string} alert.title - 알림 제목
+ * @param {string} alert.message - 본문
+ * @param {'info'|'warning'|'critical'} [alert.severity='warning']
+ * @param {object} [alert.details] - 추가 정보 (Slack 메시지에 key: value로 표시)
+ * @returns {Promise<boolean>} 외부 채널로 발송되었는지 여부
+ */
+async function sendAlert({ title, message, severity = 'warning', details = {} }) {
+  const logMethod = severity === 'critical' ? 'error' : 'warn';
+  logger[logMethod](`[NotificationSvc] ALERT (${severity}) ${title}: ${message}`, details);
+
+  const notifications = config.notifications || {};
+  if (!notifications.enabled || !notifications.slack?.enabled || !notifications.slack.webhookUrl) {
+    return false;
+  }
+
+  const detailLines = Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `• ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  try {
+    await axios.post(notifications.slack.webhookUrl, {
+      channel: notifications.slack.channel,
+      username: notifications.slack.username,
+      text: [`${SEVERITY_EMOJI[severity] || ''} *${title}*`, message, ...detailLines].join('\n'),
+    }, { timeout: 10000 });
+    return true;
+  } catch (error) {
+    logger.error(`[NotificationSvc] Failed to send Slack alert "${title}": ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  sendAlert,
+};
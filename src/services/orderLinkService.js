@@ -0,0 +1,548 @@
+// src/services/orderLinkService.js
+// 주문 원장(OrderLink) 기록/조회.
+// orderService가 Shopify 주문을 처리하면서 line item별 번개장터 주문 결과, 포인트 잔액, 상태/오류 이력을 남기고,
+// GET /api/orders/:shopifyOrderId는 Shopify를 호출하지 않고 이 원장만으로 응답합니다.
+// 원장 기록 실패는 주문 처리를 실패시키지 않도록 로그만 남깁니다.
+// 단, 원장 열기(openOrderLink)와 주문 생성 시도 기록(beginBunjangOrderAttempt)은 중복 주문 방지의 근거이므로 실패 시 예외를 던집니다.
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const OrderLink = require('../models/orderLink.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'OrderLinkSvc';
+
+/**
+ * Shopify 주문 ID를 REST 숫자 ID 문자열로 정규화합니다. (GID도 허용)
+ * @param {string|number} shopifyOrderId - 숫자 ID 또는 gid://shopify/Order/<id>
+ * @returns {string}
+ */
+function normalizeShopifyOrderId(shopifyOrderId) {
+  return String(shopifyOrderId).split('/').pop();
+}
+
+/**
+ * Shopify 주문 line item을 원장 line item으로 변환합니다.
+ * @param {string} shopifyOrderId - 정규화된 Shopify 주문 ID
+ * @param {object} item - Shopify 주문 line item (REST 웹훅 형식)
+ * @returns {object}
+ */
+function toLedgerLineItem(shopifyOrderId, item) {
+  return {
+    shopifyLineItemId: String(item.id),
+    idempotencyKey: `${shopifyOrderId}:${String(item.id).split('/').pop()}`,
+    shopifyProductId: item.product_id != null ? String(item.product_id) : undefined,
+    shopifyVariantId: item.variant_id != null ? String(item.variant_id) : undefined,
+    sku: item.sku || undefined,
+    title: item.title,
+    quantity: item.quantity,
+    salePriceUsd: item.price != null ? String(item.price) : undefined,
+    status: 'PENDING',
+  };
+}
+
+/**
+ * 원장 line item의 주문 상태(orderStateService 상태 머신)를 구합니다.
+ * 상태가 저장되기 전의 line item은 번개장터 주문 유무로 판단합니다.
+ * @param {object} lineItem - 주문 원장 line item
+ * @returns {string|null} 번개장터 상품이 아닌 line item이면 null
+ */
+function getLineItemState(lineItem) {
+  if (!lineItem || lineItem.status === 'NOT_LINKED') return null;
+  if (lineItem.state) return lineItem.state;
+  return lineItem.bunjangOrderId ? 'BUNJANG_CREATED' : 'PENDING_BUNJANG';
+}
+
+/**
+ * 원장 쓰기를 실행하고 실패하면 로그만 남깁니다.
+ * @param {string} action - 로그용 작업 이름
+ * @param {string} shopifyOrderId
+ * @param {string} jobId
+ * @param {Function} write - () => Promise
+ * @returns {Promise<*>} write 결과 (실패 시 null)
+ */
+async function safeWrite(action, shopifyOrderId, jobId, write) {
+  try {
+    return await write();
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId || 'N/A'}] Failed to ${action} for Shopify order ${shopifyOrderId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 주문 처리 시작 시 원장을 만들거나, 이미 있으면(재시도/재처리) 주문된 line item과 생성 시도 기록은 유지하고 나머지를 초기화합니다.
+ * 오류/상태 이력은 누적됩니다. 주문 락을 잡은 상태에서 호출해야 합니다.
+ * 이후 생성 시도 기록이 이 원장에 의존하므로 실패하면 예외를 던집니다.
+ * @param {object} shopifyOrder - Shopify 주문 객체 (웹훅 형식)
+ * @param {object} options
+ * @param {string} options.bunjangOrderIdentifier
+ * @param {string} [options.jobId]
+ * @returns {Promise<object>}
+ */
+async function openOrderLink(shopifyOrder, { bunjangOrderIdentifier, jobId }) {
+  const shopifyOrderId = normalizeShopifyOrderId(shopifyOrder.id);
+  const existing = await OrderLink.findOne({ shopifyOrderId }).select('lineItems').lean();
+  const lineItems = shopifyOrder.line_items.map((item) => {
+    const fresh = toLedgerLineItem(shopifyOrderId, item);
+    const previous = existing?.lineItems.find(li => li.shopifyLineItemId === fresh.shopifyLineItemId);
+    if (!previous) return fresh;
+    return {
+      ...previous,
+      ...fresh,
+      status: previous.status === 'ORDERED' ? 'ORDERED' : 'PENDING',
+      errorCode: undefined,
+      errorMessage: undefined,
+    };
+  });
+
+  return OrderLink.findOneAndUpdate(
+    { shopifyOrderId },
+    {
+      $set: {
+        shopifyOrderGid: shopifyOrder.admin_graphql_api_id,
+        shopifyOrderName: shopifyOrder.name,
+        financialStatus: shopifyOrder.financial_status,
+        currency: shopifyOrder.currency,
+        bunjangOrderIdentifier,
+        status: 'PROCESSING',
+        lineItems,
+        lastJobId: jobId != null ? String(jobId) : undefined,
+      },
+      $push: { statusTimeline: { status: 'PROCESSING', at: new Date(), jobId: jobId != null ? String(jobId) : undefined } },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+/**
+ * 번개장터 주문 생성 시도를 IN_FLIGHT로 기록합니다. 번개장터 API 호출 직전에 호출합니다.
+ * 이미 주문되었거나, 주문을 만든 시도(SUCCEEDED/RECONCILED_CREATED) 또는 결과가 정리되지 않은 시도가 있는 line item이면
+ * 기록하지 않습니다. (중복 주문 방지 2차 확인 - ORDERED 기록이 실패해도 다시 주문하지 않도록)
+ * 처리 도중 Shopify 주문 취소로 CANCELLED가 된 line item도 기록하지 않습니다.
+ * 기록에 실패하면 예외를 던집니다. (기록 없이 호출하면 중단 시 대사할 수 없으므로)
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @param {object} params
+ * @param {number} params.priceKrw
+ * @param {string} [params.bunjangOptionId]
+ * @param {string} [params.jobId]
+ * @returns {Promise<string|null>} attemptId (기록하지 않았으면 null)
+ */
+async function beginBunjangOrderAttempt(shopifyOrderId, shopifyLineItemId, { priceKrw, bunjangOptionId, jobId }) {
+  const attemptId = uuidv4();
+  const result = await OrderLink.updateOne(
+    {
+      shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId),
+      lineItems: {
+        $elemMatch: {
+          shopifyLineItemId: String(shopifyLineItemId),
+          status: { $ne: 'ORDERED' },
+          state: { $ne: 'CANCELLED' },
+          'attempts.outcome': { $nin: ['IN_FLIGHT', 'UNKNOWN', 'SUCCEEDED', 'RECONCILED_CREATED'] },
+        },
+      },
+    },
+    {
+      $push: {
+        'lineItems.$.attempts': {
+          attemptId,
+          outcome: 'IN_FLIGHT',
+          startedAt: new Date(),
+          priceKrw,
+          bunjangOptionId,
+          jobId: jobId != null ? String(jobId) : undefined,
+        },
+      },
+    }
+  );
+  return result.modifiedCount > 0 ? attemptId : null;
+}
+
+/**
+ * 번개장터 주문 생성 시도의 결과를 기록합니다.
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @param {string} attemptId
+ * @param {object} result
+ * @param {'SUCCEEDED'|'FAILED'|'UNKNOWN'|'RECONCILED_CREATED'|'RECONCILED_NOT_CREATED'} result.outcome
+ * @param {string} [result.bunjangOrderId]
+ * @param {string} [result.errorCode]
+ * @param {string} [result.errorMessage]
+ * @param {string} [jobId]
+ */
+async function finishBunjangOrderAttempt(shopifyOrderId, shopifyLineItemId, attemptId, { outcome, bunjangOrderId, errorCode, errorMessage }, jobId) {
+  const $set = { 'lineItems.$[li].attempts.$[attempt].outcome': outcome, 'lineItems.$[li].attempts.$[attempt].finishedAt': new Date() };
+  if (bunjangOrderId != null) $set['lineItems.$[li].attempts.$[attempt].bunjangOrderId'] = String(bunjangOrderId);
+  if (errorCode) $set['lineItems.$[li].attempts.$[attempt].errorCode'] = errorCode;
+  if (errorMessage) $set['lineItems.$[li].attempts.$[attempt].errorMessage'] = errorMessage;
+  await safeWrite('finish Bunjang order attempt', shopifyOrderId, jobId, () => OrderLink.updateOne(
+    { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId) },
+    { $set },
+    { arrayFilters: [{ 'li.shopifyLineItemId': String(shopifyLineItemId) }, { 'attempt.attemptId': attemptId }] }
+  ));
+}
+
+/**
+ * line item 필드를 갱신합니다.
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @param {object} fields - orderLinkLineItemSchema 필드
+ * @param {string} [jobId]
+ */
+async function updateLineItem(shopifyOrderId, shopifyLineItemId, fields, jobId) {
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) $set[`lineItems.$.${key}`] = value;
+  }
+  await safeWrite('update ledger line item', shopifyOrderId, jobId, () => OrderLink.updateOne(
+    { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId), 'lineItems.shopifyLineItemId': String(shopifyLineItemId) },
+    { $set }
+  ));
+}
+
+/**
+ * 번개장터 주문 생성 성공을 기록합니다.
+ * @param {string} shopifyOrderId
+ * @param {object} params
+ * @param {string|number} params.shopifyLineItemId
+ * @param {string} params.bunjangOrderId
+ * @param {number} params.orderPriceKrw
+ * @param {number} [params.shippingFeeKrw]
+ * @param {object} [params.fx] - buildOrderFxRecord 결과
+ * @param {string} [jobId]
+ */
+async function recordBunjangOrderCreated(shopifyOrderId, { shopifyLineItemId, bunjangOrderId, orderPriceKrw, shippingFeeKrw, fx }, jobId) {
+  await safeWrite('record Bunjang order', shopifyOrderId, jobId, () => OrderLink.updateOne(
+    { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId), 'lineItems.shopifyLineItemId': String(shopifyLineItemId) },
+    {
+      $set: {
+        'lineItems.$.status': 'ORDERED',
+        'lineItems.$.bunjangOrderId': String(bunjangOrderId),
+        'lineItems.$.orderPriceKrw': orderPriceKrw,
+        'lineItems.$.shippingFeeKrw': shippingFeeKrw,
+        'lineItems.$.orderedAt': new Date(),
+        'lineItems.$.fx': fx,
+      },
+      $addToSet: { bunjangOrderIds: String(bunjangOrderId) },
+      $inc: { totalOrderKrw: orderPriceKrw || 0 },
+    }
+  ));
+}
+
+/**
+ * line item 처리 실패(건너뜀 포함)를 기록하고 오류 이력에 추가합니다.
+ * @param {string} shopifyOrderId
+ * @param {object} params
+ * @param {string|number} [params.shopifyLineItemId]
+ * @param {string} [params.bunjangPid]
+ * @param {string} params.code - 예: NOT_AVAILABLE, INSUFFICIENT_STOCK, POINT_SHORTAGE
+ * @param {string} [params.message]
+ * @param {'FAILED'|'NEEDS_RECONCILE'} [params.status='FAILED'] - line item에 남길 상태
+ * @param {string} [jobId]
+ */
+async function recordLineItemError(shopifyOrderId, { shopifyLineItemId, bunjangPid, code, message, status = 'FAILED' }, jobId) {
+  const filter = { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId) };
+  const update = {
+    $push: {
+      errorHistory: {
+        at: new Date(),
+        shopifyLineItemId: shopifyLineItemId != null ? String(shopifyLineItemId) : undefined,
+        bunjangPid: bunjangPid != null ? String(bunjangPid) : undefined,
+        code,
+        message,
+        jobId: jobId != null ? String(jobId) : undefined,
+      },
+    },
+  };
+  if (shopifyLineItemId != null) {
+    filter['lineItems.shopifyLineItemId'] = String(shopifyLineItemId);
+    update.$set = { 'lineItems.$.status': status, 'lineItems.$.errorCode': code, 'lineItems.$.errorMessage': message };
+  }
+  await safeWrite('record ledger error', shopifyOrderId, jobId, () => OrderLink.updateOne(filter, update));
+}
+
+/**
+ * 포인트 잔액을 기록합니다. 'before'는 처음 한 번만 기록하고, 'after'는 매번 덮어씁니다.
+ * @param {string} shopifyOrderId
+ * @param {'before'|'after'} when
+ * @param {number} balanceKrw
+ * @param {string} [jobId]
+ */
+async function recordPointBalance(shopifyOrderId, when, balanceKrw, jobId) {
+  const now = new Date();
+  const filter = { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId) };
+  const $set = when === 'before'
+    ? { 'pointBalance.beforeKrw': balanceKrw, 'pointBalance.checkedBeforeAt': now }
+    : { 'pointBalance.afterKrw': balanceKrw, 'pointBalance.checkedAfterAt': now };
+  if (when === 'before') filter['pointBalance.beforeKrw'] = null;
+  await safeWrite('record point balance', shopifyOrderId, jobId, () => OrderLink.updateOne(filter, { $set }));
+}
+
+/**
+ * 주문 처리 완료 시 line item 결과로 주문 상태를 정하고 상태 이력에 추가합니다.
+ * @param {string} shopifyOrderId
+ * @param {object} [options]
+ * @param {string} [options.note]
+ * @param {string} [options.jobId]
+ * @returns {Promise<string|null>} 결정된 상태
+ */
+async function finalizeOrderLink(shopifyOrderId, { note, jobId } = {}) {
+  const normalizedId = normalizeShopifyOrderId(shopifyOrderId);
+  return safeWrite('finalize order ledger', normalizedId, jobId, async () => {
+    const link = await OrderLink.findOne({ shopifyOrderId: normalizedId }).select('lineItems').lean();
+    if (!link) return null;
+    const linked = link.lineItems.filter(item => item.status !== 'NOT_LINKED' && item.status !== 'PENDING');
+    const ordered = linked.filter(item => item.status === 'ORDERED').length;
+    let status = 'FAILED';
+    if (linked.some(item => item.status === 'NEEDS_RECONCILE')) status = 'NEEDS_RECONCILE';
+    else if (linked.length === 0) status = 'NO_BUNJANG_ITEMS';
+    else if (ordered === linked.length) status = 'PLACED';
+    else if (ordered > 0) status = 'PARTIALLY_PLACED';
+
+    const now = new Date();
+    await OrderLink.updateOne(
+      { shopifyOrderId: normalizedId },
+      {
+        $set: { status, processedAt: now },
+        $push: { statusTimeline: { status, at: now, note, jobId: jobId != null ? String(jobId) : undefined } },
+      }
+    );
+    return status;
+  });
+}
+
+/**
+ * 번개장터 주문 상태 변경을 해당 line item과 상태 이력에 기록합니다. 상태가 바뀐 경우에만 이력에 추가합니다.
+ * @param {string} bunjangOrderId
+ * @param {string} bunjangStatus - 번개장터 주문 상태 (예: SHIP_READY, IN_TRANSIT, PURCHASE_CONFIRM)
+ * @param {string} [jobId]
+ * @returns {Promise<boolean>} 원장에 반영되었는지 여부
+ */
+async function recordBunjangStatus(bunjangOrderId, bunjangStatus, jobId) {
+  const now = new Date();
+  const result = await safeWrite('record Bunjang status', `(Bunjang order ${bunjangOrderId})`, jobId, () => OrderLink.updateOne(
+    { lineItems: { $elemMatch: { bunjangOrderId: String(bunjangOrderId), bunjangStatus: { $ne: bunjangStatus } } } },
+    {
+      $set: { 'lineItems.$.bunjangStatus': bunjangStatus, 'lineItems.$.bunjangStatusUpdatedAt': now },
+      $push: { statusTimeline: { status: bunjangStatus, at: now, bunjangOrderId: String(bunjangOrderId), jobId: jobId != null ? String(jobId) : undefined } },
+    }
+  ));
+  return result?.modifiedCount > 0;
+}
+
+/**
+ * 번개장터 주문 ID로 원장의 line item을 찾습니다.
+ * @param {string} bunjangOrderId
+ * @returns {Promise<{shopifyOrderId: string, shopifyOrderGid: string, lineItem: object}|null>}
+ */
+async function findLineItemByBunjangOrderId(bunjangOrderId) {
+  const link = await OrderLink.findOne(
+    { 'lineItems.bunjangOrderId': String(bunjangOrderId) },
+    { shopifyOrderId: 1, shopifyOrderGid: 1, 'lineItems.$': 1 }
+  ).lean();
+  if (!link?.lineItems?.[0]) return null;
+  return { shopifyOrderId: link.shopifyOrderId, shopifyOrderGid: link.shopifyOrderGid, lineItem: link.lineItems[0] };
+}
+
+/**
+ * 원장 도입 전에 처리된 주문(BunjangOrder-<id> 태그로만 연결된 주문)의 원장을 만들어 번개장터 주문을 line item에 연결합니다.
+ * 원장이 이미 있으면(같은 주문의 다른 번개장터 주문이 먼저 채워진 경우) 번개장터 주문이 없는 해당 line item만 연결합니다.
+ * @param {object} shopifyOrder - Shopify 주문 (웹훅 형식: id, admin_graphql_api_id, name, financial_status, currency, line_items)
+ * @param {object} params
+ * @param {string|number} params.shopifyLineItemId - 번개장터 주문에 해당하는 line item
+ * @param {string} params.bunjangOrderId
+ * @param {string} [params.bunjangPid]
+ * @param {string} [jobId]
+ * @returns {Promise<{shopifyOrderId: string, shopifyOrderGid: string, lineItem: object}|null>} findLineItemByBunjangOrderId 결과
+ */
+async function backfillLegacyOrderLink(shopifyOrder, { shopifyLineItemId, bunjangOrderId, bunjangPid }, jobId) {
+  const shopifyOrderId = normalizeShopifyOrderId(shopifyOrder.id);
+  const now = new Date();
+  const linked = {
+    status: 'ORDERED',
+    bunjangOrderId: String(bunjangOrderId),
+    bunjangPid: bunjangPid != null ? String(bunjangPid) : undefined,
+  };
+  const lineItems = shopifyOrder.line_items.map((item) => {
+    const lineItem = toLedgerLineItem(shopifyOrderId, item);
+    return lineItem.shopifyLineItemId === String(shopifyLineItemId) ? { ...lineItem, ...linked } : lineItem;
+  });
+  const note = `Backfilled from Shopify tag BunjangOrder-${bunjangOrderId}`;
+
+  const upserted = await OrderLink.updateOne(
+    { shopifyOrderId },
+    {
+      $setOnInsert: {
+        shopifyOrderGid: shopifyOrder.admin_graphql_api_id,
+        shopifyOrderName: shopifyOrder.name,
+        financialStatus: shopifyOrder.financial_status,
+        currency: shopifyOrder.currency,
+        bunjangOrderIdentifier: `BunjangOrder-${shopifyOrderId}`,
+        status: 'PLACED',
+        lineItems,
+        bunjangOrderIds: [String(bunjangOrderId)],
+        processedAt: now,
+        statusTimeline: [{ status: 'PLACED', at: now, note, jobId: jobId != null ? String(jobId) : undefined }],
+      },
+    },
+    { upsert: true }
+  );
+  if (!upserted.upsertedCount) {
+    await OrderLink.updateOne(
+      { shopifyOrderId, lineItems: { $elemMatch: { shopifyLineItemId: String(shopifyLineItemId), bunjangOrderId: null } } },
+      {
+        $set: {
+          'lineItems.$.status': linked.status,
+          'lineItems.$.bunjangOrderId': linked.bunjangOrderId,
+          'lineItems.$.bunjangPid': linked.bunjangPid,
+        },
+        $addToSet: { bunjangOrderIds: String(bunjangOrderId) },
+      }
+    );
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobId || 'N/A'}] ${note} for Shopify order ${shopifyOrderId} line item ${shopifyLineItemId}.`);
+  return findLineItemByBunjangOrderId(bunjangOrderId);
+}
+
+/**
+ * line item의 주문 상태 전이를 반영하고 감사 기록을 남깁니다.
+ * line item의 저장된 상태가 storedState일 때만 반영합니다. (그 사이 다른 곳에서 바뀌었으면 반영하지 않음)
+ * 상태 머신의 근거이므로 실패하면 예외를 던집니다.
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @param {object} transition
+ * @param {string|null} transition.storedState - 읽었을 때 저장되어 있던 state 값 (없으면 null)
+ * @param {string} transition.from
+ * @param {string} transition.to
+ * @param {'webhook'|'poll'|'manual'} transition.source
+ * @param {string} [transition.bunjangOrderId]
+ * @param {string} [transition.bunjangStatus]
+ * @param {string} [transition.note]
+ * @param {string[]} [transition.sideEffectErrors]
+ * @param {string} [jobId]
+ * @returns {Promise<boolean>} 반영 여부
+ */
+async function recordStateTransition(shopifyOrderId, shopifyLineItemId, { storedState, from, to, source, bunjangOrderId, bunjangStatus, note, sideEffectErrors }, jobId) {
+  const now = new Date();
+  const result = await OrderLink.updateOne(
+    {
+      shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId),
+      lineItems: { $elemMatch: { shopifyLineItemId: String(shopifyLineItemId), state: storedState ?? null } },
+    },
+    {
+      $set: { 'lineItems.$.state': to, 'lineItems.$.stateUpdatedAt': now },
+      $push: {
+        stateTransitions: {
+          shopifyLineItemId: String(shopifyLineItemId),
+          bunjangOrderId: bunjangOrderId != null ? String(bunjangOrderId) : undefined,
+          from,
+          to,
+          source,
+          bunjangStatus,
+          note,
+          sideEffectErrors: sideEffectErrors?.length ? sideEffectErrors : undefined,
+          at: now,
+          jobId: jobId != null ? String(jobId) : undefined,
+        },
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * line item의 Shopify fulfillment(추적 정보)를 기록합니다.
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @param {object} fulfillment
+ * @param {string} fulfillment.shopifyFulfillmentId
+ * @param {{company?: string, number: string, url?: string}} fulfillment.trackingInfo
+ * @param {boolean} [fulfillment.created=false] - 새로 만든 fulfillment면 true (아니면 추적 정보 변경)
+ * @param {string} [jobId]
+ */
+async function recordFulfillment(shopifyOrderId, shopifyLineItemId, { shopifyFulfillmentId, trackingInfo, created = false }, jobId) {
+  const now = new Date();
+  const $set = {
+    'lineItems.$.fulfillment.shopifyFulfillmentId': shopifyFulfillmentId,
+    'lineItems.$.fulfillment.trackingCompany': trackingInfo.company,
+    'lineItems.$.fulfillment.trackingNumber': trackingInfo.number,
+    'lineItems.$.fulfillment.trackingUrl': trackingInfo.url,
+  };
+  $set[created ? 'lineItems.$.fulfillment.createdAt' : 'lineItems.$.fulfillment.trackingUpdatedAt'] = now;
+  await safeWrite('record fulfillment', shopifyOrderId, jobId, () => OrderLink.updateOne(
+    { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId), 'lineItems.shopifyLineItemId': String(shopifyLineItemId) },
+    { $set }
+  ));
+}
+
+/**
+ * 원장의 처리 상태를 조회합니다. (중복 처리 방지용, 없으면 null)
+ * @param {string} shopifyOrderId
+ * @returns {Promise<{status: string, bunjangOrderIds: string[]}|null>}
+ */
+async function findOrderLinkStatus(shopifyOrderId) {
+  return OrderLink.findOne({ shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId) })
+    .select('status bunjangOrderIds')
+    .lean();
+}
+
+/**
+ * 원장의 line item 하나를 조회합니다. (생성 시도 기록 포함)
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @returns {Promise<object|null>}
+ */
+async function getLineItem(shopifyOrderId, shopifyLineItemId) {
+  const link = await OrderLink.findOne(
+    { shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId), 'lineItems.shopifyLineItemId': String(shopifyLineItemId) },
+    { 'lineItems.$': 1 }
+  ).lean();
+  return link?.lineItems?.[0] || null;
+}
+
+/**
+ * 이미 다른 원장에 연결된 번개장터 주문 ID를 걸러냅니다. (대사 시 다른 Shopify 주문의 번개장터 주문을 잘못 연결하지 않도록)
+ * @param {string[]} bunjangOrderIds
+ * @returns {Promise<Set<string>>} 이미 연결된 ID
+ */
+async function findLinkedBunjangOrderIds(bunjangOrderIds) {
+  const ids = bunjangOrderIds.map(String);
+  const links = await OrderLink.find({ bunjangOrderIds: { $in: ids } }).select('bunjangOrderIds').lean();
+  return new Set(links.flatMap(link => link.bunjangOrderIds).filter(id => ids.includes(id)));
+}
+
+/**
+ * Shopify 주문의 원장 전체를 조회합니다.
+ * @param {string} shopifyOrderId - 숫자 ID 또는 GID
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 원장이 없는 경우
+ */
+async function getOrderLink(shopifyOrderId) {
+  const link = await OrderLink.findOne({ shopifyOrderId: normalizeShopifyOrderId(shopifyOrderId) }).lean();
+  if (!link) {
+    throw new NotFoundError(`Shopify 주문 ${shopifyOrderId}의 주문 원장이 없습니다.`, 'OrderLink', shopifyOrderId);
+  }
+  return link;
+}
+
+module.exports = {
+  getLineItemState,
+  openOrderLink,
+  updateLineItem,
+  recordBunjangOrderCreated,
+  recordLineItemError,
+  recordPointBalance,
+  finalizeOrderLink,
+  recordBunjangStatus,
+  beginBunjangOrderAttempt,
+  finishBunjangOrderAttempt,
+  findOrderLinkStatus,
+  getLineItem,
+  findLineItemByBunjangOrderId,
+  backfillLegacyOrderLink,
+  recordStateTransition,
+  recordFulfillment,
+  findLinkedBunjangOrderIds,
+  getOrderLink,
+};
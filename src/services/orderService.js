@@ -6,47 +6,205 @@ const logger = require('../config/logger');
 const bunjangService = require('./bunjangService');
 const shopifyService = require('./shopifyService');
 const inventoryService = require('./inventoryService');
+const orderLinkService = require('./orderLinkService');
+const orderStateService = require('./orderStateService');
+const { sendAlert } = require('./notificationService');
+const { withLock } = require('../utils/distributedLock');
+const { getPricingRate } = require('./exchangeRateService');
 const SyncedProduct = require('../models/syncedProduct.model');
 const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { normalizeBunjangOptions } = require('../utils/bunjangOptions');
 
 // 환경 변수로 상태 체크 스킵 여부 제어
 const SKIP_STATUS_CHECK = process.env.SKIP_BUNJANG_STATUS_CHECK === 'true';
 
+/**
+ * Shopify 주문 line item에 해당하는 번개장터 옵션 매핑을 찾습니다. (옵션 상품만)
+ * @param {object} syncedProduct - SyncedProduct 문서 (lean)
+ * @param {object} item - Shopify 주문 line item (REST 웹훅 형식)
+ * @returns {object|null} bunjangVariantMappings 항목 또는 null
+ */
+function findVariantMappingForLineItem(syncedProduct, item) {
+  const mappings = syncedProduct.bunjangVariantMappings || [];
+  if (mappings.length === 0) return null;
+  const variantGid = item.variant_id ? `gid://shopify/ProductVariant/${item.variant_id}` : null;
+  return mappings.find(m => variantGid && m.shopifyVariantId === variantGid) ||
+    mappings.find(m => item.sku && m.sku === item.sku) ||
+    null;
+}
+
+/**
+ * 번개장터 주문 1건의 환율 기록을 만듭니다. 상품 가격을 계산할 때의 환율과 번개장터 주문 시점의 환율을 함께 남겨
+ * 재무팀이 주문별 환차손익을 정산할 수 있도록 합니다. (같은 원화 금액 기준이므로 가격 변동분은 제외됨)
+ * @param {object} params
+ * @param {object} params.syncedProduct - SyncedProduct 문서
+ * @param {object|null} params.variantMapping - 옵션 매핑 (옵션 상품만)
+ * @param {object} params.item - Shopify 주문 line item
+ * @param {string} params.bunjangOrderId
+ * @param {number} params.orderPriceKrw - 번개장터에 주문한 원화 금액
+ * @param {{krwToUsdRate: number, source: string, stale: boolean}|null} params.orderRate - exchangeRateService.getPricingRate 결과
+ * @returns {object}
+ */
+function buildOrderFxRecord({ syncedProduct, variantMapping, item, bunjangOrderId, orderPriceKrw, orderRate }) {
+  const pricedRate = syncedProduct.shopifyListedExchangeRate || null;
+  const orderedRate = orderRate?.krwToUsdRate || null;
+  const round2 = value => Math.round(value * 100) / 100;
+  return {
+    bunjangOrderId: String(bunjangOrderId),
+    bunjangPid: String(syncedProduct.bunjangPid),
+    shopifyLineItemId: item.id ? String(item.id) : null,
+    salePriceUsd: item.price || null,
+    listedPriceUsd: variantMapping?.shopifyPriceUsd || syncedProduct.shopifyListedPriceUsd || null,
+    orderPriceKrw,
+    pricedExchangeRate: pricedRate,
+    pricedExchangeRateSource: syncedProduct.shopifyListedExchangeRateSource || null,
+    pricedAt: syncedProduct.shopifyPricedAt ? new Date(syncedProduct.shopifyPricedAt).toISOString() : null,
+    orderExchangeRate: orderedRate,
+    orderExchangeRateSource: orderRate?.source || null,
+    orderExchangeRateStale: orderRate?.stale || false,
+    orderedAt: new Date().toISOString(),
+    // 양수면 주문 시점 원가가 가격 계산 시점보다 싸진 것 (환차익)
+    fxGainLossUsd: pricedRate && orderedRate ? round2(orderPriceKrw * (pricedRate - orderedRate)) : null,
+  };
+}
+
+/**
+ * 번개장터 주문 생성 오류가 "생성되지 않음"이 확실한지 판단합니다.
+ * 번개장터가 4xx로 거절했거나 요청을 보내기 전에 실패한 경우만 확실하고, 타임아웃/네트워크 오류/5xx/응답 형식 오류는
+ * 실제로는 주문이 생성되었을 수 있으므로 불명으로 봅니다.
+ * @param {Error} error - createBunjangOrderV2가 던진 에러
+ * @returns {boolean} 생성 여부가 불명하면 true
+ */
+function isUncertainOrderError(error) {
+  if (error.errorCode === 'BUNJANG_JWT_ERROR_PRE_REQUEST') return false;
+  const status = error.originalError?.response?.status;
+  return !(status >= 400 && status < 500);
+}
+
+/**
+ * 생성 여부가 불명한 번개장터 주문 생성 시도(IN_FLIGHT/UNKNOWN)를 번개장터 주문 목록과 대사합니다.
+ * 시도 시작 무렵 이후 같은 상품으로 생성되었고 아직 어느 주문 원장에도 연결되지 않은 번개장터 주문이 있으면 생성된 것으로 봅니다.
+ * @param {object} params
+ * @param {object} params.attempt - 원장의 생성 시도 기록
+ * @param {string} params.bunjangPid
+ * @param {string} params.jobId
+ * @returns {Promise<{created: boolean, bunjangOrderId?: string}>}
+ * @throws 번개장터 주문 목록 조회 실패 시 (대사 불가 - 다시 주문하지 않음)
+ */
+async function reconcileUncertainAttempt({ attempt, bunjangPid, jobId }) {
+  const MAX_RANGE_MS = 15 * 24 * 60 * 60 * 1000; // 번개장터 주문 조회는 최대 15일 범위
+  const MAX_PAGES = 20;
+  const startDate = new Date(new Date(attempt.startedAt).getTime() - config.orderProcessing.reconcileLookbackMinutes * 60 * 1000);
+  const endDate = new Date(Math.min(Date.now(), startDate.getTime() + MAX_RANGE_MS));
+
+  const candidates = [];
+  let page = 0;
+  let totalPages = 1;
+  while (page < totalPages && page < MAX_PAGES) {
+    const ordersResponse = await bunjangService.getBunjangOrders({
+      statusUpdateStartDate: startDate.toISOString(),
+      statusUpdateEndDate: endDate.toISOString(),
+      page,
+      size: 100,
+    });
+    for (const order of ordersResponse?.data || []) {
+      if ((order.orderItems || []).some(orderItem => String(orderItem.product?.id) === String(bunjangPid))) {
+        candidates.push(String(order.id));
+      }
+    }
+    totalPages = ordersResponse?.totalPages || 0;
+    page++;
+  }
+
+  if (candidates.length === 0) return { created: false };
+  const alreadyLinked = await orderLinkService.findLinkedBunjangOrderIds(candidates);
+  const bunjangOrderId = candidates.find(id => !alreadyLinked.has(id));
+  logger.info(`[OrderSvc:Job-${jobId}] Reconciled attempt ${attempt.attemptId} for PID ${bunjangPid}: candidates [${candidates.join(', ')}], already linked [${[...alreadyLinked].join(', ')}] -> ${bunjangOrderId || 'not created'}`);
+  return bunjangOrderId ? { created: true, bunjangOrderId } : { created: false };
+}
+
 /**
  * Shopify 주문 데이터를 기반으로 번개장터에 주문을 생성합니다.
+ * 같은 Shopify 주문은 분산 락으로 한 번에 한 곳(웹훅 워커/재처리 스크립트)에서만 처리하고,
+ * line item별 생성 결과와 생성 시도를 주문 원장에 남겨 재시도해도 번개장터 주문이 중복 생성되지 않도록 합니다.
  * @param {object} shopifyOrder - Shopify 주문 객체 (웹훅 페이로드 또는 DB에서 가져온 객체).
  * @param {string} [jobId='N/A'] - 호출한 BullMQ 작업 ID (로깅용).
+ * @param {object} [options]
+ * @param {boolean} [options.reprocess=false] - true면 처리가 끝난(일부 실패 포함) 주문도 주문되지 않은 line item을 다시 처리
  * @returns {Promise<{success: boolean, bunjangOrderIds?: array, message?: string}>} 처리 결과.
+ * @throws {AppError} ORDER_PROCESSING_LOCKED - 다른 작업이 같은 주문을 처리 중인 경우 (BullMQ 재시도 대상)
+ * @throws {AppError} BUNJANG_ORDER_UNCERTAIN - 생성 여부가 불명한 번개장터 주문이 남은 경우 (재시도 시 대사)
  */
-async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
-  const shopifyOrderId = shopifyOrder.id; // Shopify REST API ID
-  const shopifyOrderGid = shopifyOrder.admin_graphql_api_id; // Shopify GraphQL GID
-  logger.info(`[OrderSvc:Job-${jobId}] Processing Shopify Order ID: ${shopifyOrderId} (GID: ${shopifyOrderGid}) for Bunjang.`);
-
+async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A', { reprocess = false } = {}) {
   // Shopify 주문 객체 유효성 검사
-  if (!shopifyOrder || !shopifyOrderId || !shopifyOrderGid || !Array.isArray(shopifyOrder.line_items) || shopifyOrder.line_items.length === 0) {
+  if (!shopifyOrder || !shopifyOrder.id || !shopifyOrder.admin_graphql_api_id || !Array.isArray(shopifyOrder.line_items) || shopifyOrder.line_items.length === 0) {
     throw new ValidationError('유효하지 않은 Shopify 주문 데이터입니다. (ID 또는 line_items 누락)', [{field: 'shopifyOrder', message: 'Order data invalid or missing line items.'}]);
   }
 
+  const { acquired, result } = await withLock(
+    `shopify-order:${shopifyOrder.id}`,
+    config.orderProcessing.lockTtlMs,
+    () => placeBunjangOrdersForShopifyOrder(shopifyOrder, jobId, { reprocess })
+  );
+  if (!acquired) {
+    logger.warn(`[OrderSvc:Job-${jobId}] Shopify Order ${shopifyOrder.id} is already being processed elsewhere. Will retry later.`);
+    throw new AppError(`Shopify 주문 ${shopifyOrder.id}은(는) 다른 작업에서 처리 중입니다.`, 409, 'ORDER_PROCESSING_LOCKED');
+  }
+  return result;
+}
+
+/**
+ * processShopifyOrderForBunjang의 본문. 주문 락을 잡은 상태에서 호출됩니다.
+ * @param {object} shopifyOrder
+ * @param {string} jobId
+ * @param {{reprocess: boolean}} options
+ * @returns {Promise<{success: boolean, bunjangOrderIds?: array, message?: string}>}
+ */
+async function placeBunjangOrdersForShopifyOrder(shopifyOrder, jobId, { reprocess }) {
+  const shopifyOrderId = shopifyOrder.id; // Shopify REST API ID
+  const shopifyOrderGid = shopifyOrder.admin_graphql_api_id; // Shopify GraphQL GID
+  logger.info(`[OrderSvc:Job-${jobId}] Processing Shopify Order ID: ${shopifyOrderId} (GID: ${shopifyOrderGid}) for Bunjang.`);
+
   const bunjangOrderIdentifier = `${config.bunjang.orderIdentifierPrefix || 'BunjangOrder-'}${shopifyOrderId}`;
   let bunjangOrderSuccessfullyCreatedOverall = false;
   let createdBunjangOrderIds = [];
+  const fxRecords = [];
+  let pointBalanceBeforeRecorded = false;
+  let hasUncertainOrders = false;
 
-  // 이미 처리된 주문인지 확인 (중복 방지)
-  try {
-    const existingMetafield = await shopifyService.getOrderMetafield(shopifyOrderGid, "bunjang", "order_ids");
-    if (existingMetafield && existingMetafield.value) {
-      logger.info(`[OrderSvc:Job-${jobId}] Bunjang order already exists for Shopify Order ${shopifyOrderId}. Skipping.`);
-      return { success: true, alreadyProcessed: true, bunjangOrderIds: JSON.parse(existingMetafield.value) };
+  // 이미 처리된 주문인지 확인 (중복 방지) - 주문 원장을 먼저 보고, 원장 도입 전 주문은 Shopify 메타필드로 확인
+  // 처리 중(PROCESSING)이거나 대사가 필요한(NEEDS_RECONCILE) 원장은 중단된 처리이므로 이어서 처리
+  const existingLink = await orderLinkService.findOrderLinkStatus(shopifyOrderId);
+  if (existingLink) {
+    const finished = ['PLACED', 'PARTIALLY_PLACED', 'FAILED', 'NO_BUNJANG_ITEMS'].includes(existingLink.status);
+    if (existingLink.status === 'PLACED' || (finished && !reprocess)) {
+      logger.info(`[OrderSvc:Job-${jobId}] Shopify Order ${shopifyOrderId} already processed (ledger status: ${existingLink.status}). Skipping.`);
+      return { success: existingLink.bunjangOrderIds.length > 0, alreadyProcessed: true, bunjangOrderIds: existingLink.bunjangOrderIds };
+    }
+  } else {
+    try {
+      const existingMetafield = await shopifyService.getOrderMetafield(shopifyOrderGid, "bunjang", "order_ids");
+      if (existingMetafield && existingMetafield.value) {
+        logger.info(`[OrderSvc:Job-${jobId}] Bunjang order already exists for Shopify Order ${shopifyOrderId}. Skipping.`);
+        return { success: true, alreadyProcessed: true, bunjangOrderIds: JSON.parse(existingMetafield.value) };
+      }
+    } catch (error) {
+      logger.warn(`[OrderSvc:Job-${jobId}] Could not check existing order metadata: ${error.message}`);
     }
-  } catch (error) {
-    logger.warn(`[OrderSvc:Job-${jobId}] Could not check existing order metadata: ${error.message}`);
   }
 
+  const ledgerLink = await orderLinkService.openOrderLink(shopifyOrder, { bunjangOrderIdentifier, jobId });
+
   // Shopify 주문의 각 line item을 순회
   for (const item of shopifyOrder.line_items) {
     const productId = item.product_id;
     
+    // Shopify 주문 취소 등으로 취소된 line item은 주문하지 않음
+    if (orderStateService.getLineItemState(ledgerLink.lineItems.find(li => li.shopifyLineItemId === String(item.id))) === 'CANCELLED') {
+      logger.info(`[OrderSvc:Job-${jobId}] Line item ${item.id} is cancelled. Skipping.`);
+      continue;
+    }
+    
     // 1. 먼저 DB에서 확인
     let syncedProduct = await SyncedProduct.findOne({
       $or: [
@@ -106,18 +264,219 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
     
     if (!syncedProduct || !syncedProduct.bunjangPid) {
       logger.debug(`[OrderSvc:Job-${jobId}] Shopify product ${productId} is not linked to Bunjang. Skipping.`);
+      await orderLinkService.updateLineItem(shopifyOrderId, item.id, { status: 'NOT_LINKED' }, jobId);
       continue;
     }
 
     const bunjangPid = syncedProduct.bunjangPid;
     logger.info(`[OrderSvc:Job-${jobId}] Found Bunjang-linked item: Shopify Product ${productId} -> Bunjang PID ${bunjangPid}`);
 
+    const variantMapping = findVariantMappingForLineItem(syncedProduct, item);
+    await orderLinkService.updateLineItem(shopifyOrderId, item.id, {
+      bunjangPid: String(bunjangPid),
+      bunjangOptionId: variantMapping?.bunjangOptionId,
+      bunjangOptionValue: variantMapping?.optionValue,
+    }, jobId);
+    // 이 line item의 실패를 Shopify 태그와 주문 원장에 함께 남김
+    const recordItemError = (code, message, status) => orderLinkService.recordLineItemError(shopifyOrderId, { shopifyLineItemId: item.id, bunjangPid, code, message, status }, jobId);
+
+    // 번개장터 주문 생성(또는 대사로 확인) 이후 처리: 원장/태그/포인트 잔액/상품 판매 상태
+    const completeBunjangOrder = async (bunjangOrderId, orderPriceKrw, shippingFeeKrw) => {
+      logger.info(`[OrderSvc:Job-${jobId}] ✅ Successfully created Bunjang order for PID ${bunjangPid}. Bunjang Order ID: ${bunjangOrderId}`);
+      createdBunjangOrderIds.push(String(bunjangOrderId));
+      bunjangOrderSuccessfullyCreatedOverall = true;
+
+      // 주문 시점 환율 기록 (실패해도 주문 처리는 계속)
+      let orderRate = null;
+      try {
+        orderRate = await getPricingRate();
+      } catch (rateError) {
+        logger.error(`[OrderSvc:Job-${jobId}] Failed to get exchange rate for order FX record (Bunjang order ${bunjangOrderId}): ${rateError.message}`);
+      }
+      const fxRecord = buildOrderFxRecord({
+        syncedProduct,
+        variantMapping,
+        item,
+        bunjangOrderId,
+        orderPriceKrw,
+        orderRate,
+      });
+      fxRecords.push(fxRecord);
+      try {
+        await orderStateService.transitionLineItem(shopifyOrderId, item.id, 'BUNJANG_CREATED', {
+          source: reprocess ? 'manual' : 'webhook',
+          bunjangOrderId,
+          jobId,
+        });
+      } catch (stateError) {
+        logger.error(`[OrderSvc:Job-${jobId}] Failed to record BUNJANG_CREATED state for line item ${item.id}: ${stateError.message}`);
+      }
+      await orderLinkService.recordBunjangOrderCreated(shopifyOrderId, {
+        shopifyLineItemId: item.id,
+        bunjangOrderId,
+        orderPriceKrw,
+        shippingFeeKrw,
+        fx: fxRecord,
+      }, jobId);
+
+      // 7. Shopify 주문에 태그 추가 (개별 성공)
+      const tagsToAdd = [`BunjangOrder-${bunjangOrderId}`, `PID-${bunjangPid}-Success`];
+      await shopifyService.updateOrder({ id: shopifyOrderGid, tags: tagsToAdd });
+      
+      // 8. 포인트 잔액 확인
+      try {
+        const pointBalance = await bunjangService.getBunjangPointBalance();
+        if (pointBalance) {
+          logger.info(`[OrderSvc:Job-${jobId}] Current Bunjang point balance: ${pointBalance.balance.toLocaleString()} KRW`);
+          await orderLinkService.recordPointBalance(shopifyOrderId, 'after', pointBalance.balance, jobId);
+          await orderLinkService.updateLineItem(shopifyOrderId, item.id, { pointBalanceAfterKrw: pointBalance.balance }, jobId);
+          
+          const LOW_BALANCE_THRESHOLD = config.bunjang.lowBalanceThreshold || 1000000;
+          if (pointBalance.balance < LOW_BALANCE_THRESHOLD) {
+            logger.warn(`[OrderSvc:Job-${jobId}] ⚠️ LOW POINT BALANCE WARNING: ${pointBalance.balance.toLocaleString()} KRW < ${LOW_BALANCE_THRESHOLD.toLocaleString()} KRW`);
+            await shopifyService.updateOrder({ 
+              id: shopifyOrderGid, 
+              tags: [`LowPointBalance`, `Balance-${pointBalance.balance}`] 
+            });
+          }
+        }
+      } catch (balanceError) {
+        logger.warn(`[OrderSvc:Job-${jobId}] Failed to check point balance: ${balanceError.message}`);
+      }
+      
+      // 9. 상품 판매 상태 업데이트
+      try {
+        // DB에서 상품 정보 업데이트
+        const productToUpdate = await SyncedProduct.findOne({ bunjangPid });
+        if (productToUpdate) {
+          // 번개장터 주문 정보 추가
+          if (!productToUpdate.bunjangOrderIds) {
+            productToUpdate.bunjangOrderIds = [];
+          }
+          productToUpdate.bunjangOrderIds.push(String(bunjangOrderId));
+          productToUpdate.lastBunjangOrderId = String(bunjangOrderId);
+          productToUpdate.bunjangSoldAt = new Date();
+          
+          // 판매 상태 결정
+          if (productToUpdate.shopifySoldAt || productToUpdate.pendingBunjangOrder) {
+            // Shopify에서도 팔린 경우 - SOLD OUT으로 표기
+            productToUpdate.soldFrom = 'both';
+            await productToUpdate.save();
+            
+            // inventoryService를 사용하여 SOLD OUT 처리
+            await inventoryService.handleProductSoldStatus(
+              bunjangPid,
+              productToUpdate.shopifyGid,
+              'both'
+            );
+            
+            logger.info(`[OrderSvc:Job-${jobId}] Product marked as SOLD OUT (sold on both platforms): PID ${bunjangPid}`);
+          } else {
+            // 번개장터에서만 팔린 경우 - DRAFT 상태로 변경
+            productToUpdate.soldFrom = 'bunjang';
+            productToUpdate.bunjangSoldAt = new Date();
+            await productToUpdate.save();
+            
+            // inventoryService를 사용하여 DRAFT 처리
+            await inventoryService.handleProductSoldStatus(
+              bunjangPid,
+              productToUpdate.shopifyGid,
+              'bunjang'
+            );
+            
+            logger.info(`[OrderSvc:Job-${jobId}] Product marked as DRAFT (sold only on Bunjang): PID ${bunjangPid}`);
+          }
+          
+          // pendingBunjangOrder 플래그 해제
+          productToUpdate.pendingBunjangOrder = false;
+          await productToUpdate.save();
+        }
+      } catch (statusError) {
+        logger.error(`[OrderSvc:Job-${jobId}] Failed to update product status after Bunjang order:`, statusError);
+      }
+    };
+
+    // 이미 번개장터 주문이 생성된 line item은 건너뜀 (재시도/재처리)
+    const ledgerItem = ledgerLink.lineItems.find(li => li.shopifyLineItemId === String(item.id));
+    if (ledgerItem?.status === 'ORDERED' && ledgerItem.bunjangOrderId) {
+      logger.info(`[OrderSvc:Job-${jobId}] Line item ${item.id} (PID ${bunjangPid}) already has Bunjang order ${ledgerItem.bunjangOrderId}. Skipping.`);
+      createdBunjangOrderIds.push(ledgerItem.bunjangOrderId);
+      if (ledgerItem.fx) fxRecords.push(ledgerItem.fx);
+      bunjangOrderSuccessfullyCreatedOverall = true;
+      continue;
+    }
+
+    // 주문은 만들어졌지만 ORDERED 기록이 실패한 line item은 다시 주문하지 않고 성공한 시도로 원장을 복구
+    const createdAttempt = ledgerItem?.attempts?.find(attempt => ['SUCCEEDED', 'RECONCILED_CREATED'].includes(attempt.outcome) && attempt.bunjangOrderId);
+    if (createdAttempt) {
+      logger.warn(`[OrderSvc:Job-${jobId}] Line item ${item.id} (PID ${bunjangPid}) has Bunjang order ${createdAttempt.bunjangOrderId} from attempt ${createdAttempt.attemptId} but was not recorded as ordered. Recording it without re-ordering.`);
+      if (orderStateService.getLineItemState(ledgerItem) === 'PENDING_BUNJANG') {
+        try {
+          await orderStateService.transitionLineItem(shopifyOrderId, item.id, 'BUNJANG_CREATED', {
+            source: reprocess ? 'manual' : 'webhook',
+            bunjangOrderId: createdAttempt.bunjangOrderId,
+            note: `Recovered from attempt ${createdAttempt.attemptId}`,
+            jobId,
+          });
+        } catch (stateError) {
+          logger.error(`[OrderSvc:Job-${jobId}] Failed to record BUNJANG_CREATED state for line item ${item.id}: ${stateError.message}`);
+        }
+      }
+      await orderLinkService.recordBunjangOrderCreated(shopifyOrderId, {
+        shopifyLineItemId: item.id,
+        bunjangOrderId: createdAttempt.bunjangOrderId,
+        orderPriceKrw: createdAttempt.priceKrw,
+      }, jobId);
+      createdBunjangOrderIds.push(String(createdAttempt.bunjangOrderId));
+      bunjangOrderSuccessfullyCreatedOverall = true;
+      continue;
+    }
+
+    // 이전 처리 도중 중단되었거나 결과가 불명한 생성 시도가 있으면 다시 주문하기 전에 번개장터 주문 목록과 대사
+    const uncertainAttempt = ledgerItem?.attempts?.find(attempt => attempt.outcome === 'IN_FLIGHT' || attempt.outcome === 'UNKNOWN');
+    if (uncertainAttempt) {
+      let reconciliation;
+      try {
+        reconciliation = await reconcileUncertainAttempt({ attempt: uncertainAttempt, bunjangPid, jobId });
+      } catch (reconcileError) {
+        logger.error(`[OrderSvc:Job-${jobId}] Could not reconcile attempt ${uncertainAttempt.attemptId} for PID ${bunjangPid}: ${reconcileError.message}. Not retrying the order.`);
+        hasUncertainOrders = true;
+        await recordItemError('RECONCILE_FAILED', reconcileError.message, 'NEEDS_RECONCILE');
+        continue;
+      }
+      await orderLinkService.finishBunjangOrderAttempt(shopifyOrderId, item.id, uncertainAttempt.attemptId, {
+        outcome: reconciliation.created ? 'RECONCILED_CREATED' : 'RECONCILED_NOT_CREATED',
+        bunjangOrderId: reconciliation.bunjangOrderId,
+      }, jobId);
+      if (reconciliation.created) {
+        logger.info(`[OrderSvc:Job-${jobId}] Attempt ${uncertainAttempt.attemptId} for PID ${bunjangPid} had created Bunjang order ${reconciliation.bunjangOrderId}. Recording without re-ordering.`);
+        try {
+          await completeBunjangOrder(reconciliation.bunjangOrderId, uncertainAttempt.priceKrw, undefined);
+        } catch (postError) {
+          logger.error(`[OrderSvc:Job-${jobId}] Post-processing of reconciled Bunjang order ${reconciliation.bunjangOrderId} failed: ${postError.message}`);
+        }
+        continue;
+      }
+      logger.info(`[OrderSvc:Job-${jobId}] Attempt ${uncertainAttempt.attemptId} for PID ${bunjangPid} did not create a Bunjang order. Retrying.`);
+    }
+
+    if (syncedProduct.bunjangVariantMappings?.length > 0 && !variantMapping) {
+      logger.error(`[OrderSvc:Job-${jobId}] No Bunjang option mapping for variant ${item.variant_id} (SKU: ${item.sku}) of PID ${bunjangPid}. Skipping.`);
+      await recordItemError('OPTION_UNMAPPED', `No Bunjang option mapping for variant ${item.variant_id} (SKU: ${item.sku})`);
+      await shopifyService.updateOrder({
+        id: shopifyOrderGid,
+        tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-OptionUnmapped`]
+      });
+      continue;
+    }
+
     try {
       // 3. 주문 시점의 번개장터 상품 최신 정보 조회
       const bunjangProductDetails = await bunjangService.getBunjangProductDetails(bunjangPid);
       
       if (!bunjangProductDetails) {
         logger.warn(`[OrderSvc:Job-${jobId}] Could not fetch details for Bunjang product PID ${bunjangPid}`);
+        await recordItemError('PRODUCT_NOT_FOUND', 'Could not fetch Bunjang product details');
         await shopifyService.updateOrder({ 
           id: shopifyOrderGid, 
           tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-NotFound`] 
@@ -148,14 +507,33 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           id: shopifyOrderGid, 
           tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-NotAvailable`, `Status-${productStatus}`] 
         });
+        await recordItemError('NOT_AVAILABLE', `Bunjang product status: ${productStatus}`);
         
         continue;
       }
 
+      // 3-2. 옵션 상품이면 주문 시점의 옵션 가격/재고 확인
+      let bunjangOption = null;
+      if (variantMapping) {
+        const currentOptions = normalizeBunjangOptions(bunjangProductDetails.options, bunjangProductDetails.price);
+        bunjangOption = currentOptions?.variants.find(v => v.bunjangOptionId === variantMapping.bunjangOptionId) || null;
+        if (!bunjangOption) {
+          logger.warn(`[OrderSvc:Job-${jobId}] Bunjang option ${variantMapping.bunjangOptionId} (${variantMapping.optionValue}) no longer exists for PID ${bunjangPid}`);
+          await recordItemError('OPTION_NOT_FOUND', `Bunjang option ${variantMapping.bunjangOptionId} (${variantMapping.optionValue}) no longer exists`);
+          await shopifyService.updateOrder({
+            id: shopifyOrderGid,
+            tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-OptionNotFound`]
+          });
+          continue;
+        }
+        logger.info(`[OrderSvc:Job-${jobId}] Line item maps to Bunjang option ${bunjangOption.bunjangOptionId} (${bunjangOption.optionValue}), price ${bunjangOption.priceKrw} KRW, qty ${bunjangOption.quantity}`);
+      }
+
       // 4. 재고 확인
-      const availableQuantity = bunjangProductDetails.quantity || 0;
+      const availableQuantity = bunjangOption ? bunjangOption.quantity : (bunjangProductDetails.quantity || 0);
       if (availableQuantity < item.quantity) {
         logger.warn(`[OrderSvc:Job-${jobId}] Insufficient stock for PID ${bunjangPid}. Available: ${availableQuantity}, Requested: ${item.quantity}`);
+        await recordItemError('INSUFFICIENT_STOCK', `Available: ${availableQuantity}, Requested: ${item.quantity}`);
         await shopifyService.updateOrder({ 
           id: shopifyOrderGid, 
           tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-InsufficientStock`] 
@@ -167,7 +545,8 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
       const bunjangOrderPayload = {
         product: {
           id: parseInt(bunjangPid),
-          price: bunjangProductDetails.price || 0
+          price: bunjangOption ? bunjangOption.priceKrw : (bunjangProductDetails.price || 0),
+          ...(bunjangOption && { optionId: bunjangOption.bunjangOptionId })
         },
         deliveryPrice: bunjangProductDetails.shippingFee || 0 // 배송비 0원 정책 적용
       };
@@ -180,100 +559,62 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
         totalAmount: bunjangOrderPayload.product.price
       });
 
-      // 6. 번개장터 주문 생성 API 호출
+      // 6. 번개장터 주문 생성 API 호출 (첫 주문 직전 포인트 잔액을 원장에 기록)
+      if (!pointBalanceBeforeRecorded) {
+        pointBalanceBeforeRecorded = true;
+        try {
+          const balanceBefore = await bunjangService.getBunjangPointBalance();
+          if (balanceBefore) await orderLinkService.recordPointBalance(shopifyOrderId, 'before', balanceBefore.balance, jobId);
+        } catch (balanceError) {
+          logger.warn(`[OrderSvc:Job-${jobId}] Failed to check point balance before ordering: ${balanceError.message}`);
+        }
+      }
+      // 처리 중에 Shopify 주문이 취소되었을 수 있으므로 주문 직전에 line item 상태를 다시 확인 (ledgerLink는 처리 시작 시점 기준)
+      const currentLedgerItem = await orderLinkService.getLineItem(shopifyOrderId, item.id);
+      if (orderStateService.getLineItemState(currentLedgerItem) === 'CANCELLED') {
+        logger.info(`[OrderSvc:Job-${jobId}] Line item ${item.id} (PID ${bunjangPid}) was cancelled while the order was being processed. Not ordering.`);
+        continue;
+      }
+      // 호출 전에 생성 시도를 원장에 남김 (호출 도중 중단되면 다음 처리 때 대사)
+      const attemptId = await orderLinkService.beginBunjangOrderAttempt(shopifyOrderId, item.id, {
+        priceKrw: bunjangOrderPayload.product.price,
+        bunjangOptionId: bunjangOption?.bunjangOptionId,
+        jobId,
+      });
+      if (!attemptId) {
+        logger.warn(`[OrderSvc:Job-${jobId}] Line item ${item.id} (PID ${bunjangPid}) was cancelled, already has a Bunjang order or has an unresolved attempt. Skipping to avoid an unwanted order.`);
+        continue;
+      }
+      let attemptSettled = false;
       try {
         const bunjangApiResponse = await bunjangService.createBunjangOrderV2(bunjangOrderPayload);
         
         if (bunjangApiResponse && bunjangApiResponse.id) {
-          const bunjangOrderId = bunjangApiResponse.id;
-          logger.info(`[OrderSvc:Job-${jobId}] ✅ Successfully created Bunjang order for PID ${bunjangPid}. Bunjang Order ID: ${bunjangOrderId}`);
-          createdBunjangOrderIds.push(String(bunjangOrderId));
-          bunjangOrderSuccessfullyCreatedOverall = true;
-
-          // 7. Shopify 주문에 태그 추가 (개별 성공)
-          const tagsToAdd = [`BunjangOrder-${bunjangOrderId}`, `PID-${bunjangPid}-Success`];
-          await shopifyService.updateOrder({ id: shopifyOrderGid, tags: tagsToAdd });
-          
-          // 8. 포인트 잔액 확인
+          attemptSettled = true;
+          await orderLinkService.finishBunjangOrderAttempt(shopifyOrderId, item.id, attemptId, { outcome: 'SUCCEEDED', bunjangOrderId: bunjangApiResponse.id }, jobId);
           try {
-            const pointBalance = await bunjangService.getBunjangPointBalance();
-            if (pointBalance) {
-              logger.info(`[OrderSvc:Job-${jobId}] Current Bunjang point balance: ${pointBalance.balance.toLocaleString()} KRW`);
-              
-              const LOW_BALANCE_THRESHOLD = config.bunjang.lowBalanceThreshold || 1000000;
-              if (pointBalance.balance < LOW_BALANCE_THRESHOLD) {
-                logger.warn(`[OrderSvc:Job-${jobId}] ⚠️ LOW POINT BALANCE WARNING: ${pointBalance.balance.toLocaleString()} KRW < ${LOW_BALANCE_THRESHOLD.toLocaleString()} KRW`);
-                await shopifyService.updateOrder({ 
-                  id: shopifyOrderGid, 
-                  tags: [`LowPointBalance`, `Balance-${pointBalance.balance}`] 
-                });
-              }
-            }
-          } catch (balanceError) {
-            logger.warn(`[OrderSvc:Job-${jobId}] Failed to check point balance: ${balanceError.message}`);
-          }
-          
-          // 9. 상품 판매 상태 업데이트
-          try {
-            // DB에서 상품 정보 업데이트
-            const productToUpdate = await SyncedProduct.findOne({ bunjangPid });
-            if (productToUpdate) {
-              // 번개장터 주문 정보 추가
-              if (!productToUpdate.bunjangOrderIds) {
-                productToUpdate.bunjangOrderIds = [];
-              }
-              productToUpdate.bunjangOrderIds.push(String(bunjangOrderId));
-              productToUpdate.lastBunjangOrderId = String(bunjangOrderId);
-              productToUpdate.bunjangSoldAt = new Date();
-              
-              // 판매 상태 결정
-              if (productToUpdate.shopifySoldAt || productToUpdate.pendingBunjangOrder) {
-                // Shopify에서도 팔린 경우 - SOLD OUT으로 표기
-                productToUpdate.soldFrom = 'both';
-                await productToUpdate.save();
-                
-                // inventoryService를 사용하여 SOLD OUT 처리
-                await inventoryService.handleProductSoldStatus(
-                  bunjangPid,
-                  productToUpdate.shopifyGid,
-                  'both'
-                );
-                
-                logger.info(`[OrderSvc:Job-${jobId}] Product marked as SOLD OUT (sold on both platforms): PID ${bunjangPid}`);
-              } else {
-                // 번개장터에서만 팔린 경우 - DRAFT 상태로 변경
-                productToUpdate.soldFrom = 'bunjang';
-                productToUpdate.bunjangSoldAt = new Date();
-                await productToUpdate.save();
-                
-                // inventoryService를 사용하여 DRAFT 처리
-                await inventoryService.handleProductSoldStatus(
-                  bunjangPid,
-                  productToUpdate.shopifyGid,
-                  'bunjang'
-                );
-                
-                logger.info(`[OrderSvc:Job-${jobId}] Product marked as DRAFT (sold only on Bunjang): PID ${bunjangPid}`);
-              }
-              
-              // pendingBunjangOrder 플래그 해제
-              productToUpdate.pendingBunjangOrder = false;
-              await productToUpdate.save();
-            }
-          } catch (statusError) {
-            logger.error(`[OrderSvc:Job-${jobId}] Failed to update product status after Bunjang order:`, statusError);
+            await completeBunjangOrder(bunjangApiResponse.id, bunjangOrderPayload.product.price, actualBunjangShippingFeeKrw);
+          } catch (postError) {
+            logger.error(`[OrderSvc:Job-${jobId}] Bunjang order ${bunjangApiResponse.id} created but post-processing failed: ${postError.message}`);
           }
         } else {
+          // 응답에 주문 ID가 없으면 생성 여부 불명 - 다음 처리 때 대사
+          attemptSettled = true;
+          hasUncertainOrders = true;
+          await orderLinkService.finishBunjangOrderAttempt(shopifyOrderId, item.id, attemptId, { outcome: 'UNKNOWN', errorCode: 'NO_ORDER_ID' }, jobId);
           logger.error(`[OrderSvc:Job-${jobId}] Bunjang order creation response missing order ID for PID ${bunjangPid}`);
+          await recordItemError('NO_ORDER_ID', 'Bunjang order creation response missing order ID', 'NEEDS_RECONCILE');
           await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-NoOrderId`] });
         }
       } catch (apiError) {
         // 번개장터 API 에러 처리
         let errorTag = `PID-${bunjangPid}-CreateFail`;
         let errorMessage = apiError.message;
+        let ledgerErrorCode = 'CREATE_FAILED';
         
         if (apiError.originalError?.response?.data?.errorCode) {
           const errorCode = apiError.originalError.response.data.errorCode;
+          ledgerErrorCode = errorCode;
           const errorReason = apiError.originalError.response.data.reason || apiError.originalError.response.data.message;
           errorMessage = `${errorCode}: ${errorReason || apiError.message}`;
           
@@ -338,7 +679,19 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           originalError: apiError.originalError?.message
         });
         
+        // 타임아웃/5xx 등 생성 여부가 불명하면 다시 주문하지 않고 다음 처리 때 대사
+        const uncertain = !attemptSettled && isUncertainOrderError(apiError);
+        if (!attemptSettled) {
+          await orderLinkService.finishBunjangOrderAttempt(shopifyOrderId, item.id, attemptId, {
+            outcome: uncertain ? 'UNKNOWN' : 'FAILED',
+            errorCode: ledgerErrorCode,
+            errorMessage,
+          }, jobId);
+        }
+        if (uncertain) hasUncertainOrders = true;
+        
         await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, errorTag] });
+        await recordItemError(ledgerErrorCode, errorMessage, uncertain ? 'NEEDS_RECONCILE' : 'FAILED');
       }
 
     } catch (error) {
@@ -346,6 +699,7 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
         stack: error.stack
       });
       await shopifyService.updateOrder({ id: shopifyOrderGid, tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-Exception`] });
+      await recordItemError('EXCEPTION', error.message);
     }
   }
 
@@ -369,6 +723,12 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
         key: "order_count",
         value: String(createdBunjangOrderIds.length),
         type: "single_line_text_field"
+      },
+      {
+        namespace: "bunjang",
+        key: "fx_rates",
+        value: JSON.stringify(fxRecords),
+        type: "json"
       }
     ];
     
@@ -381,6 +741,18 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
     logger.info(`[OrderSvc:Job-${jobId}] Successfully updated Shopify order with Bunjang order information`);
   }
 
+  await orderLinkService.finalizeOrderLink(shopifyOrderId, { jobId });
+
+  if (hasUncertainOrders) {
+    await sendAlert({
+      title: 'Bunjang order creation uncertain',
+      message: `Shopify order ${shopifyOrderId}: could not confirm whether some Bunjang orders were created. They will be reconciled on retry instead of being re-ordered.`,
+      severity: 'warning',
+      details: { shopifyOrderId: String(shopifyOrderId), jobId: String(jobId) },
+    });
+    throw new AppError(`Shopify 주문 ${shopifyOrderId}의 번개장터 주문 생성 여부가 불명한 항목이 있습니다. 재시도 시 대사합니다.`, 503, 'BUNJANG_ORDER_UNCERTAIN');
+  }
+
   if (bunjangOrderSuccessfullyCreatedOverall) {
     logger.info(`[OrderSvc:Job-${jobId}] ✅ Bunjang order(s) successfully created for Shopify Order ${shopifyOrderId}: ${createdBunjangOrderIds.join(', ')}`);
     return { success: true, bunjangOrderIds: createdBunjangOrderIds };
@@ -472,166 +844,12 @@ async function syncBunjangOrderStatuses(startDate, endDate, jobId = 'N/A') {
 
 /**
  * 번개장터 주문 상태를 기반으로 Shopify 주문을 업데이트합니다.
+ * 상태 전이와 전이별 처리(배송 국내 구간, 태그, 상품 상태 복원)는 orderStateService가 담당합니다.
  * @param {object} bunjangOrder - 번개장터 주문 정보
  * @param {string} [jobId='N/A'] - 작업 ID
  */
 async function updateShopifyOrderFromBunjangStatus(bunjangOrder, jobId = 'N/A') {
-  const bunjangOrderId = bunjangOrder.id;
-  
-  // Shopify에서 해당 번개장터 주문과 연결된 주문 찾기
-  const query = `
-    query findOrderByBunjangId($query: String!) {
-      orders(first: 1, query: $query) {
-        edges {
-          node {
-            id
-            name
-            tags
-            fulfillmentOrders(first: 10) {
-              edges {
-                node {
-                  id
-                  status
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  `;
-  
-  const searchQuery = `tag:"BunjangOrder-${bunjangOrderId}"`;
-  const response = await shopifyService.shopifyGraphqlRequest(query, { query: searchQuery });
-  
-  if (!response.data.orders.edges || response.data.orders.edges.length === 0) {
-    logger.warn(`[OrderSvc:Job-${jobId}] No Shopify order found for Bunjang order ${bunjangOrderId}`);
-    return;
-  }
-  
-  const shopifyOrder = response.data.orders.edges[0].node;
-  const shopifyOrderGid = shopifyOrder.id;
-  
-  // 각 주문 아이템의 상태 확인
-  for (const orderItem of bunjangOrder.orderItems) {
-    const status = orderItem.status;
-    const productId = orderItem.product.id;
-    
-    logger.info(`[OrderSvc:Job-${jobId}] Bunjang order ${bunjangOrderId}, product ${productId} status: ${status}`);
-    
-    // 상태별 처리
-    switch(status) {
-      case 'SHIP_READY':
-      case 'IN_TRANSIT':
-      case 'DELIVERY_COMPLETED':
-        // 배송 관련 상태 - Shopify fulfillment 업데이트 필요
-        await updateShopifyFulfillmentStatus(shopifyOrderGid, status, orderItem, jobId);
-        break;
-        
-      case 'PURCHASE_CONFIRM':
-        // 구매 확정 - 메타필드 업데이트
-        await shopifyService.updateOrder({
-          id: shopifyOrderGid,
-          metafields: [{
-            namespace: 'bunjang',
-            key: 'purchase_confirmed',
-            value: 'true',
-            type: 'single_line_text_field'
-          }, {
-            namespace: 'bunjang',
-            key: 'purchase_confirmed_at',
-            value: orderItem.purchaseConfirmedAt || new Date().toISOString(),
-            type: 'date_time'
-          }],
-          tags: [`BunjangStatus-PurchaseConfirmed`]
-        });
-        break;
-        
-      case 'CANCEL_REQUESTED_BEFORE_SHIPPING':
-      case 'REFUNDED':
-      case 'RETURN_REQUESTED':
-      case 'RETURNED':
-        // 취소/반품 관련 - 태그 추가
-        await shopifyService.updateOrder({
-          id: shopifyOrderGid,
-          tags: [`BunjangStatus-${status}`, `BunjangOrder-${bunjangOrderId}-${status}`]
-        });
-        
-        // 상품 상태 복원 필요
-        try {
-          const syncedProduct = await SyncedProduct.findOne({ bunjangPid: String(productId) });
-          if (syncedProduct) {
-            syncedProduct.notes = `${syncedProduct.notes || ''}\n[${new Date().toISOString()}] Order ${status}`;
-            if (status === 'REFUNDED' || status === 'RETURNED') {
-              // 판매 상태 복원
-              syncedProduct.soldFrom = null;
-              syncedProduct.bunjangSoldAt = null;
-              await syncedProduct.save();
-              
-              // Shopify 상품 상태도 복원
-              if (syncedProduct.shopifyGid) {
-                await shopifyService.updateProduct({
-                  id: syncedProduct.shopifyGid,
-                  status: 'ACTIVE'
-                });
-              }
-            }
-          }
-        } catch (restoreError) {
-          logger.error(`[OrderSvc:Job-${jobId}] Failed to restore product status:`, restoreError);
-        }
-        break;
-    }
-    
-    // 상태 업데이트 시간 기록
-    await shopifyService.updateOrder({
-      id: shopifyOrderGid,
-      metafields: [{
-        namespace: 'bunjang',
-        key: 'last_status_sync',
-        value: new Date().toISOString(),
-        type: 'date_time'
-      }, {
-        namespace: 'bunjang',
-        key: 'last_bunjang_status',
-        value: status,
-        type: 'single_line_text_field'
-      }]
-    });
-  }
-}
-
-/**
- * Shopify fulfillment 상태를 업데이트합니다.
- * @param {string} shopifyOrderGid - Shopify 주문 GID
- * @param {string} bunjangStatus - 번개장터 주문 상태
- * @param {object} orderItem - 번개장터 주문 아이템
- * @param {string} jobId - 작업 ID
- */
-async function updateShopifyFulfillmentStatus(shopifyOrderGid, bunjangStatus, orderItem, jobId) {
-  logger.info(`[OrderSvc:Job-${jobId}] Updating fulfillment status for order ${shopifyOrderGid} to ${bunjangStatus}`);
-  
-  // 배송 정보가 있는 경우
-  if (orderItem.delivery && orderItem.delivery.invoice) {
-    const trackingInfo = {
-      company: orderItem.delivery.invoice.companyName,
-      number: orderItem.delivery.invoice.no,
-      url: orderItem.delivery.invoice.url
-    };
-    
-    logger.info(`[OrderSvc:Job-${jobId}] Tracking info:`, trackingInfo);
-    
-    // Shopify 태그 업데이트
-    const statusTag = `Shipping-${bunjangStatus}`;
-    const trackingTag = `Tracking-${trackingInfo.company}-${trackingInfo.number}`;
-    
-    await shopifyService.updateOrder({
-      id: shopifyOrderGid,
-      tags: [statusTag, trackingTag]
-    });
-    
-    // TODO: Shopify fulfillment API 호출 구현
-  }
+  return orderStateService.applyBunjangOrderStatus(bunjangOrder, { source: 'poll', jobId });
 }
 
 /**
@@ -773,9 +991,13 @@ async function reprocessShopifyOrder(shopifyOrderId) {
                 id
                 title
                 quantity
+                sku
                 product {
                   id
                 }
+                variant {
+                  id
+                }
               }
             }
           }
@@ -795,17 +1017,19 @@ async function reprocessShopifyOrder(shopifyOrderId) {
       admin_graphql_api_id: orderGid,
       name: response.data.order.name,
       line_items: response.data.order.lineItems.edges.map(edge => ({
-        id: edge.node.id,
+        id: edge.node.id.split('/').pop(), // 웹훅과 같은 숫자 ID (주문 원장의 line item과 일치하도록)
         title: edge.node.title,
         quantity: edge.node.quantity,
-        product_id: edge.node.product?.id?.split('/').pop()
+        sku: edge.node.sku,
+        product_id: edge.node.product?.id?.split('/').pop(),
+        variant_id: edge.node.variant?.id?.split('/').pop()
       }))
     };
     
     logger.info(`[OrderSvc] Order details fetched. Line items: ${order.line_items.length}`);
     
     // 주문 재처리
-    const result = await processShopifyOrderForBunjang(order, `REPROCESS-${shopifyOrderId}`);
+    const result = await processShopifyOrderForBunjang(order, `REPROCESS-${shopifyOrderId}`, { reprocess: true });
     
     logger.info(`[OrderSvc] Reprocess completed for order ${shopifyOrderId}:`, result);
     
@@ -923,9 +1147,10 @@ module.exports = {
   queueBunjangOrderCreation,
   syncBunjangOrderStatuses,
   updateShopifyOrderFromBunjangStatus,
-  updateShopifyFulfillmentStatus,
   checkSoldProductsStatus,
   archiveOldSoldProducts,
   reprocessShopifyOrder,
-  testBunjangProductOrder // 새로 추가
+  testBunjangProductOrder, // 새로 추가
+  isUncertainOrderError,
+  reconcileUncertainAttempt,
 };
\ No newline at end of file
@@ -0,0 +1,479 @@
+// src/services/orderStateService.js
+// 번개장터 주문(주문 원장 line item 단위) 상태 머신.
+// 번개장터 주문 상태 동기화(poll), Shopify 웹훅(webhook), 관리자 API(manual)의 상태 변경을 모두 여기서 처리합니다.
+// 허용되지 않는 전이는 거부하고, 전이마다 부수 작업(배송 국내 구간/태그, 상품 상태 복원)을 실행한 뒤
+// 주문 원장(stateTransitions)에 출처와 함께 기록합니다.
+
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const orderLinkService = require('./orderLinkService');
+const shipmentService = require('./shipmentService');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { withLock } = require('../utils/distributedLock');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'OrderStateSvc';
+const STATE_LOCK_TTL_MS = 60 * 1000;
+const { getLineItemState } = orderLinkService;
+
+const ORDER_STATES = [
+  'PENDING_BUNJANG', 'BUNJANG_CREATED', 'PAYMENT_RECEIVED', 'SHIP_READY', 'IN_TRANSIT',
+  'DELIVERED', 'CONFIRMED', 'CANCELLED', 'REFUNDED', 'RETURNED',
+];
+
+const TRANSITION_SOURCES = ['webhook', 'poll', 'manual'];
+
+// 허용되는 전이. 주문 상태 동기화는 마지막 상태만 받으므로 배송 흐름 안에서는 중간 상태를 건너뛸 수 있습니다.
+const TRANSITIONS = {
+  PENDING_BUNJANG: ['BUNJANG_CREATED', 'CANCELLED'],
+  BUNJANG_CREATED: ['PAYMENT_RECEIVED', 'SHIP_READY', 'IN_TRANSIT', 'DELIVERED', 'CONFIRMED', 'CANCELLED', 'REFUNDED'],
+  PAYMENT_RECEIVED: ['SHIP_READY', 'IN_TRANSIT', 'DELIVERED', 'CONFIRMED', 'CANCELLED', 'REFUNDED'],
+  SHIP_READY: ['IN_TRANSIT', 'DELIVERED', 'CONFIRMED', 'CANCELLED', 'REFUNDED'],
+  IN_TRANSIT: ['DELIVERED', 'CONFIRMED', 'RETURNED', 'REFUNDED'],
+  DELIVERED: ['CONFIRMED', 'RETURNED', 'REFUNDED'],
+  CONFIRMED: [],
+  CANCELLED: ['REFUNDED'],
+  RETURNED: ['REFUNDED'],
+  REFUNDED: [],
+};
+
+// 번개장터 주문 상태 -> 상태 머신 상태 (RETURN_REQUESTED처럼 대응 상태가 없으면 태그만 남김)
+const BUNJANG_STATUS_TO_STATE = {
+  PAYMENT_RECEIVED: 'PAYMENT_RECEIVED',
+  SHIP_READY: 'SHIP_READY',
+  IN_TRANSIT: 'IN_TRANSIT',
+  DELIVERY_COMPLETED: 'DELIVERED',
+  PURCHASE_CONFIRM: 'CONFIRMED',
+  CANCEL_REQUESTED_BEFORE_SHIPPING: 'CANCELLED',
+  REFUNDED: 'REFUNDED',
+  RETURNED: 'RETURNED',
+};
+
+/**
+ * 전이 허용 여부
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 번개장터 주문 상태에 대응하는 상태 머신 상태
+ * @param {string} bunjangStatus
+ * @returns {string|null}
+ */
+function mapBunjangStatusToState(bunjangStatus) {
+  return BUNJANG_STATUS_TO_STATE[bunjangStatus] || null;
+}
+
+/**
+ * 번개장터 배송(판매자 → 창고) 정보를 배송 국내 구간에 반영하고, 배송 상태/송장 태그를 남깁니다.
+ * Shopify fulfillment는 국제 구간 등록 시 만듭니다. (shipmentService.registerInternationalLeg)
+ * @param {object} params
+ * @param {string} params.shopifyOrderId
+ * @param {string} params.shopifyOrderGid - Shopify 주문 GID
+ * @param {object} params.lineItem - 주문 원장 line item
+ * @param {string} params.state - 주문 상태 (전이 후)
+ * @param {string} [params.bunjangStatus] - 번개장터 주문 상태
+ * @param {object} [params.delivery] - 번개장터 주문 배송 정보 (delivery.invoice)
+ * @param {string} [params.jobId='N/A'] - 작업 ID
+ * @returns {Promise<object>} 갱신된 Shipment
+ */
+async function updateDomesticShipment({ shopifyOrderId, shopifyOrderGid, lineItem, state, bunjangStatus, delivery, jobId = 'N/A' }) {
+  const shipment = await shipmentService.syncDomesticLeg({ shopifyOrderId, shopifyOrderGid, lineItem, state, delivery, jobId });
+
+  const leg = shipment.domesticLeg;
+  if (leg?.trackingNumber && ['SHIP_READY', 'IN_TRANSIT', 'DELIVERED'].includes(state)) {
+    await shopifyService.updateOrder({
+      id: shopifyOrderGid,
+      tags: [`Shipping-${bunjangStatus || state}`, `Tracking-${leg.carrier}-${leg.trackingNumber}`]
+    });
+  }
+  return shipment;
+}
+
+// --- 전이별 부수 작업 (ctx: { shopifyOrderId, shopifyOrderGid, lineItem, bunjangOrderId, bunjangStatus, bunjangOrderItem, delivery, to, jobId }) ---
+
+async function syncShipment(ctx) {
+  await updateDomesticShipment({
+    shopifyOrderId: ctx.shopifyOrderId,
+    shopifyOrderGid: ctx.shopifyOrderGid,
+    lineItem: ctx.lineItem,
+    state: ctx.to,
+    bunjangStatus: ctx.bunjangStatus,
+    delivery: ctx.delivery,
+    jobId: ctx.jobId,
+  });
+}
+
+async function markPurchaseConfirmed(ctx) {
+  await shopifyService.updateOrder({
+    id: ctx.shopifyOrderGid,
+    metafields: [{
+      namespace: 'bunjang',
+      key: 'purchase_confirmed',
+      value: 'true',
+      type: 'single_line_text_field'
+    }, {
+      namespace: 'bunjang',
+      key: 'purchase_confirmed_at',
+      value: ctx.bunjangOrderItem?.purchaseConfirmedAt || new Date().toISOString(),
+      type: 'date_time'
+    }],
+    tags: [`BunjangStatus-PurchaseConfirmed`]
+  });
+}
+
+async function tagCancellation(ctx) {
+  const status = ctx.bunjangStatus || ctx.to;
+  const tags = [`BunjangStatus-${status}`];
+  if (ctx.bunjangOrderId) tags.push(`BunjangOrder-${ctx.bunjangOrderId}-${status}`);
+  await shopifyService.updateOrder({ id: ctx.shopifyOrderGid, tags });
+}
+
+async function annotateProduct(ctx) {
+  if (!ctx.lineItem.bunjangPid) return;
+  const syncedProduct = await SyncedProduct.findOne({ bunjangPid: String(ctx.lineItem.bunjangPid) });
+  if (!syncedProduct) return;
+  syncedProduct.notes = `${syncedProduct.notes || ''}\n[${new Date().toISOString()}] Order ${ctx.bunjangStatus || ctx.to}`;
+  await syncedProduct.save();
+}
+
+// 환불/반품으로 상품이 돌아오면 판매 상태를 복원
+async function restoreProduct(ctx) {
+  if (!ctx.lineItem.bunjangPid) return;
+  const syncedProduct = await SyncedProduct.findOne({ bunjangPid: String(ctx.lineItem.bunjangPid) });
+  if (!syncedProduct) return;
+  syncedProduct.soldFrom = null;
+  syncedProduct.bunjangSoldAt = null;
+  await syncedProduct.save();
+
+  if (syncedProduct.shopifyGid) {
+    await shopifyService.updateProduct({
+      id: syncedProduct.shopifyGid,
+      status: 'ACTIVE'
+    });
+  }
+}
+
+// 모든 전이는 배송 정보(고객용 통합 배송 상태)도 갱신
+const SIDE_EFFECTS = {
+  BUNJANG_CREATED: [syncShipment],
+  PAYMENT_RECEIVED: [syncShipment],
+  SHIP_READY: [syncShipment],
+  IN_TRANSIT: [syncShipment],
+  DELIVERED: [syncShipment],
+  CONFIRMED: [markPurchaseConfirmed, syncShipment],
+  CANCELLED: [tagCancellation, annotateProduct, syncShipment],
+  REFUNDED: [tagCancellation, annotateProduct, restoreProduct, syncShipment],
+  RETURNED: [tagCancellation, annotateProduct, restoreProduct, syncShipment],
+};
+
+/**
+ * 전이의 부수 작업을 실행합니다. 하나가 실패해도 나머지는 실행하고, 실패한 작업을 반환합니다.
+ * @param {object} ctx
+ * @returns {Promise<string[]>} 실패한 부수 작업 (예: "restoreProduct: ...")
+ */
+async function runSideEffects(ctx) {
+  const errors = [];
+  for (const sideEffect of SIDE_EFFECTS[ctx.to] || []) {
+    try {
+      await sideEffect(ctx);
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${ctx.jobId}] Side effect ${sideEffect.name} failed for line item ${ctx.lineItem.shopifyLineItemId} -> ${ctx.to}: ${error.message}`);
+      errors.push(`${sideEffect.name}: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * 원장 line item의 상태를 전이합니다. line item 단위 락을 잡고 현재 상태를 다시 읽은 뒤,
+ * 허용된 전이면 부수 작업을 실행하고 전이를 기록합니다. 같은 상태로의 전이는 아무것도 하지 않습니다.
+ * @param {string} shopifyOrderId - 숫자 ID 또는 GID
+ * @param {string|number} shopifyLineItemId
+ * @param {string} to - 목표 상태 (ORDER_STATES)
+ * @param {object} options
+ * @param {'webhook'|'poll'|'manual'} options.source - 전이 출처
+ * @param {string} [options.bunjangStatus] - 전이를 일으킨 번개장터 주문 상태
+ * @param {object} [options.bunjangOrderItem] - 번개장터 주문 아이템 (poll)
+ * @param {object} [options.delivery] - 번개장터 주문 배송 정보 (송장, poll)
+ * @param {string} [options.bunjangOrderId] - line item에 아직 기록되지 않은 번개장터 주문 ID (주문 생성 시)
+ * @param {string} [options.note]
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<{changed: boolean, from: string, to: string, sideEffectErrors?: string[]}>}
+ * @throws {NotFoundError} 원장 또는 line item이 없는 경우
+ * @throws {AppError} ILLEGAL_ORDER_TRANSITION(409) - 허용되지 않는 전이 / ORDER_STATE_LOCKED(409) - 다른 곳에서 전이 중
+ */
+async function transitionLineItem(shopifyOrderId, shopifyLineItemId, to, { source, bunjangStatus, bunjangOrderItem, delivery, bunjangOrderId, note, jobId = 'N/A' }) {
+  if (!ORDER_STATES.includes(to)) {
+    throw new AppError(`알 수 없는 주문 상태입니다: ${to}`, 400, 'UNKNOWN_ORDER_STATE');
+  }
+  if (!TRANSITION_SOURCES.includes(source)) {
+    throw new AppError(`알 수 없는 전이 출처입니다: ${source}`, 400, 'UNKNOWN_TRANSITION_SOURCE');
+  }
+
+  // GID/숫자 ID 어느 쪽으로 호출해도 같은 락을 잡도록 숫자 ID로 정규화
+  const lockKey = `order-state:${String(shopifyOrderId).split('/').pop()}:${shopifyLineItemId}`;
+  const { acquired, result } = await withLock(lockKey, STATE_LOCK_TTL_MS, async () => {
+    const link = await orderLinkService.getOrderLink(shopifyOrderId);
+    const lineItem = link.lineItems.find(li => li.shopifyLineItemId === String(shopifyLineItemId));
+    if (!lineItem) {
+      throw new NotFoundError(`Shopify 주문 ${shopifyOrderId}에 line item ${shopifyLineItemId}이(가) 없습니다.`, 'OrderLinkLineItem', String(shopifyLineItemId));
+    }
+
+    const from = getLineItemState(lineItem);
+    if (!from) {
+      throw new AppError(`line item ${shopifyLineItemId}은(는) 번개장터 상품이 아니어서 상태를 바꿀 수 없습니다.`, 409, 'ILLEGAL_ORDER_TRANSITION', true, { from, to });
+    }
+    if (from === to) return { changed: false, from, to };
+    if (!canTransition(from, to)) {
+      throw new AppError(`주문 상태를 ${from}에서 ${to}(으)로 바꿀 수 없습니다.`, 409, 'ILLEGAL_ORDER_TRANSITION', true, { from, to, allowed: TRANSITIONS[from] });
+    }
+
+    const resolvedBunjangOrderId = lineItem.bunjangOrderId || bunjangOrderId;
+    const sideEffectErrors = await runSideEffects({
+      shopifyOrderId: link.shopifyOrderId,
+      shopifyOrderGid: link.shopifyOrderGid,
+      lineItem,
+      bunjangOrderId: resolvedBunjangOrderId,
+      bunjangStatus,
+      bunjangOrderItem,
+      delivery,
+      to,
+      jobId,
+    });
+
+    const changed = await orderLinkService.recordStateTransition(link.shopifyOrderId, lineItem.shopifyLineItemId, {
+      storedState: lineItem.state,
+      from,
+      to,
+      source,
+      bunjangOrderId: resolvedBunjangOrderId,
+      bunjangStatus,
+      note,
+      sideEffectErrors,
+    }, jobId);
+    if (!changed) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Line item ${shopifyLineItemId} of Shopify order ${shopifyOrderId} changed state concurrently. ${from} -> ${to} not recorded.`);
+    } else {
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] Shopify order ${shopifyOrderId} line item ${shopifyLineItemId}: ${from} -> ${to} (${source})`);
+    }
+    return { changed, from, to, ...(sideEffectErrors.length > 0 && { sideEffectErrors }) };
+  });
+
+  if (!acquired) {
+    throw new AppError(`Shopify 주문 ${shopifyOrderId}의 line item ${shopifyLineItemId} 상태를 다른 곳에서 변경 중입니다.`, 409, 'ORDER_STATE_LOCKED');
+  }
+  return result;
+}
+
+/**
+ * 원장에 없는 번개장터 주문을 기존 방식(Shopify 주문의 BunjangOrder-<id> 태그)으로 찾아 원장을 채웁니다.
+ * 원장 도입 전에 처리된 주문도 상태 동기화가 계속되도록 하기 위함입니다.
+ * line item은 번개장터 상품과 연결된 Shopify 상품으로 고르고, 찾지 못하면 line item이 하나뿐인 주문만 연결합니다.
+ * @param {object} bunjangOrder - 번개장터 주문 정보 (orderItems 포함)
+ * @param {string} jobId
+ * @returns {Promise<{shopifyOrderId: string, shopifyOrderGid: string, lineItem: object}|null>} 찾지 못하면 null
+ */
+async function locateLegacyOrder(bunjangOrder, jobId) {
+  const bunjangOrderId = String(bunjangOrder.id);
+  const query = `
+    query findOrderByBunjangId($query: String!) {
+      orders(first: 1, query: $query) {
+        edges {
+          node {
+            id
+            legacyResourceId
+            name
+            displayFinancialStatus
+            currencyCode
+            lineItems(first: 50) {
+              edges {
+                node {
+                  id
+                  sku
+                  title
+                  quantity
+                  product { id }
+                  variant { id }
+                  originalUnitPriceSet { shopMoney { amount } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const response = await shopifyService.shopifyGraphqlRequest(query, { query: `tag:"BunjangOrder-${bunjangOrderId}"` });
+  const order = response.data?.orders?.edges?.[0]?.node;
+  if (!order) return null;
+
+  const lineItems = order.lineItems.edges.map(edge => edge.node);
+  const bunjangPid = bunjangOrder.orderItems?.[0]?.product?.id != null ? String(bunjangOrder.orderItems[0].product.id) : null;
+  const syncedProduct = bunjangPid ? await SyncedProduct.findOne({ bunjangPid }).select('shopifyGid').lean() : null;
+  const matched = (syncedProduct?.shopifyGid && lineItems.find(li => li.product?.id === syncedProduct.shopifyGid))
+    || (lineItems.length === 1 ? lineItems[0] : null);
+  if (!matched) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Shopify order ${order.name} is tagged with Bunjang order ${bunjangOrderId} but no line item matches PID ${bunjangPid}. Cannot backfill the order ledger.`);
+    return null;
+  }
+
+  const numericId = gid => (gid ? gid.split('/').pop() : undefined);
+  const shopifyOrder = {
+    id: order.legacyResourceId,
+    admin_graphql_api_id: order.id,
+    name: order.name,
+    financial_status: order.displayFinancialStatus?.toLowerCase(),
+    currency: order.currencyCode,
+    line_items: lineItems.map(li => ({
+      id: numericId(li.id),
+      product_id: numericId(li.product?.id),
+      variant_id: numericId(li.variant?.id),
+      sku: li.sku,
+      title: li.title,
+      quantity: li.quantity,
+      price: li.originalUnitPriceSet?.shopMoney?.amount,
+    })),
+  };
+  return orderLinkService.backfillLegacyOrderLink(shopifyOrder, { shopifyLineItemId: numericId(matched.id), bunjangOrderId, bunjangPid }, jobId);
+}
+
+/**
+ * 번개장터 주문 상태를 상태 머신에 반영합니다. (주문 상태 동기화에서 호출)
+ * 원장에 없는 번개장터 주문(원장 도입 전 주문)은 Shopify 주문 태그로 찾아 원장을 채운 뒤 반영하고,
+ * 그래도 찾지 못한 주문이나 허용되지 않는 전이는 경고만 남기고 건너뜁니다.
+ * @param {object} bunjangOrder - 번개장터 주문 정보 (orderItems 포함)
+ * @param {object} [options]
+ * @param {'webhook'|'poll'|'manual'} [options.source='poll']
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<Array<{status: string, from?: string, to?: string, changed: boolean, rejected?: boolean}>>} orderItem별 결과
+ */
+async function applyBunjangOrderStatus(bunjangOrder, { source = 'poll', jobId = 'N/A' } = {}) {
+  const bunjangOrderId = String(bunjangOrder.id);
+  let located = await orderLinkService.findLineItemByBunjangOrderId(bunjangOrderId);
+  if (!located) {
+    try {
+      located = await locateLegacyOrder(bunjangOrder, jobId);
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to backfill order ledger for Bunjang order ${bunjangOrderId}: ${error.message}`);
+    }
+  }
+  if (!located) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] No order ledger line item or tagged Shopify order for Bunjang order ${bunjangOrderId}. Skipping status ${bunjangOrder.orderItems?.map(i => i.status).join(', ')}.`);
+    return [];
+  }
+
+  const results = [];
+  for (const orderItem of bunjangOrder.orderItems || []) {
+    const status = orderItem.status;
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Bunjang order ${bunjangOrderId}, product ${orderItem.product?.id} status: ${status}`);
+    await orderLinkService.recordBunjangStatus(bunjangOrderId, status, jobId);
+
+    const to = mapBunjangStatusToState(status);
+    if (!to) {
+      // 대응하는 상태가 없는 번개장터 상태 (예: RETURN_REQUESTED) - 태그만 남김
+      await shopifyService.updateOrder({ id: located.shopifyOrderGid, tags: [`BunjangStatus-${status}`, `BunjangOrder-${bunjangOrderId}-${status}`] });
+      results.push({ status, changed: false });
+    } else {
+      const delivery = orderItem.delivery || bunjangOrder.delivery;
+      try {
+        const transition = await transitionLineItem(located.shopifyOrderId, located.lineItem.shopifyLineItemId, to, {
+          source,
+          bunjangStatus: status,
+          bunjangOrderItem: orderItem,
+          delivery,
+          jobId,
+        });
+        results.push({ status, ...transition });
+
+        // 상태는 그대로지만 송장이 새로 등록되었거나 바뀐 경우 (예: IN_TRANSIT 중 송장 변경)
+        const invoiceNumber = delivery?.invoice?.no != null ? String(delivery.invoice.no).trim() : null;
+        if (!transition.changed && transition.from === to && invoiceNumber) {
+          const shipment = await shipmentService.findShipment(located.shopifyOrderId, located.lineItem.shopifyLineItemId);
+          if (shipment?.domesticLeg?.trackingNumber !== invoiceNumber) {
+            await updateDomesticShipment({
+              shopifyOrderId: located.shopifyOrderId,
+              shopifyOrderGid: located.shopifyOrderGid,
+              lineItem: located.lineItem,
+              state: to,
+              bunjangStatus: status,
+              delivery,
+              jobId,
+            });
+          }
+        }
+      } catch (error) {
+        if (error.errorCode !== 'ILLEGAL_ORDER_TRANSITION' && error.errorCode !== 'ORDER_STATE_LOCKED') throw error;
+        logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Bunjang order ${bunjangOrderId} status ${status} not applied: ${error.message}`);
+        results.push({ status, to, changed: false, rejected: true });
+      }
+    }
+
+    // 상태 업데이트 시간 기록
+    await shopifyService.updateOrder({
+      id: located.shopifyOrderGid,
+      metafields: [{
+        namespace: 'bunjang',
+        key: 'last_status_sync',
+        value: new Date().toISOString(),
+        type: 'date_time'
+      }, {
+        namespace: 'bunjang',
+        key: 'last_bunjang_status',
+        value: status,
+        type: 'single_line_text_field'
+      }]
+    });
+  }
+  return results;
+}
+
+/**
+ * 아직 번개장터에 주문되지 않은(PENDING_BUNJANG) line item을 모두 취소합니다. (Shopify 주문 취소 시)
+ * 이미 번개장터 주문이 생성되었거나 생성 중인 line item은 번개장터 쪽 취소가 필요하므로 그대로 둡니다.
+ * 주문 처리(orderService)는 주문 직전에 CANCELLED 여부를 다시 확인하므로, 처리 도중 들어온 취소도 반영됩니다.
+ * @param {string} shopifyOrderId
+ * @param {object} options
+ * @param {'webhook'|'poll'|'manual'} options.source
+ * @param {string} [options.note]
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<string[]>} 취소한 line item ID (원장이 없으면 빈 배열)
+ */
+async function cancelUnorderedLineItems(shopifyOrderId, { source, note, jobId = 'N/A' }) {
+  let link;
+  try {
+    link = await orderLinkService.getOrderLink(shopifyOrderId);
+  } catch (error) {
+    if (error instanceof NotFoundError) return [];
+    throw error;
+  }
+
+  const cancelled = [];
+  for (const lineItem of link.lineItems) {
+    if (getLineItemState(lineItem) !== 'PENDING_BUNJANG') continue;
+    // 번개장터 주문 API를 호출 중인 line item은 취소로 막을 수 없음 (생성되면 BUNJANG_CREATED 이후 번개장터 주문을 취소해야 함)
+    if (lineItem.attempts?.some(attempt => attempt.outcome === 'IN_FLIGHT')) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Line item ${lineItem.shopifyLineItemId} of Shopify order ${link.shopifyOrderId} has a Bunjang order in flight. Not cancelling; check the Bunjang order once it is created.`);
+      continue;
+    }
+    const result = await transitionLineItem(link.shopifyOrderId, lineItem.shopifyLineItemId, 'CANCELLED', { source, note, jobId });
+    if (result.changed) cancelled.push(lineItem.shopifyLineItemId);
+  }
+  return cancelled;
+}
+
+module.exports = {
+  ORDER_STATES,
+  TRANSITIONS,
+  getLineItemState,
+  canTransition,
+  mapBunjangStatusToState,
+  transitionLineItem,
+  applyBunjangOrderStatus,
+  cancelUnorderedLineItems,
+  updateDomesticShipment,
+};
@@ -3,165 +3,168 @@
 
 const config = require('../config');
 const logger = require('../config/logger');
-const { getKrwToUsdRate } = require('./exchangeRateService');
+const { getPricingRate, getStoredUsdRates } = require('./exchangeRateService');
+const pricingRuleService = require('./pricingRuleService');
+const { calculateLandedCost } = require('./landedCostService');
 const { AppError, ValidationError } = require('../utils/customErrors');
 
 /**
- * KRW 금액을 USD로 변환합니다.
- * @param {number} krwAmount - 원화 금액.
- * @param {number} krwToUsdRate - 1 KRW당 USD 환율.
- * @returns {number} 변환된 USD 금액.
- * @throws {ValidationError} 입력값이 유효하지 않은 경우.
+ * 가격 계산용 환율을 가져옵니다. (exchangeRateService.getPricingRate: 수동 환율 → 공급자 체인 → 마지막 저장 환율)
+ * 고정 비상 환율은 더 이상 여기서 사용하지 않으며, stale/비상 환율 사용 시 exchangeRateService가 알림을 보냅니다.
+ * @returns {Promise<{krwToUsdRate: number, source: string, asOf: Date|null, stale: boolean, fallback: boolean}>}
+ * @throws {AppError} 사용할 수 있는 환율이 없거나 환율 값이 유효 범위를 벗어난 경우
  */
-function convertKrwToUsd(krwAmount, krwToUsdRate) {
-  if (typeof krwAmount !== 'number' || isNaN(krwAmount) || krwAmount < 0) {
-    throw new ValidationError('KRW 금액은 0 이상의 숫자여야 합니다.', [{ field: 'krwAmount', message: '유효하지 않은 KRW 금액입니다.' }]);
-  }
-  if (typeof krwToUsdRate !== 'number' || isNaN(krwToUsdRate) || krwToUsdRate <= 0) {
-    // 이 에러는 getKrwToUsdRate에서 이미 처리될 가능성이 높음
-    throw new AppError('KRW-USD 환율이 유효하지 않습니다.', 500, 'INVALID_EXCHANGE_RATE_INTERNAL');
+async function getRateForPricing() {
+  const rateInfo = await getPricingRate();
+  const { krwToUsdRate } = rateInfo;
+  logger.debug(`[PriceCalcSvc] Using exchange rate: ${krwToUsdRate} (1 KRW = ${krwToUsdRate} USD, source: ${rateInfo.source}${rateInfo.stale ? ', STALE' : ''})`);
+
+  // 환율 유효성 검증
+  if (!krwToUsdRate || krwToUsdRate <= 0 || krwToUsdRate > 1) {
+    logger.error(`[PriceCalcSvc] Invalid exchange rate: ${krwToUsdRate}`);
+    throw new AppError('환율 정보가 유효하지 않습니다.', 500, 'INVALID_EXCHANGE_RATE');
   }
-  return krwAmount * krwToUsdRate;
+  return rateInfo;
 }
 
 /**
- * 최종 Shopify 리스팅 가격(USD)을 계산합니다.
- * 로직: (원화 가격 * 환율) * (1 + 마크업 비율/100) + 취급 수수료
- * 가격은 소수점 둘째 자리까지 반올림된 문자열로 반환됩니다.
+ * 가격 규칙(PricingRule)을 적용하여 Shopify 리스팅 가격(USD)을 계산하고, 어떤 규칙이 적용되었는지 함께 반환합니다.
+ * 규칙은 우선순위 순으로 평가되며 처음 매칭된 규칙 하나만 적용됩니다. 매칭되는 규칙이 없으면
+ * config.priceCalculation의 전역 마크업/취급 수수료를 사용합니다.
+ * 도착 원가 기준(context.costBasis === 'landed', 또는 미지정 시 config.landedCost.pricingEnabled)이면
+ * 배송비/포워딩/관세를 포함한 도착 원가에 마크업을 적용합니다.
  * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
- * @returns {Promise<string>} 계산된 최종 USD 가격 (문자열, 예: "27.88").
- * @throws {AppError|ValidationError} 환율 정보를 가져오지 못하거나 계산 중 문제 발생 시.
+ * @param {object} [context] - 상품 정보 { categoryId, brandId, uid, shippingFee, weightKg, destinationCountry, costBasis }
+ * (processCatalogRow 결과 객체를 그대로 넘겨도 됨)
+ * @returns {Promise<{priceUsd: string, rule: object, breakdown: object}>}
+ * @throws {AppError|ValidationError} 입력값이 유효하지 않거나 환율 정보가 유효하지 않은 경우.
  */
-async function calculateShopifyPriceUsd(bunjangPriceKrw) {
-  logger.info(`[PriceCalcSvc] Starting price calculation for Bunjang KRW price: ${bunjangPriceKrw}`);
-
+async function calculateShopifyPrice(bunjangPriceKrw, context = {}) {
   // 입력값 검증
   if (typeof bunjangPriceKrw !== 'number' || isNaN(bunjangPriceKrw) || bunjangPriceKrw <= 0) {
     logger.error(`[PriceCalcSvc] Invalid input price: ${bunjangPriceKrw} (type: ${typeof bunjangPriceKrw})`);
     throw new ValidationError('번개장터 상품 가격(KRW)은 0보다 큰 숫자여야 합니다.', [{ field: 'bunjangPriceKrw', message: '유효하지 않은 번개장터 원화 가격입니다.' }]);
   }
 
-  // 환율 정보 가져오기
-  let krwToUsdRate;
-  try {
-    krwToUsdRate = await getKrwToUsdRate();
-    logger.info(`[PriceCalcSvc] Successfully fetched exchange rate: ${krwToUsdRate} (1 KRW = ${krwToUsdRate} USD)`);
-  } catch (rateError) {
-    logger.error(`[PriceCalcSvc] Failed to get exchange rate: ${rateError.message}`, rateError);
-    
-    // Fallback 환율 사용 (긴급 상황용)
-    const fallbackRate = 0.00074; // 대략 1 USD = 1350 KRW
-    logger.warn(`[PriceCalcSvc] Using fallback exchange rate: ${fallbackRate}`);
-    krwToUsdRate = fallbackRate;
-  }
-
-  // 환율 유효성 검증
-  if (!krwToUsdRate || krwToUsdRate <= 0 || krwToUsdRate > 1) {
-    logger.error(`[PriceCalcSvc] Invalid exchange rate: ${krwToUsdRate}`);
-    throw new AppError('환율 정보가 유효하지 않습니다.', 500, 'INVALID_EXCHANGE_RATE');
-  }
-
-  // 1. 원화 가격을 USD로 변환
-  const priceInUsdBeforeMarkup = bunjangPriceKrw * krwToUsdRate;
-  logger.debug(`[PriceCalcSvc] Step 1 - KRW to USD conversion: ${bunjangPriceKrw} KRW * ${krwToUsdRate} = ${priceInUsdBeforeMarkup.toFixed(4)}`);
-
-  // 2. 마크업 적용 (config에서 % 단위로 가져옴)
-  const markupPercentage = config.priceCalculation.markupPercentage || 10;
-  const markupRatio = markupPercentage / 100;
-  const priceAfterMarkup = priceInUsdBeforeMarkup * (1 + markupRatio);
-  logger.debug(`[PriceCalcSvc] Step 2 - Markup (${markupPercentage}%): ${priceInUsdBeforeMarkup.toFixed(4)} * ${1 + markupRatio} = ${priceAfterMarkup.toFixed(4)}`);
-
-  // 3. 취급 수수료 추가
-  const handlingFeeUsd = config.priceCalculation.handlingFeeUsd || 5;
-  const finalPriceUsd = priceAfterMarkup + handlingFeeUsd;
-  logger.debug(`[PriceCalcSvc] Step 3 - Handling fee: ${priceAfterMarkup.toFixed(4)} + ${handlingFeeUsd} = ${finalPriceUsd.toFixed(4)}`);
-
-  // 가격이 0이 되는 경우 경고 및 최소 가격 설정
-  if (finalPriceUsd <= 0) {
-    logger.error(`[PriceCalcSvc] CRITICAL: Calculated price is $0 or negative!`, {
-      bunjangPriceKrw,
-      krwToUsdRate,
-      priceInUsdBeforeMarkup: priceInUsdBeforeMarkup.toFixed(4),
-      markupPercentage,
-      markupRatio,
-      priceAfterMarkup: priceAfterMarkup.toFixed(4),
-      handlingFeeUsd,
-      finalPriceUsd: finalPriceUsd.toFixed(4)
-    });
-    
-    // 최소 가격 설정 ($1)
-    const minimumPrice = 1.00;
-    logger.warn(`[PriceCalcSvc] Setting minimum price of ${minimumPrice} to avoid $0 listing`);
-    return minimumPrice.toFixed(2);
-  }
-
-  // Shopify 가격은 보통 문자열로, 소수점 2자리까지 (반올림)
-  const shopifyPriceString = finalPriceUsd.toFixed(2);
-
-  // 정상적인 가격 계산 로그
+  const rateInfo = await getRateForPricing();
+  const { krwToUsdRate } = rateInfo;
+  const selection = pricingRuleService.selectPricingRule(bunjangPriceKrw, context, await pricingRuleService.getActivePricingRules());
+  const useLandedCost = context.costBasis ? context.costBasis === 'landed' : config.landedCost.pricingEnabled;
+  const landedCost = useLandedCost ? calculateLandedCost({
+    priceKrw: bunjangPriceKrw,
+    shippingFeeKrw: context.shippingFee,
+    krwToUsdRate,
+    categoryId: context.categoryId,
+    weightKg: context.weightKg,
+    destinationCountry: context.destinationCountry,
+  }) : null;
+  const result = pricingRuleService.computePriceWithRule(bunjangPriceKrw, krwToUsdRate, selection, landedCost);
+  result.breakdown.exchangeRateSource = rateInfo.source;
+  result.breakdown.exchangeRateStale = rateInfo.stale;
+
+  const { breakdown } = result;
   logger.info(`[PriceCalcSvc] ✅ Price calculation completed:`, {
     input_krw: bunjangPriceKrw,
     exchange_rate: krwToUsdRate.toFixed(6),
-    usd_before_markup: priceInUsdBeforeMarkup.toFixed(4),
-    markup_percentage: markupPercentage,
-    markup_amount: (priceAfterMarkup - priceInUsdBeforeMarkup).toFixed(4),
-    handling_fee: handlingFeeUsd,
-    final_price_usd: shopifyPriceString,
-    formula: `(${bunjangPriceKrw} KRW * ${krwToUsdRate.toFixed(6)}) * ${1 + markupRatio} + ${handlingFeeUsd} = ${shopifyPriceString}`
+    exchange_rate_source: rateInfo.source,
+    pricing_rule: result.rule.ruleName || 'default',
+    cost_basis: breakdown.costBasis,
+    markup_percentage: breakdown.markupPercentage,
+    handling_fee: breakdown.handlingFeeUsd,
+    margin_floor_applied: breakdown.marginFloorApplied,
+    rounding: breakdown.rounding,
+    final_price_usd: result.priceUsd,
   });
+  return result;
+}
+
+/**
+ * 최종 Shopify 리스팅 가격(USD)을 계산합니다. (calculateShopifyPrice의 가격 문자열만 반환)
+ * 가격은 소수점 둘째 자리까지의 문자열로 반환됩니다.
+ * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
+ * @param {object} [context] - 가격 규칙 매칭용 상품 정보 { categoryId, brandId, uid }
+ * @returns {Promise<string>} 계산된 최종 USD 가격 (문자열, 예: "27.88").
+ * @throws {AppError|ValidationError} 환율 정보를 가져오지 못하거나 계산 중 문제 발생 시.
+ */
+async function calculateShopifyPriceUsd(bunjangPriceKrw, context = {}) {
+  const { priceUsd } = await calculateShopifyPrice(bunjangPriceKrw, context);
+  return priceUsd;
+}
 
-  return shopifyPriceString;
+// 소수점 없이 표시하는 통화 (Shopify MoneyInput amount 형식)
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'TWD', 'VND', 'CLP', 'ISK', 'HUF'];
+
+/**
+ * 통화별 반올림 규칙(config.marketPricing.rounding)을 적용합니다.
+ * @param {number} value
+ * @param {string} currency
+ * @returns {string} 통화 형식의 가격 문자열
+ */
+function roundCurrencyPrice(value, currency) {
+  const { rounding } = config.marketPricing;
+  const { increment, mode, charmOffset = 0 } = rounding[currency] || rounding.DEFAULT;
+  const steps = value / increment;
+  let rounded = (mode === 'ceil' ? Math.ceil(steps - 1e-9) : Math.round(steps)) * increment - charmOffset;
+  if (rounded <= 0) rounded = increment - charmOffset;
+  return rounded.toFixed(ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2);
 }
 
 /**
- * (참고용) 번개장터 주문 시 내부적으로 사용될 수 있는 총 예상 비용(USD)을 계산합니다.
- * 이 가격은 Shopify에 직접 리스팅되는 가격이 아니며, 별도 청구될 배송비를 포함할 수 있습니다.
+ * calculateShopifyPrice 결과를 저장된 환율(ExchangeRate.rates, 1 USD = ? 통화)로 각 통화 가격으로 환산하고
+ * 통화별 반올림 규칙을 적용합니다. USD 반올림 전 가격을 기준으로 환산하여 반올림이 두 번 적용되지 않도록 합니다.
+ * @param {{priceUsd: string, breakdown: object}} pricing - calculateShopifyPrice 결과
+ * @param {string[]} [currencies] - 기본값 config.marketPricing.currencies
+ * @returns {Promise<Object<string, string>>} 통화 코드 → 가격 문자열 (환율이 저장되지 않은 통화는 제외)
+ */
+async function calculateCurrencyPrices(pricing, currencies = config.marketPricing.currencies) {
+  const usdRates = await getStoredUsdRates();
+  const baseUsd = pricing.breakdown.priceBeforeRoundingUsd ?? parseFloat(pricing.priceUsd);
+  const prices = {};
+  for (const currency of currencies) {
+    const rate = usdRates[currency];
+    if (!(rate > 0)) {
+      logger.warn(`[PriceCalcSvc] No stored USD→${currency} exchange rate. Skipping ${currency} price.`);
+      continue;
+    }
+    prices[currency] = roundCurrencyPrice(baseUsd * rate, currency);
+  }
+  return prices;
+}
+
+/**
+ * 번개장터 상품을 고객에게 배송하기까지의 내부 총 비용(도착 원가, USD)을 계산합니다.
+ * 상품가 + 국내 배송비 + CS Trading 포워딩 수수료 + 국제 배송비 + 목적지 관세/세금 (landedCostService).
+ * 이 금액은 Shopify 리스팅 가격이 아니며, 마크업/취급 수수료는 포함하지 않습니다.
  * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
  * @param {number} bunjangShippingFeeKrw - 번개장터 상품의 원화 배송비.
- * @returns {Promise<object|null>} 계산된 비용 상세 객체 또는 실패 시 null.
- * { itemPriceKrw, shippingFeeKrw, exchangeRate, itemPriceUsd, shippingFeeUsd, handlingFeeUsd, totalEstimatedCostUsd }
+ * @param {object} [options] - { categoryId, weightKg, destinationCountry }
+ * @returns {Promise<object|null>} landedCostService.calculateLandedCost 결과 (totalLandedCostUsd 포함) 또는 입력값이 유효하지 않으면 null.
  */
-async function calculateInternalTotalCostUsd(bunjangPriceKrw, bunjangShippingFeeKrw) {
+async function calculateInternalTotalCostUsd(bunjangPriceKrw, bunjangShippingFeeKrw, options = {}) {
     if (typeof bunjangPriceKrw !== 'number' || isNaN(bunjangPriceKrw) || bunjangPriceKrw < 0 ||
         typeof bunjangShippingFeeKrw !== 'number' || isNaN(bunjangShippingFeeKrw) || bunjangShippingFeeKrw < 0) {
         logger.warn('[PriceCalcSvc] Invalid input for internal cost calculation.', { bunjangPriceKrw, bunjangShippingFeeKrw });
         return null; // 또는 ValidationError throw
     }
 
-    let krwToUsdRate;
-    try {
-        krwToUsdRate = await getKrwToUsdRate();
-    } catch (rateError) {
-        logger.error(`[PriceCalcSvc] Failed to get exchange rate for internal cost calculation: ${rateError.message}`);
-        return null; // 또는 AppError throw
-    }
-
-    const priceInUsdBeforeMarkup = convertKrwToUsd(bunjangPriceKrw, krwToUsdRate);
-    const markupRatio = config.priceCalculation.markupPercentage / 100;
-    const itemPriceUsd = priceInUsdBeforeMarkup * (1 + markupRatio); // 마크업된 품목 가격 (USD)
-    
-    const shippingFeeUsd = convertKrwToUsd(bunjangShippingFeeKrw, krwToUsdRate); // 배송비 (USD)
-    const handlingFeeUsd = config.priceCalculation.handlingFeeUsd; // 취급 수수료 (USD)
-
-    // 총 예상 비용 = (마크업된 품목가 USD) + (배송비 USD) + (취급수수료 USD)
-    const totalEstimatedCostUsd = itemPriceUsd + shippingFeeUsd + handlingFeeUsd;
-
-    const result = {
-        itemPriceKrw: bunjangPriceKrw,
+    const { krwToUsdRate } = await getRateForPricing();
+    const result = calculateLandedCost({
+        priceKrw: bunjangPriceKrw,
         shippingFeeKrw: bunjangShippingFeeKrw,
-        exchangeRateUsed: parseFloat(krwToUsdRate.toFixed(8)), // 사용된 환율 (소수점 많이)
-        itemPriceUsd: parseFloat(itemPriceUsd.toFixed(2)),
-        shippingFeeUsd: parseFloat(shippingFeeUsd.toFixed(2)),
-        handlingFeeUsd: parseFloat(handlingFeeUsd.toFixed(2)),
-        totalEstimatedCostUsd: parseFloat(totalEstimatedCostUsd.toFixed(2)),
-    };
-    logger.debug('[PriceCalcSvc] Calculated internal total cost (USD):', result);
+        krwToUsdRate,
+        categoryId: options.categoryId,
+        weightKg: options.weightKg,
+        destinationCountry: options.destinationCountry,
+    });
+    logger.debug('[PriceCalcSvc] Calculated internal landed cost (USD):', result);
     return result;
 }
 
 
 module.exports = {
+  calculateShopifyPrice,
   calculateShopifyPriceUsd,
+  calculateCurrencyPrices,
   calculateInternalTotalCostUsd, // 필요시 사용
-  // convertKrwToUsd, // 내부 사용으로 변경
+  roundCurrencyPrice,
 };
\ No newline at end of file
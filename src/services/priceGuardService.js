@@ -0,0 +1,336 @@
+// src/services/priceGuardService.js
+// 가격 가드: 계산된 가격을 Shopify에 반영(updateVariantPriceAndSku 등)하기 전에 검사합니다.
+// - 최저가: 원가 + 최소 마진(config.priceGuard)보다 낮으면 최저가로 올림
+// - 최고가 초과, 한 번에 maxDropPercent 넘는 인하: 반영하지 않고 승인 대기열(PriceApproval)에 보류
+// - compareAtMultiplier 설정 시 compareAtPrice(정가 표시) 계산
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const priceHistoryService = require('./priceHistoryService');
+const { sendAlert } = require('./notificationService');
+const PriceApproval = require('../models/priceApproval.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'PriceGuardSvc';
+
+const round2 = value => Math.round(value * 100) / 100;
+const ceil2 = value => Math.ceil(Math.round(value * 10000) / 100) / 100;
+
+/**
+ * 가격 가드 규칙을 평가합니다. (DB 조회 없음)
+ * @param {{priceUsd: string, breakdown: object}} pricing - calculateShopifyPrice 결과
+ * @param {string|number|null} currentPriceUsd - 현재 Shopify 가격 (신규 상품이면 null)
+ * @returns {{priceUsd: number, floorUsd: number, floorApplied: boolean, compareAtPrice: string|undefined, changePercent: number|null, violations: Array<{code: string, message: string}>}}
+ */
+function evaluatePrice(pricing, currentPriceUsd) {
+  const guard = config.priceGuard;
+  const costUsd = pricing.breakdown.costUsd || 0;
+  const floorUsd = ceil2(costUsd + Math.max(guard.minMarginUsd || 0, costUsd * ((guard.minMarginPercentage || 0) / 100)));
+
+  let priceUsd = parseFloat(pricing.priceUsd);
+  const floorApplied = !(priceUsd >= floorUsd);
+  if (floorApplied) priceUsd = floorUsd;
+
+  const violations = [];
+  if (guard.maxPriceUsd > 0 && priceUsd > guard.maxPriceUsd) {
+    violations.push({ code: 'PRICE_ABOVE_CEILING', message: `$${priceUsd.toFixed(2)} exceeds the ceiling $${guard.maxPriceUsd}` });
+  }
+
+  const current = parseFloat(currentPriceUsd);
+  const changePercent = current > 0 ? round2(((priceUsd - current) / current) * 100) : null;
+  if (changePercent !== null && -changePercent > guard.maxDropPercent) {
+    violations.push({ code: 'PRICE_DROP_EXCEEDED', message: `Drop of ${-changePercent}% from $${current.toFixed(2)} exceeds ${guard.maxDropPercent}%` });
+  }
+
+  // 배수가 설정되지 않으면 undefined (기존 compareAtPrice를 건드리지 않음)
+  const compareAtPrice = guard.compareAtMultiplier > 1 ? (Math.ceil(priceUsd * guard.compareAtMultiplier) - 0.01).toFixed(2) : undefined;
+  return { priceUsd, floorUsd, floorApplied, compareAtPrice, changePercent, violations };
+}
+
+/**
+ * 가드 결과 가격으로 pricing 객체를 복사합니다. 이후 가격 이력/다중 통화 가격도 이 가격을 기준으로 합니다.
+ * @param {object} pricing
+ * @param {number} priceUsd
+ * @param {string|null|undefined} compareAtPrice - null이면 compareAtPrice 제거, undefined면 변경하지 않음
+ * @param {object} guardInfo - breakdown.guard에 남길 정보
+ * @returns {object}
+ */
+function withGuardedPrice(pricing, priceUsd, compareAtPrice, guardInfo) {
+  const priceChanged = priceUsd.toFixed(2) !== pricing.priceUsd;
+  return {
+    ...pricing,
+    priceUsd: priceUsd.toFixed(2),
+    compareAtPrice,
+    breakdown: {
+      ...pricing.breakdown,
+      ...(priceChanged && {
+        priceBeforeRoundingUsd: priceUsd,
+        finalPriceUsd: priceUsd.toFixed(2),
+        marginUsd: round2(priceUsd - (pricing.breakdown.costUsd || 0)),
+      }),
+      guard: guardInfo,
+    },
+  };
+}
+
+/**
+ * 보류된 가격 변경을 승인 대기열에 넣습니다. 같은 variant의 대기 중인 요청이 같은 가격이면 재사용하고, 다르면 대체합니다.
+ * 같은 가격이 이미 거부되었으면 새 요청을 만들지 않습니다. (계산된 가격이 바뀌어야 다시 요청)
+ * @returns {Promise<{approval: object, created: boolean, rejected: boolean}>}
+ */
+async function enqueueApproval({ bunjangPid, shopifyGid, sku, isOptionVariant, source, jobId, currentPriceUsd, proposedPriceUsd, compareAtPrice, changePercent, violations, pricing }) {
+  const key = { bunjangPid: String(bunjangPid), sku: sku || null };
+  const existing = await PriceApproval.findOne({ ...key, status: 'PENDING' }).lean();
+  if (existing && existing.proposedPriceUsd === proposedPriceUsd) {
+    return { approval: existing, created: false, rejected: false };
+  }
+  const rejected = await PriceApproval.findOne({ ...key, proposedPriceUsd, status: 'REJECTED' }).sort({ decidedAt: -1 }).lean();
+  if (rejected) {
+    return { approval: rejected, created: false, rejected: true };
+  }
+  if (existing) {
+    await PriceApproval.updateOne({ _id: existing._id }, { $set: { status: 'SUPERSEDED', decidedAt: new Date(), decisionNote: `Superseded by a new proposal ($${proposedPriceUsd})` } });
+  }
+  const approval = await PriceApproval.create({
+    ...key,
+    shopifyGid,
+    isOptionVariant,
+    source,
+    jobId: jobId != null ? String(jobId) : undefined,
+    currentPriceUsd: currentPriceUsd != null ? String(currentPriceUsd) : undefined,
+    proposedPriceUsd,
+    compareAtPrice: compareAtPrice || undefined,
+    changePercent,
+    violations,
+    priceKrw: pricing.breakdown.priceKrw,
+    exchangeRate: pricing.breakdown.exchangeRate,
+    costUsd: pricing.breakdown.costUsd,
+    pricingRuleName: pricing.rule?.ruleName || 'default',
+  });
+  return { approval: approval.toObject(), created: true, rejected: false };
+}
+
+/**
+ * 계산된 가격에 가격 가드를 적용합니다. Shopify에 가격을 반영하는 모든 경로에서 반영 직전에 호출합니다.
+ * @param {{priceUsd: string, rule: object, breakdown: object}} pricing - calculateShopifyPrice 결과
+ * @param {object} target
+ * @param {string|null} target.currentPriceUsd - 현재 Shopify 가격 (신규 상품이면 null)
+ * @param {string} target.bunjangPid
+ * @param {string} [target.shopifyGid]
+ * @param {string} [target.sku]
+ * @param {boolean} [target.isOptionVariant=false]
+ * @param {'catalog_sync'|'catalog_price_update'|'reprice'} target.source
+ * @param {string} [target.jobId]
+ * @returns {Promise<{pricing: object|null, blocked: boolean, approvalId: string|null, violations: Array<object>}>}
+ *   blocked면 pricing은 현재 가격을 유지하는 객체(현재 가격이 없으면 null)이고, 아니면 최저가/compareAtPrice가 반영된 객체
+ */
+async function applyPriceGuard(pricing, { currentPriceUsd, bunjangPid, shopifyGid, sku, isOptionVariant = false, source, jobId }) {
+  if (!config.priceGuard.enabled) {
+    return { pricing, blocked: false, approvalId: null, violations: [] };
+  }
+  const logPrefix = `[${SERVICE_NAME}:Job-${jobId || 'N/A'}]`;
+  const evaluation = evaluatePrice(pricing, currentPriceUsd);
+  const proposedPriceUsd = evaluation.priceUsd.toFixed(2);
+
+  if (evaluation.floorApplied) {
+    logger.warn(`${logPrefix} PID ${bunjangPid}${sku ? ` (${sku})` : ''}: $${pricing.priceUsd} is below the floor (cost $${pricing.breakdown.costUsd} + minimum margin). Raised to $${proposedPriceUsd}.`);
+  }
+
+  if (evaluation.violations.length > 0) {
+    // 이미 승인된 같은 가격이면 통과 (신규 상품 최고가 초과 건 등)
+    const approved = await PriceApproval.findOneAndUpdate(
+      { bunjangPid: String(bunjangPid), sku: sku || null, proposedPriceUsd, status: 'APPROVED', consumedAt: null, appliedAt: null },
+      { $set: { consumedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (approved) {
+      logger.info(`${logPrefix} PID ${bunjangPid}${sku ? ` (${sku})` : ''}: $${proposedPriceUsd} allowed by approval ${approved._id}.`);
+    } else {
+      const { approval, created, rejected } = await enqueueApproval({
+        bunjangPid, shopifyGid, sku, isOptionVariant, source, jobId, currentPriceUsd, proposedPriceUsd,
+        compareAtPrice: evaluation.compareAtPrice, changePercent: evaluation.changePercent, violations: evaluation.violations, pricing,
+      });
+      if (rejected) {
+        logger.info(`${logPrefix} PID ${bunjangPid}${sku ? ` (${sku})` : ''}: price change $${currentPriceUsd ?? 'N/A'} -> $${proposedPriceUsd} was rejected (approval ${approval._id}). Keeping the current price.`);
+      } else {
+        logger.warn(`${logPrefix} PID ${bunjangPid}${sku ? ` (${sku})` : ''}: price change $${currentPriceUsd ?? 'N/A'} -> $${proposedPriceUsd} held for approval ${approval._id} (${evaluation.violations.map(v => v.code).join(', ')}).`);
+      }
+      if (created) {
+        await sendAlert({
+          title: 'Price change held for approval',
+          message: `Bunjang PID ${bunjangPid}${sku ? ` (${sku})` : ''}: $${currentPriceUsd ?? 'N/A'} -> $${proposedPriceUsd}. ${evaluation.violations.map(v => v.message).join('; ')}.`,
+          severity: 'warning',
+          details: { approvalId: String(approval._id), source, shopifyGid },
+        });
+      }
+      const guardInfo = { held: true, rejected, approvalId: String(approval._id), proposedPriceUsd, violations: evaluation.violations };
+      const current = parseFloat(currentPriceUsd);
+      return {
+        pricing: current > 0 ? withGuardedPrice(pricing, current, undefined, guardInfo) : null, // compareAtPrice는 건드리지 않음
+        blocked: true,
+        approvalId: String(approval._id),
+        violations: evaluation.violations,
+      };
+    }
+  }
+
+  const guardInfo = { held: false, floorUsd: evaluation.floorUsd, floorApplied: evaluation.floorApplied };
+  return {
+    pricing: withGuardedPrice(pricing, evaluation.priceUsd, evaluation.compareAtPrice, guardInfo),
+    blocked: false,
+    approvalId: null,
+    violations: evaluation.violations,
+  };
+}
+
+/**
+ * applyPriceGuard와 같은 판단을 DB 변경/알림 없이 미리 봅니다. (재가격 dryRun용, 기존 승인 건은 고려하지 않음)
+ * @param {object} pricing - calculateShopifyPrice 결과
+ * @param {string|null} currentPriceUsd
+ * @returns {{pricing: object|null, blocked: boolean, approvalId: null, violations: Array<object>}}
+ */
+function previewPriceGuard(pricing, currentPriceUsd) {
+  if (!config.priceGuard.enabled) {
+    return { pricing, blocked: false, approvalId: null, violations: [] };
+  }
+  const evaluation = evaluatePrice(pricing, currentPriceUsd);
+  if (evaluation.violations.length > 0) {
+    const current = parseFloat(currentPriceUsd);
+    const guardInfo = { held: true, approvalId: null, proposedPriceUsd: evaluation.priceUsd.toFixed(2), violations: evaluation.violations };
+    return {
+      pricing: current > 0 ? withGuardedPrice(pricing, current, undefined, guardInfo) : null,
+      blocked: true,
+      approvalId: null,
+      violations: evaluation.violations,
+    };
+  }
+  const guardInfo = { held: false, floorUsd: evaluation.floorUsd, floorApplied: evaluation.floorApplied };
+  return {
+    pricing: withGuardedPrice(pricing, evaluation.priceUsd, evaluation.compareAtPrice, guardInfo),
+    blocked: false,
+    approvalId: null,
+    violations: [],
+  };
+}
+
+/**
+ * 승인 대기열을 조회합니다.
+ * @param {object} [options]
+ * @param {string} [options.status='PENDING']
+ * @param {string} [options.bunjangPid]
+ * @param {number} [options.limit=100]
+ * @returns {Promise<Array<object>>}
+ */
+async function listPriceApprovals({ status = 'PENDING', bunjangPid, limit = 100 } = {}) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (bunjangPid) filter.bunjangPid = String(bunjangPid);
+  return PriceApproval.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 대기 중인 승인 요청을 가져옵니다.
+ * @param {string} approvalId
+ * @returns {Promise<object>}
+ * @throws {NotFoundError|AppError}
+ */
+async function getPendingApproval(approvalId) {
+  const approval = await PriceApproval.findById(approvalId).lean();
+  if (!approval) throw new NotFoundError('가격 승인 요청을 찾을 수 없습니다.', 'PriceApproval', approvalId);
+  if (approval.status !== 'PENDING') {
+    throw new AppError(`이미 처리된 가격 승인 요청입니다. (status: ${approval.status})`, 409, 'PRICE_APPROVAL_NOT_PENDING');
+  }
+  return approval;
+}
+
+/**
+ * 보류된 가격 변경을 승인합니다. Shopify 상품이 있으면 즉시 반영하고, 신규 상품이면 다음 동기화에서 이 가격을 허용합니다.
+ * @param {string} approvalId
+ * @param {object} [decision]
+ * @param {string} [decision.decidedBy]
+ * @param {string} [decision.note]
+ * @returns {Promise<object>} 갱신된 PriceApproval
+ * @throws {NotFoundError|AppError|ExternalServiceError}
+ */
+async function approvePriceChange(approvalId, { decidedBy, note } = {}) {
+  const approval = await getPendingApproval(approvalId);
+  const now = new Date();
+  const update = { status: 'APPROVED', decidedBy, decidedAt: now, decisionNote: note };
+
+  const syncedDoc = approval.shopifyGid ? await SyncedProduct.findOne({ bunjangPid: approval.bunjangPid }).lean() : null;
+  if (approval.shopifyGid && syncedDoc?.shopifyGid === approval.shopifyGid) {
+    const liveVariants = await shopifyService.getProductVariantPrices(approval.shopifyGid);
+    const variant = liveVariants?.find(v => approval.sku && v.sku === approval.sku) || (!approval.isOptionVariant ? liveVariants?.[0] : null);
+    if (!variant) {
+      throw new AppError(`Shopify variant를 찾을 수 없어 가격을 반영할 수 없습니다. (${approval.shopifyGid}, SKU ${approval.sku})`, 409, 'PRICE_APPROVAL_VARIANT_NOT_FOUND');
+    }
+    await shopifyService.updateVariantPrices(approval.shopifyGid, [{ id: variant.id, price: approval.proposedPriceUsd, compareAtPrice: approval.compareAtPrice || undefined }]);
+
+    const productUpdate = {};
+    if (approval.isOptionVariant) {
+      const mappings = (syncedDoc.bunjangVariantMappings || []).map(mapping => ({ ...mapping }));
+      const mapping = mappings.find(m => m.sku === approval.sku);
+      if (mapping) mapping.shopifyPriceUsd = approval.proposedPriceUsd;
+      productUpdate.bunjangVariantMappings = mappings;
+    } else {
+      Object.assign(productUpdate, {
+        shopifyListedPriceUsd: approval.proposedPriceUsd,
+        shopifyListedExchangeRate: approval.exchangeRate,
+        shopifyListedExchangeRateSource: 'price_approval',
+        shopifyPricedAt: now,
+      });
+      await priceHistoryService.recordPriceChange({
+        bunjangPid: approval.bunjangPid,
+        shopifyGid: approval.shopifyGid,
+        categoryId: syncedDoc.bunjangCategoryId,
+        previousPriceKrw: syncedDoc.bunjangOriginalPriceKrw,
+        priceKrw: syncedDoc.bunjangOriginalPriceKrw,
+        previousPriceUsd: syncedDoc.shopifyListedPriceUsd,
+        pricing: {
+          priceUsd: approval.proposedPriceUsd,
+          rule: { ruleName: approval.pricingRuleName },
+          breakdown: { exchangeRate: approval.exchangeRate, costUsd: approval.costUsd, marginUsd: approval.costUsd != null ? round2(parseFloat(approval.proposedPriceUsd) - approval.costUsd) : undefined },
+        },
+        source: 'price_approval',
+        jobId: `approval-${approval._id}`,
+      });
+    }
+    await SyncedProduct.updateOne({ _id: syncedDoc._id }, { $set: productUpdate });
+    update.appliedAt = now;
+    logger.info(`[${SERVICE_NAME}] Approval ${approvalId} applied: PID ${approval.bunjangPid}${approval.sku ? ` (${approval.sku})` : ''} $${approval.currentPriceUsd ?? 'N/A'} -> $${approval.proposedPriceUsd} (by ${decidedBy || 'unknown'})`);
+  } else {
+    logger.info(`[${SERVICE_NAME}] Approval ${approvalId} approved for PID ${approval.bunjangPid}. Price $${approval.proposedPriceUsd} will be allowed on the next sync.`);
+  }
+
+  return PriceApproval.findByIdAndUpdate(approvalId, { $set: update }, { new: true }).lean();
+}
+
+/**
+ * 보류된 가격 변경을 거부합니다. Shopify 가격은 현재 가격으로 유지됩니다.
+ * @param {string} approvalId
+ * @param {object} [decision]
+ * @param {string} [decision.decidedBy]
+ * @param {string} [decision.note]
+ * @returns {Promise<object>} 갱신된 PriceApproval
+ * @throws {NotFoundError|AppError}
+ */
+async function rejectPriceChange(approvalId, { decidedBy, note } = {}) {
+  await getPendingApproval(approvalId);
+  logger.info(`[${SERVICE_NAME}] Approval ${approvalId} rejected (by ${decidedBy || 'unknown'}).`);
+  return PriceApproval.findByIdAndUpdate(
+    approvalId,
+    { $set: { status: 'REJECTED', decidedBy, decidedAt: new Date(), decisionNote: note } },
+    { new: true }
+  ).lean();
+}
+
+module.exports = {
+  evaluatePrice,
+  applyPriceGuard,
+  previewPriceGuard,
+  listPriceApprovals,
+  approvePriceChange,
+  rejectPriceChange,
+};
@@ -0,0 +1,165 @@
+// src/services/priceHistoryService.js
+// 상품 가격 이력(PriceHistory) 기록/조회 및 카테고리별 마진 집계.
+// "왜 이 상품 가격이 올랐는가"에 답할 수 있도록 원화 가격 변동과 Shopify 반영 가격을 환율/적용 규칙과 함께 남깁니다.
+
+const logger = require('../config/logger');
+const PriceHistory = require('../models/priceHistory.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'PriceHistorySvc';
+const CATEGORY_LEVEL_LENGTH = 3; // 번개장터 카테고리 ID는 단계별 3자리 (예: 600 → 600100 → 600100200)
+
+/**
+ * 가격 변동을 기록합니다. 원화 가격이 바뀌었으면 KRW_PRICE_CHANGE, USD 가격이 바뀌었으면(또는 처음 반영이면) USD_PRICE_PUSH를 남깁니다.
+ * 이력 기록 실패는 동기화를 실패시키지 않도록 로그만 남깁니다.
+ * @param {object} params
+ * @param {string} params.bunjangPid
+ * @param {string} [params.shopifyGid]
+ * @param {string} [params.categoryId]
+ * @param {number} [params.previousPriceKrw]
+ * @param {number} params.priceKrw
+ * @param {string} [params.previousPriceUsd]
+ * @param {{priceUsd: string, rule: object, breakdown: object}} params.pricing - priceCalculationService.calculateShopifyPrice 결과
+ * @param {'catalog_sync'|'catalog_price_update'|'reprice'|'price_approval'} params.source
+ * @param {string} [params.jobId]
+ * @returns {Promise<number>} 기록된 이력 수
+ */
+async function recordPriceChange({ bunjangPid, shopifyGid, categoryId, previousPriceKrw, priceKrw, previousPriceUsd, pricing, source, jobId }) {
+  const { breakdown, rule } = pricing;
+  const base = {
+    bunjangPid: String(bunjangPid),
+    shopifyGid,
+    categoryId: categoryId != null ? String(categoryId) : undefined,
+    source,
+    jobId: jobId != null ? String(jobId) : undefined,
+    previousPriceKrw,
+    priceKrw,
+    previousPriceUsd,
+    priceUsd: pricing.priceUsd,
+    exchangeRate: breakdown.exchangeRate,
+    costUsd: breakdown.costUsd,
+    marginUsd: breakdown.marginUsd,
+    markupPercentage: breakdown.markupPercentage,
+    marginFloorApplied: breakdown.marginFloorApplied,
+    pricingRuleId: rule.ruleId || undefined,
+    pricingRuleName: rule.ruleName || 'default',
+  };
+
+  const entries = [];
+  if (previousPriceKrw != null && previousPriceKrw !== priceKrw) entries.push({ ...base, eventType: 'KRW_PRICE_CHANGE' });
+  if (previousPriceUsd !== pricing.priceUsd) entries.push({ ...base, eventType: 'USD_PRICE_PUSH' });
+  if (entries.length === 0) return 0;
+
+  try {
+    await PriceHistory.insertMany(entries, { ordered: false });
+    return entries.length;
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId || 'N/A'}] Failed to record price history for PID ${bunjangPid}: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * 상품의 가격 이력을 최신순으로 조회합니다.
+ * @param {string} bunjangPid
+ * @param {object} [options]
+ * @param {number} [options.limit=100]
+ * @param {string} [options.eventType] - KRW_PRICE_CHANGE | USD_PRICE_PUSH
+ * @returns {Promise<{bunjangPid: string, current: object, history: Array<object>}>}
+ * @throws {NotFoundError} 동기화 기록과 가격 이력이 모두 없는 경우
+ */
+async function getPriceHistory(bunjangPid, { limit = 100, eventType } = {}) {
+  const filter = { bunjangPid: String(bunjangPid) };
+  if (eventType) filter.eventType = eventType;
+
+  const [syncedDoc, history] = await Promise.all([
+    SyncedProduct.findOne({ bunjangPid: String(bunjangPid) })
+      .select('bunjangPid shopifyGid bunjangProductName bunjangCategoryId bunjangOriginalPriceKrw shopifyListedPriceUsd lastSuccessfulSyncAt lastRepricedAt')
+      .lean(),
+    PriceHistory.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+  ]);
+  if (!syncedDoc && history.length === 0) {
+    throw new NotFoundError('상품 가격 이력을 찾을 수 없습니다.', 'PriceHistory', bunjangPid);
+  }
+
+  return {
+    bunjangPid: String(bunjangPid),
+    current: syncedDoc ? {
+      shopifyGid: syncedDoc.shopifyGid,
+      name: syncedDoc.bunjangProductName,
+      categoryId: syncedDoc.bunjangCategoryId,
+      priceKrw: syncedDoc.bunjangOriginalPriceKrw,
+      priceUsd: syncedDoc.shopifyListedPriceUsd,
+      lastSuccessfulSyncAt: syncedDoc.lastSuccessfulSyncAt,
+      lastRepricedAt: syncedDoc.lastRepricedAt,
+    } : null,
+    history,
+  };
+}
+
+/**
+ * 카테고리별 마진 통계를 집계합니다. 기간 내 상품별 마지막 Shopify 반영 가격을 기준으로 계산합니다.
+ * @param {object} [options]
+ * @param {Date} [options.since]
+ * @param {Date} [options.until]
+ * @param {number} [options.categoryDepth=1] - 집계할 카테고리 단계 (1 = 최상위 카테고리)
+ * @param {string} [options.categoryPrefix] - 특정 카테고리 하위만 집계
+ * @returns {Promise<{since: Date|null, until: Date|null, categoryDepth: number, categories: Array<object>}>}
+ */
+async function getMarginStatsByCategory({ since, until, categoryDepth = 1, categoryPrefix } = {}) {
+  const match = { eventType: 'USD_PRICE_PUSH', marginUsd: { $ne: null } };
+  if (since || until) {
+    match.createdAt = {};
+    if (since) match.createdAt.$gte = since;
+    if (until) match.createdAt.$lte = until;
+  }
+  if (categoryPrefix) match.categoryId = { $regex: `^${String(categoryPrefix).replace(/[^0-9A-Za-z]/g, '')}` };
+
+  const categories = await PriceHistory.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$bunjangPid', latest: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$latest' } },
+    {
+      $group: {
+        _id: { $substrCP: [{ $ifNull: ['$categoryId', ''] }, 0, categoryDepth * CATEGORY_LEVEL_LENGTH] },
+        listings: { $sum: 1 },
+        avgPriceUsd: { $avg: { $toDouble: '$priceUsd' } },
+        avgCostUsd: { $avg: '$costUsd' },
+        avgMarginUsd: { $avg: '$marginUsd' },
+        minMarginUsd: { $min: '$marginUsd' },
+        maxMarginUsd: { $max: '$marginUsd' },
+        totalMarginUsd: { $sum: '$marginUsd' },
+        avgMarginPercentage: { $avg: { $cond: [{ $gt: ['$costUsd', 0] }, { $multiply: [{ $divide: ['$marginUsd', '$costUsd'] }, 100] }, null] } },
+        marginFloorAppliedCount: { $sum: { $cond: ['$marginFloorApplied', 1, 0] } },
+        lastPushedAt: { $max: '$createdAt' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        categoryId: { $cond: [{ $eq: ['$_id', ''] }, null, '$_id'] },
+        listings: 1,
+        avgPriceUsd: { $round: ['$avgPriceUsd', 2] },
+        avgCostUsd: { $round: ['$avgCostUsd', 2] },
+        avgMarginUsd: { $round: ['$avgMarginUsd', 2] },
+        minMarginUsd: { $round: ['$minMarginUsd', 2] },
+        maxMarginUsd: { $round: ['$maxMarginUsd', 2] },
+        totalMarginUsd: { $round: ['$totalMarginUsd', 2] },
+        avgMarginPercentage: { $round: ['$avgMarginPercentage', 2] },
+        marginFloorAppliedCount: 1,
+        lastPushedAt: 1,
+      },
+    },
+    { $sort: { listings: -1 } },
+  ]).allowDiskUse(true);
+
+  return { since: since || null, until: until || null, categoryDepth, categories };
+}
+
+module.exports = {
+  recordPriceChange,
+  getPriceHistory,
+  getMarginStatsByCategory,
+};
@@ -0,0 +1,187 @@
+// src/services/pricingRuleService.js
+// Mongo 기반 가격 규칙(PricingRule)을 우선순위 순으로 평가하여 상품에 적용할 마크업/수수료/최소 마진/반올림 방식을 결정하고,
+// 선택된 규칙으로 USD 판매 가격을 계산합니다. (환율 조회는 priceCalculationService에서 담당)
+
+const config = require('../config');
+const PricingRule = require('../models/pricingRule.model');
+
+const CACHE_TTL_MS = 60 * 1000;
+const MINIMUM_PRICE_USD = 1.00; // $0 리스팅 방지용 최소 가격
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// 반올림 방식별 함수. charm_99와 ceil_0_50은 항상 올림이므로 최소 가격 아래로 내려가지 않음
+const ROUNDERS = {
+  none: value => round2(value),
+  charm_99: value => Math.floor(round2(value)) + 0.99,
+  nearest_0_50: value => Math.round(value * 2) / 2,
+  ceil_0_50: value => Math.ceil(round2(value) * 2) / 2,
+  nearest_1: value => Math.round(value),
+};
+// 반올림 결과가 최소 마진 가격보다 낮아질 때 대신 사용하는 올림 함수
+const CEIL_ROUNDERS = {
+  none: value => Math.ceil(value * 100) / 100,
+  nearest_0_50: value => Math.ceil(round2(value) * 2) / 2,
+  nearest_1: value => Math.ceil(round2(value)),
+};
+const ROUNDING_STRATEGIES = Object.keys(ROUNDERS);
+
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * 활성 가격 규칙을 불러옵니다. 상품마다 호출되므로 짧은 TTL로 메모리 캐시합니다.
+ * @param {object} [options]
+ * @param {boolean} [options.forceReload=false] - 캐시 무시
+ * @returns {Promise<Array<object>>} 우선순위 순 규칙 목록 (lean)
+ */
+async function getActivePricingRules({ forceReload = false } = {}) {
+  if (!forceReload && cachedRules && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedRules;
+  }
+  cachedRules = await PricingRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  cachedAt = Date.now();
+  return cachedRules;
+}
+
+/**
+ * 관리 API에서 규칙이 바뀌면 캐시를 비웁니다.
+ */
+function invalidatePricingRuleCache() {
+  cachedRules = null;
+  cachedAt = 0;
+}
+
+/**
+ * 규칙 조건이 상품에 맞는지 확인하고, 맞으면 매칭된 조건 설명 목록을 반환합니다.
+ * @param {object} rule - PricingRule (lean)
+ * @param {number} priceKrw
+ * @param {object} context - { categoryId, brandId, uid }
+ * @returns {string[]|null} 매칭되지 않으면 null
+ */
+function matchRule(rule, priceKrw, context) {
+  const cond = rule.conditions || {};
+  const matched = [];
+  if (cond.categoryIds?.length) {
+    const categoryId = String(context.categoryId || '');
+    const matchedCategory = cond.categoryIds.map(String).find(id => categoryId.startsWith(id));
+    if (!matchedCategory) return null;
+    matched.push(`categoryId:${matchedCategory}`);
+  }
+  if (cond.brandIds?.length) {
+    if (!cond.brandIds.map(String).includes(String(context.brandId || ''))) return null;
+    matched.push(`brandId:${context.brandId}`);
+  }
+  if (cond.sellerUids?.length) {
+    if (!cond.sellerUids.map(String).includes(String(context.uid || ''))) return null;
+    matched.push(`sellerUid:${context.uid}`);
+  }
+  if (cond.minPriceKrw != null || cond.maxPriceKrw != null) {
+    if (cond.minPriceKrw != null && !(priceKrw >= cond.minPriceKrw)) return null;
+    if (cond.maxPriceKrw != null && !(priceKrw <= cond.maxPriceKrw)) return null;
+    matched.push(`priceKrw:${cond.minPriceKrw ?? 0}-${cond.maxPriceKrw ?? '∞'}`);
+  }
+  return matched;
+}
+
+/**
+ * 우선순위 순으로 처음 매칭되는 규칙을 찾습니다. 매칭되는 규칙이 없으면 config 기본값을 사용합니다.
+ * @param {number} priceKrw
+ * @param {object} context - { categoryId, brandId, uid } (processCatalogRow 결과 객체를 그대로 넘겨도 됨)
+ * @param {Array<object>} rules - getActivePricingRules 결과
+ * @returns {{rule: object|null, matchedConditions: string[]}}
+ */
+function selectPricingRule(priceKrw, context, rules) {
+  for (const rule of rules) {
+    const matchedConditions = matchRule(rule, priceKrw, context || {});
+    if (matchedConditions) return { rule, matchedConditions };
+  }
+  return { rule: null, matchedConditions: [] };
+}
+
+/**
+ * 규칙의 가격대별 마크업 중 상품 가격에 해당하는 구간을 찾습니다.
+ * @returns {{upToKrw: number|null, markupPercentage: number}|null}
+ */
+function selectMarkupTier(rule, priceKrw) {
+  if (!rule?.markupTiers?.length) return null;
+  const tiers = [...rule.markupTiers].sort((a, b) => (a.upToKrw ?? Infinity) - (b.upToKrw ?? Infinity));
+  const tier = tiers.find(t => t.upToKrw == null || priceKrw <= t.upToKrw);
+  return tier ? { upToKrw: tier.upToKrw ?? null, markupPercentage: tier.markupPercentage } : null;
+}
+
+/**
+ * 가격을 반올림 방식에 맞춰 조정합니다. 결과가 minimumPrice보다 낮으면 올림 방식으로 다시 계산합니다.
+ * @param {number} value
+ * @param {string} strategy - ROUNDING_STRATEGIES 중 하나
+ * @param {number} [minimumPrice=0]
+ * @returns {number}
+ */
+function roundPrice(value, strategy = 'none', minimumPrice = 0) {
+  const rounder = ROUNDERS[strategy] || ROUNDERS.none;
+  let rounded = rounder(value);
+  if (rounded < minimumPrice) rounded = (CEIL_ROUNDERS[strategy] || ROUNDERS[strategy])(minimumPrice);
+  return round2(rounded);
+}
+
+/**
+ * 선택된 규칙(없으면 config 기본값)으로 USD 판매 가격을 계산합니다.
+ * 판매가 = 원가(USD) × (1 + 마크업%) + 취급 수수료, 최소 마진 미달 시 원가 + 최소 마진, 이후 반올림.
+ * 원가는 상품가(USD 환산)이며, landedCost가 주어지면 도착 원가(배송비/포워딩/관세 포함)를 사용합니다.
+ * @param {number} priceKrw - 번개장터 원화 가격
+ * @param {number} krwToUsdRate - 1 KRW당 USD 환율
+ * @param {{rule: object|null, matchedConditions: string[]}} selection - selectPricingRule 결과
+ * @param {object|null} [landedCost=null] - landedCostService.calculateLandedCost 결과
+ * @returns {{priceUsd: string, rule: object, breakdown: object}}
+ */
+function computePriceWithRule(priceKrw, krwToUsdRate, selection, landedCost = null) {
+  const { rule, matchedConditions } = selection;
+  const tier = selectMarkupTier(rule, priceKrw);
+  const markupPercentage = tier?.markupPercentage ?? rule?.markupPercentage ?? config.priceCalculation.markupPercentage ?? 10;
+  const handlingFeeUsd = rule?.handlingFeeUsd ?? config.priceCalculation.handlingFeeUsd ?? 5;
+  const rounding = rule?.rounding || 'none';
+
+  const costUsd = landedCost ? landedCost.totalLandedCostUsd : priceKrw * krwToUsdRate;
+  const priceBeforeMarginUsd = costUsd * (1 + markupPercentage / 100) + handlingFeeUsd;
+  const requiredMarginUsd = Math.max(rule?.minMarginUsd || 0, costUsd * ((rule?.minMarginPercentage || 0) / 100));
+  const minimumPriceUsd = Math.max(costUsd + requiredMarginUsd, MINIMUM_PRICE_USD);
+  const marginFloorApplied = priceBeforeMarginUsd < minimumPriceUsd;
+  const priceBeforeRoundingUsd = Math.max(priceBeforeMarginUsd, minimumPriceUsd);
+  const finalPriceUsd = roundPrice(priceBeforeRoundingUsd, rounding, minimumPriceUsd);
+
+  return {
+    priceUsd: finalPriceUsd.toFixed(2),
+    rule: {
+      source: rule ? 'rule' : 'default',
+      ruleId: rule?._id || null,
+      ruleName: rule?.name || null,
+      priority: rule?.priority ?? null,
+      matchedConditions,
+      tier,
+    },
+    breakdown: {
+      priceKrw,
+      exchangeRate: krwToUsdRate,
+      costBasis: landedCost ? 'landed' : 'item',
+      costUsd: round2(costUsd),
+      ...(landedCost && { landedCost }),
+      markupPercentage,
+      markupUsd: round2(costUsd * (markupPercentage / 100)),
+      handlingFeeUsd,
+      requiredMarginUsd: round2(requiredMarginUsd),
+      marginFloorApplied,
+      priceBeforeRoundingUsd: round2(priceBeforeRoundingUsd),
+      rounding,
+      finalPriceUsd: finalPriceUsd.toFixed(2),
+      marginUsd: round2(finalPriceUsd - costUsd),
+    },
+  };
+}
+
+module.exports = {
+  ROUNDING_STRATEGIES,
+  getActivePricingRules,
+  invalidatePricingRuleCache,
+  selectPricingRule,
+  computePriceWithRule,
+};
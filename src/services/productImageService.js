@@ -0,0 +1,147 @@
+// src/services/productImageService.js
+// 번개장터 상품 이미지 ↔ Shopify 상품 미디어 동기화.
+// 원본 이미지 URL 해시(sourceHash)와 Shopify 미디어 ID 매핑(SyncedProduct.bunjangImageMappings)을 기준으로
+// 새 이미지만 추가하고, 사라진 이미지는 삭제하며, 번개장터 순서를 유지합니다. (재동기화 시 중복 미디어 방지)
+
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const imageProxyService = require('./imageProxyService');
+const { buildBunjangImageList } = require('../utils/bunjangImages');
+
+const MAX_PRODUCT_MEDIA = 250; // Shopify 상품당 미디어 최대 개수
+
+/**
+ * 현재 Shopify 미디어 순서를 기준으로 번개장터 이미지 순서와 맞추기 위한 이동 목록을 계산합니다.
+ * @param {string[]} currentOrder - 현재 순서의 매핑된 미디어 ID
+ * @param {string[]} desiredOrder - 번개장터 순서의 미디어 ID
+ * @returns {Array<{id: string, newPosition: number}>}
+ */
+function buildReorderMoves(currentOrder, desiredOrder) {
+  if (currentOrder.length === desiredOrder.length && currentOrder.every((id, index) => id === desiredOrder[index])) return [];
+  return desiredOrder.map((id, index) => ({ id, newPosition: index }));
+}
+
+/**
+ * 이미지 프록시 사용 시, 첨부할 이미지를 미리 가져와 캐시하고 Shopify에 넘길 프록시 URL을 붙입니다.
+ * 가져오기/검증에 실패한 이미지는 이번 동기화에서 제외하고 다음 동기화 때 다시 시도합니다.
+ * @param {string} pid
+ * @param {Array<object>} images - buildBunjangImageList 항목
+ * @param {string} logPrefix
+ * @returns {Promise<Array<object>>} mediaSourceUrl이 붙은 이미지 목록
+ */
+async function prepareProxiedImages(pid, images, logPrefix) {
+  const prepared = [];
+  for (const image of images) {
+    try {
+      await imageProxyService.getOrFetchImage(image);
+      prepared.push({ ...image, mediaSourceUrl: imageProxyService.buildProxyUrl(pid, image) });
+    } catch (error) {
+      logger.warn(`${logPrefix} Skipping image #${image.position} of PID ${pid} (${image.sourceUrl}): ${error.message}`);
+    }
+  }
+  return prepared;
+}
+
+/**
+ * 번개장터 상품 이미지를 Shopify 상품 미디어와 일치시킵니다.
+ * - 매핑이 없는(매핑 도입 전에 첨부된) 상품은 기존 이미지 미디어를 모두 지우고 다시 첨부합니다.
+ * - 매핑된 미디어가 Shopify에서 사라졌거나 FAILED 상태면 다시 첨부합니다.
+ * - 새로 첨부한 미디어의 개수가 요청과 다르면 매핑할 수 없으므로 삭제하고 다음 동기화 때 다시 시도합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @param {object} bunjangProduct - processCatalogRow 결과 객체
+ * @param {Array<object>|undefined} previousMappings - SyncedProduct.bunjangImageMappings
+ * @param {string} [jobId='N/A'] - 로그용 Job ID
+ * @returns {Promise<Array<{sourceHash: string, sourceUrl: string, shopifyMediaId: string, position: number}>|null>}
+ * 저장할 새 매핑 (Shopify 상품을 찾지 못하면 null)
+ */
+async function syncProductImages(productId, bunjangProduct, previousMappings, jobId = 'N/A') {
+  const logPrefix = `[ProductImageSvc:Job-${jobId}]`;
+  const desiredImages = buildBunjangImageList(bunjangProduct.images).slice(0, MAX_PRODUCT_MEDIA);
+
+  const liveMedia = await shopifyService.getProductMedia(productId);
+  if (!liveMedia) {
+    logger.warn(`${logPrefix} Product ${productId} not found while syncing images. Skipping.`);
+    return null;
+  }
+  const liveMediaById = new Map(liveMedia.map(media => [media.id, media]));
+  const mediaIdsToDelete = new Set();
+  const keptByHash = new Map();
+
+  if (!Array.isArray(previousMappings)) {
+    liveMedia.filter(media => media.mediaContentType === 'IMAGE').forEach(media => mediaIdsToDelete.add(media.id));
+    if (mediaIdsToDelete.size > 0) {
+      logger.info(`${logPrefix} Product ${productId} has no image mapping yet. Replacing ${mediaIdsToDelete.size} existing image media.`);
+    }
+  } else {
+    const desiredHashes = new Set(desiredImages.map(image => image.sourceHash));
+    for (const mapping of previousMappings) {
+      const live = mapping.shopifyMediaId ? liveMediaById.get(mapping.shopifyMediaId) : null;
+      if (!live) continue; // Shopify에서 직접 삭제된 미디어는 다시 첨부
+      if (live.status === 'FAILED' || !desiredHashes.has(mapping.sourceHash) || keptByHash.has(mapping.sourceHash)) {
+        mediaIdsToDelete.add(live.id);
+        continue;
+      }
+      keptByHash.set(mapping.sourceHash, mapping.shopifyMediaId);
+    }
+  }
+
+  if (mediaIdsToDelete.size > 0) {
+    await shopifyService.deleteProductMedia(productId, [...mediaIdsToDelete]);
+    logger.info(`${logPrefix} Removed ${mediaIdsToDelete.size} media items from product ${productId}.`);
+  }
+
+  let imagesToAdd = desiredImages.filter(image => !keptByHash.has(image.sourceHash));
+  if (imagesToAdd.length > 0 && imageProxyService.isProxyEnabled()) {
+    imagesToAdd = await prepareProxiedImages(bunjangProduct.pid, imagesToAdd, logPrefix);
+  }
+  const addedMediaIds = [];
+  if (imagesToAdd.length > 0) {
+    const alt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
+    const mediaResult = await shopifyService.appendMediaToProduct(productId, imagesToAdd.map(image => ({
+      originalSource: image.mediaSourceUrl || image.sourceUrl,
+      mediaContentType: 'IMAGE',
+      alt,
+    })));
+    if (mediaResult?.warning) logger.warn(`${logPrefix} Media attachment warning: ${mediaResult.warning}`);
+
+    const createdMedia = mediaResult?.media || [];
+    if (createdMedia.length === imagesToAdd.length) {
+      imagesToAdd.forEach((image, index) => {
+        keptByHash.set(image.sourceHash, createdMedia[index].id);
+        addedMediaIds.push(createdMedia[index].id);
+      });
+      logger.info(`${logPrefix} Attached ${createdMedia.length} new media items to product ${productId}.`);
+    } else {
+      logger.warn(`${logPrefix} Shopify returned ${createdMedia.length} media for ${imagesToAdd.length} images on product ${productId}. Unmapped media will be removed and retried on the next sync.`);
+      if (createdMedia.length > 0) {
+        await shopifyService.deleteProductMedia(productId, createdMedia.map(media => media.id)).catch(error => {
+          logger.error(`${logPrefix} Failed to remove unmapped media from product ${productId}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  const mappings = desiredImages
+    .filter(image => keptByHash.has(image.sourceHash))
+    .map(image => ({ ...image, shopifyMediaId: keptByHash.get(image.sourceHash) }));
+
+  // 새로 첨부한 미디어는 맨 뒤에 붙으므로, 기존 미디어 순서 + 새 미디어 순으로 현재 순서를 계산
+  const mappedIds = new Set(mappings.map(mapping => mapping.shopifyMediaId));
+  const currentOrder = [...liveMedia.map(media => media.id), ...addedMediaIds].filter(id => mappedIds.has(id));
+  const moves = buildReorderMoves(currentOrder, mappings.map(mapping => mapping.shopifyMediaId));
+  if (moves.length > 0) {
+    try {
+      await shopifyService.reorderProductMedia(productId, moves);
+      logger.info(`${logPrefix} Reordered ${moves.length} media items on product ${productId} to match Bunjang order.`);
+    } catch (error) {
+      // 순서 변경 실패는 매핑 저장을 막지 않음 (다음 동기화 때 다시 시도)
+      logger.warn(`${logPrefix} Failed to reorder media on product ${productId}: ${error.message}`);
+    }
+  }
+
+  return mappings;
+}
+
+module.exports = {
+  syncProductImages,
+};
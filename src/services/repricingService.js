@@ -0,0 +1,250 @@
+// src/services/repricingService.js
+// 환율 변동이나 가격 규칙(PricingRule)/마크업 변경 후, 이미 동기화된 상품의 Shopify 가격을 현재 기준으로 다시 계산하여
+// 현재 Shopify 가격 대비 변동률이 임계값을 넘는 variant만 갱신합니다. (dryRun 시 변경 예정 목록만 보고)
+// 가격 가드(priceGuardService)에 걸린 variant는 갱신하지 않고 승인 대기열로 보냅니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { calculateShopifyPrice } = require('./priceCalculationService');
+const priceHistoryService = require('./priceHistoryService');
+const { publishMarketPrices } = require('./marketPricingService');
+const { applyPriceGuard, previewPriceGuard } = require('./priceGuardService');
+const SyncedProduct = require('../models/syncedProduct.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+
+const SERVICE_NAME = 'RepricingSvc';
+const MAX_REPORTED_CHANGES = 500; // 작업 결과(returnvalue)에 담을 변경 목록 최대 개수
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 현재 Shopify 가격 대비 새 가격의 변동률(%)을 계산합니다. 현재 가격이 0 이하면 항상 갱신 대상(100%)으로 봅니다.
+ * @param {number} currentPrice
+ * @param {number} newPrice
+ * @returns {number}
+ */
+function calculateChangePercent(currentPrice, newPrice) {
+  if (!(currentPrice > 0)) return 100;
+  return Math.round(((newPrice - currentPrice) / currentPrice) * 10000) / 100;
+}
+
+/**
+ * 동기화된 상품의 variant별 재가격 대상(KRW 가격 ↔ Shopify variant)을 구합니다.
+ * 옵션 상품은 bunjangVariantMappings의 옵션별 가격을, 단일 상품은 첫 번째 variant와 상품 가격을 사용합니다.
+ * @param {object} doc - SyncedProduct (lean)
+ * @param {Array<{id: string, sku: string|null, price: string}>} liveVariants - Shopify variant 목록
+ * @returns {Array<{variant: object, priceKrw: number, mappingIndex: number|null}>}
+ */
+function buildRepriceTargets(doc, liveVariants) {
+  if (!doc.bunjangVariantMappings?.length) {
+    return liveVariants.length > 0 ? [{ variant: liveVariants[0], priceKrw: doc.bunjangOriginalPriceKrw, mappingIndex: null }] : [];
+  }
+  const targets = [];
+  doc.bunjangVariantMappings.forEach((mapping, mappingIndex) => {
+    const variant = liveVariants.find(v => v.id === mapping.shopifyVariantId) || liveVariants.find(v => mapping.sku && v.sku === mapping.sku);
+    if (!variant || !(mapping.priceKrw > 0)) return;
+    targets.push({ variant, priceKrw: mapping.priceKrw, mappingIndex });
+  });
+  return targets;
+}
+
+/**
+ * 동기화된 상품 전체의 Shopify 가격을 현재 환율/가격 규칙으로 다시 계산하고, 임계값 이상 바뀐 variant만 갱신합니다.
+ * Shopify 호출 제한을 넘지 않도록 상품 사이에 config.repricing.delayBetweenProductsMs만큼 대기합니다.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - true면 Shopify/DB를 변경하지 않고 변경 예정 목록만 반환
+ * @param {number} [options.limit=0] - 처리할 최대 상품 수 (0이면 전체)
+ * @param {number} [options.thresholdPercent] - 갱신 기준 변동률(%) (기본값 config.repricing.thresholdPercent)
+ * @param {string} [options.jobId='N/A'] - 로그용 Job ID
+ * @param {Function} [options.onProgress] - (checked) => Promise, 100개마다 호출
+ * @returns {Promise<object>} 재가격 요약 및 변경 목록(diff)
+ */
+async function repriceSyncedProducts({ dryRun = false, limit = 0, thresholdPercent, jobId = 'N/A', onProgress } = {}) {
+  const logPrefix = `[${SERVICE_NAME}:Job-${jobId}]`;
+  const threshold = thresholdPercent ?? config.repricing.thresholdPercent;
+  const summary = {
+    dryRun,
+    thresholdPercent: threshold,
+    exchangeRate: null,
+    checked: 0,
+    changed: 0,
+    variantsChanged: 0,
+    updated: 0,
+    held: 0, // 가격 가드에 보류된 variant 수
+    notFound: 0,
+    errors: 0,
+    changes: [],
+  };
+
+  let cursorQuery = SyncedProduct.find({
+    syncStatus: { $in: ['SYNCED', 'SKIPPED_NO_CHANGE'] }, // SKIPPED_NO_CHANGE도 Shopify에 리스팅된 상태
+    shopifyGid: { $exists: true, $ne: null },
+    bunjangOriginalPriceKrw: { $gt: 0 },
+    delistedAt: { $exists: false },
+  }).select('_id bunjangPid shopifyGid bunjangCategoryId bunjangBrandId bunjangSellerUid bunjangOriginalPriceKrw bunjangOriginalShippingFeeKrw bunjangVariantMappings shopifyListedPriceUsd').lean();
+  if (limit > 0) cursorQuery = cursorQuery.limit(limit);
+
+  for await (const doc of cursorQuery.cursor()) {
+    summary.checked++;
+    try {
+      const liveVariants = await shopifyService.getProductVariantPrices(doc.shopifyGid);
+      if (!liveVariants) {
+        summary.notFound++;
+        logger.warn(`${logPrefix} Shopify product ${doc.shopifyGid} (PID ${doc.bunjangPid}) not found. Skipping.`);
+        continue;
+      }
+
+      // 같은 KRW 가격은 한 번만 계산
+      const context = { categoryId: doc.bunjangCategoryId, brandId: doc.bunjangBrandId, uid: doc.bunjangSellerUid, shippingFee: doc.bunjangOriginalShippingFeeKrw };
+      const priceCache = new Map();
+      const priceFor = async (priceKrw) => {
+        if (!priceCache.has(priceKrw)) priceCache.set(priceKrw, await calculateShopifyPrice(priceKrw, context));
+        return priceCache.get(priceKrw);
+      };
+      const listed = await priceFor(doc.bunjangOriginalPriceKrw);
+      if (summary.exchangeRate === null) summary.exchangeRate = listed.breakdown.exchangeRate;
+
+      const variantChanges = [];
+      for (const target of buildRepriceTargets(doc, liveVariants)) {
+        const calculated = await priceFor(target.priceKrw);
+        const guard = dryRun
+          ? previewPriceGuard(calculated, target.variant.price)
+          : await applyPriceGuard(calculated, {
+            currentPriceUsd: target.variant.price,
+            bunjangPid: doc.bunjangPid,
+            shopifyGid: doc.shopifyGid,
+            sku: target.variant.sku || null,
+            isOptionVariant: target.mappingIndex !== null,
+            source: 'reprice',
+            jobId,
+          });
+        if (guard.blocked) {
+          summary.held++;
+          continue;
+        }
+        const { priceUsd, compareAtPrice } = guard.pricing;
+        if (priceUsd === target.variant.price) continue;
+        const changePercent = calculateChangePercent(parseFloat(target.variant.price), parseFloat(priceUsd));
+        if (Math.abs(changePercent) < threshold) continue;
+        variantChanges.push({
+          variantId: target.variant.id,
+          sku: target.variant.sku || null,
+          priceKrw: target.priceKrw,
+          fromUsd: target.variant.price,
+          toUsd: priceUsd,
+          compareAtPrice,
+          changePercent,
+          mappingIndex: target.mappingIndex,
+          pricing: guard.pricing,
+        });
+      }
+
+      if (variantChanges.length > 0) {
+        summary.changed++;
+        summary.variantsChanged += variantChanges.length;
+        if (summary.changes.length < MAX_REPORTED_CHANGES) {
+          summary.changes.push({
+            bunjangPid: doc.bunjangPid,
+            shopifyGid: doc.shopifyGid,
+            pricingRule: listed.rule.ruleName || 'default',
+            variants: variantChanges.map(({ mappingIndex, pricing, ...change }) => change),
+          });
+        }
+
+        if (!dryRun) {
+          await shopifyService.updateVariantPrices(doc.shopifyGid, variantChanges.map(change => ({ id: change.variantId, price: change.toUsd, compareAtPrice: change.compareAtPrice })));
+          const now = new Date();
+          // 단일 상품은 가드가 반영된 가격을 리스팅 가격으로 저장
+          const listedPricing = variantChanges.find(change => change.mappingIndex === null)?.pricing || listed;
+          const update = {
+            shopifyListedPriceUsd: listedPricing.priceUsd,
+            shopifyListedExchangeRate: listedPricing.breakdown.exchangeRate,
+            shopifyListedExchangeRateSource: listedPricing.breakdown.exchangeRateSource,
+            shopifyPricedAt: now,
+            lastRepricedAt: now,
+          };
+          if (doc.bunjangVariantMappings?.length) {
+            const mappings = doc.bunjangVariantMappings.map(mapping => ({ ...mapping }));
+            variantChanges.forEach((change) => {
+              if (change.mappingIndex !== null) mappings[change.mappingIndex].shopifyPriceUsd = change.toUsd;
+            });
+            update.bunjangVariantMappings = mappings;
+          }
+          await SyncedProduct.updateOne({ _id: doc._id }, { $set: update });
+          const marketTargets = [];
+          for (const change of variantChanges) {
+            marketTargets.push({ sku: change.mappingIndex !== null ? change.sku : null, pricing: change.pricing });
+          }
+          await publishMarketPrices(doc.shopifyGid, marketTargets, jobId);
+          await priceHistoryService.recordPriceChange({
+            bunjangPid: doc.bunjangPid,
+            shopifyGid: doc.shopifyGid,
+            categoryId: doc.bunjangCategoryId,
+            previousPriceKrw: doc.bunjangOriginalPriceKrw,
+            priceKrw: doc.bunjangOriginalPriceKrw,
+            previousPriceUsd: doc.shopifyListedPriceUsd,
+            pricing: listedPricing,
+            source: 'reprice',
+            jobId,
+          });
+          summary.updated++;
+          logger.info(`${logPrefix} Repriced PID ${doc.bunjangPid} (${doc.shopifyGid}): ${variantChanges.map(c => `$${c.fromUsd} -> $${c.toUsd}`).join(', ')}`);
+        }
+      }
+    } catch (error) {
+      summary.errors++;
+      logger.error(`${logPrefix} Failed to reprice PID ${doc.bunjangPid} (${doc.shopifyGid}): ${error.message}`);
+    }
+
+    if (onProgress && summary.checked % 100 === 0) await onProgress(summary.checked);
+    await sleep(config.repricing.delayBetweenProductsMs);
+  }
+
+  if (!dryRun && summary.exchangeRate) {
+    await recordRepriceBaseline(summary.exchangeRate);
+  }
+
+  logger.info(`${logPrefix} Repricing finished. DryRun: ${dryRun}, Threshold: ${threshold}%, Checked: ${summary.checked}, Changed: ${summary.changed} (${summary.variantsChanged} variants), Updated: ${summary.updated}, Held: ${summary.held}, NotFound: ${summary.notFound}, Errors: ${summary.errors}`);
+  return summary;
+}
+
+/**
+ * 재가격에 사용한 환율을 다음 자동 재가격 판단 기준으로 저장합니다.
+ * @param {number} krwToUsdRate
+ */
+async function recordRepriceBaseline(krwToUsdRate) {
+  await ExchangeRate.updateOne({ base: 'USD' }, { $set: { lastRepriceKrwToUsdRate: krwToUsdRate, lastRepriceAt: new Date() } });
+}
+
+/**
+ * 저장된 환율(ExchangeRate)이 마지막 재가격 기준 환율에서 config.repricing.rateChangeTriggerPercent 이상 움직였는지 확인합니다.
+ * 기준 환율이 아직 없으면 현재 환율을 기준으로 저장하고 재가격하지 않습니다.
+ * @param {object} rateDoc - exchangeRateService.updateAndStoreExchangeRates 결과
+ * @returns {Promise<{shouldReprice: boolean, baselineRate: number|null, changePercent: number}>}
+ */
+async function checkRateMoveSinceLastReprice(rateDoc) {
+  const currentRate = rateDoc?.krwToUsdRate;
+  if (!(currentRate > 0)) return { shouldReprice: false, baselineRate: null, changePercent: 0 };
+
+  const baselineRate = rateDoc.lastRepriceKrwToUsdRate;
+  if (!(baselineRate > 0)) {
+    await recordRepriceBaseline(currentRate);
+    logger.info(`[${SERVICE_NAME}] No reprice baseline rate yet. Recorded current rate ${currentRate} as baseline.`);
+    return { shouldReprice: false, baselineRate: null, changePercent: 0 };
+  }
+
+  const changePercent = calculateChangePercent(baselineRate, currentRate);
+  return {
+    shouldReprice: Math.abs(changePercent) >= config.repricing.rateChangeTriggerPercent,
+    baselineRate,
+    changePercent,
+  };
+}
+
+module.exports = {
+  repriceSyncedProducts,
+  checkRateMoveSinceLastReprice,
+  calculateChangePercent,
+  buildRepriceTargets,
+};
@@ -0,0 +1,309 @@
+// src/services/shipmentService.js
+// 배송 2구간(번개장터 판매자 → CS Trading 창고, 창고 → 해외 고객) 추적과 고객용 통합 배송 상태.
+// 국내 구간은 주문 상태 머신(orderStateService)의 전이로 갱신되고, 국제 구간은 창고 출고 시 API로 송장을 등록합니다.
+// Shopify fulfillment(고객 배송 알림)는 국제 구간이 시작될 때만 만듭니다.
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const orderLinkService = require('./orderLinkService');
+const fulfillmentService = require('./fulfillmentService');
+const Shipment = require('../models/shipment.model');
+const { withLock } = require('../utils/distributedLock');
+const { buildTrackingInfo } = require('../utils/deliveryCarriers');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ShipmentSvc';
+const SHIPMENT_LOCK_TTL_MS = 2 * 60 * 1000;
+
+// 고객용 상태 진행 순서 (주문 단위 통합 상태는 가장 덜 진행된 line item 기준)
+const CUSTOMER_STATUS_ORDER = ['ORDERED', 'PREPARING', 'TO_WAREHOUSE', 'AT_WAREHOUSE', 'INTERNATIONAL_IN_TRANSIT', 'DELIVERED'];
+const CLOSED_ORDER_STATES = ['CANCELLED', 'REFUNDED', 'RETURNED'];
+
+/**
+ * 두 구간과 주문 상태로 고객용 통합 배송 상태를 구합니다.
+ * @param {{domesticLeg?: object, internationalLeg?: object}} shipment
+ * @param {string|null} orderState - 주문 원장 line item 상태 (orderStateService 상태 머신)
+ * @returns {string} Shipment.customerStatus
+ */
+function computeCustomerStatus(shipment, orderState) {
+  if (orderState === 'CANCELLED' || orderState === 'REFUNDED') return 'CANCELLED';
+  if (orderState === 'RETURNED') return 'RETURNED';
+  const { domesticLeg, internationalLeg } = shipment;
+  if (internationalLeg?.status === 'DELIVERED') return 'DELIVERED';
+  if (internationalLeg?.trackingNumber) return 'INTERNATIONAL_IN_TRANSIT';
+  if (domesticLeg?.status === 'DELIVERED') return 'AT_WAREHOUSE';
+  if (domesticLeg?.status === 'IN_TRANSIT') return 'TO_WAREHOUSE';
+  if (orderState && orderState !== 'PENDING_BUNJANG') return 'PREPARING';
+  return 'ORDERED';
+}
+
+/**
+ * line item별 고객용 상태를 주문 단위로 합칩니다. 취소/반품된 line item은 나머지가 있으면 제외합니다.
+ * @param {string[]} customerStatuses
+ * @returns {string|null} line item이 없으면 null
+ */
+function combineCustomerStatuses(customerStatuses) {
+  if (customerStatuses.length === 0) return null;
+  const active = customerStatuses.filter(status => CUSTOMER_STATUS_ORDER.includes(status));
+  if (active.length === 0) return customerStatuses.every(status => status === 'RETURNED') ? 'RETURNED' : 'CANCELLED';
+  return active.reduce((least, status) => (CUSTOMER_STATUS_ORDER.indexOf(status) < CUSTOMER_STATUS_ORDER.indexOf(least) ? status : least));
+}
+
+/**
+ * line item의 배송 문서를 갱신(없으면 생성)하고 고객용 상태가 바뀌면 이력에 남깁니다.
+ * @param {object} target
+ * @param {string} target.shopifyOrderId
+ * @param {string} target.shopifyOrderGid
+ * @param {object} target.lineItem - 주문 원장 line item
+ * @param {string|null} orderState - 반영 후 주문 상태
+ * @param {Function} buildUpdate - (existing|null) => { domesticLeg?, internationalLeg?, internationalBatchId? } 바꿀 구간만 반환
+ * @param {object} [options]
+ * @param {string} [options.note]
+ * @param {string} [options.jobId]
+ * @returns {Promise<object>} 갱신된 Shipment (lean)
+ */
+async function saveShipment({ shopifyOrderId, shopifyOrderGid, lineItem }, orderState, buildUpdate, { note, jobId } = {}) {
+  const filter = { shopifyOrderId: String(shopifyOrderId), shopifyLineItemId: String(lineItem.shopifyLineItemId) };
+  const existing = await Shipment.findOne(filter).lean();
+  const changes = buildUpdate(existing);
+  const customerStatus = computeCustomerStatus({
+    domesticLeg: changes.domesticLeg || existing?.domesticLeg,
+    internationalLeg: changes.internationalLeg || existing?.internationalLeg,
+  }, orderState);
+
+  const update = {
+    $set: {
+      shopifyOrderGid,
+      bunjangOrderId: lineItem.bunjangOrderId,
+      bunjangPid: lineItem.bunjangPid,
+      customerStatus,
+      ...changes,
+    },
+    $setOnInsert: {
+      warehouse: {
+        name: config.bunjang.csTrading.recipientName2,
+        address: config.bunjang.csTrading.shippingAddress,
+        zipCode: config.bunjang.csTrading.zipCode,
+      },
+    },
+  };
+  if (customerStatus !== existing?.customerStatus) {
+    update.$push = { timeline: { customerStatus, at: new Date(), note, jobId: jobId != null ? String(jobId) : undefined } };
+  }
+  return Shipment.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true }).lean();
+}
+
+/**
+ * 주문 단위 고객용 배송 상태를 Shopify 주문 메타필드(bunjang.shipment_status)에 반영합니다. 실패해도 로그만 남깁니다.
+ * @param {string} shopifyOrderId
+ * @param {string} shopifyOrderGid
+ * @param {string} [jobId]
+ * @returns {Promise<string|null>} 주문 단위 고객용 상태
+ */
+async function publishOrderShipmentStatus(shopifyOrderId, shopifyOrderGid, jobId) {
+  try {
+    const shipments = await Shipment.find({ shopifyOrderId: String(shopifyOrderId) }).select('customerStatus').lean();
+    const orderStatus = combineCustomerStatuses(shipments.map(shipment => shipment.customerStatus));
+    if (orderStatus && shopifyOrderGid) {
+      await shopifyService.updateOrder({
+        id: shopifyOrderGid,
+        metafields: [{
+          namespace: 'bunjang',
+          key: 'shipment_status',
+          value: orderStatus,
+          type: 'single_line_text_field'
+        }]
+      });
+    }
+    return orderStatus;
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId || 'N/A'}] Failed to publish shipment status for Shopify order ${shopifyOrderId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 주문 상태 전이를 국내 구간에 반영합니다. (orderStateService 부수 작업)
+ * 송장이 등록되면 배송 중, 번개장터 배송 완료(창고 입고)/구매 확정이면 도착으로 봅니다.
+ * @param {object} params
+ * @param {string} params.shopifyOrderId
+ * @param {string} params.shopifyOrderGid
+ * @param {object} params.lineItem - 주문 원장 line item
+ * @param {string} params.state - 전이 후 주문 상태
+ * @param {object} [params.delivery] - 번개장터 주문 배송 정보 (delivery.invoice)
+ * @param {string} [params.jobId='N/A']
+ * @returns {Promise<object>} 갱신된 Shipment
+ */
+async function syncDomesticLeg({ shopifyOrderId, shopifyOrderGid, lineItem, state, delivery, jobId = 'N/A' }) {
+  const trackingInfo = buildTrackingInfo(delivery?.invoice);
+  const shipment = await saveShipment({ shopifyOrderId, shopifyOrderGid, lineItem }, state, (existing) => {
+    const now = new Date();
+    const leg = { status: 'PENDING', ...(existing?.domesticLeg || {}) };
+    if (trackingInfo) {
+      if (leg.trackingNumber && leg.trackingNumber !== trackingInfo.number) leg.trackingUpdatedAt = now;
+      leg.carrier = trackingInfo.company;
+      leg.trackingNumber = trackingInfo.number;
+      leg.trackingUrl = trackingInfo.url;
+    }
+    if ((trackingInfo || state === 'IN_TRANSIT') && leg.status === 'PENDING') {
+      leg.status = 'IN_TRANSIT';
+      leg.shippedAt = leg.shippedAt || now;
+    }
+    if (state === 'DELIVERED' || state === 'CONFIRMED') {
+      leg.status = 'DELIVERED';
+      leg.deliveredAt = leg.deliveredAt || now;
+    }
+    return { domesticLeg: leg };
+  }, { note: `Order state ${state}`, jobId });
+
+  await publishOrderShipmentStatus(shopifyOrderId, shopifyOrderGid, jobId);
+  return shipment;
+}
+
+/**
+ * 창고에서 출고한 국제 구간 송장을 주문에 등록하고, 해당 line item들을 Shopify에서 fulfillment합니다. (고객 배송 알림)
+ * 같은 주문에 다시 등록하면 송장이 바뀐 경우 fulfillment 추적 정보를 갱신합니다.
+ * @param {string} shopifyOrderId - 숫자 ID 또는 GID
+ * @param {object} input
+ * @param {string} input.carrier - 국제 배송사 (예: EMS, DHL Express)
+ * @param {string} input.trackingNumber
+ * @param {string} [input.trackingUrl]
+ * @param {string[]} [input.shopifyLineItemIds] - 이번 출고에 포함된 line item (없으면 번개장터 주문이 있는 line item 전부)
+ * @param {string|Date} [input.shippedAt] - 출고 시간 (기본: 지금)
+ * @param {boolean} [input.delivered=false] - 해외 배송 완료로 표시
+ * @param {string} [input.batchId] - 배치 등록 ID
+ * @param {object} [options]
+ * @param {string} [options.jobId='N/A']
+ * @returns {Promise<{shopifyOrderId: string, shopifyLineItemIds: string[], customerStatus: string|null, fulfillment: object}>}
+ * @throws {NotFoundError} 주문 원장이 없는 경우
+ * @throws {ValidationError} 보낼 수 없는 line item이 지정된 경우
+ * @throws {AppError} NO_SHIPPABLE_LINE_ITEMS(409) / SHIPMENT_LOCKED(409)
+ */
+async function registerInternationalLeg(shopifyOrderId, { carrier, trackingNumber, trackingUrl, shopifyLineItemIds, shippedAt, delivered = false, batchId }, { jobId = 'N/A' } = {}) {
+  if (!carrier || !trackingNumber) {
+    throw new ValidationError('국제 배송사와 송장 번호가 필요합니다.', [{ field: 'trackingNumber', message: 'carrier and trackingNumber are required.' }]);
+  }
+  const normalizedOrderId = String(shopifyOrderId).split('/').pop();
+
+  const { acquired, result } = await withLock(`shipment:${normalizedOrderId}`, SHIPMENT_LOCK_TTL_MS, async () => {
+    const link = await orderLinkService.getOrderLink(normalizedOrderId);
+    const shippable = link.lineItems.filter(li => li.bunjangOrderId && !CLOSED_ORDER_STATES.includes(orderLinkService.getLineItemState(li)));
+
+    let targets = shippable;
+    if (shopifyLineItemIds?.length > 0) {
+      const requested = shopifyLineItemIds.map(String);
+      const invalid = requested.filter(id => !shippable.some(li => li.shopifyLineItemId === id));
+      if (invalid.length > 0) {
+        throw new ValidationError('번개장터 주문이 없거나 취소/반품된 line item은 보낼 수 없습니다.', invalid.map(id => ({ field: 'shopifyLineItemIds', message: `line item ${id} is not shippable.` })));
+      }
+      targets = shippable.filter(li => requested.includes(li.shopifyLineItemId));
+    }
+    if (targets.length === 0) {
+      throw new AppError(`Shopify 주문 ${normalizedOrderId}에 보낼 수 있는 line item이 없습니다.`, 409, 'NO_SHIPPABLE_LINE_ITEMS');
+    }
+
+    const trackingInfo = { company: carrier, number: String(trackingNumber).trim(), url: trackingUrl || undefined };
+    const shippedDate = shippedAt ? new Date(shippedAt) : new Date();
+    for (const lineItem of targets) {
+      await saveShipment({ shopifyOrderId: link.shopifyOrderId, shopifyOrderGid: link.shopifyOrderGid, lineItem }, orderLinkService.getLineItemState(lineItem), (existing) => {
+        const leg = { ...(existing?.internationalLeg || {}) };
+        if (leg.trackingNumber && leg.trackingNumber !== trackingInfo.number) leg.trackingUpdatedAt = new Date();
+        leg.carrier = trackingInfo.company;
+        leg.trackingNumber = trackingInfo.number;
+        leg.trackingUrl = trackingInfo.url;
+        leg.shippedAt = leg.shippedAt || shippedDate;
+        leg.status = delivered ? 'DELIVERED' : (leg.status === 'DELIVERED' ? 'DELIVERED' : 'IN_TRANSIT');
+        if (leg.status === 'DELIVERED') leg.deliveredAt = leg.deliveredAt || new Date();
+        return { internationalLeg: leg, ...(batchId && { internationalBatchId: batchId }) };
+      }, { note: `International tracking ${trackingInfo.company} ${trackingInfo.number}`, jobId });
+    }
+
+    // 국제 구간이 시작되었으므로 Shopify fulfillment (고객 배송 알림)
+    const fulfillment = await fulfillmentService.syncLineItemsFulfillment({
+      shopifyOrderId: link.shopifyOrderId,
+      shopifyOrderGid: link.shopifyOrderGid,
+      lineItems: targets,
+      trackingInfo,
+      jobId,
+    });
+    const customerStatus = await publishOrderShipmentStatus(link.shopifyOrderId, link.shopifyOrderGid, jobId);
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Registered international tracking ${trackingInfo.company} ${trackingInfo.number} for order ${link.shopifyOrderId} line items ${targets.map(li => li.shopifyLineItemId).join(', ')}`);
+
+    return {
+      shopifyOrderId: link.shopifyOrderId,
+      shopifyLineItemIds: targets.map(li => li.shopifyLineItemId),
+      customerStatus,
+      fulfillment,
+    };
+  });
+
+  if (!acquired) {
+    throw new AppError(`Shopify 주문 ${normalizedOrderId}의 배송 정보를 다른 곳에서 등록 중입니다.`, 409, 'SHIPMENT_LOCKED');
+  }
+  return result;
+}
+
+/**
+ * 여러 주문의 국제 구간 송장을 한 번에 등록합니다. 주문별로 처리하며 일부가 실패해도 나머지는 계속합니다.
+ * @param {Array<object>} entries - registerInternationalLeg 입력 + shopifyOrderId (carrier가 없으면 defaults.carrier)
+ * @param {object} [options]
+ * @param {string} [options.batchId] - 없으면 생성
+ * @param {string} [options.carrier] - 항목에 carrier가 없을 때 사용할 배송사
+ * @param {string} [options.jobId]
+ * @returns {Promise<{batchId: string, succeeded: Array<object>, failed: Array<{shopifyOrderId: string, errorCode: string, message: string}>}>}
+ */
+async function registerInternationalBatch(entries, { batchId = uuidv4(), carrier, jobId = `SHIPMENT-BATCH-${batchId}` } = {}) {
+  const succeeded = [];
+  const failed = [];
+  for (const entry of entries) {
+    try {
+      succeeded.push(await registerInternationalLeg(entry.shopifyOrderId, { ...entry, carrier: entry.carrier || carrier, batchId }, { jobId }));
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to register international tracking for order ${entry.shopifyOrderId}: ${error.message}`);
+      failed.push({ shopifyOrderId: String(entry.shopifyOrderId), errorCode: error.errorCode || 'INTERNAL_ERROR', message: error.message });
+    }
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] International tracking batch ${batchId}: ${succeeded.length} succeeded, ${failed.length} failed`);
+  return { batchId, succeeded, failed };
+}
+
+/**
+ * line item의 배송 문서를 조회합니다.
+ * @param {string} shopifyOrderId
+ * @param {string|number} shopifyLineItemId
+ * @returns {Promise<object|null>}
+ */
+async function findShipment(shopifyOrderId, shopifyLineItemId) {
+  return Shipment.findOne({ shopifyOrderId: String(shopifyOrderId), shopifyLineItemId: String(shopifyLineItemId) }).lean();
+}
+
+/**
+ * 주문의 배송 정보(line item별 2구간)와 주문 단위 고객용 상태를 조회합니다.
+ * @param {string} shopifyOrderId - 숫자 ID 또는 GID
+ * @returns {Promise<{shopifyOrderId: string, customerStatus: string, shipments: Array<object>}>}
+ * @throws {NotFoundError} 배송 정보가 없는 경우
+ */
+async function getOrderShipments(shopifyOrderId) {
+  const normalizedOrderId = String(shopifyOrderId).split('/').pop();
+  const shipments = await Shipment.find({ shopifyOrderId: normalizedOrderId }).sort({ createdAt: 1 }).lean();
+  if (shipments.length === 0) {
+    throw new NotFoundError(`Shopify 주문 ${shopifyOrderId}의 배송 정보가 없습니다.`, 'Shipment', shopifyOrderId);
+  }
+  return {
+    shopifyOrderId: normalizedOrderId,
+    customerStatus: combineCustomerStatuses(shipments.map(shipment => shipment.customerStatus)),
+    shipments,
+  };
+}
+
+module.exports = {
+  computeCustomerStatus,
+  combineCustomerStatuses,
+  syncDomesticLeg,
+  registerInternationalLeg,
+  registerInternationalBatch,
+  findShipment,
+  getOrderShipments,
+};
@@ -426,8 +426,222 @@ async function enableInventoryTracking(inventoryItemId) {
   return response.data?.inventoryItemUpdate?.inventoryItem;
 }
 
+/**
+ * 재고 수량을 지정한 값으로 설정합니다. (updateInventoryLevel과 달리 1로 강제하지 않음)
+ * 카탈로그에서 사라진 상품의 재고를 0으로 만드는 등 명시적인 수량 설정이 필요할 때 사용합니다.
+ * @param {string} inventoryItemId - Shopify InventoryItem GID
+ * @param {string} locationId - Shopify Location GID
+ * @param {number} quantity - 설정할 수량
+ * @returns {Promise<object|null>} inventoryAdjustmentGroup
+ */
+async function setInventoryQuantity(inventoryItemId, locationId, quantity) {
+  const mutation = `
+    mutation inventorySetOnHandQuantities($input: InventorySetOnHandQuantitiesInput!) {
+      inventorySetOnHandQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          id
+          changes {
+            name
+            delta
+            quantityAfterChange
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Setting inventory for ${inventoryItemId} at ${locationId} to ${quantity}`);
+
+  const response = await shopifyGraphqlRequest(mutation, {
+    input: {
+      reason: 'correction',
+      setQuantities: [{ inventoryItemId, locationId, quantity }],
+    },
+  });
+
+  const userErrors = response.data?.inventorySetOnHandQuantities?.userErrors;
+  if (userErrors?.length > 0) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Inventory set failed: ${errorMessage}`, 'SHOPIFY_INVENTORY_SET_ERROR');
+  }
+
+  return response.data?.inventorySetOnHandQuantities?.inventoryAdjustmentGroup || null;
+}
+
+function formatUserErrors(userErrors) {
+  return userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+}
+
+/**
+ * 상품의 옵션 variant를 원하는 목록과 일치시킵니다. (번개장터 옵션 → Shopify variant)
+ * SKU로 기존 variant를 찾고, SKU가 없는 variant(상품 생성 시 자동 생성된 variant 등)는 옵션 값으로 매칭합니다.
+ * 매칭된 variant는 가격/옵션 값을 갱신하고, 없는 variant는 생성하며, 남는 variant는 삭제합니다.
+ * 재고 수량은 variant별로 BunJang Warehouse에 설정합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @param {string} optionName - Shopify 옵션명
+ * @param {Array<{sku: string, optionValue: string, price: string, compareAtPrice?: string|null, quantity: number}>} desiredVariants
+ * @returns {Promise<Array<{sku: string, variantId: string, inventoryItemId: string|null, optionValue: string}>>}
+ */
+async function syncProductVariants(productId, optionName, desiredVariants) {
+  const productQuery = `
+    query getProductOptionVariants($id: ID!) {
+      product(id: $id) {
+        id
+        options { id name }
+        variants(first: 100) {
+          edges {
+            node {
+              id
+              sku
+              selectedOptions { name value }
+              inventoryItem { id tracked }
+            }
+          }
+        }
+      }
+    }`;
+
+  const loadProduct = async () => {
+    const response = await shopifyGraphqlRequest(productQuery, { id: productId });
+    const product = response.data?.product;
+    if (!product) throw new NotFoundError(`Shopify product not found: ${productId}`, 'ShopifyProduct', productId);
+    return product;
+  };
+
+  let product = await loadProduct();
+
+  // 단일 variant 상품(Default Title)에서 옵션 상품으로 바뀐 경우 옵션을 먼저 생성
+  if (!product.options.some(opt => opt.name === optionName)) {
+    const optionsCreateMutation = `
+      mutation productOptionsCreate($productId: ID!, $options: [OptionCreateInput!]!) {
+        productOptionsCreate(productId: $productId, options: $options, variantStrategy: LEAVE_AS_IS) {
+          userErrors { field message }
+        }
+      }`;
+    const optionsResponse = await shopifyGraphqlRequest(optionsCreateMutation, {
+      productId,
+      options: [{ name: optionName, values: desiredVariants.map(v => ({ name: v.optionValue })) }],
+    });
+    const optionErrors = optionsResponse.data?.productOptionsCreate?.userErrors;
+    if (optionErrors?.length > 0) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Product option creation failed: ${formatUserErrors(optionErrors)}`, 'SHOPIFY_PRODUCT_OPTION_CREATE_ERROR');
+    }
+    product = await loadProduct();
+  }
+
+  const existingVariants = product.variants.edges.map(edge => edge.node);
+  const valueOf = (variant) => variant.selectedOptions?.find(opt => opt.name === optionName)?.value;
+  const matched = new Map(); // sku -> existing variant
+  const claimed = new Set();
+
+  for (const desired of desiredVariants) {
+    const bySku = existingVariants.find(v => v.sku === desired.sku && !claimed.has(v.id));
+    const byValue = bySku || existingVariants.find(v => !v.sku && valueOf(v) === desired.optionValue && !claimed.has(v.id));
+    if (byValue) {
+      matched.set(desired.sku, byValue);
+      claimed.add(byValue.id);
+    }
+  }
+
+  const toUpdate = desiredVariants.filter(d => matched.has(d.sku));
+  const toCreate = desiredVariants.filter(d => !matched.has(d.sku));
+  const toDelete = existingVariants.filter(v => !claimed.has(v.id));
+
+  if (toUpdate.length > 0) {
+    const updateMutation = `
+      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          userErrors { field message }
+        }
+      }`;
+    const updateResponse = await shopifyGraphqlRequest(updateMutation, {
+      productId,
+      variants: toUpdate.map(d => ({
+        id: matched.get(d.sku).id,
+        price: String(d.price),
+        ...(d.compareAtPrice !== undefined && { compareAtPrice: d.compareAtPrice }),
+        inventoryPolicy: 'DENY',
+        optionValues: [{ optionName, name: d.optionValue }],
+      })),
+    });
+    const updateErrors = updateResponse.data?.productVariantsBulkUpdate?.userErrors;
+    if (updateErrors?.length > 0) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Variant bulk update failed: ${formatUserErrors(updateErrors)}`, 'SHOPIFY_VARIANT_BULK_UPDATE_ERROR');
+    }
+    // SKU는 inventoryItem 기준으로 별도 갱신 (updateVariantPriceAndSku와 동일한 방식)
+    for (const d of toUpdate) {
+      const existing = matched.get(d.sku);
+      if (existing.sku !== d.sku) await updateVariantSku(existing.id, d.sku);
+    }
+  }
+
+  if (toCreate.length > 0) {
+    const createMutation = `
+      mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkCreate(productId: $productId, variants: $variants) {
+          userErrors { field message }
+        }
+      }`;
+    const createResponse = await shopifyGraphqlRequest(createMutation, {
+      productId,
+      variants: toCreate.map(d => ({
+        price: String(d.price),
+        ...(d.compareAtPrice && { compareAtPrice: d.compareAtPrice }),
+        inventoryPolicy: 'DENY',
+        optionValues: [{ optionName, name: d.optionValue }],
+        inventoryItem: { sku: d.sku, tracked: true },
+      })),
+    });
+    const createErrors = createResponse.data?.productVariantsBulkCreate?.userErrors;
+    if (createErrors?.length > 0) {
+      throw new ExternalServiceError(SERVICE_NAME, null, `Variant bulk create failed: ${formatUserErrors(createErrors)}`, 'SHOPIFY_VARIANT_BULK_CREATE_ERROR');
+    }
+  }
+
+  if (toDelete.length > 0) {
+    const deleteMutation = `
+      mutation productVariantsBulkDelete($productId: ID!, $variantsIds: [ID!]!) {
+        productVariantsBulkDelete(productId: $productId, variantsIds: $variantsIds) {
+          userErrors { field message }
+        }
+      }`;
+    const deleteResponse = await shopifyGraphqlRequest(deleteMutation, { productId, variantsIds: toDelete.map(v => v.id) });
+    const deleteErrors = deleteResponse.data?.productVariantsBulkDelete?.userErrors;
+    if (deleteErrors?.length > 0) {
+      // 남는 variant 삭제 실패는 치명적이지 않으므로 경고만 남김
+      logger.warn(`[${SERVICE_NAME}] Failed to delete stale variants of ${productId}: ${formatUserErrors(deleteErrors)}`);
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}] Synced option variants for ${productId}: updated ${toUpdate.length}, created ${toCreate.length}, deleted ${toDelete.length}`);
+
+  // 최종 variant 목록을 다시 읽어 재고 설정 및 매핑 정보 반환
+  product = await loadProduct();
+  const finalVariants = product.variants.edges.map(edge => edge.node);
+  const result = [];
+  for (const desired of desiredVariants) {
+    const variant = finalVariants.find(v => v.sku === desired.sku) ||
+      finalVariants.find(v => valueOf(v) === desired.optionValue);
+    if (!variant) {
+      logger.warn(`[${SERVICE_NAME}] Variant for SKU ${desired.sku} not found after sync on ${productId}`);
+      continue;
+    }
+    const inventoryItemId = variant.inventoryItem?.id || null;
+    if (inventoryItemId) {
+      if (!variant.inventoryItem.tracked) await enableInventoryTracking(inventoryItemId);
+      await setInventoryQuantity(inventoryItemId, BUNJANG_WAREHOUSE_GID, desired.quantity);
+    }
+    result.push({ sku: desired.sku, variantId: variant.id, inventoryItemId, optionValue: desired.optionValue });
+  }
+  return result;
+}
+
 // FIX: 가격과 SKU 업데이트를 위한 productVariantsBulkUpdate 사용
-async function updateVariantPriceAndSku(productId, variantId, price, sku) {
+// compareAtPrice: 가격 가드의 정가 표시 (null이면 제거, undefined면 변경하지 않음)
+async function updateVariantPriceAndSku(productId, variantId, price, sku, compareAtPrice) {
   const mutation = `
     mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
       productVariantsBulkUpdate(productId: $productId, variants: $variants) {
@@ -445,7 +659,8 @@ async function updateVariantPriceAndSku(productId, variantId, price, sku) {
   
   const variants = [{
     id: variantId,
-    price: String(price)
+    price: String(price),
+    ...(compareAtPrice !== undefined && { compareAtPrice: compareAtPrice === null ? null : String(compareAtPrice) })
   }];
   
   logger.info(`[${SERVICE_NAME}] Updating variant ${variantId} price to ${price} using productVariantsBulkUpdate`);
@@ -601,7 +816,8 @@ async function updateVariantWithInventoryTracking(variantId, updateData) {
 
 async function createProduct(productInput, collectionGID = null, variantInfo = null) {
   // Remove media field if present (images are added separately)
-  const { media, ...baseProductInput } = productInput;
+  // 신규 상품에는 탈퇴할 컬렉션이 없으므로 collectionsToLeave는 제외
+  const { media, collectionsToLeave, ...baseProductInput } = productInput;
   
   // Ensure product is set to ACTIVE status and published
   baseProductInput.status = 'ACTIVE';
@@ -611,8 +827,9 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
     baseProductInput.publishedAt = new Date().toISOString();
   }
   
+  // 분류 규칙(taxonomy) 등에서 지정한 컬렉션과 기본 컬렉션을 함께 가입
   if (collectionGID) {
-    baseProductInput.collectionsToJoin = [collectionGID];
+    baseProductInput.collectionsToJoin = [...new Set([collectionGID, ...(baseProductInput.collectionsToJoin || [])])];
   }
 
   // In API 2025-04, variants are NOT supported in ProductInput
@@ -698,7 +915,7 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
       
       // 2. 가격과 SKU 업데이트
       logger.info(`[${SERVICE_NAME}] Step 2: Updating price to ${variantInfo.price} and SKU to ${variantInfo.sku}...`);
-      await updateVariantPriceAndSku(productId, variantId, variantInfo.price, variantInfo.sku);
+      await updateVariantPriceAndSku(productId, variantId, variantInfo.price, variantInfo.sku, variantInfo.compareAtPrice);
       logger.info(`[${SERVICE_NAME}] ✅ Price and SKU updated`);
       
       // 3. 재고 정책 업데이트
@@ -894,10 +1111,15 @@ async function updateProduct(productUpdateInput, collectionGIDToJoin = null, col
   const { media, ...finalProductUpdateInput } = productUpdateInput;
   
   if (collectionGIDToJoin) {
-    finalProductUpdateInput.collectionsToJoin = [collectionGIDToJoin];
+    finalProductUpdateInput.collectionsToJoin = [...new Set([collectionGIDToJoin, ...(finalProductUpdateInput.collectionsToJoin || [])])];
   }
   if (collectionGIDToLeave) {
-    finalProductUpdateInput.collectionsToLeave = [collectionGIDToLeave];
+    finalProductUpdateInput.collectionsToLeave = [...new Set([collectionGIDToLeave, ...(finalProductUpdateInput.collectionsToLeave || [])])];
+  }
+  if (finalProductUpdateInput.collectionsToLeave?.length) {
+    const joining = finalProductUpdateInput.collectionsToJoin || [];
+    finalProductUpdateInput.collectionsToLeave = finalProductUpdateInput.collectionsToLeave.filter(id => !joining.includes(id));
+    if (finalProductUpdateInput.collectionsToLeave.length === 0) delete finalProductUpdateInput.collectionsToLeave;
   }
 
   const mutation = `
@@ -1221,6 +1443,308 @@ async function appendMediaToProduct(productId, mediaInputs) {
   }
 }
 
+/**
+ * 상품의 현재 미디어 목록을 Shopify 표시 순서대로 조회합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @returns {Promise<Array<{id: string, status: string, mediaContentType: string}>|null>} 상품이 없으면 null
+ */
+async function getProductMedia(productId) {
+  const query = `
+    query productMedia($id: ID!) {
+      product(id: $id) {
+        id
+        media(first: 250) {
+          edges {
+            node {
+              id
+              status
+              mediaContentType
+            }
+          }
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  const product = response.data?.product;
+  if (!product) return null;
+  return (product.media?.edges || []).map(edge => edge.node);
+}
+
+/**
+ * 상품에서 미디어를 삭제합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @param {string[]} mediaIds - 삭제할 미디어 GID 목록
+ * @returns {Promise<string[]>} 삭제된 미디어 GID 목록
+ */
+async function deleteProductMedia(productId, mediaIds) {
+  if (!mediaIds || mediaIds.length === 0) return [];
+  const mutation = `
+    mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  logger.info(`[${SERVICE_NAME}] Deleting ${mediaIds.length} media items from product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, { productId, mediaIds });
+  const result = response.data?.productDeleteMedia;
+  if (result?.mediaUserErrors?.length > 0) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media deletion failed: ${formatUserErrors(result.mediaUserErrors)}`, 'SHOPIFY_MEDIA_DELETE_ERROR');
+  }
+  return result?.deletedMediaIds || [];
+}
+
+/**
+ * 상품 미디어 순서를 변경합니다. (Shopify에서 비동기 Job으로 처리됨)
+ * @param {string} productId - Shopify 상품 GID
+ * @param {Array<{id: string, newPosition: number}>} moves - 이동할 미디어와 0부터 시작하는 새 위치
+ * @returns {Promise<string|null>} Shopify Job ID
+ */
+async function reorderProductMedia(productId, moves) {
+  if (!moves || moves.length === 0) return null;
+  const mutation = `
+    mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+      productReorderMedia(id: $id, moves: $moves) {
+        job {
+          id
+        }
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, {
+    id: productId,
+    moves: moves.map(move => ({ id: move.id, newPosition: String(move.newPosition) })),
+  });
+  const result = response.data?.productReorderMedia;
+  if (result?.mediaUserErrors?.length > 0) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media reorder failed: ${formatUserErrors(result.mediaUserErrors)}`, 'SHOPIFY_MEDIA_REORDER_ERROR');
+  }
+  return result?.job?.id || null;
+}
+
+/**
+ * 상품의 variant 목록(ID, SKU, 현재 가격)을 조회합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @returns {Promise<Array<{id: string, sku: string|null, price: string}>|null>} 상품이 없으면 null
+ */
+async function getProductVariantPrices(productId) {
+  const query = `
+    query productVariantPrices($id: ID!) {
+      product(id: $id) {
+        id
+        variants(first: 100) {
+          edges {
+            node {
+              id
+              sku
+              price
+            }
+          }
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: productId });
+  const product = response.data?.product;
+  if (!product) return null;
+  return (product.variants?.edges || []).map(edge => edge.node);
+}
+
+/**
+ * 한 상품의 여러 variant 가격을 한 번의 productVariantsBulkUpdate로 갱신합니다.
+ * @param {string} productId - Shopify 상품 GID
+ * @param {Array<{id: string, price: string, compareAtPrice?: string|null}>} variants - 갱신할 variant GID와 새 가격 (compareAtPrice가 undefined면 변경하지 않음)
+ * @returns {Promise<Array<{id: string, price: string}>>} 갱신된 variant 목록
+ */
+async function updateVariantPrices(productId, variants) {
+  if (!variants || variants.length === 0) return [];
+  const mutation = `
+    mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants {
+          id
+          price
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+  logger.info(`[${SERVICE_NAME}] Updating prices of ${variants.length} variants on product ${productId}`);
+  const response = await shopifyGraphqlRequest(mutation, {
+    productId,
+    variants: variants.map(variant => ({
+      id: variant.id,
+      price: String(variant.price),
+      ...(variant.compareAtPrice !== undefined && { compareAtPrice: variant.compareAtPrice === null ? null : String(variant.compareAtPrice) }),
+    })),
+  });
+  const result = response.data?.productVariantsBulkUpdate;
+  if (result?.userErrors?.length > 0) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Variant price update failed: ${formatUserErrors(result.userErrors)}`, 'SHOPIFY_VARIANT_PRICE_UPDATE_ERROR');
+  }
+  return result?.productVariants || [];
+}
+
+/**
+ * Shopify Markets 가격표(price list) 목록을 조회합니다.
+ * @returns {Promise<Array<{id: string, name: string, currency: string}>>}
+ */
+async function getPriceLists() {
+  const query = `
+    query priceLists {
+      priceLists(first: 100) {
+        nodes {
+          id
+          name
+          currency
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query);
+  return response.data?.priceLists?.nodes || [];
+}
+
+/**
+ * 가격표에 variant별 고정 가격을 추가하거나 갱신합니다.
+ * @param {string} priceListId - PriceList GID
+ * @param {Array<{variantId: string, amount: string, currencyCode: string}>} prices
+ * @returns {Promise<string[]>} 가격이 설정된 variant GID 목록
+ */
+async function addPriceListFixedPrices(priceListId, prices) {
+  if (!prices || prices.length === 0) return [];
+  const mutation = `
+    mutation priceListFixedPricesAdd($priceListId: ID!, $prices: [PriceListPriceInput!]!) {
+      priceListFixedPricesAdd(priceListId: $priceListId, prices: $prices) {
+        prices {
+          variant { id }
+        }
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(mutation, {
+    priceListId,
+    prices: prices.map(price => ({ variantId: price.variantId, price: { amount: price.amount, currencyCode: price.currencyCode } })),
+  });
+  const result = response.data?.priceListFixedPricesAdd;
+  if (result?.userErrors?.length > 0) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Price list fixed price update failed: ${formatUserErrors(result.userErrors)}`, 'SHOPIFY_PRICE_LIST_UPDATE_ERROR');
+  }
+  return (result?.prices || []).map(price => price.variant?.id).filter(Boolean);
+}
+
+/**
+ * 주문의 fulfillment order와 line item별 남은 수량을 조회합니다.
+ * @param {string} orderId - Shopify 주문 GID
+ * @returns {Promise<Array<{id: string, status: string, lineItems: Array<{id: string, remainingQuantity: number, lineItemId: string}>}>>}
+ */
+async function getOrderFulfillmentOrders(orderId) {
+  const query = `
+    query orderFulfillmentOrders($id: ID!) {
+      order(id: $id) {
+        fulfillmentOrders(first: 20) {
+          nodes {
+            id
+            status
+            lineItems(first: 100) {
+              nodes {
+                id
+                remainingQuantity
+                lineItem { id }
+              }
+            }
+          }
+        }
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { id: orderId });
+  return (response.data?.order?.fulfillmentOrders?.nodes || []).map(fulfillmentOrder => ({
+    id: fulfillmentOrder.id,
+    status: fulfillmentOrder.status,
+    lineItems: (fulfillmentOrder.lineItems?.nodes || []).map(item => ({
+      id: item.id,
+      remainingQuantity: item.remainingQuantity,
+      lineItemId: item.lineItem?.id,
+    })),
+  }));
+}
+
+/**
+ * fulfillment order line item 일부(또는 전부)에 대해 추적 정보와 함께 fulfillment를 생성합니다.
+ * @param {object} params
+ * @param {Array<{fulfillmentOrderId: string, fulfillmentOrderLineItems: Array<{id: string, quantity: number}>}>} params.lineItemsByFulfillmentOrder
+ * @param {{company?: string, number: string, url?: string}} params.trackingInfo
+ * @param {boolean} [params.notifyCustomer=true] - 고객에게 배송 알림 이메일 발송
+ * @returns {Promise<{id: string, status: string, trackingInfo: Array<object>}>}
+ */
+async function createFulfillment({ lineItemsByFulfillmentOrder, trackingInfo, notifyCustomer = true }) {
+  const mutation = `
+    mutation fulfillmentCreate($fulfillment: FulfillmentInput!) {
+      fulfillmentCreate(fulfillment: $fulfillment) {
+        fulfillment {
+          id
+          status
+          trackingInfo { company number url }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+  logger.info(`[${SERVICE_NAME}] Creating fulfillment for ${lineItemsByFulfillmentOrder.length} fulfillment orders (tracking ${trackingInfo?.number})`);
+  const response = await shopifyGraphqlRequest(mutation, {
+    fulfillment: { lineItemsByFulfillmentOrder, trackingInfo, notifyCustomer },
+  });
+  const result = response.data?.fulfillmentCreate;
+  if (result?.userErrors?.length > 0) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Fulfillment creation failed: ${formatUserErrors(result.userErrors)}`, 'SHOPIFY_FULFILLMENT_CREATE_ERROR');
+  }
+  return result?.fulfillment;
+}
+
+/**
+ * 기존 fulfillment의 추적 정보를 변경합니다.
+ * @param {string} fulfillmentId - Fulfillment GID
+ * @param {{company?: string, number: string, url?: string}} trackingInfo
+ * @param {boolean} [notifyCustomer=true] - 고객에게 배송 정보 변경 알림 발송
+ * @returns {Promise<{id: string, trackingInfo: Array<object>}>}
+ */
+async function updateFulfillmentTracking(fulfillmentId, trackingInfo, notifyCustomer = true) {
+  const mutation = `
+    mutation fulfillmentTrackingInfoUpdate($fulfillmentId: ID!, $trackingInfoInput: FulfillmentTrackingInput!, $notifyCustomer: Boolean) {
+      fulfillmentTrackingInfoUpdate(fulfillmentId: $fulfillmentId, trackingInfoInput: $trackingInfoInput, notifyCustomer: $notifyCustomer) {
+        fulfillment {
+          id
+          trackingInfo { company number url }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+  logger.info(`[${SERVICE_NAME}] Updating tracking of fulfillment ${fulfillmentId} to ${trackingInfo?.number}`);
+  const response = await shopifyGraphqlRequest(mutation, { fulfillmentId, trackingInfoInput: trackingInfo, notifyCustomer });
+  const result = response.data?.fulfillmentTrackingInfoUpdate;
+  if (result?.userErrors?.length > 0) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Fulfillment tracking update failed: ${formatUserErrors(result.userErrors)}`, 'SHOPIFY_FULFILLMENT_TRACKING_ERROR');
+  }
+  return result?.fulfillment;
+}
+
 async function findProductByBunjangPidTag(bunjangPid) {
   const searchQuery = `tag:'bunjang_pid:${String(bunjangPid).trim()}'`;
   const query = `
@@ -1411,17 +1935,29 @@ module.exports = {
   updateProduct,
   updateProductVariant,
   appendMediaToProduct,
+  getProductMedia,
+  deleteProductMedia,
+  reorderProductMedia,
   findProductByBunjangPidTag,
   updateOrder,
   addProductsToCollection,
   updateInventoryLevel,
+  setInventoryQuantity,
   publishProductToOnlineStore,
   getOrderMetafield,
+  getOrderFulfillmentOrders,
+  createFulfillment,
+  updateFulfillmentTracking,
   deleteProduct,
   activateInventoryAtLocation,
   getDefaultLocationId,
   updateVariantWithInventoryTracking,
   updateVariantPriceAndSku,
+  getProductVariantPrices,
+  updateVariantPrices,
+  getPriceLists,
+  addPriceListFixedPrices,
   updateVariantSku,
   enableInventoryTracking,
+  syncProductVariants,
 };
\ No newline at end of file
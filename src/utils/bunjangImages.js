@@ -0,0 +1,68 @@
+// src/utils/bunjangImages.js
+// 번개장터 상품 이미지 URL을 정규화하고, 원본 이미지별 해시(sourceHash)를 계산합니다.
+// sourceHash는 SyncedProduct.bunjangImageMappings에서 Shopify 미디어와의 매핑 키로 사용됩니다.
+
+const crypto = require('crypto');
+const { normalizeList } = require('./productFingerprint');
+
+const BUNJANG_IMAGE_RESOLUTION = '856'; // 번개장터 이미지 URL의 {res} 자리에 넣을 해상도
+const BUNJANG_IMAGE_DOMAINS = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
+const KNOWN_IMAGE_CDNS = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
+
+/**
+ * 번개장터 이미지 URL을 Shopify가 가져갈 수 있는 형태로 정규화합니다.
+ * (http → https, {res} 해상도 치환, 번개장터/이미지 CDN/이미지 확장자 URL만 허용)
+ * @param {string} url
+ * @returns {string|null} 지원하지 않는 URL이면 null
+ */
+function normalizeBunjangImageUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  let processedUrl = url.trim();
+  if (processedUrl.startsWith('http://')) processedUrl = processedUrl.replace('http://', 'https://');
+  if (processedUrl.includes('{res}')) processedUrl = processedUrl.replace('{res}', BUNJANG_IMAGE_RESOLUTION);
+  if (!processedUrl.startsWith('https://')) return null;
+
+  try {
+    const urlObj = new URL(processedUrl);
+    if (BUNJANG_IMAGE_DOMAINS.some(domain => urlObj.hostname.includes(domain))) return processedUrl;
+    if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) return processedUrl;
+    if (KNOWN_IMAGE_CDNS.some(cdn => urlObj.hostname.includes(cdn))) return processedUrl;
+    return null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 정규화된 이미지 URL의 해시를 계산합니다.
+ * @param {string} normalizedUrl - normalizeBunjangImageUrl 결과
+ * @returns {string} SHA-1 hex
+ */
+function hashImageSource(normalizedUrl) {
+  return crypto.createHash('sha1').update(normalizedUrl).digest('hex');
+}
+
+/**
+ * 번개장터 상품의 이미지 목록을 번개장터 순서대로, 중복 없이 정규화합니다.
+ * @param {Array|string} images - processCatalogRow 결과의 images (배열 또는 콤마 구분 문자열)
+ * @returns {Array<{sourceHash: string, sourceUrl: string, position: number}>}
+ */
+function buildBunjangImageList(images) {
+  const seen = new Set();
+  const result = [];
+  for (const rawUrl of normalizeList(images)) {
+    const sourceUrl = normalizeBunjangImageUrl(rawUrl);
+    if (!sourceUrl) continue;
+    const sourceHash = hashImageSource(sourceUrl);
+    if (seen.has(sourceHash)) continue;
+    seen.add(sourceHash);
+    result.push({ sourceHash, sourceUrl, position: result.length });
+  }
+  return result;
+}
+
+module.exports = {
+  normalizeBunjangImageUrl,
+  hashImageSource,
+  buildBunjangImageList,
+};
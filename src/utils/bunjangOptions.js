@@ -0,0 +1,79 @@
+// src/utils/bunjangOptions.js
+// 번개장터 상품 options JSON을 Shopify 옵션/variant 매핑용 구조로 정규화합니다.
+// 카탈로그 options 예: [{ "id": "1234", "name": "색상", "value": "빨강", "price": 15000, "quantity": 1 }, ...]
+// 번개장터 주문은 옵션 하나(id)를 지정하므로, 옵션 항목 하나 = Shopify variant 하나로 매핑합니다.
+
+const DEFAULT_OPTION_NAME = 'Option';
+const MAX_SHOPIFY_VARIANTS = 100;
+
+/**
+ * options 원본 값(JSON 문자열 또는 배열)을 배열로 파싱합니다.
+ * @param {string|Array|null|undefined} optionsRaw
+ * @returns {Array<object>} 파싱 실패 또는 비어있으면 빈 배열.
+ */
+function parseOptionsRaw(optionsRaw) {
+  if (Array.isArray(optionsRaw)) return optionsRaw;
+  if (typeof optionsRaw !== 'string' || !optionsRaw.trim()) return [];
+  try {
+    const parsed = JSON.parse(optionsRaw.trim());
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * 번개장터 옵션을 정규화합니다.
+ * - 옵션 그룹명(name/group/optionName)이 모두 같으면 그 이름을 Shopify 옵션명으로 사용하고,
+ *   그룹이 여러 개면 단일 Shopify 옵션('Option')에 "그룹: 값" 형태로 값을 만듭니다.
+ * - 옵션별 가격(price)이 없으면 상품 기본 가격을 사용하고, 추가금(extraPrice/additionalPrice)은 기본 가격에 더합니다.
+ * @param {string|Array} optionsRaw - 카탈로그/상품 상세의 options 원본.
+ * @param {number} basePriceKrw - 상품 기본 가격 (KRW).
+ * @returns {{optionName: string, variants: Array<{bunjangOptionId: string, optionValue: string, priceKrw: number, quantity: number}>}|null}
+ * 유효한 옵션이 없으면 null (단일 variant 상품).
+ */
+function normalizeBunjangOptions(optionsRaw, basePriceKrw) {
+  const entries = parseOptionsRaw(optionsRaw)
+    .filter(opt => opt && opt.id !== undefined && opt.id !== null && String(opt.value ?? '').trim() !== '');
+  if (entries.length === 0) return null;
+
+  const groupOf = (opt) => String(opt.name || opt.group || opt.optionName || '').trim();
+  const groups = [...new Set(entries.map(groupOf))];
+  const singleGroup = groups.length === 1;
+  const optionName = singleGroup && groups[0] ? groups[0] : DEFAULT_OPTION_NAME;
+
+  const usedValues = new Set();
+  const variants = entries.slice(0, MAX_SHOPIFY_VARIANTS).map((opt) => {
+    const group = groupOf(opt);
+    let optionValue = String(opt.value).trim();
+    if (!singleGroup && group) optionValue = `${group}: ${optionValue}`;
+    // Shopify 옵션 값은 상품 내에서 유일해야 함
+    if (usedValues.has(optionValue)) optionValue = `${optionValue} (${opt.id})`;
+    usedValues.add(optionValue);
+
+    const extraPrice = Number(opt.extraPrice ?? opt.additionalPrice ?? 0) || 0;
+    const ownPrice = Number(opt.price);
+    const priceKrw = ownPrice > 0 ? ownPrice : Number(basePriceKrw) + extraPrice;
+    const quantity = opt.quantity !== undefined && opt.quantity !== null ? Math.max(0, parseInt(opt.quantity, 10) || 0) : 1;
+
+    return { bunjangOptionId: String(opt.id), optionValue, priceKrw, quantity };
+  });
+
+  return { optionName, variants };
+}
+
+/**
+ * 옵션별 Shopify SKU를 생성합니다.
+ * @param {string} pid - 번개장터 상품 ID
+ * @param {string} bunjangOptionId - 번개장터 옵션 ID
+ * @returns {string} `BJ-<pid>-<optionId>`
+ */
+function buildOptionSku(pid, bunjangOptionId) {
+  return `BJ-${pid}-${bunjangOptionId}`;
+}
+
+module.exports = {
+  parseOptionsRaw,
+  normalizeBunjangOptions,
+  buildOptionSku,
+};
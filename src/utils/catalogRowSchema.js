@@ -0,0 +1,130 @@
+// src/utils/catalogRowSchema.js
+// 번개장터 카탈로그 CSV 행 스키마와 검증.
+// 검증 오류는 { field, code, message, value } 형태의 타입이 있는 오류 목록으로 반환되어
+// 격리(quarantine) 컬렉션과 실행 통계에 그대로 저장됩니다.
+
+const ROW_ERROR_CODES = Object.freeze({
+  MISSING_COLUMN: 'MISSING_COLUMN', // CSV에 컬럼 자체가 없음 (번개장터 컬럼명 변경 의심)
+  REQUIRED: 'REQUIRED', // 값이 비어 있음
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_JSON: 'INVALID_JSON',
+});
+
+/**
+ * 컬럼 정의. columns는 허용하는 CSV 컬럼명 (앞의 것이 우선).
+ * 'shipppingFee'는 번개장터 카탈로그의 오타 컬럼명으로, 하위 호환을 위해 별칭으로만 허용합니다.
+ */
+const CATALOG_ROW_SCHEMA = Object.freeze({
+  pid: { columns: ['pid'], type: 'string', required: true },
+  name: { columns: ['name'], type: 'string', required: true },
+  description: { columns: ['description'], type: 'string' },
+  price: { columns: ['price'], type: 'price', required: true, min: 1 },
+  shippingFee: { columns: ['shippingFee', 'shipppingFee'], type: 'price', min: 0, defaultValue: 0 },
+  condition: { columns: ['condition'], type: 'string', defaultValue: 'USED' },
+  saleStatus: { columns: ['saleStatus'], type: 'string', required: true },
+  keywords: { columns: ['keywords'], type: 'string' },
+  images: { columns: ['images'], type: 'raw' },
+  categoryId: { columns: ['categoryId'], type: 'string' },
+  categoryName: { columns: ['category_name', 'categoryName'], type: 'string' },
+  brandId: { columns: ['brandId'], type: 'string' },
+  options: { columns: ['options'], type: 'json', warnOnly: true }, // 파싱 실패 시 단일 variant 상품으로 처리
+  uid: { columns: ['uid'], type: 'string' },
+  updatedAt: { columns: ['updatedAt'], type: 'date', required: true },
+  createdAt: { columns: ['createdAt'], type: 'date' },
+});
+
+/**
+ * 가격 문자열을 숫자로 변환합니다. (콤마, 원화 기호 등 숫자 외 문자 제거)
+ * @param {*} value
+ * @returns {number} 변환 불가 시 NaN
+ */
+function parsePrice(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  if (typeof value === 'string') return parseFloat(value.replace(/[^\d.-]/g, ''));
+  return parseFloat(value);
+}
+
+function readColumn(row, columns) {
+  for (const column of columns) {
+    if (Object.prototype.hasOwnProperty.call(row, column)) return { present: true, value: row[column] };
+  }
+  return { present: false, value: undefined };
+}
+
+/**
+ * 단일 필드를 검증/변환합니다.
+ * @returns {{value: *, error: object|null}}
+ */
+function validateField(field, definition, row) {
+  const { present, value } = readColumn(row, definition.columns);
+  const text = typeof value === 'string' ? value.trim() : value;
+  const isEmpty = text === undefined || text === null || text === '';
+
+  if (isEmpty) {
+    if (definition.required) {
+      const code = present ? ROW_ERROR_CODES.REQUIRED : ROW_ERROR_CODES.MISSING_COLUMN;
+      const message = present ? `${field} is empty` : `column ${definition.columns.join('|')} is missing`;
+      return { value: undefined, error: { field, code, message, value: value ?? null } };
+    }
+    return { value: definition.defaultValue, error: null };
+  }
+
+  switch (definition.type) {
+    case 'price': {
+      const parsed = parsePrice(text);
+      if (isNaN(parsed)) return { value: undefined, error: { field, code: ROW_ERROR_CODES.INVALID_NUMBER, message: `${field} is not a number`, value } };
+      if (definition.min !== undefined && parsed < definition.min) {
+        return { value: parsed, error: { field, code: ROW_ERROR_CODES.OUT_OF_RANGE, message: `${field} must be >= ${definition.min}`, value } };
+      }
+      return { value: parsed, error: null };
+    }
+    case 'date': {
+      const date = new Date(text);
+      if (isNaN(date.getTime())) return { value: null, error: { field, code: ROW_ERROR_CODES.INVALID_DATE, message: `${field} is not a valid date`, value } };
+      return { value: date, error: null };
+    }
+    case 'json': {
+      if (typeof text !== 'string') return { value: text, error: null };
+      try {
+        JSON.parse(text);
+      } catch (e) {
+        return { value: text, error: { field, code: ROW_ERROR_CODES.INVALID_JSON, message: `${field} is not valid JSON`, value } };
+      }
+      return { value: text, error: null }; // 원본 문자열 유지 (bunjangOptions에서 파싱)
+    }
+    case 'string':
+      return { value: String(text), error: null };
+    default:
+      return { value, error: null };
+  }
+}
+
+/**
+ * 카탈로그 CSV 행을 스키마로 검증합니다.
+ * @param {object} row - csv-parser 행 객체
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - 검증할 필드 (기본: 전체)
+ * @returns {{values: object, errors: Array<{field: string, code: string, message: string, value: *}>, warnings: Array<object>}}
+ * errors가 하나라도 있으면 행을 거부(격리)해야 하고, warnings(warnOnly 필드)는 로그만 남깁니다.
+ */
+function validateCatalogRow(row, { fields } = {}) {
+  const values = {};
+  const errors = [];
+  const warnings = [];
+  for (const field of fields || Object.keys(CATALOG_ROW_SCHEMA)) {
+    const definition = CATALOG_ROW_SCHEMA[field];
+    const { value, error } = validateField(field, definition, row);
+    values[field] = value;
+    if (error) (definition.warnOnly ? warnings : errors).push(error);
+  }
+  return { values, errors, warnings };
+}
+
+module.exports = {
+  ROW_ERROR_CODES,
+  CATALOG_ROW_SCHEMA,
+  parsePrice,
+  validateCatalogRow,
+};
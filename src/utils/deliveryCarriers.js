@@ -0,0 +1,62 @@
+// src/utils/deliveryCarriers.js
+// 번개장터 택배사 코드(delivery.invoice.companyCode)를 Shopify 추적 정보(택배사 이름, 배송 조회 URL)로 변환합니다.
+
+const COMPANY_NAMES = {
+  'cj': 'CJ Logistics',
+  'hanjin': 'Hanjin Express',
+  'lotte': 'Lotte Global Logistics',
+  'post': 'Korea Post',
+  'logen': 'Logen'
+};
+
+const TRACKING_URL_BUILDERS = {
+  'cj': trackingNumber => `https://www.cjlogistics.com/ko/tool/parcel/tracking?gnbInvcNo=${trackingNumber}`,
+  'hanjin': trackingNumber => `https://www.hanjin.co.kr/kor/CMS/DeliveryMgr/WaybillResult.do?mCode=MN038&schLang=KR&wblnumText2=${trackingNumber}`,
+  'lotte': trackingNumber => `https://www.lotteglogis.com/home/reservation/tracking/linkView?InvNo=${trackingNumber}`,
+  'post': trackingNumber => `https://service.epost.go.kr/trace.RetrieveDomRigiTraceList.comm?sid1=${trackingNumber}`,
+  'logen': trackingNumber => `https://www.ilogen.com/web/personal/trace/${trackingNumber}`
+};
+
+/**
+ * 택배사 코드를 택배사 이름으로 변환합니다.
+ * @param {string} companyCode - 번개장터 택배사 코드 (예: cj)
+ * @returns {string} 알 수 없는 코드면 코드 그대로
+ */
+function mapDeliveryCompany(companyCode) {
+  return COMPANY_NAMES[companyCode] || companyCode;
+}
+
+/**
+ * 택배사 배송 조회 URL을 만듭니다.
+ * @param {string} companyCode
+ * @param {string} trackingNumber - 송장 번호
+ * @returns {string} 알 수 없는 택배사면 '#'
+ */
+function getTrackingUrl(companyCode, trackingNumber) {
+  const buildUrl = TRACKING_URL_BUILDERS[companyCode];
+  return buildUrl ? buildUrl(trackingNumber) : '#';
+}
+
+/**
+ * 번개장터 송장 정보를 Shopify 추적 정보로 변환합니다.
+ * 택배사 코드가 있으면 코드로 이름/URL을 정하고, 없으면 송장에 있는 이름/URL을 사용합니다.
+ * @param {object} invoice - 번개장터 delivery.invoice ({ companyCode, companyName, no, url })
+ * @returns {{company: string|undefined, number: string, url: string|undefined}|null} 송장 번호가 없으면 null
+ */
+function buildTrackingInfo(invoice) {
+  if (!invoice || !invoice.no) return null;
+  const trackingNumber = String(invoice.no).trim();
+  const company = invoice.companyCode ? mapDeliveryCompany(invoice.companyCode) : invoice.companyName;
+  const url = invoice.companyCode ? getTrackingUrl(invoice.companyCode, trackingNumber) : invoice.url;
+  return {
+    company: company || undefined,
+    number: trackingNumber,
+    url: url && url !== '#' ? url : (invoice.url || undefined),
+  };
+}
+
+module.exports = {
+  mapDeliveryCompany,
+  getTrackingUrl,
+  buildTrackingInfo,
+};
@@ -0,0 +1,101 @@
+// src/utils/distributedLock.js
+// Redis 기반 분산 락 (SET NX PX + 토큰 비교 해제).
+// 여러 프로세스(웹훅 워커, 재처리 스크립트)가 같은 자원을 동시에 처리하지 않도록 합니다.
+// Redis가 비활성화되어 있으면 같은 프로세스 안에서만 유효한 메모리 락으로 대신합니다.
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/redisClient');
+
+const KEY_PREFIX = 'lock:';
+const localLocks = new Map(); // Redis 비활성화 시 사용 (key -> { token, expiresAt })
+
+// 토큰이 일치할 때만 삭제/연장 (다른 프로세스가 만료 후 다시 잡은 락을 건드리지 않도록)
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+const EXTEND_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+
+/**
+ * 락을 획득합니다.
+ * @param {string} key - 락 이름 (예: shopify-order:123)
+ * @param {number} ttlMs - 락 만료 시간 (프로세스가 죽어도 이 시간 뒤에 풀림)
+ * @returns {Promise<string|null>} 획득 시 해제용 토큰, 이미 다른 곳에서 잡고 있으면 null
+ */
+async function acquireLock(key, ttlMs) {
+  const token = uuidv4();
+  const redis = config.redis.enabled ? getRedisClient() : null;
+  if (!redis) {
+    const existing = localLocks.get(key);
+    if (existing && existing.expiresAt > Date.now()) return null;
+    localLocks.set(key, { token, expiresAt: Date.now() + ttlMs });
+    return token;
+  }
+  const result = await redis.set(`${KEY_PREFIX}${key}`, token, 'PX', ttlMs, 'NX');
+  return result === 'OK' ? token : null;
+}
+
+/**
+ * 락 만료 시간을 연장합니다.
+ * @param {string} key
+ * @param {string} token - acquireLock이 반환한 토큰
+ * @param {number} ttlMs
+ * @returns {Promise<boolean>} 연장 성공 여부 (false면 락을 잃은 것)
+ */
+async function extendLock(key, token, ttlMs) {
+  const redis = config.redis.enabled ? getRedisClient() : null;
+  if (!redis) {
+    const existing = localLocks.get(key);
+    if (!existing || existing.token !== token) return false;
+    existing.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+  return (await redis.eval(EXTEND_SCRIPT, 1, `${KEY_PREFIX}${key}`, token, ttlMs)) === 1;
+}
+
+/**
+ * 락을 해제합니다. 토큰이 다르면(이미 만료되어 다른 곳이 잡은 경우) 아무것도 하지 않습니다.
+ * @param {string} key
+ * @param {string} token
+ */
+async function releaseLock(key, token) {
+  const redis = config.redis.enabled ? getRedisClient() : null;
+  if (!redis) {
+    if (localLocks.get(key)?.token === token) localLocks.delete(key);
+    return;
+  }
+  await redis.eval(RELEASE_SCRIPT, 1, `${KEY_PREFIX}${key}`, token);
+}
+
+/**
+ * 락을 잡은 상태로 fn을 실행합니다. 실행 중에는 ttlMs/3 간격으로 만료 시간을 연장합니다.
+ * @param {string} key
+ * @param {number} ttlMs
+ * @param {Function} fn - () => Promise
+ * @returns {Promise<{acquired: boolean, result?: *}>} 락을 잡지 못하면 fn을 실행하지 않고 acquired: false
+ */
+async function withLock(key, ttlMs, fn) {
+  const token = await acquireLock(key, ttlMs);
+  if (!token) return { acquired: false };
+
+  const refreshTimer = setInterval(() => {
+    extendLock(key, token, ttlMs)
+      .then((extended) => {
+        if (!extended) logger.warn(`[DistributedLock] Lost lock "${key}" while still running.`);
+      })
+      .catch(error => logger.warn(`[DistributedLock] Failed to extend lock "${key}": ${error.message}`));
+  }, Math.max(Math.floor(ttlMs / 3), 1000));
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    clearInterval(refreshTimer);
+    await releaseLock(key, token).catch(error => logger.warn(`[DistributedLock] Failed to release lock "${key}": ${error.message}`));
+  }
+}
+
+module.exports = {
+  acquireLock,
+  extendLock,
+  releaseLock,
+  withLock,
+};
@@ -0,0 +1,56 @@
+// src/utils/productFingerprint.js
+// 번개장터 카탈로그 상품의 콘텐츠 지문(fingerprint)을 계산합니다.
+// 카탈로그 재처리 시 변경 여부(콘텐츠/가격)를 판단하는 데 사용됩니다.
+
+const crypto = require('crypto');
+
+/**
+ * 배열/문자열 형태의 목록 값을 비교 가능한 문자열 배열로 정규화합니다.
+ * @param {Array|string|undefined|null} value
+ * @returns {string[]}
+ */
+function normalizeList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v ?? '').trim()).filter(Boolean);
+  if (typeof value === 'string' && value.trim() !== '') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Shopify 상품 콘텐츠에 영향을 주는 필드만으로 지문을 계산합니다. (가격 필드 제외)
+ * 이미지 순서는 Shopify 미디어 순서에 영향을 주므로 정렬하지 않습니다.
+ * @param {object} bunjangProduct - catalogService.processCatalogRow 결과 객체.
+ * @returns {string} SHA-1 hex 지문.
+ */
+function computeContentFingerprint(bunjangProduct) {
+  const content = {
+    name: String(bunjangProduct.name || '').trim(),
+    description: String(bunjangProduct.description || '').trim(),
+    condition: bunjangProduct.condition || null,
+    categoryId: bunjangProduct.categoryId ? String(bunjangProduct.categoryId) : null,
+    categoryName: bunjangProduct.categoryName || null,
+    brandId: bunjangProduct.brandId ? String(bunjangProduct.brandId) : null,
+    keywords: normalizeList(bunjangProduct.keywords).sort(),
+    images: normalizeList(bunjangProduct.images),
+    optionsRaw: bunjangProduct.optionsRaw || null,
+  };
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * 가격 관련 필드(KRW 상품가, 배송비)가 저장된 값과 다른지 확인합니다.
+ * @param {object} syncedDoc - SyncedProduct 문서 (lean).
+ * @param {object} bunjangProduct - catalogService.processCatalogRow 결과 객체.
+ * @returns {boolean}
+ */
+function hasPriceChanged(syncedDoc, bunjangProduct) {
+  const storedPrice = Number(syncedDoc.bunjangOriginalPriceKrw);
+  const storedShipping = Number(syncedDoc.bunjangOriginalShippingFeeKrw || 0);
+  return storedPrice !== Number(bunjangProduct.price) ||
+    storedShipping !== Number(bunjangProduct.shippingFee || 0);
+}
+
+module.exports = {
+  normalizeList,
+  computeContentFingerprint,
+  hasPriceChanged,
+};
@@ -0,0 +1,32 @@
+// tests/helpers/testEnv.js
+// 단위 테스트용 환경 변수. 서비스 모듈(config/logger/shopifyService)을 require하기 전에 불러옵니다.
+// 이미 설정된 값은 덮어쓰지 않으며(.env보다 먼저 적용됨), 외부 연결이 필요한 기능은 끕니다.
+
+const os = require('os');
+const path = require('path');
+
+const defaults = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  LOG_DIR: path.join(os.tmpdir(), 'bunjang-shopify-middleware-test-logs'),
+  MIDDLEWARE_BASE_URL: 'https://middleware.test',
+  SHOPIFY_API_KEY: 'test-api-key',
+  SHOPIFY_API_SECRET: 'test-api-secret',
+  SHOPIFY_SHOP_DOMAIN: 'test-shop.myshopify.com',
+  SHOPIFY_ADMIN_ACCESS_TOKEN: 'test-admin-token',
+  SHOPIFY_WEBHOOK_SECRET: 'test-webhook-secret',
+  SHOPIFY_DEFAULT_LOCATION_ID: '1',
+  BUNJANG_API_GENERAL_URL: 'https://bunjang.test',
+  BUNJANG_CATALOG_API_URL: 'https://bunjang-catalog.test',
+  BUNJANG_API_ACCESS_KEY: 'test-access-key',
+  BUNJANG_API_SECRET_KEY: 'dGVzdC1zZWNyZXQta2V5',
+  DB_CONNECTION_STRING: 'mongodb://127.0.0.1:27017/bunjang-shopify-test',
+  INTERNAL_API_KEY: 'test-internal-api-key',
+  ARENA_ADMIN_PASSWORD: 'test-arena-password',
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (!process.env[name]) process.env[name] = value;
+}
+// 분산 락 등은 메모리 구현으로 테스트 (Redis 없이 실행)
+process.env.REDIS_ENABLED = 'false';
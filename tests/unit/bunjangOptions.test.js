@@ -0,0 +1,70 @@
+// tests/unit/bunjangOptions.test.js
+// 번개장터 옵션 정규화(옵션명, 값 중복 처리, 옵션별 가격/재고)와 옵션 SKU 생성 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOptionsRaw, normalizeBunjangOptions, buildOptionSku } = require('../../src/utils/bunjangOptions');
+
+describe('parseOptionsRaw', () => {
+  it('JSON 문자열과 배열을 받고, 잘못된 값은 빈 배열', () => {
+    assert.deepEqual(parseOptionsRaw('[{"id":1}]'), [{ id: 1 }]);
+    assert.deepEqual(parseOptionsRaw([{ id: 1 }]), [{ id: 1 }]);
+    assert.deepEqual(parseOptionsRaw('{"id":1}'), []);
+    assert.deepEqual(parseOptionsRaw('not json'), []);
+    assert.deepEqual(parseOptionsRaw(null), []);
+  });
+});
+
+describe('normalizeBunjangOptions', () => {
+  it('유효한 옵션이 없으면 null (단일 variant 상품)', () => {
+    assert.equal(normalizeBunjangOptions('[]', 10000), null);
+    assert.equal(normalizeBunjangOptions([{ id: 1, value: ' ' }, { value: '빨강' }], 10000), null);
+  });
+
+  it('그룹이 하나면 그룹명을 옵션명으로 쓰고 옵션 하나당 variant 하나를 만든다', () => {
+    const result = normalizeBunjangOptions(JSON.stringify([
+      { id: 11, name: '사이즈', value: '260', quantity: 2 },
+      { id: 12, name: '사이즈', value: '270', price: 55000 },
+      { id: 13, name: '사이즈', value: '280', extraPrice: 3000, quantity: 0 },
+    ]), 50000);
+    assert.deepEqual(result, {
+      optionName: '사이즈',
+      variants: [
+        { bunjangOptionId: '11', optionValue: '260', priceKrw: 50000, quantity: 2 },
+        { bunjangOptionId: '12', optionValue: '270', priceKrw: 55000, quantity: 1 },
+        { bunjangOptionId: '13', optionValue: '280', priceKrw: 53000, quantity: 0 },
+      ],
+    });
+  });
+
+  it('그룹이 여러 개면 단일 Option 옵션에 "그룹: 값"으로 만든다', () => {
+    const result = normalizeBunjangOptions([
+      { id: 1, name: '색상', value: '빨강' },
+      { id: 2, name: '사이즈', value: 'M', additionalPrice: 1000 },
+    ], 20000);
+    assert.equal(result.optionName, 'Option');
+    assert.deepEqual(result.variants.map(v => [v.bunjangOptionId, v.optionValue, v.priceKrw]), [
+      ['1', '색상: 빨강', 20000],
+      ['2', '사이즈: M', 21000],
+    ]);
+  });
+
+  it('옵션 값이 겹치면 옵션 ID를 붙여 유일하게 만든다', () => {
+    const result = normalizeBunjangOptions([
+      { id: 1, name: '색상', value: '빨강' },
+      { id: 2, name: '색상', value: '빨강' },
+    ], 20000);
+    assert.deepEqual(result.variants.map(v => v.optionValue), ['빨강', '빨강 (2)']);
+  });
+
+  it('Shopify variant 한도(100개)까지만 만든다', () => {
+    const options = Array.from({ length: 120 }, (_, i) => ({ id: i + 1, name: '번호', value: String(i + 1) }));
+    assert.equal(normalizeBunjangOptions(options, 1000).variants.length, 100);
+  });
+});
+
+describe('buildOptionSku', () => {
+  it('BJ-<pid>-<optionId> 형식', () => {
+    assert.equal(buildOptionSku('1001', '11'), 'BJ-1001-11');
+  });
+});
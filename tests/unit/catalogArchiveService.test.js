@@ -0,0 +1,117 @@
+// tests/unit/catalogArchiveService.test.js
+// 카탈로그 보관(gzip)과 보관 기간 정책, 재실행 원본 경로 검증과 재실행 CSV 준비 테스트
+
+require('../helpers/testEnv');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const { NotFoundError, ValidationError } = require('../../src/utils/customErrors');
+const {
+  archiveCatalogFile, applyRetentionPolicy, listArchives, resolveReplaySource, prepareReplayCsv,
+} = require('../../src/services/catalogArchiveService');
+
+const CSV_CONTENT = 'pid,name\n1,상품 1\n2,상품 2\n';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('catalogArchiveService', () => {
+  const originalArchiveConfig = config.bunjang.catalogArchive;
+  let tmpDir;
+  let archiveDir;
+  let csvPath;
+
+  // 보관 디렉토리에 mtime을 지정한 보관 파일을 만듦
+  const writeArchive = (catalogType, name, ageMs) => {
+    const filePath = path.join(archiveDir, catalogType, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, 'x');
+    const mtime = new Date(Date.now() - ageMs);
+    fs.utimesSync(filePath, mtime, mtime);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-archive-'));
+    archiveDir = path.join(tmpDir, 'archive');
+    csvPath = path.join(tmpDir, 'full.csv');
+    fs.writeFileSync(csvPath, CSV_CONTENT);
+    config.bunjang.catalogArchive = { enabled: true, dir: archiveDir, retentionDays: 14, maxFilesPerType: 60 };
+  });
+
+  afterEach(() => {
+    config.bunjang.catalogArchive = originalArchiveConfig;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('보관이 꺼져 있으면 보관하지 않는다', async () => {
+    config.bunjang.catalogArchive.enabled = false;
+    assert.equal(await archiveCatalogFile(csvPath, { catalogType: 'full', filename: 'full-20250101.csv.gz' }), null);
+    assert.equal(fs.existsSync(archiveDir), false);
+  });
+
+  it('gzip으로 보관하고, 보관 파일을 재실행 CSV로 복원한다', async () => {
+    const archivePath = await archiveCatalogFile(csvPath, { catalogType: 'full', filename: 'full-20250101.csv.gz' });
+    assert.match(path.basename(archivePath), /^full-20250101\.\d+\.csv\.gz$/);
+
+    const [archive] = await listArchives({ catalogType: 'full' });
+    assert.equal(archive.path, archivePath);
+
+    const source = await resolveReplaySource({ archiveName: archive.name });
+    assert.deepEqual(source, { sourcePath: archivePath, catalogType: 'full', filename: archive.name });
+
+    const replayCsv = await prepareReplayCsv(source.sourcePath, path.join(tmpDir, 'work'));
+    assert.equal(fs.readFileSync(replayCsv, 'utf8'), CSV_CONTENT);
+    assert.ok(fs.existsSync(archivePath), '원본 보관 파일은 그대로 둔다');
+  });
+
+  it('평문 CSV는 복사해서 준비한다', async () => {
+    const replayCsv = await prepareReplayCsv(csvPath, path.join(tmpDir, 'work'));
+    assert.notEqual(replayCsv, csvPath);
+    assert.equal(fs.readFileSync(replayCsv, 'utf8'), CSV_CONTENT);
+  });
+
+  it('압축 해제에 실패하면 서버 경로 없이 CATALOG_REPLAY_PREPARE_FAILED', async () => {
+    const brokenPath = path.join(tmpDir, 'full-broken.csv.gz');
+    fs.writeFileSync(brokenPath, 'not gzip');
+    await assert.rejects(prepareReplayCsv(brokenPath, path.join(tmpDir, 'work')), (error) => {
+      assert.equal(error.errorCode, 'CATALOG_REPLAY_PREPARE_FAILED');
+      assert.ok(!error.message.includes(tmpDir));
+      return true;
+    });
+  });
+
+  it('보관 기간이 지났거나 최대 개수를 넘는 오래된 파일을 삭제한다', async () => {
+    config.bunjang.catalogArchive.maxFilesPerType = 2;
+    writeArchive('full', 'full-a.1.csv.gz', 1 * DAY_MS);
+    writeArchive('full', 'full-b.2.csv.gz', 2 * DAY_MS);
+    writeArchive('full', 'full-c.3.csv.gz', 3 * DAY_MS);
+    writeArchive('segment', 'segment-d.4.csv.gz', 20 * DAY_MS);
+    writeArchive('segment', 'segment-e.5.csv.gz', 0.5 * DAY_MS);
+
+    assert.equal(await applyRetentionPolicy('full'), 1);
+    assert.equal(await applyRetentionPolicy('segment'), 1);
+    assert.deepEqual((await listArchives()).map(a => a.name), ['segment-e.5.csv.gz', 'full-a.1.csv.gz', 'full-b.2.csv.gz']);
+  });
+
+  it('보관 파일 이름 형식이 아니거나 경로가 섞인 이름은 거부한다', async () => {
+    await assert.rejects(resolveReplaySource({ archiveName: '../full-a.csv.gz' }), ValidationError);
+    await assert.rejects(resolveReplaySource({ archiveName: 'other.csv.gz' }), ValidationError);
+    await assert.rejects(resolveReplaySource({}), ValidationError);
+  });
+
+  it('허용 디렉토리 밖의 로컬 경로는 거부한다', async () => {
+    await assert.rejects(resolveReplaySource({ localPath: csvPath, allowedDirs: [archiveDir] }), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.ok(!JSON.stringify(error.errors).includes(archiveDir), '허용 디렉토리 경로를 노출하지 않는다');
+      return true;
+    });
+    const source = await resolveReplaySource({ localPath: csvPath, allowedDirs: [tmpDir] });
+    assert.deepEqual(source, { sourcePath: csvPath, catalogType: null, filename: 'full.csv' });
+  });
+
+  it('파일이 없으면 NotFoundError', async () => {
+    await assert.rejects(resolveReplaySource({ archiveName: 'full-missing.1.csv.gz' }), NotFoundError);
+  });
+});
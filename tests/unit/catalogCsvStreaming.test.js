@@ -0,0 +1,67 @@
+// tests/unit/catalogCsvStreaming.test.js
+// 카탈로그 CSV 스트리밍 처리(parseCsvFileWithRowProcessor)의 동시 처리 제한과 행 처리 실패 집계 테스트
+
+require('../helpers/testEnv');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsvFileWithRowProcessor } = require('../../src/services/catalogService');
+
+const ROW_COUNT = 25;
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('parseCsvFileWithRowProcessor', () => {
+  let tmpDir;
+  let csvPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-csv-'));
+    csvPath = path.join(tmpDir, 'catalog.csv');
+    const rows = Array.from({ length: ROW_COUNT }, (_, i) => `${i + 1},상품 ${i + 1}`);
+    fs.writeFileSync(csvPath, ['pid,name', ...rows].join('\n'));
+  });
+
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('모든 행을 순서대로 읽고 행 번호를 넘긴다', async () => {
+    const seen = [];
+    const result = await parseCsvFileWithRowProcessor(csvPath, (row, rowNumber) => { seen.push([row.pid, rowNumber]); });
+    assert.deepEqual(result, { totalRows: ROW_COUNT, failedRows: 0 });
+    assert.deepEqual(seen[0], ['1', 1]);
+    assert.deepEqual(seen[ROW_COUNT - 1], [String(ROW_COUNT), ROW_COUNT]);
+  });
+
+  it('동시에 처리하는 행 수가 concurrency를 넘지 않는다', async () => {
+    let active = 0;
+    let maxActive = 0;
+    let processed = 0;
+    await parseCsvFileWithRowProcessor(csvPath, async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(2);
+      active--;
+      processed++;
+    }, { concurrency: 4 });
+    assert.equal(processed, ROW_COUNT);
+    assert.equal(maxActive, 4);
+  });
+
+  it('행 처리 실패는 집계만 하고 나머지 행을 계속 처리한다', async () => {
+    let processed = 0;
+    const result = await parseCsvFileWithRowProcessor(csvPath, async (row) => {
+      if (Number(row.pid) % 5 === 0) throw new Error(`row ${row.pid} failed`);
+      processed++;
+    }, { concurrency: 3 });
+    assert.deepEqual(result, { totalRows: ROW_COUNT, failedRows: 5 });
+    assert.equal(processed, ROW_COUNT - 5);
+  });
+
+  it('파일을 읽을 수 없으면 CSV_PARSE_ERROR를 던진다', async () => {
+    await assert.rejects(
+      parseCsvFileWithRowProcessor(path.join(tmpDir, 'missing.csv'), () => {}),
+      error => error.errorCode === 'CSV_PARSE_ERROR'
+    );
+  });
+});
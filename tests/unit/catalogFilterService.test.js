@@ -0,0 +1,125 @@
+// tests/unit/catalogFilterService.test.js
+// 카탈로그 필터 규칙 컴파일/매칭과 include/exclude 평가 순서 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CatalogFilterRule = require('../../src/models/catalogFilterRule.model');
+const { ValidationError } = require('../../src/utils/customErrors');
+const { compileRule, ruleMatchesProduct, evaluateProduct, previewRule } = require('../../src/services/catalogFilterService');
+
+const product = {
+  pid: '1001',
+  name: 'Nike Dunk Low',
+  description: '정품 스니커즈',
+  categoryId: '405100',
+  brandId: 12,
+  uid: 777,
+  price: 120000,
+  condition: 'used',
+  images: ['https://img.test/1.jpg', 'https://img.test/2.jpg'],
+};
+
+const rule = (name, effect, conditions, extra = {}) => compileRule({ _id: `rule-${name}`, name, effect, conditions, ...extra });
+
+describe('compileRule', () => {
+  it('ID/상태 조건을 비교 가능한 문자열로 정규화한다', () => {
+    const compiled = compileRule({ name: 'r', effect: 'include', conditions: { categoryIds: [405], brandIds: [12], conditions: ['new'] } });
+    assert.deepEqual(compiled.categoryIds, ['405']);
+    assert.deepEqual(compiled.brandIds, ['12']);
+    assert.deepEqual(compiled.conditions, ['NEW']);
+    assert.equal(compiled.priority, 100);
+    assert.equal(compiled.minPriceKrw, null);
+  });
+
+  it('정규식이 잘못되면 ValidationError', () => {
+    assert.throws(() => compileRule({ name: 'r', effect: 'exclude', conditions: { keywordRegex: '(' } }), ValidationError);
+  });
+});
+
+describe('ruleMatchesProduct', () => {
+  it('조건이 없는 규칙은 모든 상품에 매칭된다', () => {
+    assert.equal(ruleMatchesProduct(rule('all', 'include', {}), product), true);
+  });
+
+  it('카테고리는 접두사로 매칭한다', () => {
+    assert.equal(ruleMatchesProduct(rule('c', 'include', { categoryIds: ['405'] }), product), true);
+    assert.equal(ruleMatchesProduct(rule('c', 'include', { categoryIds: ['600'] }), product), false);
+  });
+
+  it('가격 범위는 경계값을 포함한다', () => {
+    assert.equal(ruleMatchesProduct(rule('p', 'include', { minPriceKrw: 120000, maxPriceKrw: 120000 }), product), true);
+    assert.equal(ruleMatchesProduct(rule('p', 'include', { minPriceKrw: 120001 }), product), false);
+    assert.equal(ruleMatchesProduct(rule('p', 'include', { maxPriceKrw: 119999 }), product), false);
+  });
+
+  it('브랜드/판매자/상품 상태/키워드/이미지 수 조건을 모두 만족해야 매칭된다', () => {
+    const conditions = {
+      brandIds: ['12'],
+      sellerUids: ['777'],
+      conditions: ['USED'],
+      keywordRegex: '정품',
+      minImageCount: 2,
+      maxImageCount: 5,
+    };
+    assert.equal(ruleMatchesProduct(rule('all', 'include', conditions), product), true);
+    assert.equal(ruleMatchesProduct(rule('brand', 'include', { ...conditions, brandIds: ['13'] }), product), false);
+    assert.equal(ruleMatchesProduct(rule('keyword', 'include', { ...conditions, keywordRegex: '가품' }), product), false);
+    assert.equal(ruleMatchesProduct(rule('images', 'include', { ...conditions, minImageCount: 3 }), product), false);
+  });
+
+  it('g 플래그 정규식도 상품마다 처음부터 검사한다', () => {
+    const compiled = rule('g', 'exclude', { keywordRegex: 'nike', keywordRegexFlags: 'gi' });
+    assert.equal(ruleMatchesProduct(compiled, product), true);
+    assert.equal(ruleMatchesProduct(compiled, product), true);
+  });
+});
+
+describe('evaluateProduct', () => {
+  it('규칙이 없으면 허용한다', () => {
+    assert.deepEqual(evaluateProduct(product, { include: [], exclude: [] }), { allowed: true, ruleId: null, ruleName: null, reason: 'NO_RULES' });
+  });
+
+  it('exclude 규칙이 include 규칙보다 우선한다', () => {
+    const result = evaluateProduct(product, {
+      include: [rule('sneakers', 'include', { categoryIds: ['405'] })],
+      exclude: [rule('cheap', 'exclude', { maxPriceKrw: 150000 })],
+    });
+    assert.deepEqual(result, { allowed: false, ruleId: 'rule-cheap', ruleName: 'cheap', reason: 'EXCLUDED_BY_RULE' });
+  });
+
+  it('include 규칙이 있으면 그 중 하나에 매칭되어야 허용한다', () => {
+    const include = [rule('bags', 'include', { categoryIds: ['600'] }), rule('sneakers', 'include', { categoryIds: ['405'] })];
+    assert.deepEqual(evaluateProduct(product, { include, exclude: [] }), { allowed: true, ruleId: 'rule-sneakers', ruleName: 'sneakers', reason: 'INCLUDED_BY_RULE' });
+    assert.equal(evaluateProduct(product, { include: include.slice(0, 1), exclude: [] }).reason, 'NOT_MATCHED_BY_INCLUDE_RULES');
+  });
+});
+
+describe('previewRule', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('매칭 수를 집계하고 카탈로그 파일은 서버 경로 없이 파일명만 반환한다', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-preview-'));
+    const csvPath = path.join(dir, 'full-20260101.csv');
+    await fs.writeFile(csvPath, 'pid,price\n1001,120000\n1002,300000\n');
+    mock.method(CatalogFilterRule, 'find', () => ({ sort: () => ({ lean: async () => [] }) }));
+
+    try {
+      const result = await previewRule(
+        { name: 'cheap', effect: 'exclude', conditions: { maxPriceKrw: 150000 } },
+        { csvPath, rowProcessor: row => ({ ...product, pid: row.pid, price: Number(row.price) }) },
+      );
+      assert.equal(result.catalogFile, 'full-20260101.csv');
+      assert.deepEqual(
+        [result.totalRows, result.validProducts, result.matchedByRule, result.allowedBefore, result.allowedAfter],
+        [2, 2, 1, 2, 1],
+      );
+      assert.deepEqual(result.samples.map(s => s.pid), ['1001']);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
@@ -0,0 +1,101 @@
+// tests/unit/catalogReconciliationService.test.js
+// 전체 카탈로그 기준 delist 정합성 점검: 후보 선정, dry-run, 안전 비율 중단, 액션 실패 집계 테스트
+
+require('../helpers/testEnv');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const shopifyService = require('../../src/services/shopifyService');
+const SyncedProduct = require('../../src/models/syncedProduct.model');
+const { reconcileDelistedProducts } = require('../../src/services/catalogReconciliationService');
+
+const syncedDocs = pids => pids.map(pid => ({ _id: `id-${pid}`, bunjangPid: pid, shopifyGid: `gid://shopify/Product/${pid}`, bunjangProductName: `상품 ${pid}` }));
+
+// SyncedProduct.find(...).select(...).lean().cursor() 대체
+const mockSyncedProducts = (docs) => {
+  mock.method(SyncedProduct, 'find', () => ({
+    select: () => ({
+      lean: () => ({
+        cursor: () => (async function* iterate() { yield* docs; })(),
+      }),
+    }),
+  }));
+};
+
+describe('reconcileDelistedProducts', () => {
+  let updateProduct;
+  let updateOne;
+  const originalMaxDelistRatio = config.bunjang.reconciliation.maxDelistRatio;
+
+  beforeEach(() => {
+    config.bunjang.reconciliation.maxDelistRatio = 0.5;
+    updateProduct = mock.method(shopifyService, 'updateProduct', async () => ({}));
+    updateOne = mock.method(SyncedProduct, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => {
+    config.bunjang.reconciliation.maxDelistRatio = originalMaxDelistRatio;
+    mock.restoreAll();
+  });
+
+  it('카탈로그에 SELLING 상품이 없으면 아무것도 내리지 않고 중단한다', async () => {
+    mockSyncedProducts(syncedDocs(['1', '2']));
+    const report = await reconcileDelistedProducts({ sellingPids: new Set() }, { action: 'draft', dryRun: false });
+    assert.equal(report.aborted, true);
+    assert.equal(report.checkedCount, 0);
+    assert.equal(updateProduct.mock.callCount(), 0);
+  });
+
+  it('dry-run은 사라진/판매 중이 아닌 상품을 보고만 한다', async () => {
+    mockSyncedProducts(syncedDocs(['1', '2', '3', '4']));
+    const report = await reconcileDelistedProducts(
+      { sellingPids: new Set(['1', '2']), notSellingPids: new Set(['3']) },
+      { action: 'archive', dryRun: true }
+    );
+    assert.equal(report.checkedCount, 4);
+    assert.equal(report.candidateCount, 2);
+    assert.deepEqual(report.items.map(item => [item.bunjangPid, item.reason, item.result]), [
+      ['3', 'NOT_SELLING', 'would_archive'],
+      ['4', 'MISSING_FROM_CATALOG', 'would_archive'],
+    ]);
+    assert.equal(report.delistedCount, 0);
+    assert.equal(updateProduct.mock.callCount(), 0);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('내릴 비율이 안전 한도를 넘으면 변경 없이 중단한다', async () => {
+    mockSyncedProducts(syncedDocs(['1', '2', '3', '4']));
+    const report = await reconcileDelistedProducts({ sellingPids: new Set(['1']) }, { action: 'draft', dryRun: false });
+    assert.equal(report.aborted, true);
+    assert.equal(report.candidateCount, 3);
+    assert.equal(report.delistedCount, 0);
+    assert.equal(updateProduct.mock.callCount(), 0);
+  });
+
+  it('액션을 수행하고 실패한 상품은 오류로 집계한 뒤 계속 진행한다', async () => {
+    mockSyncedProducts(syncedDocs(['1', '2', '3', '4', '5', '6']));
+    updateProduct.mock.mockImplementation(async ({ id }) => {
+      if (id.endsWith('/6')) throw new Error('Shopify unavailable');
+      return {};
+    });
+    const report = await reconcileDelistedProducts({ sellingPids: new Set(['1', '2', '3', '4']) }, { action: 'draft', dryRun: false });
+
+    assert.equal(report.aborted, false);
+    assert.equal(report.delistedCount, 1);
+    assert.equal(report.errorCount, 1);
+    assert.deepEqual(updateProduct.mock.calls.map(call => call.arguments[0]), [
+      { id: 'gid://shopify/Product/5', status: 'DRAFT' },
+      { id: 'gid://shopify/Product/6', status: 'DRAFT' },
+    ]);
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.shopifyStatus, 'DRAFT');
+    assert.deepEqual(report.items.map(item => item.result), ['draft', 'error']);
+  });
+
+  it('지원하지 않는 액션은 거부한다', async () => {
+    await assert.rejects(
+      reconcileDelistedProducts({ sellingPids: new Set(['1']) }, { action: 'hide' }),
+      error => error.errorCode === 'INVALID_RECONCILE_ACTION'
+    );
+  });
+});
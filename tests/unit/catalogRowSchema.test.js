@@ -0,0 +1,94 @@
+// tests/unit/catalogRowSchema.test.js
+// 카탈로그 CSV 행 스키마 검증과 거부 사유(오류 코드) 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROW_ERROR_CODES, parsePrice, validateCatalogRow } = require('../../src/utils/catalogRowSchema');
+
+const validRow = (overrides = {}) => ({
+  pid: '1001',
+  name: '나이키 운동화',
+  description: '설명',
+  price: '50,000',
+  shippingFee: '3000',
+  condition: 'NEW',
+  saleStatus: 'SELLING',
+  keywords: '나이키,운동화',
+  images: 'https://media.bunjang.co.kr/product/1001_{res}.jpg',
+  categoryId: '320',
+  category_name: '신발',
+  brandId: '10',
+  options: '',
+  uid: '77',
+  updatedAt: '2025-01-02T03:04:05Z',
+  createdAt: '2025-01-01T00:00:00Z',
+  ...overrides,
+});
+
+const errorCodes = (result) => result.errors.map(e => `${e.field}:${e.code}`);
+
+describe('parsePrice', () => {
+  it('콤마와 통화 기호를 제거하고, 빈 값은 NaN', () => {
+    assert.equal(parsePrice('₩12,500'), 12500);
+    assert.equal(parsePrice(3000), 3000);
+    assert.ok(Number.isNaN(parsePrice('')));
+    assert.ok(Number.isNaN(parsePrice(null)));
+  });
+});
+
+describe('validateCatalogRow', () => {
+  it('정상 행은 오류 없이 타입 변환된 값을 반환한다', () => {
+    const { values, errors, warnings } = validateCatalogRow(validRow());
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+    assert.equal(values.price, 50000);
+    assert.equal(values.shippingFee, 3000);
+    assert.equal(values.categoryName, '신발');
+    assert.ok(values.updatedAt instanceof Date);
+  });
+
+  it('선택 필드가 비어 있으면 기본값을 쓴다', () => {
+    const { values, errors } = validateCatalogRow(validRow({ shippingFee: '', condition: ' ' }));
+    assert.deepEqual(errors, []);
+    assert.equal(values.shippingFee, 0);
+    assert.equal(values.condition, 'USED');
+  });
+
+  it('오타 컬럼명 shipppingFee를 별칭으로 허용한다', () => {
+    const row = validRow({ shipppingFee: '2500' });
+    delete row.shippingFee;
+    assert.equal(validateCatalogRow(row).values.shippingFee, 2500);
+  });
+
+  it('빈 필수 값은 REQUIRED, 컬럼이 없으면 MISSING_COLUMN', () => {
+    const row = validRow({ name: '  ' });
+    delete row.saleStatus;
+    assert.deepEqual(errorCodes(validateCatalogRow(row)), [
+      `name:${ROW_ERROR_CODES.REQUIRED}`,
+      `saleStatus:${ROW_ERROR_CODES.MISSING_COLUMN}`,
+    ]);
+  });
+
+  it('숫자가 아니거나 범위를 벗어난 가격, 잘못된 날짜를 거부한다', () => {
+    const result = validateCatalogRow(validRow({ price: '0', shippingFee: '무료', updatedAt: 'yesterday' }));
+    assert.deepEqual(errorCodes(result), [
+      `price:${ROW_ERROR_CODES.OUT_OF_RANGE}`,
+      `shippingFee:${ROW_ERROR_CODES.INVALID_NUMBER}`,
+      `updatedAt:${ROW_ERROR_CODES.INVALID_DATE}`,
+    ]);
+    assert.equal(result.errors[0].value, '0');
+  });
+
+  it('options JSON 오류는 거부하지 않고 경고로만 남긴다', () => {
+    const { values, errors, warnings } = validateCatalogRow(validRow({ options: '[{"id":' }));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings.map(w => w.code), [ROW_ERROR_CODES.INVALID_JSON]);
+    assert.equal(values.options, '[{"id":');
+  });
+
+  it('fields를 지정하면 해당 필드만 검증한다', () => {
+    const { values, errors } = validateCatalogRow({ pid: '1', price: 'abc' }, { fields: ['pid', 'saleStatus'] });
+    assert.deepEqual(Object.keys(values), ['pid', 'saleStatus']);
+    assert.deepEqual(errorCodes({ errors }), [`saleStatus:${ROW_ERROR_CODES.MISSING_COLUMN}`]);
+  });
+});
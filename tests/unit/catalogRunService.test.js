@@ -0,0 +1,204 @@
+// tests/unit/catalogRunService.test.js
+// 카탈로그 실행 집계(오류 메시지 상위 목록), 체크포인트 저장/재개 조건, 실행 마감, 직전 완료 실행과의 비교 테스트
+
+require('../helpers/testEnv');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogRun = require('../../src/models/catalogRun.model');
+const { NotFoundError } = require('../../src/utils/customErrors');
+const { createRunStats, saveRunProgress, finishRun, getResumableRun, listRuns, getRunWithComparison } = require('../../src/services/catalogRunService');
+
+// Mongoose 쿼리 체인(sort/select/skip/limit/lean) 대체
+const query = result => {
+  const chain = {};
+  for (const method of ['sort', 'select', 'skip', 'limit']) chain[method] = () => chain;
+  chain.lean = async () => result;
+  return chain;
+};
+
+describe('createRunStats', () => {
+  it('결과 카운터를 0으로 시작한다', () => {
+    const stats = createRunStats();
+    assert.equal(stats.counts.created, 0);
+    assert.equal(stats.counts.errored, 0);
+    assert.deepEqual(stats.getTopErrors(), []);
+  });
+
+  it('오류를 메시지별로 세고 많은 순으로 돌려주며, 샘플 PID는 5개까지 남긴다', () => {
+    const stats = createRunStats();
+    for (let i = 1; i <= 7; i++) stats.recordError('Shopify timeout', `pid-${i}`);
+    stats.recordError('Invalid price', 'pid-x');
+    stats.recordError(undefined);
+
+    const [top, ...rest] = stats.getTopErrors();
+    assert.deepEqual(top, { message: 'Shopify timeout', count: 7, samplePids: ['pid-1', 'pid-2', 'pid-3', 'pid-4', 'pid-5'] });
+    assert.deepEqual(rest.map(e => [e.message, e.count]), [['Invalid price', 1], ['Unknown error', 1]]);
+  });
+
+  it('재개 시 기존 집계와 오류 목록에서 이어서 센다', () => {
+    const stats = createRunStats({ counts: { created: 4 }, topErrors: [{ message: 'Shopify timeout', count: 2, samplePids: ['pid-1'] }] });
+    stats.counts.created++;
+    stats.recordError('Shopify timeout', 'pid-2');
+    assert.equal(stats.counts.created, 5);
+    assert.equal(stats.counts.updated, 0);
+    assert.deepEqual(stats.getTopErrors(), [{ message: 'Shopify timeout', count: 3, samplePids: ['pid-1', 'pid-2'] }]);
+  });
+
+  it('상위 10개 오류만 돌려준다', () => {
+    const stats = createRunStats();
+    for (let i = 0; i < 15; i++) stats.recordError(`error ${i}`);
+    assert.equal(stats.getTopErrors().length, 10);
+  });
+});
+
+describe('saveRunProgress', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('집계와 체크포인트를 같은 시점 값으로 함께 저장한다', async () => {
+    const updateOne = mock.method(CatalogRun, 'updateOne', async () => ({}));
+    const stats = createRunStats();
+    stats.counts.totalRows = 120;
+    await saveRunProgress({ _id: 'run-1' }, stats, { rowOffset: 120, processedPids: ['1'], csvPath: '/tmp/catalog.csv' });
+
+    const { $set } = updateOne.mock.calls[0].arguments[1];
+    assert.equal($set.counts.totalRows, 120);
+    assert.equal($set.checkpoint.rowOffset, 120);
+    assert.ok($set.checkpoint.savedAt instanceof Date);
+  });
+});
+
+describe('finishRun', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('실행 기록이 없으면 아무것도 하지 않는다', async () => {
+    const updateOne = mock.method(CatalogRun, 'updateOne', async () => ({}));
+    await finishRun(null, createRunStats());
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('집계와 정합성 점검 요약(항목 목록 제외)을 저장하고 완료로 마감한다', async () => {
+    const updateOne = mock.method(CatalogRun, 'updateOne', async () => ({}));
+    const stats = createRunStats();
+    stats.counts.created = 3;
+    await finishRun({ _id: 'run-1', startedAt: new Date(Date.now() - 1000) }, stats, {
+      reconciliation: { action: 'draft', delistedCount: 2, items: [{ bunjangPid: '1' }] },
+    });
+
+    const [filter, { $set }] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'run-1' });
+    assert.equal($set.status, 'COMPLETED');
+    assert.equal($set.counts.created, 3);
+    assert.deepEqual($set.reconciliation, { action: 'draft', delistedCount: 2 });
+    assert.ok($set.durationMs >= 1000);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1].$unset, { checkpoint: '' });
+  });
+
+  it('실패 원인이 있으면 FAILED로 마감하고 오류 메시지를 남긴다', async () => {
+    const updateOne = mock.method(CatalogRun, 'updateOne', async () => ({}));
+    await finishRun({ _id: 'run-1', startedAt: new Date() }, createRunStats(), { error: new Error('download failed') });
+    const { $set } = updateOne.mock.calls[0].arguments[1];
+    assert.equal($set.status, 'FAILED');
+    assert.equal($set.errorMessage, 'download failed');
+    // 실패한 실행은 재개할 수 있도록 체크포인트 유지
+    assert.equal(updateOne.mock.calls[0].arguments[1].$unset, undefined);
+  });
+});
+
+describe('getResumableRun', () => {
+  let tmpDir;
+  let csvPath;
+
+  const mockRun = run => mock.method(CatalogRun, 'findById', () => query(run));
+  const rejectsWithCode = (promise, errorCode) => assert.rejects(promise, error => error.errorCode === errorCode);
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-run-'));
+    csvPath = path.join(tmpDir, 'full.csv');
+    fs.writeFileSync(csvPath, 'pid\n1\n');
+  });
+
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  afterEach(() => mock.restoreAll());
+
+  it('완료된 실행은 재개할 수 없다', async () => {
+    mockRun({ _id: 'run-1', status: 'COMPLETED', checkpoint: { csvPath } });
+    await rejectsWithCode(getResumableRun('run-1'), 'CATALOG_RUN_NOT_RESUMABLE');
+  });
+
+  it('최근에 체크포인트가 갱신된 RUNNING 실행은 같은 Job 재시도일 때만 재개한다', async () => {
+    const run = { _id: 'run-1', status: 'RUNNING', startedAt: new Date(), checkpoint: { csvPath, savedAt: new Date() } };
+    mockRun(run);
+    await rejectsWithCode(getResumableRun('run-1'), 'CATALOG_RUN_STILL_ACTIVE');
+    assert.equal(await getResumableRun('run-1', { allowActive: true }), run);
+  });
+
+  it('체크포인트가 오래된 RUNNING 실행(프로세스 중단)은 재개할 수 있다', async () => {
+    const run = { _id: 'run-1', status: 'RUNNING', startedAt: new Date(0), checkpoint: { csvPath, savedAt: new Date(0) } };
+    mockRun(run);
+    assert.equal(await getResumableRun('run-1'), run);
+  });
+
+  it('체크포인트 CSV 파일이 없으면 재개할 수 없다', async () => {
+    mockRun({ _id: 'run-1', status: 'FAILED', checkpoint: { csvPath: path.join(tmpDir, 'deleted.csv') } });
+    await rejectsWithCode(getResumableRun('run-1'), 'CATALOG_RESUME_FILE_MISSING');
+    mockRun({ _id: 'run-1', status: 'FAILED' });
+    await rejectsWithCode(getResumableRun('run-1'), 'CATALOG_RESUME_FILE_MISSING');
+  });
+});
+
+describe('getRunWithComparison', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('실행이 없으면 NotFoundError', async () => {
+    mock.method(CatalogRun, 'findById', () => query(null));
+    await assert.rejects(getRunWithComparison('missing'), NotFoundError);
+  });
+
+  it('직전 완료 실행과 카운트 차이/변화율을 비교한다', async () => {
+    const run = { _id: 'run-2', catalogType: 'full', startedAt: new Date(), durationMs: 9000, counts: { created: 15, errored: 2 } };
+    const previousRun = { _id: 'run-1', catalogType: 'full', durationMs: 10000, counts: { created: 10, errored: 0 } };
+    mock.method(CatalogRun, 'findById', () => query(run));
+    const findOne = mock.method(CatalogRun, 'findOne', () => query(previousRun));
+
+    const result = await getRunWithComparison('run-2');
+    assert.equal(findOne.mock.calls[0].arguments[0].status, 'COMPLETED');
+    assert.deepEqual(result.comparison.counts.created, { current: 15, previous: 10, delta: 5, deltaPercent: 50 });
+    assert.deepEqual(result.comparison.counts.errored, { current: 2, previous: 0, delta: 2, deltaPercent: null });
+    assert.deepEqual(result.comparison.durationMs, { current: 9000, previous: 10000, delta: -1000 });
+  });
+
+  it('직전 완료 실행이 없으면 비교하지 않는다', async () => {
+    mock.method(CatalogRun, 'findById', () => query({ _id: 'run-1', catalogType: 'full', startedAt: new Date(), counts: {} }));
+    mock.method(CatalogRun, 'findOne', () => query(null));
+    const result = await getRunWithComparison('run-1');
+    assert.equal(result.previousRun, null);
+    assert.equal(result.comparison, null);
+  });
+});
+
+describe('실행 조회 API', () => {
+  afterEach(() => mock.restoreAll());
+
+  // select 인자를 기록하는 쿼리 체인
+  const recordingQuery = (result, selects) => {
+    const chain = query(result);
+    chain.select = (projection) => { selects.push(projection); return chain; };
+    return chain;
+  };
+
+  it('목록과 상세 조회에서 체크포인트의 서버 CSV 경로를 제외한다', async () => {
+    const selects = [];
+    mock.method(CatalogRun, 'countDocuments', async () => 1);
+    mock.method(CatalogRun, 'find', () => recordingQuery([{ _id: 'run-1' }], selects));
+    mock.method(CatalogRun, 'findById', () => recordingQuery({ _id: 'run-1', catalogType: 'full', startedAt: new Date(), counts: {} }, selects));
+    mock.method(CatalogRun, 'findOne', () => query(null));
+
+    assert.equal((await listRuns({ catalogType: 'full' })).total, 1);
+    await getRunWithComparison('run-1');
+    assert.equal(selects.length, 2);
+    for (const projection of selects) assert.match(projection, /-checkpoint\.csvPath/);
+  });
+});
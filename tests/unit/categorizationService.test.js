@@ -0,0 +1,138 @@
+// tests/unit/categorizationService.test.js
+// 분류 규칙 점수 계산(카테고리 접두사, 키워드 가중치, 최소 점수)과 상품 유형/컬렉션/태그 결정, 재분류 입력 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const shopifyService = require('../../src/services/shopifyService');
+const TaxonomyRule = require('../../src/models/taxonomyRule.model');
+const SyncedProduct = require('../../src/models/syncedProduct.model');
+const { categorizeProduct, recategorizeSyncedProducts } = require('../../src/services/categorizationService');
+
+const product = {
+  name: 'BTS 공식 앨범 Proof',
+  description: '미개봉 포토카드 포함',
+  categoryId: '700100200',
+  categoryName: '음반',
+  keywords: ['kpop', '앨범'],
+};
+
+const taxonomy = [
+  {
+    _id: 'r-music',
+    name: 'Music',
+    priority: 10,
+    bunjangCategoryIds: ['700'],
+    productType: 'Music',
+    collectionGids: ['gid://shopify/Collection/1'],
+    tags: ['Music'],
+  },
+  {
+    _id: 'r-kpop',
+    name: 'K-Pop',
+    priority: 20,
+    keywords: [{ term: 'bts', weight: 20 }, { term: '포토카드', weight: 5 }],
+    productType: 'K-Pop Album',
+    collectionGids: ['gid://shopify/Collection/2', 'gid://shopify/Collection/1'],
+    tags: ['K-Pop'],
+  },
+  {
+    _id: 'r-figure',
+    name: 'Figure',
+    priority: 5,
+    bunjangCategoryIds: ['800'],
+    productType: 'Figure',
+  },
+];
+
+describe('categorizeProduct', () => {
+  it('규칙이 없으면 기존 방식(legacy)으로 분류한다', () => {
+    const result = categorizeProduct(product, []);
+    assert.equal(result.source, 'legacy');
+    assert.deepEqual(result.matchedRules, []);
+  });
+
+  it('최고 점수 규칙의 상품 유형을 쓰고, 컬렉션/태그는 매칭된 규칙 전체를 합친다', () => {
+    const result = categorizeProduct(product, taxonomy);
+    assert.equal(result.source, 'taxonomy');
+    assert.equal(result.productType, 'K-Pop Album');
+    assert.deepEqual(result.collectionGids, ['gid://shopify/Collection/2', 'gid://shopify/Collection/1']);
+    assert.deepEqual(result.tags, ['K-Pop', 'Music']);
+    assert.deepEqual(result.matchedRules, [
+      { id: 'r-kpop', name: 'K-Pop', score: 25 },
+      { id: 'r-music', name: 'Music', score: 10 },
+    ]);
+  });
+
+  it('점수가 같으면 우선순위가 높은(숫자가 작은) 규칙을 쓴다', () => {
+    const tied = [
+      { _id: 'a', name: 'A', priority: 50, bunjangCategoryIds: ['700'], productType: 'A' },
+      { _id: 'b', name: 'B', priority: 1, bunjangCategoryIds: ['700100'], productType: 'B' },
+    ];
+    assert.equal(categorizeProduct(product, tied).productType, 'B');
+  });
+
+  it('키워드 점수가 최소 점수에 못 미치면 매칭되지 않는다', () => {
+    const strict = [{ _id: 's', name: 'Strict', keywords: [{ term: '포토카드', weight: 5 }], minScore: 10, productType: 'Strict' }];
+    const result = categorizeProduct(product, strict);
+    assert.equal(result.source, 'taxonomy');
+    assert.deepEqual(result.matchedRules, []);
+    assert.notEqual(result.productType, 'Strict');
+  });
+
+  it('카테고리와 키워드 조건이 모두 있으면 둘 다 만족해야 한다', () => {
+    const both = [{ _id: 'x', name: 'Both', bunjangCategoryIds: ['800'], keywords: [{ term: 'bts' }], productType: 'Both' }];
+    assert.deepEqual(categorizeProduct(product, both).matchedRules, []);
+  });
+
+  it('조건이 없는 규칙은 매칭되지 않는다', () => {
+    assert.deepEqual(categorizeProduct(product, [{ _id: 'e', name: 'Empty', productType: 'Empty' }]).matchedRules, []);
+  });
+});
+
+describe('recategorizeSyncedProducts', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('동기화 때 저장한 분류 입력으로 재분류하고, 입력이 기록되지 않은 상품은 건너뛴다', async () => {
+    const docs = [
+      { _id: '1', bunjangPid: '1001', shopifyGid: 'gid://shopify/Product/1', bunjangProductName: '앨범 Proof', bunjangCategoryId: '700100200' },
+      {
+        _id: '2',
+        bunjangPid: '1002',
+        shopifyGid: 'gid://shopify/Product/2',
+        bunjangProductName: '앨범 Proof',
+        bunjangCategoryId: '700100200',
+        bunjangCategoryName: '음반',
+        bunjangDescription: 'BTS 포토카드 포함',
+        bunjangKeywordsJson: '[]',
+        shopifyTaxonomyTags: ['Music'],
+      },
+    ];
+    const productQuery = {
+      select: () => productQuery,
+      lean: () => productQuery,
+      limit: () => productQuery,
+      cursor: async function* cursor() { yield* docs; },
+    };
+    mock.method(SyncedProduct, 'find', () => productQuery);
+    mock.method(TaxonomyRule, 'find', () => ({ sort: () => ({ lean: async () => taxonomy }) }));
+    const graphql = mock.method(shopifyService, 'shopifyGraphqlRequest', async () => ({
+      data: { product: { id: 'gid://shopify/Product/2', title: 'Proof', productType: 'Music', tags: ['Music', 'manual'], collections: { edges: [] } } },
+    }));
+
+    const summary = await recategorizeSyncedProducts({ dryRun: true });
+
+    assert.equal(summary.checked, 2);
+    assert.equal(summary.skippedNoSource, 1);
+    assert.equal(graphql.mock.callCount(), 1);
+    assert.deepEqual(summary.changes, [{
+      bunjangPid: '1002',
+      shopifyGid: 'gid://shopify/Product/2',
+      productType: { from: 'Music', to: 'K-Pop Album' },
+      tagsAdded: ['K-Pop'],
+      tagsRemoved: [],
+      collectionsToJoin: ['gid://shopify/Collection/2', 'gid://shopify/Collection/1'],
+      collectionsToLeave: [],
+    }]);
+  });
+});
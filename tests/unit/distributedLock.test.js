@@ -0,0 +1,60 @@
+// tests/unit/distributedLock.test.js
+// 분산 락(메모리 구현)의 토큰 기반 해제/연장과 withLock 동작 테스트
+
+require('../helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { acquireLock, extendLock, releaseLock, withLock } = require('../../src/utils/distributedLock');
+
+describe('distributedLock', () => {
+  it('이미 잡힌 락은 다시 잡을 수 없다', async () => {
+    const token = await acquireLock('test:acquire', 60000);
+    assert.ok(token);
+    assert.equal(await acquireLock('test:acquire', 60000), null);
+    await releaseLock('test:acquire', token);
+  });
+
+  it('다른 토큰으로는 해제/연장되지 않는다', async () => {
+    const token = await acquireLock('test:token', 60000);
+    await releaseLock('test:token', 'other-token');
+    assert.equal(await acquireLock('test:token', 60000), null);
+    assert.equal(await extendLock('test:token', 'other-token', 60000), false);
+    assert.equal(await extendLock('test:token', token, 60000), true);
+
+    await releaseLock('test:token', token);
+    const nextToken = await acquireLock('test:token', 60000);
+    assert.ok(nextToken);
+    await releaseLock('test:token', nextToken);
+  });
+
+  it('만료된 락은 다시 잡을 수 있고, 이전 토큰으로는 새 락을 해제하지 못한다', async () => {
+    const staleToken = await acquireLock('test:expired', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const token = await acquireLock('test:expired', 60000);
+    assert.ok(token);
+    assert.notEqual(token, staleToken);
+
+    await releaseLock('test:expired', staleToken);
+    assert.equal(await acquireLock('test:expired', 60000), null);
+    await releaseLock('test:expired', token);
+  });
+
+  it('withLock은 fn 결과를 반환하고 끝나면 락을 해제한다', async () => {
+    const outcome = await withLock('test:with', 60000, async () => {
+      assert.deepEqual(await withLock('test:with', 60000, async () => 'nested'), { acquired: false });
+      return 42;
+    });
+    assert.deepEqual(outcome, { acquired: true, result: 42 });
+
+    const token = await acquireLock('test:with', 60000);
+    assert.ok(token);
+    await releaseLock('test:with', token);
+  });
+
+  it('withLock은 fn이 실패해도 락을 해제한다', async () => {
+    await assert.rejects(withLock('test:throw', 60000, async () => { throw new Error('boom'); }), /boom/);
+    const token = await acquireLock('test:throw', 60000);
+    assert.ok(token);
+    await releaseLock('test:throw', token);
+  });
+});
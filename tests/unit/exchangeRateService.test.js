@@ -0,0 +1,142 @@
+// tests/unit/exchangeRateService.test.js
+// 환율 공급자 체인(실패 시 다음 공급자), 마지막 저장 환율 대비 변동 폭 검사와 이력 기록, 수동 환율, 환율 이력 조회 테스트
+
+require('../helpers/testEnv');
+const axios = require('axios');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const ExchangeRate = require('../../src/models/exchangeRate.model');
+const ExchangeRateHistory = require('../../src/models/exchangeRateHistory.model');
+const { ValidationError } = require('../../src/utils/customErrors');
+const exchangeRateService = require('../../src/services/exchangeRateService');
+
+const FRANKFURTER_URL = 'https://frankfurter.test';
+const ER_API_URL = 'https://er-api.test';
+const LAST_STORED_KRW_PER_USD = 1350;
+
+const query = result => {
+  const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: async () => result };
+  return chain;
+};
+
+describe('exchangeRateService', () => {
+  const originalExchangeRate = config.exchangeRate;
+  const originalNotifications = config.notifications;
+  let responses;
+  let history;
+
+  beforeEach(() => {
+    config.exchangeRate = { ...originalExchangeRate, providers: ['frankfurter', 'erapi'], frankfurterApiUrl: FRANKFURTER_URL, erApiUrl: ER_API_URL, maxDeviationPercent: 5 };
+    config.notifications = { enabled: false };
+    responses = {};
+    history = [];
+    mock.method(axios, 'get', async (url) => {
+      const response = responses[url];
+      if (response instanceof Error) throw response;
+      return { data: response };
+    });
+    mock.method(ExchangeRate, 'findOne', () => query({ krwToUsdRate: 1 / LAST_STORED_KRW_PER_USD }));
+    mock.method(ExchangeRate, 'findOneAndUpdate', (filter, update) => query({ ...update.$set }));
+    mock.method(ExchangeRateHistory, 'create', async (entry) => { history.push(entry); });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    config.exchangeRate = originalExchangeRate;
+    config.notifications = originalNotifications;
+  });
+
+  it('첫 공급자가 실패하면 다음 공급자의 환율을 저장하고 이력을 남긴다', async () => {
+    responses[`${FRANKFURTER_URL}/latest`] = new Error('ECONNRESET');
+    responses[`${ER_API_URL}/latest/USD`] = { result: 'success', rates: { KRW: 1360, EUR: 0.9, XYZ: 1 }, time_last_update_unix: 1700000000 };
+
+    const stored = await exchangeRateService.updateAndStoreExchangeRates();
+
+    assert.equal(stored.rateProvider, 'erapi');
+    assert.equal(stored.krwToUsdRate, 1 / 1360);
+    assert.deepEqual(Object.keys(stored.rates).sort(), ['EUR', 'KRW', 'USD']);
+    assert.deepEqual(history.map(h => [h.status, h.provider, h.usdToKrw]), [['ACCEPTED', 'erapi', 1360]]);
+    assert.equal(history[0].deviationPercent, -0.74);
+  });
+
+  it('마지막 저장 환율 대비 변동 폭이 크면 거부하고 다음 공급자를 쓴다', async () => {
+    responses[`${FRANKFURTER_URL}/latest`] = { rates: { KRW: 1500 }, date: '2025-01-02' };
+    responses[`${ER_API_URL}/latest/USD`] = { result: 'success', rates: { KRW: 1355 } };
+
+    const stored = await exchangeRateService.updateAndStoreExchangeRates();
+
+    assert.equal(stored.rateProvider, 'erapi');
+    assert.deepEqual(history.map(h => [h.status, h.provider]), [['REJECTED', 'frankfurter'], ['ACCEPTED', 'erapi']]);
+    assert.equal(history[0].deviationPercent, -10);
+  });
+
+  it('모든 공급자가 실패하면 EXCHANGE_RATE_PROVIDERS_FAILED, 강제 갱신은 변동 폭 검사를 건너뛴다', async () => {
+    responses[`${FRANKFURTER_URL}/latest`] = { rates: { KRW: 1500 }, date: '2025-01-02' };
+    responses[`${ER_API_URL}/latest/USD`] = { result: 'error', 'error-type': 'quota-reached' };
+    await assert.rejects(exchangeRateService.updateAndStoreExchangeRates(), { errorCode: 'EXCHANGE_RATE_PROVIDERS_FAILED' });
+
+    const stored = await exchangeRateService.updateAndStoreExchangeRates({ skipDeviationCheck: true });
+    assert.equal(stored.rateProvider, 'frankfurter');
+    assert.equal(history.at(-1).status, 'ACCEPTED');
+  });
+
+  it('갱신에 실패하면 저장된 환율로 계산하고, 대기 시간 동안은 공급자를 다시 호출하지 않는다', async () => {
+    // 캐시/실패 기록이 없는 상태에서 시작하도록 모듈을 새로 불러옴
+    delete require.cache[require.resolve('../../src/services/exchangeRateService')];
+    const freshService = require('../../src/services/exchangeRateService');
+    responses[`${FRANKFURTER_URL}/latest`] = new Error('ECONNRESET');
+    responses[`${ER_API_URL}/latest/USD`] = new Error('ETIMEDOUT');
+
+    const first = await freshService.getPricingRate();
+    const second = await freshService.getPricingRate();
+
+    assert.equal(first.stale, true);
+    assert.equal(first.krwToUsdRate, 1 / LAST_STORED_KRW_PER_USD);
+    assert.deepEqual(second, first);
+    assert.equal(axios.get.mock.callCount(), 2);
+  });
+
+  it('수동 환율이 설정되어 있으면 가격 계산에 수동 환율을 쓴다', async () => {
+    await assert.rejects(exchangeRateService.setManualOverride({ krwPerUsd: 0.5 }), ValidationError);
+
+    const stored = await exchangeRateService.setManualOverride({ krwPerUsd: 1400, reason: '급변' });
+    assert.equal(stored.manualOverride.krwToUsdRate, 1 / 1400);
+    assert.equal(history.at(-1).status, 'MANUAL_OVERRIDE_SET');
+
+    const rate = await exchangeRateService.getPricingRate();
+    assert.equal(rate.source, 'manual');
+    assert.equal(rate.krwToUsdRate, 1 / 1400);
+  });
+});
+
+describe('getRateHistory', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('기간/상태 조건으로 조회하고 채택된 환율의 요약을 계산한다', async () => {
+    const entries = [
+      { status: 'ACCEPTED', usdToKrw: 1350 },
+      { status: 'REJECTED', usdToKrw: 1500 },
+      { status: 'ACCEPTED', usdToKrw: 1377 },
+      { status: 'ACCEPTED', usdToKrw: 1340 },
+    ];
+    const find = mock.method(ExchangeRateHistory, 'find', () => query(entries));
+    const from = new Date('2025-01-01T00:00:00Z');
+
+    const result = await exchangeRateService.getRateHistory({ from, statuses: ['ACCEPTED', 'REJECTED'], limit: 3 });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { base: 'USD', createdAt: { $gte: from }, status: { $in: ['ACCEPTED', 'REJECTED'] } });
+    assert.equal(result.count, 3);
+    assert.equal(result.truncated, true);
+    assert.deepEqual(result.summary, {
+      acceptedCount: 2, firstUsdToKrw: 1350, lastUsdToKrw: 1377, minUsdToKrw: 1350, maxUsdToKrw: 1377, changePercent: 2,
+    });
+  });
+
+  it('채택된 환율이 없으면 요약은 null', async () => {
+    mock.method(ExchangeRateHistory, 'find', () => query([{ status: 'REJECTED', usdToKrw: 1500 }]));
+    const result = await exchangeRateService.getRateHistory();
+    assert.equal(result.summary, null);
+    assert.equal(result.truncated, false);
+  });
+});
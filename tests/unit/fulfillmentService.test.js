@@ -0,0 +1,145 @@
+// tests/unit/fulfillmentService.test.js
+// 국제 배송 구간 송장으로 line item들을 묶어 Shopify fulfillment 생성/추적 정보 갱신과 fulfillment order line item 선택 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const shopifyService = require('../../src/services/shopifyService');
+const orderLinkService = require('../../src/services/orderLinkService');
+const { selectFulfillmentOrderLineItems, syncLineItemsFulfillment } = require('../../src/services/fulfillmentService');
+const { buildTrackingInfo } = require('../../src/utils/deliveryCarriers');
+
+const lineItemGid = id => `gid://shopify/LineItem/${id}`;
+const trackingInfo = { company: 'DHL', number: 'INTL-1', url: 'https://dhl.example.com/INTL-1' };
+
+describe('buildTrackingInfo', () => {
+  it('택배사 코드로 이름과 조회 URL을 정하고, 없으면 송장의 이름/URL을 쓴다', () => {
+    assert.deepEqual(buildTrackingInfo({ companyCode: 'cj', no: ' 123456789 ' }), {
+      company: 'CJ Logistics',
+      number: '123456789',
+      url: 'https://www.cjlogistics.com/ko/tool/parcel/tracking?gnbInvcNo=123456789',
+    });
+    assert.deepEqual(buildTrackingInfo({ companyCode: 'unknown', no: '1', url: 'https://track.example.com/1' }), {
+      company: 'unknown', number: '1', url: 'https://track.example.com/1',
+    });
+    assert.deepEqual(buildTrackingInfo({ companyName: '경동택배', no: '2' }), { company: '경동택배', number: '2', url: undefined });
+    assert.equal(buildTrackingInfo({ companyCode: 'cj' }), null);
+  });
+});
+
+describe('selectFulfillmentOrderLineItems', () => {
+  it('line item별로 미처리 수량이 남은 항목을 fulfillment order별로 묶는다', () => {
+    const fulfillmentOrders = [
+      {
+        id: 'FO-1',
+        status: 'OPEN',
+        lineItems: [
+          { id: 'FOLI-1', lineItemId: lineItemGid(1), remainingQuantity: 1 },
+          { id: 'FOLI-2', lineItemId: lineItemGid(2), remainingQuantity: 2 },
+          { id: 'FOLI-3', lineItemId: lineItemGid(3), remainingQuantity: 1 },
+        ],
+      },
+    ];
+    const result = selectFulfillmentOrderLineItems(fulfillmentOrders, [
+      { shopifyLineItemId: '1', quantity: 1 },
+      { shopifyLineItemId: '2', quantity: 2 },
+    ]);
+    assert.deepEqual(result, {
+      lineItemsByFulfillmentOrder: [{
+        fulfillmentOrderId: 'FO-1',
+        fulfillmentOrderLineItems: [{ id: 'FOLI-1', quantity: 1 }, { id: 'FOLI-2', quantity: 2 }],
+      }],
+      selectedLineItemIds: ['1', '2'],
+    });
+  });
+
+  it('처리할 수 없는 fulfillment order와 남은 수량이 없는 항목은 건너뛴다', () => {
+    const fulfillmentOrders = [
+      { id: 'FO-CLOSED', status: 'CLOSED', lineItems: [{ id: 'FOLI-C', lineItemId: lineItemGid(1), remainingQuantity: 1 }] },
+      { id: 'FO-DONE', status: 'OPEN', lineItems: [{ id: 'FOLI-D', lineItemId: lineItemGid(1), remainingQuantity: 0 }] },
+      { id: 'FO-OPEN', status: 'IN_PROGRESS', lineItems: [{ id: 'FOLI-O', lineItemId: lineItemGid(1), remainingQuantity: 1 }] },
+    ];
+    const result = selectFulfillmentOrderLineItems(fulfillmentOrders, [{ shopifyLineItemId: '1', quantity: 1 }]);
+    assert.deepEqual(result.lineItemsByFulfillmentOrder, [{ fulfillmentOrderId: 'FO-OPEN', fulfillmentOrderLineItems: [{ id: 'FOLI-O', quantity: 1 }] }]);
+    assert.deepEqual(result.selectedLineItemIds, ['1']);
+  });
+
+  it('line item 수량만큼만 고르고, 여러 fulfillment order에 나뉜 수량을 합친다', () => {
+    const fulfillmentOrders = [
+      { id: 'FO-1', status: 'OPEN', lineItems: [{ id: 'FOLI-1', lineItemId: lineItemGid(1), remainingQuantity: 2 }] },
+      { id: 'FO-2', status: 'OPEN', lineItems: [{ id: 'FOLI-2', lineItemId: lineItemGid(1), remainingQuantity: 5 }] },
+    ];
+    const result = selectFulfillmentOrderLineItems(fulfillmentOrders, [{ shopifyLineItemId: '1', quantity: 3 }]);
+    assert.deepEqual(result.lineItemsByFulfillmentOrder, [
+      { fulfillmentOrderId: 'FO-1', fulfillmentOrderLineItems: [{ id: 'FOLI-1', quantity: 2 }] },
+      { fulfillmentOrderId: 'FO-2', fulfillmentOrderLineItems: [{ id: 'FOLI-2', quantity: 1 }] },
+    ]);
+  });
+
+  it('수량을 모르면 남은 수량을 모두 고른다', () => {
+    const fulfillmentOrders = [{ id: 'FO-1', status: 'OPEN', lineItems: [{ id: 'FOLI-1', lineItemId: lineItemGid(1), remainingQuantity: 4 }] }];
+    const result = selectFulfillmentOrderLineItems(fulfillmentOrders, [{ shopifyLineItemId: '1' }]);
+    assert.deepEqual(result.lineItemsByFulfillmentOrder[0].fulfillmentOrderLineItems, [{ id: 'FOLI-1', quantity: 4 }]);
+  });
+
+  it('이미 모두 처리된 line item은 선택하지 않는다', () => {
+    const fulfillmentOrders = [{ id: 'FO-1', status: 'OPEN', lineItems: [{ id: 'FOLI-1', lineItemId: lineItemGid(1), remainingQuantity: 0 }] }];
+    assert.deepEqual(selectFulfillmentOrderLineItems(fulfillmentOrders, [{ shopifyLineItemId: '1', quantity: 1 }]), {
+      lineItemsByFulfillmentOrder: [],
+      selectedLineItemIds: [],
+    });
+  });
+});
+
+describe('syncLineItemsFulfillment', () => {
+  afterEach(() => mock.restoreAll());
+
+  const params = lineItems => ({ shopifyOrderId: '5001', shopifyOrderGid: 'gid://shopify/Order/5001', lineItems, trackingInfo, jobId: 'j' });
+
+  it('fulfillment가 없는 line item들을 fulfillment 하나로 묶고, 남은 수량이 없는 항목은 건너뛴다', async () => {
+    mock.method(shopifyService, 'getOrderFulfillmentOrders', async () => [{
+      id: 'FO-1',
+      status: 'OPEN',
+      lineItems: [
+        { id: 'FOLI-1', lineItemId: lineItemGid(9001), remainingQuantity: 1 },
+        { id: 'FOLI-2', lineItemId: lineItemGid(9002), remainingQuantity: 1 },
+        { id: 'FOLI-3', lineItemId: lineItemGid(9003), remainingQuantity: 0 },
+      ],
+    }]);
+    const createFulfillment = mock.method(shopifyService, 'createFulfillment', async () => ({ id: 'F-NEW' }));
+    const recordFulfillment = mock.method(orderLinkService, 'recordFulfillment', async () => {});
+
+    const result = await syncLineItemsFulfillment(params([
+      { shopifyLineItemId: '9001', quantity: 1 },
+      { shopifyLineItemId: '9002', quantity: 1 },
+      { shopifyLineItemId: '9003', quantity: 1 },
+    ]));
+
+    assert.deepEqual(result, { createdFulfillmentId: 'F-NEW', updatedFulfillmentIds: [], unchangedFulfillmentIds: [], skippedLineItemIds: ['9003'] });
+    assert.equal(createFulfillment.mock.callCount(), 1);
+    assert.deepEqual(createFulfillment.mock.calls[0].arguments[0].lineItemsByFulfillmentOrder[0].fulfillmentOrderLineItems.map(item => item.id), ['FOLI-1', 'FOLI-2']);
+    assert.deepEqual(recordFulfillment.mock.calls.map(call => call.arguments[1]), ['9001', '9002']);
+  });
+
+  it('이미 있는 fulfillment는 송장이 바뀐 경우에만 추적 정보를 갱신한다', async () => {
+    const getFulfillmentOrders = mock.method(shopifyService, 'getOrderFulfillmentOrders', async () => []);
+    const updateTracking = mock.method(shopifyService, 'updateFulfillmentTracking', async () => {});
+    const recordFulfillment = mock.method(orderLinkService, 'recordFulfillment', async () => {});
+    const fulfilled = (id, fulfillmentId, trackingNumber) => ({
+      shopifyLineItemId: id,
+      fulfillment: { shopifyFulfillmentId: fulfillmentId, trackingCompany: 'DHL', trackingNumber },
+    });
+
+    const result = await syncLineItemsFulfillment(params([
+      fulfilled('9001', 'F-1', 'INTL-1'),
+      fulfilled('9002', 'F-2', 'OLD-1'),
+      fulfilled('9003', 'F-2', 'OLD-1'),
+    ]));
+
+    assert.deepEqual(result.unchangedFulfillmentIds, ['F-1']);
+    assert.deepEqual(result.updatedFulfillmentIds, ['F-2']);
+    assert.deepEqual(updateTracking.mock.calls.map(call => call.arguments[0]), ['F-2']);
+    assert.deepEqual(recordFulfillment.mock.calls.map(call => call.arguments[1]), ['9002', '9003']);
+    assert.equal(getFulfillmentOrders.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/imageProxyService.test.js
+// 이미지 프록시 캐시(형식 검증, 중복 요청 합치기)와 프록시 URL로 미디어를 첨부하는 흐름 테스트
+
+require('../helpers/testEnv');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const shopifyService = require('../../src/services/shopifyService');
+const imageProxyService = require('../../src/services/imageProxyService');
+const { syncProductImages } = require('../../src/services/productImageService');
+const { hashImageSource } = require('../../src/utils/bunjangImages');
+
+const PNG_BYTES = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(8)]);
+const imageOf = (n) => {
+  const sourceUrl = `https://media.bunjang.co.kr/product/${n}_856.jpg`;
+  return { sourceUrl, sourceHash: hashImageSource(sourceUrl), position: n - 1 };
+};
+
+describe('imageProxyService', () => {
+  const originalImageProxy = config.imageProxy;
+  const originalBaseUrl = config.middlewareBaseUrl;
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-proxy-'));
+    config.imageProxy = { ...originalImageProxy, enabled: true, cacheDir, format: 'original' };
+    config.middlewareBaseUrl = 'https://middleware.example.com/';
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    config.imageProxy = originalImageProxy;
+    config.middlewareBaseUrl = originalBaseUrl;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('이미지를 한 번만 가져와 형식에 맞는 확장자로 캐시한다', async () => {
+    const get = mock.method(axios, 'get', async () => ({ data: PNG_BYTES, headers: { 'content-type': 'image/png' } }));
+    const image = imageOf(1);
+
+    const [first, concurrent] = await Promise.all([imageProxyService.getOrFetchImage(image), imageProxyService.getOrFetchImage(image)]);
+    const cached = await imageProxyService.getOrFetchImage(image);
+
+    assert.equal(get.mock.callCount(), 1);
+    assert.equal(first.contentType, 'image/png');
+    assert.ok(first.filePath.startsWith(path.join(cacheDir, image.sourceHash.substring(0, 2))));
+    assert.ok(first.filePath.endsWith('.png'));
+    assert.deepEqual(concurrent, first);
+    assert.deepEqual(cached, first);
+    assert.deepEqual(fs.readFileSync(first.filePath), PNG_BYTES);
+  });
+
+  it('이미지가 아닌 응답은 IMAGE_INVALID로 거부하고 캐시하지 않는다', async () => {
+    mock.method(axios, 'get', async () => ({ data: Buffer.from('<html>not found</html>'), headers: { 'content-type': 'text/html' } }));
+    await assert.rejects(imageProxyService.getOrFetchImage(imageOf(2)), { errorCode: 'IMAGE_INVALID' });
+    assert.deepEqual(fs.readdirSync(cacheDir), []);
+  });
+
+  it('가져오기 실패는 IMAGE_FETCH_FAILED', async () => {
+    mock.method(axios, 'get', async () => { throw new Error('timeout'); });
+    await assert.rejects(imageProxyService.getOrFetchImage(imageOf(3)), { errorCode: 'IMAGE_FETCH_FAILED' });
+  });
+
+  it('프록시 URL에 위치와 원본 해시를 담고, 공개 URL이 없으면 프록시를 쓰지 않는다', () => {
+    const image = imageOf(2);
+    assert.equal(imageProxyService.buildProxyUrl('10 01', image), `https://middleware.example.com/media/bunjang/10%2001/1?h=${image.sourceHash}`);
+    assert.equal(imageProxyService.isProxyEnabled(), true);
+    config.middlewareBaseUrl = '';
+    assert.equal(imageProxyService.isProxyEnabled(), false);
+  });
+
+  it('프록시 사용 시 캐시된 이미지만 프록시 URL로 첨부하고 실패한 이미지는 건너뛴다', async () => {
+    const failing = imageOf(2);
+    mock.method(axios, 'get', async (url) => (url === failing.sourceUrl
+      ? { data: Buffer.from('broken-image'), headers: {} }
+      : { data: PNG_BYTES, headers: {} }));
+    mock.method(shopifyService, 'getProductMedia', async () => []);
+    mock.method(shopifyService, 'deleteProductMedia', async () => {});
+    mock.method(shopifyService, 'reorderProductMedia', async () => {});
+    const appendMedia = mock.method(shopifyService, 'appendMediaToProduct', async (id, media) => ({ media: media.map((_, i) => ({ id: `m-${i}` })) }));
+
+    const images = [imageOf(1), failing].map(image => image.sourceUrl);
+    const mappings = await syncProductImages('gid://shopify/Product/1', { pid: '1001', images }, []);
+
+    const ok = imageOf(1);
+    assert.deepEqual(appendMedia.mock.calls[0].arguments[1].map(media => media.originalSource), [
+      `https://middleware.example.com/media/bunjang/1001/0?h=${ok.sourceHash}`,
+    ]);
+    assert.deepEqual(mappings.map(m => [m.sourceHash, m.shopifyMediaId]), [[ok.sourceHash, 'm-0']]);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/landedCostService.test.js
+// 도착 원가 계산(무게 구간 결정, 국가별 국제 배송비, 관세/세금과 면세 한도) 테스트
+
+require('../helpers/testEnv');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// config가 로드되기 전에 테스트용 요율표 파일 지정
+const tablesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'landed-cost-tables-'));
+const tablesFile = path.join(tablesDir, 'tables.json');
+fs.writeFileSync(tablesFile, JSON.stringify({
+  categoryWeightClasses: { 600: 'S', 600700: 'L' },
+  internationalShippingUsd: {
+    DEFAULT: { XS: 18, S: 24, M: 32, L: 48, XL: 75 },
+    GB: { XS: 10, S: 20, M: 30, L: 40, XL: 50 },
+  },
+  duties: {
+    DEFAULT: { dutyRate: 0, taxRate: 0, deMinimisUsd: 0, includeShippingInDutiableValue: false },
+    GB: { dutyRate: 0.1, taxRate: 0.2, deMinimisUsd: 150, includeShippingInDutiableValue: true },
+  },
+}));
+process.env.LANDED_COST_TABLES_FILE = tablesFile;
+
+const config = require('../../src/config');
+const { calculateLandedCost } = require('../../src/services/landedCostService');
+
+const RATE = 0.001; // 1,000 KRW = 1 USD
+
+describe('calculateLandedCost', () => {
+  after(() => fs.rmSync(tablesDir, { recursive: true, force: true }));
+
+  it('상품가, 국내 배송비, 포워딩 수수료, 국제 배송비를 합친다', () => {
+    const result = calculateLandedCost({ priceKrw: 100000, shippingFeeKrw: 3000, krwToUsdRate: RATE, weightKg: 0.8, destinationCountry: 'US' });
+    const { forwardingFeeUsd } = config.landedCost;
+    assert.equal(result.itemCostUsd, 100);
+    assert.equal(result.domesticShippingUsd, 3);
+    assert.equal(result.weightClass, 'S');
+    assert.equal(result.weightClassSource, 'weight');
+    assert.equal(result.internationalShippingUsd, 24);
+    assert.equal(result.dutyUsd, 0);
+    assert.equal(result.totalLandedCostUsd, Math.round((127 + forwardingFeeUsd) * 100) / 100);
+  });
+
+  it('무게가 가장 큰 구간을 넘으면 가장 큰 구간을 쓴다', () => {
+    const result = calculateLandedCost({ priceKrw: 10000, krwToUsdRate: RATE, weightKg: 30, destinationCountry: 'US' });
+    assert.equal(result.weightClass, 'XL');
+    assert.equal(result.internationalShippingUsd, 75);
+  });
+
+  it('무게를 모르면 가장 긴 카테고리 접두사, 없으면 기본 구간을 쓴다', () => {
+    const byCategory = calculateLandedCost({ priceKrw: 10000, krwToUsdRate: RATE, categoryId: '600700123', destinationCountry: 'US' });
+    assert.deepEqual([byCategory.weightClass, byCategory.weightClassSource], ['L', 'category']);
+
+    const byShorterPrefix = calculateLandedCost({ priceKrw: 10000, krwToUsdRate: RATE, categoryId: '600100', destinationCountry: 'US' });
+    assert.equal(byShorterPrefix.weightClass, 'S');
+
+    const byDefault = calculateLandedCost({ priceKrw: 10000, krwToUsdRate: RATE, categoryId: '310', destinationCountry: 'US' });
+    assert.deepEqual([byDefault.weightClass, byDefault.weightClassSource], ['M', 'default']);
+  });
+
+  it('면세 한도를 넘으면 국제 배송비를 포함한 과세가격에 관세와 세금을 매긴다', () => {
+    const result = calculateLandedCost({ priceKrw: 200000, krwToUsdRate: RATE, weightKg: 3, destinationCountry: 'gb' });
+    assert.equal(result.destinationCountry, 'GB');
+    assert.equal(result.internationalShippingUsd, 40);
+    assert.equal(result.dutyExempt, false);
+    assert.equal(result.dutiableValueUsd, 240);
+    assert.equal(result.dutyUsd, 24);
+    assert.equal(result.taxUsd, 52.8);
+    assert.equal(result.totalLandedCostUsd, Math.round((200 + 40 + 24 + 52.8 + config.landedCost.forwardingFeeUsd) * 100) / 100);
+  });
+
+  it('상품 원가가 면세 한도 이하면 관세와 세금을 매기지 않는다', () => {
+    const result = calculateLandedCost({ priceKrw: 150000, krwToUsdRate: RATE, weightKg: 3, destinationCountry: 'GB' });
+    assert.equal(result.dutyExempt, true);
+    assert.equal(result.dutyUsd, 0);
+    assert.equal(result.taxUsd, 0);
+  });
+
+  it('요율표에 없는 국가는 DEFAULT 요율을 쓴다', () => {
+    const result = calculateLandedCost({ priceKrw: 200000, krwToUsdRate: RATE, weightKg: 3, destinationCountry: 'FR' });
+    assert.equal(result.internationalShippingUsd, 48);
+    assert.equal(result.dutyUsd, 0);
+  });
+});
@@ -0,0 +1,107 @@
+// tests/unit/orderLinkService.test.js
+// 주문 원장(OrderLink) 기록: 주문 ID 정규화, line item 초기화(재처리 시 주문 결과 유지), 최종 상태 결정, 오류 기록과 쓰기 실패 처리 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const OrderLink = require('../../src/models/orderLink.model');
+const { NotFoundError } = require('../../src/utils/customErrors');
+const orderLinkService = require('../../src/services/orderLinkService');
+
+const query = result => {
+  const chain = { select: () => chain, lean: async () => result };
+  return chain;
+};
+
+describe('orderLinkService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('주문 처리 시작 시 GID를 숫자 ID로 정규화하고 line item을 PENDING으로 초기화한다', async () => {
+    mock.method(OrderLink, 'findOne', () => query(null));
+    const findOneAndUpdate = mock.method(OrderLink, 'findOneAndUpdate', () => query({ shopifyOrderId: '5001' }));
+    await orderLinkService.openOrderLink({
+      id: 'gid://shopify/Order/5001',
+      name: '#1001',
+      line_items: [{ id: 9001, product_id: 7001, variant_id: 8001, sku: 'BJ-1001-11', title: '운동화', quantity: 1, price: '55.00' }],
+    }, { bunjangOrderIdentifier: 'BunjangOrder-5001', jobId: 3 });
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { shopifyOrderId: '5001' });
+    assert.deepEqual(update.$set.lineItems, [{
+      shopifyLineItemId: '9001', idempotencyKey: '5001:9001', shopifyProductId: '7001', shopifyVariantId: '8001', sku: 'BJ-1001-11', title: '운동화', quantity: 1, salePriceUsd: '55.00', status: 'PENDING',
+    }]);
+    assert.equal(update.$push.statusTimeline.status, 'PROCESSING');
+    assert.equal(update.$push.statusTimeline.jobId, '3');
+    assert.equal(options.upsert, true);
+  });
+
+  it('line item 결과로 최종 상태를 정한다', async () => {
+    const finalize = async (lineItems) => {
+      mock.restoreAll();
+      mock.method(OrderLink, 'findOne', () => query({ lineItems }));
+      const updateOne = mock.method(OrderLink, 'updateOne', async () => ({}));
+      const status = await orderLinkService.finalizeOrderLink('5001', { note: 'done' });
+      assert.equal(updateOne.mock.calls[0].arguments[1].$set.status, status);
+      return status;
+    };
+    assert.equal(await finalize([{ status: 'ORDERED' }, { status: 'NOT_LINKED' }]), 'PLACED');
+    assert.equal(await finalize([{ status: 'ORDERED' }, { status: 'FAILED' }]), 'PARTIALLY_PLACED');
+    assert.equal(await finalize([{ status: 'FAILED' }]), 'FAILED');
+    assert.equal(await finalize([{ status: 'NOT_LINKED' }, { status: 'PENDING' }]), 'NO_BUNJANG_ITEMS');
+  });
+
+  it('line item 오류는 해당 항목을 FAILED로 바꾸고 오류 이력에 추가한다', async () => {
+    const updateOne = mock.method(OrderLink, 'updateOne', async () => ({}));
+    await orderLinkService.recordLineItemError('5001', { shopifyLineItemId: 9001, bunjangPid: 1001, code: 'NOT_AVAILABLE', message: 'sold out' }, 'job-1');
+    await orderLinkService.recordLineItemError('5001', { code: 'POINT_SHORTAGE' }, 'job-1');
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { shopifyOrderId: '5001', 'lineItems.shopifyLineItemId': '9001' });
+    assert.equal(update.$set['lineItems.$.status'], 'FAILED');
+    assert.equal(update.$push.errorHistory.bunjangPid, '1001');
+
+    const [orderFilter, orderUpdate] = updateOne.mock.calls[1].arguments;
+    assert.deepEqual(orderFilter, { shopifyOrderId: '5001' });
+    assert.equal(orderUpdate.$set, undefined);
+  });
+
+  it('포인트 잔액 before는 처음 한 번만 기록한다', async () => {
+    const updateOne = mock.method(OrderLink, 'updateOne', async () => ({}));
+    await orderLinkService.recordPointBalance('5001', 'before', 100000);
+    await orderLinkService.recordPointBalance('5001', 'after', 45000);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[0], { shopifyOrderId: '5001', 'pointBalance.beforeKrw': null });
+    assert.deepEqual(updateOne.mock.calls[1].arguments[0], { shopifyOrderId: '5001' });
+    assert.equal(updateOne.mock.calls[1].arguments[1].$set['pointBalance.afterKrw'], 45000);
+  });
+
+  it('재처리 시 주문된 line item과 생성 시도 기록은 유지하고 나머지는 초기화한다', async () => {
+    mock.method(OrderLink, 'findOne', () => query({
+      lineItems: [
+        { shopifyLineItemId: '9001', status: 'ORDERED', bunjangOrderId: 'B-1', attempts: [{ attemptId: 'a-1', outcome: 'SUCCEEDED' }] },
+        { shopifyLineItemId: '9002', status: 'FAILED', errorCode: 'NOT_AVAILABLE', errorMessage: 'sold out' },
+      ],
+    }));
+    const findOneAndUpdate = mock.method(OrderLink, 'findOneAndUpdate', () => query({}));
+    await orderLinkService.openOrderLink({ id: 5001, line_items: [{ id: 9001, quantity: 1 }, { id: 9002, quantity: 1 }] }, { bunjangOrderIdentifier: 'x' });
+
+    const [ordered, failed] = findOneAndUpdate.mock.calls[0].arguments[1].$set.lineItems;
+    assert.equal(ordered.status, 'ORDERED');
+    assert.equal(ordered.bunjangOrderId, 'B-1');
+    assert.deepEqual(ordered.attempts, [{ attemptId: 'a-1', outcome: 'SUCCEEDED' }]);
+    assert.equal(failed.status, 'PENDING');
+    assert.equal(failed.errorCode, undefined);
+  });
+
+  it('원장 열기 실패는 예외를 던지고, 그 밖의 원장 쓰기 실패는 로그만 남긴다', async () => {
+    mock.method(OrderLink, 'findOne', () => query(null));
+    mock.method(OrderLink, 'findOneAndUpdate', () => ({ lean: async () => { throw new Error('db down'); } }));
+    mock.method(OrderLink, 'updateOne', async () => { throw new Error('db down'); });
+    await assert.rejects(orderLinkService.openOrderLink({ id: 1, line_items: [] }, { bunjangOrderIdentifier: 'x' }), /db down/);
+    assert.equal(await orderLinkService.recordBunjangStatus('B-1', 'SHIP_READY'), false);
+  });
+
+  it('원장이 없으면 NotFoundError', async () => {
+    mock.method(OrderLink, 'findOne', () => query(null));
+    await assert.rejects(orderLinkService.getOrderLink('gid://shopify/Order/404'), NotFoundError);
+  });
+});
@@ -0,0 +1,71 @@
+// tests/unit/orderService.test.js
+// 번개장터 주문 생성 오류 판정(isUncertainOrderError)과 생성 여부 불명 시도 대사(reconcileUncertainAttempt) 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bunjangService = require('../../src/services/bunjangService');
+const orderLinkService = require('../../src/services/orderLinkService');
+const { isUncertainOrderError, reconcileUncertainAttempt } = require('../../src/services/orderService');
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { originalError: { response: { status } } });
+
+describe('isUncertainOrderError', () => {
+  it('번개장터가 4xx로 거절한 경우는 생성되지 않은 것이 확실하다', () => {
+    assert.equal(isUncertainOrderError(httpError(400)), false);
+    assert.equal(isUncertainOrderError(httpError(409)), false);
+  });
+
+  it('요청 전 JWT 생성 실패는 생성되지 않은 것이 확실하다', () => {
+    assert.equal(isUncertainOrderError(Object.assign(new Error('jwt'), { errorCode: 'BUNJANG_JWT_ERROR_PRE_REQUEST' })), false);
+  });
+
+  it('5xx/타임아웃/네트워크 오류는 생성 여부가 불명하다', () => {
+    assert.equal(isUncertainOrderError(httpError(500)), true);
+    assert.equal(isUncertainOrderError(httpError(504)), true);
+    assert.equal(isUncertainOrderError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), true);
+    assert.equal(isUncertainOrderError(new Error('Unexpected response format')), true);
+  });
+});
+
+describe('reconcileUncertainAttempt', () => {
+  const attempt = { attemptId: 'attempt-1', startedAt: new Date(Date.now() - 60 * 1000) };
+  const order = (id, pid) => ({ id, orderItems: [{ product: { id: pid } }] });
+
+  afterEach(() => mock.restoreAll());
+
+  it('같은 상품으로 생성되고 아직 연결되지 않은 번개장터 주문이 있으면 생성된 것으로 본다', async () => {
+    mock.method(bunjangService, 'getBunjangOrders', async () => ({
+      data: [order(101, 555), order(102, 777), order(103, 555)],
+      totalPages: 1,
+    }));
+    const findLinked = mock.method(orderLinkService, 'findLinkedBunjangOrderIds', async () => new Set(['101']));
+
+    const result = await reconcileUncertainAttempt({ attempt, bunjangPid: '555', jobId: 'TEST' });
+
+    assert.deepEqual(result, { created: true, bunjangOrderId: '103' });
+    assert.deepEqual(findLinked.mock.calls[0].arguments[0], ['101', '103']);
+  });
+
+  it('후보가 모두 다른 주문에 연결되어 있으면 생성되지 않은 것으로 본다', async () => {
+    mock.method(bunjangService, 'getBunjangOrders', async () => ({ data: [order(101, 555)], totalPages: 1 }));
+    mock.method(orderLinkService, 'findLinkedBunjangOrderIds', async () => new Set(['101']));
+
+    assert.deepEqual(await reconcileUncertainAttempt({ attempt, bunjangPid: '555', jobId: 'TEST' }), { created: false });
+  });
+
+  it('모든 페이지를 조회하고, 후보가 없으면 원장을 조회하지 않는다', async () => {
+    const getOrders = mock.method(bunjangService, 'getBunjangOrders', async ({ page }) => ({ data: [order(200 + page, 999)], totalPages: 3 }));
+    const findLinked = mock.method(orderLinkService, 'findLinkedBunjangOrderIds', async () => new Set());
+
+    assert.deepEqual(await reconcileUncertainAttempt({ attempt, bunjangPid: '555', jobId: 'TEST' }), { created: false });
+    assert.deepEqual(getOrders.mock.calls.map(call => call.arguments[0].page), [0, 1, 2]);
+    assert.equal(findLinked.mock.callCount(), 0);
+  });
+
+  it('번개장터 주문 목록 조회가 실패하면 대사하지 않고 에러를 던진다', async () => {
+    mock.method(bunjangService, 'getBunjangOrders', async () => { throw new Error('Bunjang API down'); });
+
+    await assert.rejects(reconcileUncertainAttempt({ attempt, bunjangPid: '555', jobId: 'TEST' }), /Bunjang API down/);
+  });
+});
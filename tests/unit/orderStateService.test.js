@@ -0,0 +1,80 @@
+// tests/unit/orderStateService.test.js
+// 주문 상태 머신 전이 규칙(canTransition)과 번개장터 상태 매핑, 전이 락 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const orderLinkService = require('../../src/services/orderLinkService');
+const { acquireLock, releaseLock } = require('../../src/utils/distributedLock');
+const { ORDER_STATES, TRANSITIONS, canTransition, mapBunjangStatusToState, transitionLineItem } = require('../../src/services/orderStateService');
+
+describe('canTransition', () => {
+  it('번개장터 주문 생성 전에는 생성 또는 취소로만 전이한다', () => {
+    assert.equal(canTransition('PENDING_BUNJANG', 'BUNJANG_CREATED'), true);
+    assert.equal(canTransition('PENDING_BUNJANG', 'CANCELLED'), true);
+    assert.equal(canTransition('PENDING_BUNJANG', 'IN_TRANSIT'), false);
+    assert.equal(canTransition('PENDING_BUNJANG', 'REFUNDED'), false);
+  });
+
+  it('배송 흐름 안에서는 중간 상태를 건너뛸 수 있지만 되돌아갈 수는 없다', () => {
+    assert.equal(canTransition('BUNJANG_CREATED', 'DELIVERED'), true);
+    assert.equal(canTransition('PAYMENT_RECEIVED', 'CONFIRMED'), true);
+    assert.equal(canTransition('IN_TRANSIT', 'SHIP_READY'), false);
+    assert.equal(canTransition('DELIVERED', 'IN_TRANSIT'), false);
+  });
+
+  it('발송 이후에는 취소 대신 반품/환불로만 끝난다', () => {
+    assert.equal(canTransition('IN_TRANSIT', 'CANCELLED'), false);
+    assert.equal(canTransition('IN_TRANSIT', 'RETURNED'), true);
+    assert.equal(canTransition('CANCELLED', 'REFUNDED'), true);
+    assert.equal(canTransition('RETURNED', 'REFUNDED'), true);
+  });
+
+  it('종료 상태에서는 더 이상 전이하지 않는다', () => {
+    for (const state of ['CONFIRMED', 'REFUNDED']) {
+      for (const to of ORDER_STATES) assert.equal(canTransition(state, to), false, `${state} -> ${to}`);
+    }
+  });
+
+  it('같은 상태로의 전이와 알 수 없는 상태는 허용하지 않는다', () => {
+    for (const state of ORDER_STATES) assert.equal(canTransition(state, state), false, state);
+    assert.equal(canTransition('UNKNOWN', 'CANCELLED'), false);
+    assert.equal(canTransition('BUNJANG_CREATED', 'UNKNOWN'), false);
+  });
+
+  it('전이 대상은 모두 정의된 상태다', () => {
+    for (const targets of Object.values(TRANSITIONS)) {
+      for (const to of targets) assert.ok(ORDER_STATES.includes(to), to);
+    }
+  });
+});
+
+describe('mapBunjangStatusToState', () => {
+  it('번개장터 주문 상태를 상태 머신 상태로 바꾼다', () => {
+    assert.equal(mapBunjangStatusToState('DELIVERY_COMPLETED'), 'DELIVERED');
+    assert.equal(mapBunjangStatusToState('PURCHASE_CONFIRM'), 'CONFIRMED');
+    assert.equal(mapBunjangStatusToState('CANCEL_REQUESTED_BEFORE_SHIPPING'), 'CANCELLED');
+  });
+
+  it('대응 상태가 없으면 null', () => {
+    assert.equal(mapBunjangStatusToState('RETURN_REQUESTED'), null);
+  });
+});
+
+describe('transitionLineItem', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('GID로 호출해도 숫자 ID로 잡은 같은 line item 락과 겹치면 전이하지 않는다', async () => {
+    const token = await acquireLock('order-state:5001:9001', 60000);
+    const getOrderLink = mock.method(orderLinkService, 'getOrderLink', async () => { throw new Error('should not be called'); });
+    try {
+      await assert.rejects(
+        transitionLineItem('gid://shopify/Order/5001', '9001', 'CANCELLED', { source: 'manual' }),
+        error => error.errorCode === 'ORDER_STATE_LOCKED',
+      );
+      assert.equal(getOrderLink.mock.callCount(), 0);
+    } finally {
+      await releaseLock('order-state:5001:9001', token);
+    }
+  });
+});
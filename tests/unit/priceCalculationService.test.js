@@ -0,0 +1,31 @@
+// tests/unit/priceCalculationService.test.js
+// 통화별 반올림 규칙(roundCurrencyPrice) 테스트 (config.marketPricing.rounding 기본값 기준)
+
+require('../helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { roundCurrencyPrice } = require('../../src/services/priceCalculationService');
+
+describe('roundCurrencyPrice', () => {
+  it('EUR/CAD는 1 단위로 올린 뒤 0.01을 뺀다', () => {
+    assert.equal(roundCurrencyPrice(23.4, 'EUR'), '23.99');
+    assert.equal(roundCurrencyPrice(24, 'EUR'), '23.99');
+    assert.equal(roundCurrencyPrice(24.01, 'CAD'), '24.99');
+  });
+
+  it('JPY는 100엔 단위로 올리고 소수점 없이 표시한다', () => {
+    assert.equal(roundCurrencyPrice(3210.5, 'JPY'), '3300');
+    assert.equal(roundCurrencyPrice(3300, 'JPY'), '3300');
+  });
+
+  it('규칙이 없는 통화는 0.01 단위로 반올림한다', () => {
+    assert.equal(roundCurrencyPrice(12.344, 'GBP'), '12.34');
+    assert.equal(roundCurrencyPrice(12.346, 'GBP'), '12.35');
+    assert.equal(roundCurrencyPrice(15000.4, 'KRW'), '15000');
+  });
+
+  it('0이나 아주 작은 금액은 최소 단위 가격으로 올린다', () => {
+    assert.equal(roundCurrencyPrice(0, 'JPY'), '100');
+    assert.equal(roundCurrencyPrice(0.001, 'EUR'), '0.99');
+  });
+});
@@ -0,0 +1,159 @@
+// tests/unit/priceGuardService.test.js
+// 가격 가드(최저가 보정, 최고가/급격한 인하 보류, compareAtPrice)와 승인 대기열 테스트
+
+require('../helpers/testEnv');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const PriceApproval = require('../../src/models/priceApproval.model');
+const { NotFoundError } = require('../../src/utils/customErrors');
+const {
+  evaluatePrice, applyPriceGuard, previewPriceGuard, rejectPriceChange,
+} = require('../../src/services/priceGuardService');
+
+const pricingOf = (priceUsd, costUsd = 20) => ({
+  priceUsd,
+  rule: { ruleName: 'default' },
+  breakdown: { costUsd, priceKrw: costUsd * 1000, exchangeRate: 0.001, marginUsd: parseFloat(priceUsd) - costUsd },
+});
+const lean = result => ({ lean: async () => result });
+// PriceApproval.findOne을 상태(PENDING/REJECTED)별 결과로 대체
+const findByStatus = results => (filter) => {
+  const chain = { sort: () => chain, lean: async () => results[filter.status] || null };
+  return chain;
+};
+
+describe('priceGuardService', () => {
+  const originalPriceGuard = config.priceGuard;
+  const originalNotifications = config.notifications;
+
+  beforeEach(() => {
+    config.priceGuard = { enabled: true, minMarginUsd: 2, minMarginPercentage: 0, maxPriceUsd: 1000, maxDropPercent: 30, compareAtMultiplier: null };
+    config.notifications = { enabled: false };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    config.priceGuard = originalPriceGuard;
+    config.notifications = originalNotifications;
+  });
+
+  describe('evaluatePrice', () => {
+    it('원가 + 최소 마진보다 낮으면 최저가로 올린다', () => {
+      config.priceGuard.minMarginPercentage = 15;
+      const result = evaluatePrice(pricingOf('21.00'), null);
+      assert.equal(result.floorUsd, 23);
+      assert.equal(result.priceUsd, 23);
+      assert.equal(result.floorApplied, true);
+      assert.deepEqual(result.violations, []);
+    });
+
+    it('최고가 초과와 허용 폭을 넘는 인하를 위반으로 보고한다', () => {
+      assert.deepEqual(evaluatePrice(pricingOf('1200.00'), null).violations.map(v => v.code), ['PRICE_ABOVE_CEILING']);
+
+      const drop = evaluatePrice(pricingOf('60.00'), '100.00');
+      assert.equal(drop.changePercent, -40);
+      assert.deepEqual(drop.violations.map(v => v.code), ['PRICE_DROP_EXCEEDED']);
+      assert.deepEqual(evaluatePrice(pricingOf('75.00'), '100.00').violations, []);
+    });
+
+    it('배수가 설정되면 compareAtPrice를 .99로 계산한다', () => {
+      config.priceGuard.compareAtMultiplier = 1.3;
+      assert.equal(evaluatePrice(pricingOf('50.00'), null).compareAtPrice, '64.99');
+      config.priceGuard.compareAtMultiplier = null;
+      assert.equal(evaluatePrice(pricingOf('50.00'), null).compareAtPrice, undefined);
+    });
+  });
+
+  describe('previewPriceGuard', () => {
+    it('보류 대상이면 현재 가격을 유지하고, 현재 가격이 없으면 pricing은 null', () => {
+      const held = previewPriceGuard(pricingOf('60.00'), '100.00');
+      assert.equal(held.blocked, true);
+      assert.equal(held.pricing.priceUsd, '100.00');
+      assert.equal(held.pricing.breakdown.guard.proposedPriceUsd, '60.00');
+      assert.equal(previewPriceGuard(pricingOf('1200.00'), null).pricing, null);
+    });
+
+    it('통과하면 최저가가 반영된 pricing을 반환하고, 꺼져 있으면 그대로 반환한다', () => {
+      const passed = previewPriceGuard(pricingOf('21.00'), '22.00');
+      assert.equal(passed.blocked, false);
+      assert.equal(passed.pricing.priceUsd, '22.00');
+      assert.equal(passed.pricing.breakdown.marginUsd, 2);
+
+      config.priceGuard.enabled = false;
+      const pricing = pricingOf('1.00');
+      assert.equal(previewPriceGuard(pricing, '100.00').pricing, pricing);
+    });
+  });
+
+  describe('applyPriceGuard', () => {
+    it('위반이면 승인 대기열에 넣고 현재 가격을 유지한다', async () => {
+      mock.method(PriceApproval, 'findOneAndUpdate', () => lean(null));
+      mock.method(PriceApproval, 'findOne', findByStatus({}));
+      const create = mock.method(PriceApproval, 'create', async doc => ({ toObject: () => ({ _id: 'approval-1', ...doc }) }));
+
+      const result = await applyPriceGuard(pricingOf('60.00'), { currentPriceUsd: '100.00', bunjangPid: 1001, sku: 'BJ-1001-11', isOptionVariant: true, source: 'reprice' });
+
+      assert.equal(result.blocked, true);
+      assert.equal(result.approvalId, 'approval-1');
+      assert.equal(result.pricing.priceUsd, '100.00');
+      const doc = create.mock.calls[0].arguments[0];
+      assert.equal(doc.bunjangPid, '1001');
+      assert.equal(doc.proposedPriceUsd, '60.00');
+      assert.equal(doc.changePercent, -40);
+    });
+
+    it('같은 가격의 대기 중 요청은 재사용하고, 다른 가격이면 이전 요청을 대체한다', async () => {
+      mock.method(PriceApproval, 'findOneAndUpdate', () => lean(null));
+      const pending = { _id: 'approval-1', proposedPriceUsd: '60.00' };
+      mock.method(PriceApproval, 'findOne', findByStatus({ PENDING: pending }));
+      const updateOne = mock.method(PriceApproval, 'updateOne', async () => ({}));
+      const create = mock.method(PriceApproval, 'create', async doc => ({ toObject: () => ({ _id: 'approval-2', ...doc }) }));
+
+      const reused = await applyPriceGuard(pricingOf('60.00'), { currentPriceUsd: '100.00', bunjangPid: '1001', source: 'reprice' });
+      assert.equal(reused.approvalId, 'approval-1');
+      assert.equal(create.mock.callCount(), 0);
+
+      const replaced = await applyPriceGuard(pricingOf('55.00'), { currentPriceUsd: '100.00', bunjangPid: '1001', source: 'reprice' });
+      assert.equal(replaced.approvalId, 'approval-2');
+      assert.equal(updateOne.mock.calls[0].arguments[1].$set.status, 'SUPERSEDED');
+    });
+
+    it('이미 거부된 같은 가격이면 다시 대기열에 넣지 않고 현재 가격을 유지한다', async () => {
+      mock.method(PriceApproval, 'findOneAndUpdate', () => lean(null));
+      mock.method(PriceApproval, 'findOne', findByStatus({ REJECTED: { _id: 'approval-0', proposedPriceUsd: '60.00', status: 'REJECTED' } }));
+      const create = mock.method(PriceApproval, 'create', async () => { throw new Error('should not enqueue'); });
+
+      const result = await applyPriceGuard(pricingOf('60.00'), { currentPriceUsd: '100.00', bunjangPid: '1001', source: 'reprice' });
+
+      assert.equal(result.blocked, true);
+      assert.equal(result.approvalId, 'approval-0');
+      assert.equal(result.pricing.priceUsd, '100.00');
+      assert.equal(result.pricing.breakdown.guard.rejected, true);
+      assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('이미 승인된 같은 가격이면 승인을 소비하고 반영한다', async () => {
+      const findOneAndUpdate = mock.method(PriceApproval, 'findOneAndUpdate', () => lean({ _id: 'approval-1' }));
+      const create = mock.method(PriceApproval, 'create', async () => { throw new Error('should not enqueue'); });
+
+      const result = await applyPriceGuard(pricingOf('1200.00'), { currentPriceUsd: null, bunjangPid: '1001', source: 'catalog_sync' });
+
+      assert.equal(result.blocked, false);
+      assert.equal(result.pricing.priceUsd, '1200.00');
+      assert.equal(findOneAndUpdate.mock.calls[0].arguments[0].proposedPriceUsd, '1200.00');
+      assert.equal(create.mock.callCount(), 0);
+    });
+  });
+
+  describe('rejectPriceChange', () => {
+    it('없는 요청은 NotFoundError, 이미 처리된 요청은 PRICE_APPROVAL_NOT_PENDING', async () => {
+      mock.method(PriceApproval, 'findById', () => lean(null));
+      await assert.rejects(rejectPriceChange('missing'), NotFoundError);
+
+      mock.restoreAll();
+      mock.method(PriceApproval, 'findById', () => lean({ _id: 'approval-1', status: 'APPROVED' }));
+      await assert.rejects(rejectPriceChange('approval-1'), { errorCode: 'PRICE_APPROVAL_NOT_PENDING' });
+    });
+  });
+});
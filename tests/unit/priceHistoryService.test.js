@@ -0,0 +1,93 @@
+// tests/unit/priceHistoryService.test.js
+// 가격 이력 기록(KRW 변동/USD 반영 이벤트 구분)과 조회, 카테고리 마진 집계 조건 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const PriceHistory = require('../../src/models/priceHistory.model');
+const SyncedProduct = require('../../src/models/syncedProduct.model');
+const { NotFoundError } = require('../../src/utils/customErrors');
+const { recordPriceChange, getPriceHistory, getMarginStatsByCategory } = require('../../src/services/priceHistoryService');
+
+const pricing = {
+  priceUsd: '55.00',
+  rule: { ruleId: 'rule-1', ruleName: '신발' },
+  breakdown: { exchangeRate: 0.001, costUsd: 50, marginUsd: 5, markupPercentage: 10, marginFloorApplied: false },
+};
+
+const query = result => {
+  const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: async () => result };
+  return chain;
+};
+
+describe('recordPriceChange', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('원화 가격과 USD 가격이 모두 바뀌면 두 이벤트를 기록한다', async () => {
+    const insertMany = mock.method(PriceHistory, 'insertMany', async () => []);
+    const count = await recordPriceChange({
+      bunjangPid: 1001, categoryId: 320, previousPriceKrw: 45000, priceKrw: 50000, previousPriceUsd: '50.00', pricing, source: 'catalog_price_update', jobId: 7,
+    });
+    assert.equal(count, 2);
+    const entries = insertMany.mock.calls[0].arguments[0];
+    assert.deepEqual(entries.map(e => e.eventType), ['KRW_PRICE_CHANGE', 'USD_PRICE_PUSH']);
+    assert.equal(entries[0].bunjangPid, '1001');
+    assert.equal(entries[0].categoryId, '320');
+    assert.equal(entries[0].jobId, '7');
+    assert.equal(entries[0].pricingRuleName, '신발');
+    assert.equal(entries[0].marginUsd, 5);
+  });
+
+  it('첫 반영이면 USD 이벤트만, 가격 변동이 없으면 기록하지 않는다', async () => {
+    const insertMany = mock.method(PriceHistory, 'insertMany', async () => []);
+    assert.equal(await recordPriceChange({ bunjangPid: '1', priceKrw: 50000, pricing, source: 'catalog_sync' }), 1);
+    assert.equal(insertMany.mock.calls[0].arguments[0][0].eventType, 'USD_PRICE_PUSH');
+
+    assert.equal(await recordPriceChange({ bunjangPid: '1', previousPriceKrw: 50000, priceKrw: 50000, previousPriceUsd: '55.00', pricing, source: 'reprice' }), 0);
+    assert.equal(insertMany.mock.callCount(), 1);
+  });
+
+  it('기록 실패는 예외 없이 0을 반환한다', async () => {
+    mock.method(PriceHistory, 'insertMany', async () => { throw new Error('db down'); });
+    assert.equal(await recordPriceChange({ bunjangPid: '1', priceKrw: 50000, pricing: { ...pricing, rule: {} }, source: 'reprice' }), 0);
+  });
+});
+
+describe('getPriceHistory', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('현재 가격과 이력을 함께 반환한다', async () => {
+    mock.method(SyncedProduct, 'findOne', () => query({ shopifyGid: 'gid-1', bunjangProductName: '상품', bunjangOriginalPriceKrw: 50000, shopifyListedPriceUsd: '55.00' }));
+    const find = mock.method(PriceHistory, 'find', () => query([{ eventType: 'USD_PRICE_PUSH' }]));
+
+    const result = await getPriceHistory(1001, { eventType: 'USD_PRICE_PUSH' });
+    assert.deepEqual(find.mock.calls[0].arguments[0], { bunjangPid: '1001', eventType: 'USD_PRICE_PUSH' });
+    assert.equal(result.current.priceUsd, '55.00');
+    assert.equal(result.history.length, 1);
+  });
+
+  it('동기화 기록과 이력이 모두 없으면 NotFoundError', async () => {
+    mock.method(SyncedProduct, 'findOne', () => query(null));
+    mock.method(PriceHistory, 'find', () => query([]));
+    await assert.rejects(getPriceHistory('404'), NotFoundError);
+  });
+});
+
+describe('getMarginStatsByCategory', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('기간과 카테고리 접두어를 조건으로, 카테고리 단계 길이로 묶는다', async () => {
+    const aggregate = mock.method(PriceHistory, 'aggregate', () => ({ allowDiskUse: async () => [] }));
+    const since = new Date('2025-01-01T00:00:00Z');
+    await getMarginStatsByCategory({ since, categoryDepth: 2, categoryPrefix: '600.*' });
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(pipeline[0].$match, {
+      eventType: 'USD_PRICE_PUSH',
+      marginUsd: { $ne: null },
+      createdAt: { $gte: since },
+      categoryId: { $regex: '^600' },
+    });
+    assert.deepEqual(pipeline[4].$group._id.$substrCP[2], 6);
+  });
+});
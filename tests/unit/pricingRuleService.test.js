@@ -0,0 +1,67 @@
+// tests/unit/pricingRuleService.test.js
+// 가격 규칙으로 USD 판매 가격을 계산할 때의 반올림 방식, 최소 마진/최소 가격 하한, 가격대별 마크업 테스트
+
+require('../helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computePriceWithRule } = require('../../src/services/pricingRuleService');
+
+const RATE = 0.001; // 1,000 KRW = 1 USD
+const withRule = rule => ({ rule: { name: 'test', priority: 1, markupPercentage: 0, handlingFeeUsd: 0, ...rule }, matchedConditions: [] });
+
+describe('computePriceWithRule', () => {
+  it('마크업과 취급 수수료를 적용한다', () => {
+    const { priceUsd, breakdown } = computePriceWithRule(20000, RATE, withRule({ markupPercentage: 10, handlingFeeUsd: 5 }));
+    assert.equal(priceUsd, '27.00');
+    assert.equal(breakdown.costUsd, 20);
+    assert.equal(breakdown.marginFloorApplied, false);
+  });
+
+  it('반올림 방식별로 가격을 조정한다', () => {
+    const price = rounding => computePriceWithRule(20000, RATE, withRule({ handlingFeeUsd: 3.3, rounding })).priceUsd;
+    assert.equal(price('none'), '23.30');
+    assert.equal(price('charm_99'), '23.99');
+    assert.equal(price('nearest_0_50'), '23.50');
+    assert.equal(price('ceil_0_50'), '23.50');
+    assert.equal(price('nearest_1'), '23.00');
+  });
+
+  it('최소 마진에 못 미치면 원가 + 최소 마진을 하한으로 쓴다', () => {
+    const { priceUsd, breakdown } = computePriceWithRule(20000, RATE, withRule({ minMarginUsd: 3 }));
+    assert.equal(priceUsd, '23.00');
+    assert.equal(breakdown.marginFloorApplied, true);
+    assert.equal(breakdown.requiredMarginUsd, 3);
+
+    const byPercentage = computePriceWithRule(20000, RATE, withRule({ minMarginUsd: 1, minMarginPercentage: 25 }));
+    assert.equal(byPercentage.priceUsd, '25.00');
+  });
+
+  it('반올림으로 하한 아래로 내려가면 올림 방식으로 다시 계산한다', () => {
+    assert.equal(computePriceWithRule(20000, RATE, withRule({ minMarginUsd: 0.1, rounding: 'nearest_0_50' })).priceUsd, '20.50');
+    assert.equal(computePriceWithRule(20000, RATE, withRule({ minMarginUsd: 0.3, rounding: 'nearest_1' })).priceUsd, '21.00');
+    assert.equal(computePriceWithRule(20000, RATE, withRule({ minMarginUsd: 0.001, rounding: 'none' })).priceUsd, '20.01');
+  });
+
+  it('$0 리스팅을 막기 위해 최소 $1로 계산한다', () => {
+    const { priceUsd, breakdown } = computePriceWithRule(100, RATE, withRule({}));
+    assert.equal(priceUsd, '1.00');
+    assert.equal(breakdown.marginFloorApplied, true);
+  });
+
+  it('가격대별 마크업 중 상품 가격에 해당하는 구간을 쓴다', () => {
+    const markupTiers = [{ upToKrw: null, markupPercentage: 5 }, { upToKrw: 10000, markupPercentage: 20 }];
+    const cheap = computePriceWithRule(10000, RATE, withRule({ markupPercentage: 50, markupTiers }));
+    assert.equal(cheap.priceUsd, '12.00');
+    assert.deepEqual(cheap.rule.tier, { upToKrw: 10000, markupPercentage: 20 });
+
+    const expensive = computePriceWithRule(100000, RATE, withRule({ markupPercentage: 50, markupTiers }));
+    assert.equal(expensive.priceUsd, '105.00');
+  });
+
+  it('도착 원가가 주어지면 도착 원가를 원가로 쓴다', () => {
+    const { priceUsd, breakdown } = computePriceWithRule(20000, RATE, withRule({ markupPercentage: 10 }), { totalLandedCostUsd: 50 });
+    assert.equal(priceUsd, '55.00');
+    assert.equal(breakdown.costBasis, 'landed');
+    assert.equal(breakdown.costUsd, 50);
+  });
+});
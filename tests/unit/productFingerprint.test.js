@@ -0,0 +1,83 @@
+// tests/unit/productFingerprint.test.js
+// 카탈로그 상품 콘텐츠 지문의 안정성(가격/정렬 무관 필드)과 가격 변경 판단 테스트
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeList, computeContentFingerprint, hasPriceChanged } = require('../../src/utils/productFingerprint');
+
+const baseProduct = {
+  pid: '1001',
+  name: '나이키 덩크 로우',
+  description: '상태 좋습니다',
+  condition: 'USED',
+  categoryId: 405100,
+  categoryName: '스니커즈',
+  brandId: 12,
+  keywords: ['나이키', '덩크'],
+  images: ['https://img.test/1.jpg', 'https://img.test/2.jpg'],
+  optionsRaw: null,
+  price: 120000,
+  shippingFee: 3000,
+};
+
+describe('normalizeList', () => {
+  it('배열과 쉼표 문자열을 공백 제거한 문자열 배열로 바꾼다', () => {
+    assert.deepEqual(normalizeList([' a ', 1, null, '']), ['a', '1']);
+    assert.deepEqual(normalizeList('a, b,,c '), ['a', 'b', 'c']);
+    assert.deepEqual(normalizeList(undefined), []);
+    assert.deepEqual(normalizeList('  '), []);
+  });
+});
+
+describe('computeContentFingerprint', () => {
+  it('같은 콘텐츠는 항상 같은 지문을 낸다', () => {
+    assert.equal(computeContentFingerprint(baseProduct), computeContentFingerprint({ ...baseProduct }));
+    assert.match(computeContentFingerprint(baseProduct), /^[0-9a-f]{40}$/);
+  });
+
+  it('가격/배송비와 PID는 지문에 영향을 주지 않는다', () => {
+    const repriced = { ...baseProduct, price: 99000, shippingFee: 0, pid: '2002' };
+    assert.equal(computeContentFingerprint(repriced), computeContentFingerprint(baseProduct));
+  });
+
+  it('표현만 다른 값(공백, 숫자/문자 ID, 키워드 순서와 형식)은 같은 지문이다', () => {
+    const reformatted = {
+      ...baseProduct,
+      name: `  ${baseProduct.name} `,
+      categoryId: '405100',
+      brandId: '12',
+      keywords: '덩크, 나이키',
+    };
+    assert.equal(computeContentFingerprint(reformatted), computeContentFingerprint(baseProduct));
+  });
+
+  it('콘텐츠가 바뀌면 지문이 바뀐다', () => {
+    const base = computeContentFingerprint(baseProduct);
+    assert.notEqual(computeContentFingerprint({ ...baseProduct, name: '나이키 덩크 하이' }), base);
+    assert.notEqual(computeContentFingerprint({ ...baseProduct, description: '새 설명' }), base);
+    assert.notEqual(computeContentFingerprint({ ...baseProduct, optionsRaw: '[{"id":1}]' }), base);
+  });
+
+  it('이미지 순서는 Shopify 미디어 순서에 영향을 주므로 지문에 반영된다', () => {
+    const reordered = { ...baseProduct, images: [...baseProduct.images].reverse() };
+    assert.notEqual(computeContentFingerprint(reordered), computeContentFingerprint(baseProduct));
+  });
+});
+
+describe('hasPriceChanged', () => {
+  const syncedDoc = { bunjangOriginalPriceKrw: 120000, bunjangOriginalShippingFeeKrw: 3000 };
+
+  it('상품가와 배송비가 같으면 변경 없음', () => {
+    assert.equal(hasPriceChanged(syncedDoc, baseProduct), false);
+    assert.equal(hasPriceChanged({ bunjangOriginalPriceKrw: '120000', bunjangOriginalShippingFeeKrw: '3000' }, baseProduct), false);
+  });
+
+  it('상품가나 배송비가 바뀌면 변경', () => {
+    assert.equal(hasPriceChanged(syncedDoc, { ...baseProduct, price: 110000 }), true);
+    assert.equal(hasPriceChanged(syncedDoc, { ...baseProduct, shippingFee: 0 }), true);
+  });
+
+  it('저장된 배송비가 없으면 0원으로 본다', () => {
+    assert.equal(hasPriceChanged({ bunjangOriginalPriceKrw: 120000 }, { ...baseProduct, shippingFee: undefined }), false);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/productImageService.test.js
+// 번개장터 이미지 URL 정규화/해시와 Shopify 미디어 매핑 기반 재동기화(추가/삭제/순서) 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const shopifyService = require('../../src/services/shopifyService');
+const { syncProductImages } = require('../../src/services/productImageService');
+const { normalizeBunjangImageUrl, hashImageSource, buildBunjangImageList } = require('../../src/utils/bunjangImages');
+
+const PRODUCT_ID = 'gid://shopify/Product/1';
+const url = (n) => `https://media.bunjang.co.kr/product/${n}_856.jpg`;
+const mapping = (n, mediaId, position) => ({ sourceHash: hashImageSource(url(n)), sourceUrl: url(n), shopifyMediaId: mediaId, position });
+const liveImage = (id, status = 'READY') => ({ id, mediaContentType: 'IMAGE', status });
+
+describe('bunjangImages', () => {
+  it('http와 {res}를 정규화하고 지원하지 않는 URL은 null', () => {
+    assert.equal(normalizeBunjangImageUrl(' http://media.bunjang.co.kr/product/1_{res}.jpg '), url(1));
+    assert.equal(normalizeBunjangImageUrl('https://example.com/photo.png'), 'https://example.com/photo.png');
+    assert.equal(normalizeBunjangImageUrl('https://example.com/page'), null);
+    assert.equal(normalizeBunjangImageUrl('ftp://media.bunjang.co.kr/1.jpg'), null);
+    assert.equal(normalizeBunjangImageUrl(null), null);
+  });
+
+  it('번개장터 순서를 유지하고 정규화 후 중복을 제거한다', () => {
+    const list = buildBunjangImageList(`${url(2)},http://media.bunjang.co.kr/product/1_{res}.jpg,${url(2)},not-a-url`);
+    assert.deepEqual(list.map(image => [image.sourceUrl, image.position]), [[url(2), 0], [url(1), 1]]);
+    assert.equal(list[0].sourceHash, hashImageSource(url(2)));
+  });
+});
+
+describe('syncProductImages', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('매핑이 없으면 기존 이미지 미디어를 지우고 새로 첨부한다', async () => {
+    mock.method(shopifyService, 'getProductMedia', async () => [liveImage('m-old'), { id: 'v-1', mediaContentType: 'VIDEO' }]);
+    const deleteMedia = mock.method(shopifyService, 'deleteProductMedia', async () => {});
+    const appendMedia = mock.method(shopifyService, 'appendMediaToProduct', async (id, media) => ({ media: media.map((_, i) => ({ id: `m-new-${i}` })) }));
+    const reorder = mock.method(shopifyService, 'reorderProductMedia', async () => {});
+
+    const mappings = await syncProductImages(PRODUCT_ID, { name: '상품', images: [url(1), url(2)] }, undefined);
+
+    assert.deepEqual(deleteMedia.mock.calls[0].arguments, [PRODUCT_ID, ['m-old']]);
+    assert.deepEqual(appendMedia.mock.calls[0].arguments[1].map(media => media.originalSource), [url(1), url(2)]);
+    assert.deepEqual(mappings.map(m => m.shopifyMediaId), ['m-new-0', 'm-new-1']);
+    assert.equal(reorder.mock.callCount(), 0);
+  });
+
+  it('재동기화 시 유지되는 이미지는 다시 올리지 않고, 사라진 이미지만 삭제하고 순서를 맞춘다', async () => {
+    mock.method(shopifyService, 'getProductMedia', async () => [liveImage('m-1'), liveImage('m-2'), liveImage('m-3')]);
+    const deleteMedia = mock.method(shopifyService, 'deleteProductMedia', async () => {});
+    const appendMedia = mock.method(shopifyService, 'appendMediaToProduct', async () => ({ media: [{ id: 'm-4' }] }));
+    const reorder = mock.method(shopifyService, 'reorderProductMedia', async () => {});
+    const previous = [mapping(1, 'm-1', 0), mapping(2, 'm-2', 1), mapping(3, 'm-3', 2)];
+
+    const mappings = await syncProductImages(PRODUCT_ID, { name: '상품', images: [url(3), url(4), url(1)] }, previous);
+
+    assert.deepEqual(deleteMedia.mock.calls[0].arguments, [PRODUCT_ID, ['m-2']]);
+    assert.deepEqual(appendMedia.mock.calls[0].arguments[1].map(media => media.originalSource), [url(4)]);
+    assert.deepEqual(mappings.map(m => [m.shopifyMediaId, m.position]), [['m-3', 0], ['m-4', 1], ['m-1', 2]]);
+    assert.deepEqual(reorder.mock.calls[0].arguments[1], [
+      { id: 'm-3', newPosition: 0 }, { id: 'm-4', newPosition: 1 }, { id: 'm-1', newPosition: 2 },
+    ]);
+  });
+
+  it('변경이 없으면 Shopify 미디어를 건드리지 않는다', async () => {
+    mock.method(shopifyService, 'getProductMedia', async () => [liveImage('m-1'), liveImage('m-2')]);
+    const deleteMedia = mock.method(shopifyService, 'deleteProductMedia', async () => {});
+    const appendMedia = mock.method(shopifyService, 'appendMediaToProduct', async () => ({ media: [] }));
+    const reorder = mock.method(shopifyService, 'reorderProductMedia', async () => {});
+    const previous = [mapping(1, 'm-1', 0), mapping(2, 'm-2', 1)];
+
+    const mappings = await syncProductImages(PRODUCT_ID, { images: [url(1), url(2)] }, previous);
+
+    assert.deepEqual(mappings.map(m => m.shopifyMediaId), ['m-1', 'm-2']);
+    assert.equal(deleteMedia.mock.callCount() + appendMedia.mock.callCount() + reorder.mock.callCount(), 0);
+  });
+
+  it('FAILED 미디어는 지우고 다시 첨부하며, 첨부 개수가 맞지 않으면 매핑하지 않는다', async () => {
+    mock.method(shopifyService, 'getProductMedia', async () => [liveImage('m-1', 'FAILED')]);
+    const deleteMedia = mock.method(shopifyService, 'deleteProductMedia', async () => {});
+    mock.method(shopifyService, 'appendMediaToProduct', async () => ({ media: [{ id: 'm-5' }] }));
+    mock.method(shopifyService, 'reorderProductMedia', async () => {});
+
+    const mappings = await syncProductImages(PRODUCT_ID, { images: [url(1), url(2)] }, [mapping(1, 'm-1', 0)]);
+
+    assert.deepEqual(deleteMedia.mock.calls.map(call => call.arguments[1]), [['m-1'], ['m-5']]);
+    assert.deepEqual(mappings, []);
+  });
+
+  it('Shopify 상품이 없으면 null', async () => {
+    mock.method(shopifyService, 'getProductMedia', async () => null);
+    assert.equal(await syncProductImages(PRODUCT_ID, { images: [url(1)] }, []), null);
+  });
+});
@@ -0,0 +1,73 @@
+// tests/unit/repricingService.test.js
+// 재가격 변동률 계산, variant별 재가격 대상 선택, 환율 변동에 따른 자동 재가격 판단 테스트
+
+require('../helpers/testEnv');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const ExchangeRate = require('../../src/models/exchangeRate.model');
+const {
+  calculateChangePercent, buildRepriceTargets, checkRateMoveSinceLastReprice,
+} = require('../../src/services/repricingService');
+
+const liveVariants = [
+  { id: 'v-1', sku: 'BJ-1001-11', price: '50.00' },
+  { id: 'v-2', sku: 'BJ-1001-12', price: '55.00' },
+];
+
+describe('calculateChangePercent', () => {
+  it('소수 둘째 자리까지 변동률을 계산하고, 현재 가격이 없으면 100%', () => {
+    assert.equal(calculateChangePercent(50, 55), 10);
+    assert.equal(calculateChangePercent(30, 29), -3.33);
+    assert.equal(calculateChangePercent(0, 10), 100);
+  });
+});
+
+describe('buildRepriceTargets', () => {
+  it('단일 상품은 첫 번째 variant에 상품 가격을 쓴다', () => {
+    assert.deepEqual(buildRepriceTargets({ bunjangOriginalPriceKrw: 50000 }, liveVariants), [
+      { variant: liveVariants[0], priceKrw: 50000, mappingIndex: null },
+    ]);
+    assert.deepEqual(buildRepriceTargets({ bunjangOriginalPriceKrw: 50000 }, []), []);
+  });
+
+  it('옵션 상품은 variant ID, 없으면 SKU로 매핑을 찾고 가격이 없는 매핑은 건너뛴다', () => {
+    const doc = {
+      bunjangOriginalPriceKrw: 50000,
+      bunjangVariantMappings: [
+        { shopifyVariantId: 'gid-stale', sku: 'BJ-1001-12', priceKrw: 55000 },
+        { shopifyVariantId: 'v-1', sku: 'BJ-1001-11', priceKrw: 0 },
+        { shopifyVariantId: 'v-missing', sku: 'BJ-1001-13', priceKrw: 53000 },
+      ],
+    };
+    assert.deepEqual(buildRepriceTargets(doc, liveVariants), [{ variant: liveVariants[1], priceKrw: 55000, mappingIndex: 0 }]);
+  });
+});
+
+describe('checkRateMoveSinceLastReprice', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('기준 환율이 없으면 현재 환율을 기준으로 저장하고 재가격하지 않는다', async () => {
+    const updateOne = mock.method(ExchangeRate, 'updateOne', async () => ({}));
+    const result = await checkRateMoveSinceLastReprice({ krwToUsdRate: 0.00075 });
+    assert.deepEqual(result, { shouldReprice: false, baselineRate: null, changePercent: 0 });
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.lastRepriceKrwToUsdRate, 0.00075);
+  });
+
+  it('기준 환율 대비 변동률이 설정값 이상이면 재가격한다', async () => {
+    const updateOne = mock.method(ExchangeRate, 'updateOne', async () => ({}));
+    const trigger = config.repricing.rateChangeTriggerPercent;
+    const baseline = 0.001;
+    const moved = await checkRateMoveSinceLastReprice({ krwToUsdRate: baseline * (1 - trigger / 100), lastRepriceKrwToUsdRate: baseline });
+    assert.equal(moved.shouldReprice, true);
+    assert.equal(moved.changePercent, -trigger);
+
+    const still = await checkRateMoveSinceLastReprice({ krwToUsdRate: baseline * (1 + trigger / 200), lastRepriceKrwToUsdRate: baseline });
+    assert.equal(still.shouldReprice, false);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('환율 정보가 없으면 재가격하지 않는다', async () => {
+    assert.deepEqual(await checkRateMoveSinceLastReprice(null), { shouldReprice: false, baselineRate: null, changePercent: 0 });
+  });
+});
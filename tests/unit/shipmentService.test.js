@@ -0,0 +1,56 @@
+// tests/unit/shipmentService.test.js
+// 배송 두 구간과 주문 상태로 구하는 고객용 배송 상태(line item/주문 단위) 테스트
+
+require('../helpers/testEnv');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCustomerStatus, combineCustomerStatuses } = require('../../src/services/shipmentService');
+
+describe('computeCustomerStatus', () => {
+  it('번개장터 주문 전/후 배송 시작 전 상태', () => {
+    assert.equal(computeCustomerStatus({}, null), 'ORDERED');
+    assert.equal(computeCustomerStatus({}, 'PENDING_BUNJANG'), 'ORDERED');
+    assert.equal(computeCustomerStatus({}, 'BUNJANG_CREATED'), 'PREPARING');
+    assert.equal(computeCustomerStatus({}, 'SHIP_READY'), 'PREPARING');
+  });
+
+  it('국내 구간(판매자 → 창고) 진행 상태', () => {
+    assert.equal(computeCustomerStatus({ domesticLeg: { status: 'IN_TRANSIT' } }, 'IN_TRANSIT'), 'TO_WAREHOUSE');
+    assert.equal(computeCustomerStatus({ domesticLeg: { status: 'DELIVERED' } }, 'DELIVERED'), 'AT_WAREHOUSE');
+  });
+
+  it('국제 구간은 국내 구간보다 우선한다', () => {
+    const domesticLeg = { status: 'DELIVERED' };
+    assert.equal(computeCustomerStatus({ domesticLeg, internationalLeg: { trackingNumber: 'INTL-1', status: 'IN_TRANSIT' } }, 'CONFIRMED'), 'INTERNATIONAL_IN_TRANSIT');
+    assert.equal(computeCustomerStatus({ domesticLeg, internationalLeg: { trackingNumber: 'INTL-1', status: 'DELIVERED' } }, 'CONFIRMED'), 'DELIVERED');
+  });
+
+  it('취소/환불/반품은 배송 구간과 관계없이 우선한다', () => {
+    const shipment = { internationalLeg: { trackingNumber: 'INTL-1', status: 'DELIVERED' } };
+    assert.equal(computeCustomerStatus(shipment, 'CANCELLED'), 'CANCELLED');
+    assert.equal(computeCustomerStatus(shipment, 'REFUNDED'), 'CANCELLED');
+    assert.equal(computeCustomerStatus(shipment, 'RETURNED'), 'RETURNED');
+  });
+});
+
+describe('combineCustomerStatuses', () => {
+  it('line item이 없으면 null', () => {
+    assert.equal(combineCustomerStatuses([]), null);
+  });
+
+  it('가장 덜 진행된 line item 상태를 주문 상태로 쓴다', () => {
+    assert.equal(combineCustomerStatuses(['DELIVERED', 'AT_WAREHOUSE', 'INTERNATIONAL_IN_TRANSIT']), 'AT_WAREHOUSE');
+    assert.equal(combineCustomerStatuses(['PREPARING', 'ORDERED']), 'ORDERED');
+  });
+
+  it('취소/반품된 line item은 나머지가 있으면 제외한다', () => {
+    assert.equal(combineCustomerStatuses(['CANCELLED', 'DELIVERED']), 'DELIVERED');
+    assert.equal(combineCustomerStatuses(['RETURNED', 'TO_WAREHOUSE']), 'TO_WAREHOUSE');
+  });
+
+  it('모두 취소/반품되었으면 반품만 있을 때 RETURNED, 아니면 CANCELLED', () => {
+    assert.equal(combineCustomerStatuses(['RETURNED', 'RETURNED']), 'RETURNED');
+    assert.equal(combineCustomerStatuses(['RETURNED', 'CANCELLED']), 'CANCELLED');
+    assert.equal(combineCustomerStatuses(['CANCELLED']), 'CANCELLED');
+  });
+});